@@ -0,0 +1,81 @@
+/**
+ * Unit tests for the ad lifecycle state machine
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AdLifecycle = require('../assets/js/ad-lifecycle.js');
+
+describe('AdLifecycle Module', () => {
+  const now = new Date('2026-06-10T12:00:00Z');
+  const daysFromNow = days => new Date(now.getTime() + days * 86400000);
+  const ad = (status, startDays, endDays) => ({
+    status,
+    startDate: daysFromNow(startDays),
+    endDate: daysFromNow(endDays)
+  });
+
+  describe('scheduledStatus', () => {
+    test('should activate approved ads on their start date', () => {
+      expect(AdLifecycle.scheduledStatus(ad('approved', 1, 10), now)).toBe('approved');
+      expect(AdLifecycle.scheduledStatus(ad('approved', -1, 10), now)).toBe('active');
+    });
+
+    test('should expire active and paused ads on their end date', () => {
+      expect(AdLifecycle.scheduledStatus(ad('active', -10, -1), now)).toBe('expired');
+      expect(AdLifecycle.scheduledStatus(ad('paused', -10, -1), now)).toBe('expired');
+      expect(AdLifecycle.scheduledStatus(ad('paused', -10, 5), now)).toBe('paused');
+    });
+
+    test('should leave other states alone', () => {
+      expect(AdLifecycle.scheduledStatus(ad('pending', -10, -1), now)).toBe('pending');
+      expect(AdLifecycle.scheduledStatus(ad('rejected', -10, -1), now)).toBe('rejected');
+    });
+
+    test('should resume paused ads to the state matching their dates', () => {
+      expect(AdLifecycle.releasedStatus(ad('paused', -1, 5), now)).toBe('active');
+      expect(AdLifecycle.releasedStatus(ad('paused', 2, 5), now)).toBe('approved');
+    });
+  });
+
+  describe('provider actions', () => {
+    test('should only allow actions from matching states', () => {
+      expect(AdLifecycle.canPerform(ad('active', -1, 5), 'pause')).toBe(true);
+      expect(AdLifecycle.canPerform(ad('pending', 1, 5), 'pause')).toBe(false);
+      expect(AdLifecycle.canPerform(ad('expired', -10, -1), 'renew')).toBe(true);
+      expect(AdLifecycle.canPerform(ad('draft', 1, 5), 'submit')).toBe(true);
+      expect(AdLifecycle.canPerform(ad('paused', 1, 5), 'unknown')).toBe(false);
+    });
+
+    test('should validate renewal dates', () => {
+      expect(AdLifecycle.validateDates(daysFromNow(0), daysFromNow(30), now)).toBeNull();
+      expect(AdLifecycle.validateDates(daysFromNow(-2), daysFromNow(30), now)).toBe('Start date cannot be in the past');
+      expect(AdLifecycle.validateDates(daysFromNow(5), daysFromNow(5), now)).toBe('End date must be after start date');
+    });
+  });
+
+  describe('serving, notices and archiving', () => {
+    test('should not serve ads past their end date before the next run', () => {
+      expect(AdLifecycle.isServing(ad('active', -5, 5), now)).toBe(true);
+      expect(AdLifecycle.isServing(ad('active', -5, -1), now)).toBe(false);
+      expect(AdLifecycle.isServing(ad('paused', -5, 5), now)).toBe(false);
+    });
+
+    test('should send one expiry notice in the last days', () => {
+      expect(AdLifecycle.needsExpiryNotice(ad('active', -5, 2), now)).toBe(true);
+      expect(AdLifecycle.needsExpiryNotice(ad('active', -5, 10), now)).toBe(false);
+      expect(AdLifecycle.needsExpiryNotice({ ...ad('active', -5, 2), expiryNoticeSentAt: now }, now)).toBe(false);
+    });
+
+    test('should archive expired ads after the retention period', () => {
+      expect(AdLifecycle.shouldArchive(ad('expired', -120, -91), now)).toBe(true);
+      expect(AdLifecycle.shouldArchive(ad('expired', -20, -10), now)).toBe(false);
+      expect(AdLifecycle.shouldArchive({ ...ad('expired', -120, -91), archived: true }, now)).toBe(false);
+    });
+  });
+
+  test('should match the Cloud Functions copy', () => {
+    const read = file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    expect(read('functions/ad-lifecycle.js')).toBe(read('assets/js/ad-lifecycle.js'));
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for automated ad pre-screening
+ */
+
+const AdScreening = require('../assets/js/ad-screening.js');
+
+describe('AdScreening Module', () => {
+  const ad = (title, description = '', extra = {}) => ({
+    id: 'ad1',
+    providerId: 'p1',
+    type: 'text',
+    title,
+    description,
+    ...extra
+  });
+  const ruleIds = result => result.flags.map(flag => flag.ruleId);
+
+  describe('term rules', () => {
+    test('should flag prohibited claims in each language', () => {
+      expect(ruleIds(AdScreening.screen(ad('Miracle cure for back pain')))).toEqual(['claims-en']);
+      expect(ruleIds(AdScreening.screen(ad('Cabinet dentaire', 'Resultats GARANTIS dès la première séance')))).toEqual(['claims-fr']);
+      expect(ruleIds(AdScreening.screen(ad('عيادة الأمل', 'العلاج المضمون لآلام الظهر')))).toEqual(['claims-ar']);
+    });
+
+    test('should match whole Latin words only', () => {
+      expect(AdScreening.findTerms(AdScreening.normalize('Cialisation'), ['cialis'])).toEqual([]);
+      expect(AdScreening.findTerms(AdScreening.normalize('Cialis, disponible'), ['cialis'])).toEqual(['cialis']);
+    });
+
+    test('should ignore Arabic diacritics and letter variants', () => {
+      expect(AdScreening.normalize('شِفَاءٌ تامّ')).toBe(AdScreening.normalize('شفاء تام'));
+      expect(AdScreening.findTerms(AdScreening.normalize('بدون اعراض جانبيه'), ['بدون أعراض جانبية'])).toHaveLength(1);
+    });
+
+    test('should skip disabled rules', () => {
+      const rules = AdScreening.DEFAULT_RULES.map(rule => ({ ...rule, enabled: rule.id !== 'claims-en' }));
+      expect(AdScreening.screen(ad('Miracle cure'), rules).flags).toEqual([]);
+    });
+  });
+
+  describe('detectors', () => {
+    test('should find phone numbers and links', () => {
+      expect(AdScreening.findPhones('Appelez le 0555 12 34 56 ou +213 21 45 67 89')).toEqual(['0555 12 34 56', '+213 21 45 67 89']);
+      expect(AdScreening.findPhones('Ouvert de 08:00 à 17:00, depuis 1998')).toEqual([]);
+      expect(AdScreening.findUrls('Voir www.example.com ou clinique.dz')).toEqual(['www.example.com', 'clinique.dz']);
+    });
+
+    test('should flag near-duplicate ads of other providers only', () => {
+      const text = 'Consultation de cardiologie avec échographie et ECG le jour même';
+      const others = [
+        { id: 'ad2', providerId: 'p2', title: 'Consultation cardiologie', description: text },
+        { id: 'ad3', providerId: 'p1', title: 'Consultation cardiologie', description: text }
+      ];
+
+      const result = AdScreening.screen(ad('Consultation cardiologie', text), AdScreening.DEFAULT_RULES, others);
+      expect(ruleIds(result)).toEqual(['duplicate']);
+      expect(result.flags[0].matches).toEqual(['Consultation cardiologie (p2)']);
+    });
+  });
+
+  describe('score', () => {
+    test('should add rule weights up to 100 and assign a risk level', () => {
+      const result = AdScreening.screen(ad('Guaranteed cure, no prescription needed', 'Tramadol, call 0555123456 or visit www.pills.com'));
+
+      expect(result.score).toBe(100);
+      expect(result.level).toBe('high');
+      expect(AdScreening.screen(ad('Call now for an appointment')).level).toBe('low');
+      expect(AdScreening.riskLevel(25)).toBe('medium');
+    });
+  });
+
+  describe('validateRule', () => {
+    test('should require a name, terms and a valid weight', () => {
+      const rule = { name: 'Test', category: 'spam', language: 'fr', terms: ['promo'], weight: 10 };
+
+      expect(AdScreening.validateRule(rule)).toBeNull();
+      expect(AdScreening.validateRule({ ...rule, terms: [' '] })).toBe('At least one term is required');
+      expect(AdScreening.validateRule({ ...rule, weight: 0 })).toMatch(/^Weight must be/);
+      expect(AdScreening.validateRule({ name: 'Phones', category: 'spam', detector: 'phone', weight: 20 })).toBeNull();
+    });
+  });
+});
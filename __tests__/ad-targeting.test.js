@@ -0,0 +1,80 @@
+/**
+ * Unit tests for ad targeting, frequency capping and reports
+ */
+
+const AdTargeting = require('../assets/js/ad-targeting.js');
+
+describe('AdTargeting Module', () => {
+  const generic = { id: 'generic', displayLocations: ['homepage', 'search'] };
+  const cardiology = {
+    id: 'cardiology',
+    displayLocations: ['search'],
+    targeting: { specialties: ['Cardiologie'], cities: [] }
+  };
+  const oran = {
+    id: 'oran',
+    displayLocations: ['search', 'emergency'],
+    targeting: { specialties: [], cities: ['Oran'] }
+  };
+
+  describe('matches', () => {
+    test('should filter by display location', () => {
+      expect(AdTargeting.matches(generic, { location: 'homepage' })).toBe(true);
+      expect(AdTargeting.matches(generic, { location: 'emergency' })).toBe(false);
+    });
+
+    test('should only show targeted ads when the context matches', () => {
+      expect(AdTargeting.matches(cardiology, { location: 'search', specialty: 'cardiologie' })).toBe(true);
+      expect(AdTargeting.matches(cardiology, { location: 'search', specialty: 'Pédiatrie' })).toBe(false);
+      expect(AdTargeting.matches(cardiology, { location: 'search' })).toBe(false);
+      expect(AdTargeting.matches(oran, { location: 'emergency', city: 'ORAN' })).toBe(true);
+    });
+
+    test('should compare without accents', () => {
+      const ad = { displayLocations: ['search'], targeting: { cities: ['Sidi Bel Abbès'] } };
+      expect(AdTargeting.matches(ad, { location: 'search', city: 'sidi bel abbes' })).toBe(true);
+    });
+  });
+
+  describe('selectAds', () => {
+    test('should rank targeted ads first and drop capped ones', () => {
+      const context = { location: 'search', specialty: 'Cardiologie', city: 'Oran' };
+      const ads = AdTargeting.selectAds([generic, oran, cardiology], context, {}, () => 0);
+
+      expect(ads.map(ad => ad.id)).toEqual(['cardiology', 'oran', 'generic']);
+      expect(AdTargeting.selectAds([generic, oran], context, { oran: 3 }).map(ad => ad.id)).toEqual(['generic']);
+    });
+
+    test('should show the least seen ad first among equals', () => {
+      const other = { ...generic, id: 'other' };
+      const ads = AdTargeting.selectAds([generic, other], { location: 'homepage' }, { generic: 2, other: 1 }, () => 0);
+
+      expect(ads.map(ad => ad.id)).toEqual(['other', 'generic']);
+    });
+  });
+
+  describe('parseList', () => {
+    test('should split, trim and de-duplicate', () => {
+      expect(AdTargeting.parseList(' Oran, Alger,,oran ')).toEqual(['Oran', 'Alger']);
+    });
+  });
+
+  describe('buildReport', () => {
+    test('should fill missing days and compute click-through rates', () => {
+      const days = AdTargeting.lastDays(3, new Date('2026-06-10T12:00:00Z'));
+      const report = AdTargeting.buildReport([
+        { date: '2026-06-08', impressions: 200, clicks: 3 },
+        { date: '2026-06-10', impressions: 50, clicks: 2 }
+      ], days);
+
+      expect(days).toEqual(['2026-06-08', '2026-06-09', '2026-06-10']);
+      expect(report.days[1]).toEqual({ date: '2026-06-09', impressions: 0, clicks: 0, ctr: 0 });
+      expect(report.days[0].ctr).toBe(1.5);
+      expect(report.totals).toEqual({ impressions: 250, clicks: 5, ctr: 2 });
+    });
+
+    test('should use the Algiers calendar day', () => {
+      expect(AdTargeting.dayKey(new Date('2026-06-10T23:30:00Z'))).toBe('2026-06-11');
+    });
+  });
+});
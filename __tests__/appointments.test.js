@@ -0,0 +1,261 @@
+/**
+ * Unit tests for appointment slots, status transitions and slot locks
+ */
+
+/**
+ * In-memory Firestore stand-in for the calls the module makes: documents by
+ * path, where ('==', '>=', '<') on one collection and transactions applied
+ * when their callback resolves
+ */
+function createDb() {
+  const docs = new Map();
+  const valueOf = value => (value && typeof value.toMillis === 'function' ? value.toMillis() : value);
+  const matches = { '==': (a, b) => a === b, '>=': (a, b) => a >= b, '<': (a, b) => a < b };
+  let nextId = 1;
+
+  const docRef = path => ({
+    id: path.split('/').pop(),
+    path,
+    get: async () => ({
+      id: path.split('/').pop(),
+      exists: docs.has(path),
+      data: () => docs.get(path)
+    }),
+    set: async data => docs.set(path, data),
+    collection: name => collectionRef(`${path}/${name}`)
+  });
+
+  const query = (path, filters) => ({
+    where: (field, op, value) => query(path, [...filters, { field, op, value }]),
+    get: async () => ({
+      docs: [...docs.entries()]
+        .filter(([docPath]) => docPath.startsWith(`${path}/`) && !docPath.slice(path.length + 1).includes('/'))
+        .filter(([, data]) => filters.every(({ field, op, value }) => matches[op](valueOf(data[field]), valueOf(value))))
+        .map(([docPath, data]) => ({ id: docPath.split('/').pop(), data: () => data }))
+    })
+  });
+
+  const collectionRef = path => ({
+    ...query(path, []),
+    doc: id => docRef(`${path}/${id || `generated-${nextId++}`}`)
+  });
+
+  return {
+    docs,
+    collection: name => collectionRef(name),
+    runTransaction: async callback => {
+      const writes = [];
+      await callback({
+        get: ref => ref.get(),
+        set: (ref, data) => writes.push(() => docs.set(ref.path, data)),
+        update: (ref, data) => writes.push(() => docs.set(ref.path, { ...docs.get(ref.path), ...data })),
+        delete: ref => writes.push(() => docs.delete(ref.path))
+      });
+      writes.forEach(write => write());
+    }
+  };
+}
+
+class Timestamp {
+  constructor(date) {
+    this.date = date;
+  }
+
+  static fromDate(date) {
+    return new Timestamp(date);
+  }
+
+  toDate() {
+    return this.date;
+  }
+
+  toMillis() {
+    return this.date.getTime();
+  }
+}
+
+global.OpeningHours = require('../assets/js/opening-hours.js');
+global.firebase = {
+  firestore: {
+    Timestamp,
+    FieldValue: { serverTimestamp: () => 'server-time' }
+  }
+};
+
+const appointmentsModule = require('../assets/js/appointments.js');
+
+describe('Appointments Module', () => {
+  // Monday 7 January 2030, far enough ahead for bookings to be in the future
+  const at = (day, hours, minutes = 0) => new Date(2030, 0, day, hours, minutes);
+  const clinic = {
+    name: 'Clinique El Amel',
+    ownerId: 'owner',
+    appointmentSettings: { enabled: true, slotMinutes: 30 },
+    hours: { weekdays: { open: '08:00', close: '10:00' }, friday: { closed: true } }
+  };
+  const nightClinic = {
+    ...clinic,
+    hours: { weekdays: { open: '22:00', close: '01:00' } }
+  };
+
+  let consoleError;
+
+  beforeEach(() => {
+    global.db = createDb();
+    global.authModule = {
+      getCurrentUser: async () => ({ uid: 'patient', displayName: 'Amina', email: 'amina@example.dz' })
+    };
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+  });
+
+  describe('canTransition', () => {
+    test('should let providers confirm and both sides cancel requests', () => {
+      expect(appointmentsModule.canTransition('requested', 'confirmed', 'provider')).toBe(true);
+      expect(appointmentsModule.canTransition('requested', 'confirmed', 'patient')).toBe(false);
+      expect(appointmentsModule.canTransition('requested', 'cancelled', 'patient')).toBe(true);
+      expect(appointmentsModule.canTransition('confirmed', 'cancelled', 'provider')).toBe(true);
+    });
+
+    test('should only let providers mark confirmed appointments as no-show', () => {
+      expect(appointmentsModule.canTransition('confirmed', 'no-show', 'provider')).toBe(true);
+      expect(appointmentsModule.canTransition('confirmed', 'no-show', 'patient')).toBe(false);
+      expect(appointmentsModule.canTransition('requested', 'no-show', 'provider')).toBe(false);
+    });
+
+    test('should not leave final or unknown statuses', () => {
+      expect(appointmentsModule.canTransition('cancelled', 'confirmed', 'provider')).toBe(false);
+      expect(appointmentsModule.canTransition('no-show', 'cancelled', 'provider')).toBe(false);
+      expect(appointmentsModule.canTransition('unknown', 'cancelled', 'patient')).toBe(false);
+    });
+  });
+
+  describe('generateSlots', () => {
+    test('should split opening hours into slots', () => {
+      const slots = appointmentsModule.generateSlots(clinic, at(7, 0), 30);
+
+      expect(slots).toHaveLength(4);
+      expect(slots[0]).toEqual({ start: at(7, 8), end: at(7, 8, 30) });
+      expect(slots[3]).toEqual({ start: at(7, 9, 30), end: at(7, 10) });
+    });
+
+    test('should not create a slot that runs past closing time', () => {
+      expect(appointmentsModule.generateSlots(clinic, at(7, 0), 45).map(slot => slot.start))
+        .toEqual([at(7, 8), at(7, 8, 45)]);
+    });
+
+    test('should carry overnight slots into the next day', () => {
+      const slots = appointmentsModule.generateSlots(nightClinic, at(7, 0), 60);
+
+      expect(slots.map(slot => slot.start)).toEqual([at(7, 22), at(7, 23), at(8, 0)]);
+      expect(slots[2].end).toEqual(at(8, 1));
+    });
+
+    test('should give no slots on closed days or without a provider', () => {
+      expect(appointmentsModule.generateSlots(clinic, at(11, 0))).toEqual([]);
+      expect(appointmentsModule.generateSlots(null, at(7, 0))).toEqual([]);
+    });
+  });
+
+  describe('rangesOverlap', () => {
+    test('should treat touching ranges as free', () => {
+      const slot = { start: at(7, 8), end: at(7, 8, 30) };
+
+      expect(appointmentsModule.rangesOverlap(slot, { start: at(7, 8, 15), end: at(7, 9) })).toBe(true);
+      expect(appointmentsModule.rangesOverlap(slot, { start: at(7, 7), end: at(7, 9) })).toBe(true);
+      expect(appointmentsModule.rangesOverlap(slot, { start: at(7, 8, 30), end: at(7, 9) })).toBe(false);
+      expect(appointmentsModule.rangesOverlap(slot, { start: at(7, 7, 30), end: at(7, 8) })).toBe(false);
+    });
+  });
+
+  describe('bookAppointment', () => {
+    const lockPath = start => `providers/clinic/bookedSlots/${start.getTime()}`;
+
+    beforeEach(async () => {
+      await db.collection('providers').doc('clinic').set(clinic);
+    });
+
+    test('should create the appointment and its slot lock together', async () => {
+      const appointment = await appointmentsModule.bookAppointment('clinic', at(7, 8, 30), { reason: 'Contrôle' });
+
+      expect(appointment).toMatchObject({ status: 'requested', patientId: 'patient', startTime: at(7, 8, 30), endTime: at(7, 9) });
+      expect(db.docs.get(lockPath(at(7, 8, 30)))).toMatchObject({ appointmentId: appointment.id });
+      expect(db.docs.get(`appointments/${appointment.id}`).providerOwnerId).toBe('owner');
+    });
+
+    test('should refuse a slot that is already locked', async () => {
+      await appointmentsModule.bookAppointment('clinic', at(7, 8, 30));
+      global.authModule = { getCurrentUser: async () => ({ uid: 'other-patient' }) };
+
+      await expect(appointmentsModule.bookAppointment('clinic', at(7, 8, 30)))
+        .rejects.toThrow('This time slot is no longer available');
+    });
+
+    test('should refuse a slot locked by someone else while booking', async () => {
+      const runTransaction = db.runTransaction;
+      db.runTransaction = async callback => {
+        db.docs.set(lockPath(at(7, 8, 30)), { appointmentId: 'concurrent' });
+        return runTransaction(callback);
+      };
+
+      await expect(appointmentsModule.bookAppointment('clinic', at(7, 8, 30)))
+        .rejects.toThrow('This time slot is no longer available');
+      expect(db.docs.get(lockPath(at(7, 8, 30)))).toEqual({ appointmentId: 'concurrent' });
+      expect((await db.collection('appointments').get()).docs).toHaveLength(0);
+    });
+
+    test('should refuse a slot overlapping a lock of a different length', async () => {
+      await db.collection('providers').doc('clinic').collection('bookedSlots').doc(String(at(7, 8).getTime())).set({
+        appointmentId: 'older',
+        startTime: Timestamp.fromDate(at(7, 8)),
+        endTime: Timestamp.fromDate(at(7, 9))
+      });
+
+      await expect(appointmentsModule.bookAppointment('clinic', at(7, 8, 30)))
+        .rejects.toThrow('This time slot is no longer available');
+    });
+
+    test('should refuse a second appointment at the same time for the same patient', async () => {
+      await db.collection('providers').doc('other').set({ ...clinic, ownerId: 'other-owner' });
+      await appointmentsModule.bookAppointment('other', at(7, 9));
+
+      await expect(appointmentsModule.bookAppointment('clinic', at(7, 9)))
+        .rejects.toThrow('You already have an appointment at this time');
+    });
+
+    test('should refuse times outside the provider slots', async () => {
+      await expect(appointmentsModule.bookAppointment('clinic', at(7, 8, 10)))
+        .rejects.toThrow('outside the provider\'s opening hours');
+      await expect(appointmentsModule.bookAppointment('clinic', at(11, 8)))
+        .rejects.toThrow('outside the provider\'s opening hours');
+    });
+
+    test('should accept an overnight slot opened the previous day', async () => {
+      await db.collection('providers').doc('clinic').set(nightClinic);
+
+      const appointment = await appointmentsModule.bookAppointment('clinic', at(8, 0, 30));
+      expect(appointment.endTime).toEqual(at(8, 1));
+    });
+
+    test('should release the slot lock when the appointment is cancelled', async () => {
+      const appointment = await appointmentsModule.bookAppointment('clinic', at(7, 8, 30));
+
+      const cancelled = await appointmentsModule.cancelAppointment(appointment.id, 'Empêchement');
+      expect(cancelled).toMatchObject({ status: 'cancelled', cancelledBy: 'patient' });
+      expect(db.docs.has(lockPath(at(7, 8, 30)))).toBe(false);
+
+      global.authModule = { getCurrentUser: async () => ({ uid: 'other-patient' }) };
+      await expect(appointmentsModule.bookAppointment('clinic', at(7, 8, 30))).resolves.toMatchObject({ status: 'requested' });
+    });
+
+    test('should not let patients confirm their own appointment', async () => {
+      const appointment = await appointmentsModule.bookAppointment('clinic', at(7, 8, 30));
+
+      await expect(appointmentsModule.confirmAppointment(appointment.id))
+        .rejects.toThrow('Cannot change appointment from requested to confirmed');
+    });
+  });
+});
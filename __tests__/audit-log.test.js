@@ -0,0 +1,86 @@
+/**
+ * Unit tests for the audit log diff, filters and CSV export
+ */
+
+const CSV = require('../assets/js/csv.js');
+const AuditLog = require('../assets/js/audit-log.js');
+
+describe('AuditLog Module', () => {
+  const timestamp = date => ({ toDate: () => new Date(date) });
+
+  const update = {
+    id: 'log1',
+    action: 'update_provider',
+    providerId: 'p1',
+    adminId: 'a1',
+    timestamp: timestamp('2026-05-02T10:00:00Z'),
+    oldData: {
+      name: 'Clinique El Amel',
+      phone: '048 54 12 34',
+      address: { street: 'Rue X', city: 'Sidi Bel Abbès', wilaya: 'Sidi Bel Abbès' },
+      createdAt: timestamp('2025-01-01T00:00:00Z')
+    },
+    newData: {
+      phone: '048 54 99 99',
+      address: { street: 'Rue Y', city: 'Sidi Bel Abbès' }
+    }
+  };
+
+  describe('getChanges', () => {
+    test('should only diff the fields an update wrote', () => {
+      expect(AuditLog.getChanges(update)).toEqual([
+        { field: 'address.street', before: 'Rue X', after: 'Rue Y' },
+        { field: 'address.wilaya', before: 'Sidi Bel Abbès', after: undefined },
+        { field: 'phone', before: '048 54 12 34', after: '048 54 99 99' }
+      ]);
+    });
+
+    test('should list every field of created and deleted documents', () => {
+      const data = { name: 'Pharmacie Benali', createdAt: timestamp('2026-05-01T08:00:00Z') };
+
+      expect(AuditLog.getChanges({ action: 'create_provider', data })).toEqual([
+        { field: 'createdAt', before: undefined, after: '2026-05-01T08:00:00.000Z' },
+        { field: 'name', before: undefined, after: 'Pharmacie Benali' }
+      ]);
+      expect(AuditLog.getChanges({ action: 'delete_provider', data })[1]).toEqual(
+        { field: 'name', before: 'Pharmacie Benali', after: undefined }
+      );
+    });
+  });
+
+  describe('matchesFilters', () => {
+    test('should filter by admin, entity and date', () => {
+      expect(AuditLog.matchesFilters(update, { adminId: 'a1', entity: 'provider', entityId: 'p1' })).toBe(true);
+      expect(AuditLog.matchesFilters(update, { entity: 'verification' })).toBe(false);
+      expect(AuditLog.matchesFilters(update, { from: new Date('2026-05-03T00:00:00Z') })).toBe(false);
+      expect(AuditLog.matchesFilters(
+        { action: 'batch_delete_providers', providerIds: ['p1', 'p2'] },
+        { entityId: 'p2' }
+      )).toBe(true);
+    });
+  });
+
+  describe('toCSV', () => {
+    test('should write one row per changed field', () => {
+      window.CSV = CSV;
+      const exported = { id: 'log2', action: 'export_providers', adminId: 'a1', timestamp: timestamp('2026-05-02T11:00:00Z'), format: 'csv', count: 3 };
+      const records = CSV.parse(AuditLog.toCSV([update, exported], { a1: 'Admin One' }));
+
+      expect(records).toHaveLength(5);
+      expect(records[1]).toEqual([
+        '2026-05-02T10:00:00.000Z', 'a1', 'Admin One', 'update_provider', 'provider', 'p1',
+        'address.street', 'Rue X', 'Rue Y', '', 'log1'
+      ]);
+      expect(records[4].slice(3, 10)).toEqual(['export_providers', 'provider', '', '', '', '', '{"format":"csv","count":3}']);
+    });
+
+    test('should escape values a spreadsheet would run as formulas', () => {
+      window.CSV = CSV;
+      const injected = { ...update, oldData: { name: 'Clinique' }, newData: { name: '=HYPERLINK("http://x","Open")' } };
+      const [, record] = CSV.parse(AuditLog.toCSV([injected], { a1: '@admin' }));
+
+      expect(record[2]).toBe("'@admin");
+      expect(record.slice(6, 9)).toEqual(['name', 'Clinique', '\'=HYPERLINK("http://x","Open")']);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Unit tests for the rate limits of the public callables
+ */
+
+const CallLimits = require('../functions/call-limits.js');
+
+describe('CallLimits Module', () => {
+  const hour = 3600000;
+
+  describe('key', () => {
+    test('should hash the caller identifier', () => {
+      const key = CallLimits.key('ads_ip', '203.0.113.7');
+
+      expect(key).toMatch(/^ads_ip_[0-9a-f]{32}$/);
+      expect(key).not.toContain('203.0.113.7');
+      expect(CallLimits.key('ads_ip', '203.0.113.7')).toBe(key);
+      expect(CallLimits.key('chat_ip', '203.0.113.7')).not.toBe(key);
+    });
+  });
+
+  describe('consume', () => {
+    test('should allow calls up to the limit within a window', () => {
+      let counter = null;
+
+      for (let call = 0; call < 3; call++) {
+        const result = CallLimits.consume(counter, 3, hour, 1000 + call);
+        expect(result.allowed).toBe(true);
+        counter = result.counter;
+      }
+
+      expect(counter).toEqual({ windowStart: 1000, count: 3 });
+      expect(CallLimits.consume(counter, 3, hour, 2000)).toEqual({ allowed: false, counter, retryAt: 1000 + hour });
+    });
+
+    test('should start a new window once the previous one has passed', () => {
+      const result = CallLimits.consume({ windowStart: 1000, count: 3 }, 3, hour, 1000 + hour);
+      expect(result).toEqual({ allowed: true, counter: { windowStart: 1000 + hour, count: 1 }, retryAt: null });
+    });
+  });
+
+  describe('remaining', () => {
+    test('should only accept what is left under the session cap', () => {
+      expect(CallLimits.remaining(undefined, 5, 3)).toBe(3);
+      expect(CallLimits.remaining(2, 5, 3)).toBe(1);
+      expect(CallLimits.remaining(3, 1, 3)).toBe(0);
+      expect(CallLimits.remaining(1, 1, 1)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Unit tests for provider profile change requests
+ */
+
+const ChangeRequests = require('../assets/js/change-requests.js');
+
+describe('ChangeRequests Module', () => {
+  const provider = {
+    name: 'Clinique El Amel',
+    type: 'clinic',
+    phone: '021 23 45 67',
+    verified: true,
+    address: { street: '12 Rue Didouche Mourad', city: 'Alger' }
+  };
+
+  describe('splitUpdates', () => {
+    test('should hold sensitive fields of verified providers', () => {
+      const { immediate, sensitive } = ChangeRequests.splitUpdates({
+        name: 'Clinique El Amal',
+        'address.city': 'Blida',
+        description: 'Open on weekends'
+      }, provider);
+
+      expect(immediate).toEqual({ description: 'Open on weekends' });
+      expect(sensitive).toEqual({ name: 'Clinique El Amal', 'address.city': 'Blida' });
+    });
+
+    test('should apply everything for unverified providers', () => {
+      const { immediate, sensitive } = ChangeRequests.splitUpdates({ name: 'New name' }, { ...provider, verified: false });
+
+      expect(immediate).toEqual({ name: 'New name' });
+      expect(sensitive).toEqual({});
+    });
+  });
+
+  describe('mergeChanges', () => {
+    test('should ignore unchanged values regardless of key order', () => {
+      const result = ChangeRequests.mergeChanges({}, {
+        phone: '021 23 45 67',
+        address: { city: 'Alger', street: '12 Rue Didouche Mourad' }
+      }, provider);
+
+      expect(result).toEqual({ changes: {}, previous: {} });
+    });
+
+    test('should merge into pending changes and drop reverted fields', () => {
+      const pending = { name: 'Clinique El Amal', phone: '0555 00 00 00' };
+      const result = ChangeRequests.mergeChanges(pending, { phone: '021 23 45 67', type: 'hospital' }, provider);
+
+      expect(result.changes).toEqual({ name: 'Clinique El Amal', type: 'hospital' });
+      expect(result.previous).toEqual({ name: 'Clinique El Amel', type: 'clinic' });
+    });
+
+    test('should record null for fields the provider did not have', () => {
+      const result = ChangeRequests.mergeChanges({}, { location: { lat: 36.75, lng: 3.06 } }, provider);
+
+      expect(result.previous).toEqual({ location: null });
+    });
+  });
+
+  describe('display', () => {
+    test('should list field changes in sensitive field order', () => {
+      const changes = ChangeRequests.getFieldChanges({
+        changes: { phone: '0555', name: 'B' },
+        previous: { phone: '021', name: 'A' }
+      });
+
+      expect(changes.map(change => change.field)).toEqual(['name', 'phone']);
+      expect(changes[0]).toEqual({ field: 'name', before: 'A', after: 'B' });
+    });
+
+    test('should format addresses and locations', () => {
+      expect(ChangeRequests.formatValue('address', provider.address)).toBe('12 Rue Didouche Mourad, Alger');
+      expect(ChangeRequests.formatValue('location', { lat: 36.7538, lng: 3.0588 })).toBe('36.75380, 3.05880');
+      expect(ChangeRequests.formatValue('phone', null)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Unit tests for Algerian Darija and Arabizi in the chatbot
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ChatbotDarija = require('../assets/js/chatbot-darija.js');
+const ChatbotDialog = require('../assets/js/chatbot-dialog.js');
+const ChatbotTriage = require('../assets/js/chatbot-triage.js');
+
+describe('ChatbotDarija Module', () => {
+  test('should match the Cloud Functions copy', () => {
+    const read = file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    expect(read('functions/chatbot-darija.js')).toBe(read('assets/js/chatbot-darija.js'));
+  });
+
+  describe('detectScript', () => {
+    test('should tell Arabic, Latin and mixed messages apart', () => {
+      expect(ChatbotDarija.detectScript('وين كاين سبيطار')).toBe('arabic');
+      expect(ChatbotDarija.detectScript('nheb tbib snan')).toBe('latin');
+      expect(ChatbotDarija.detectScript('نحب pharmacie de garde')).toBe('mixed');
+      expect(ChatbotDarija.detectScript('115')).toBe('none');
+    });
+  });
+
+  describe('isArabizi', () => {
+    test('should recognize Arabizi by its digits or its words', () => {
+      expect(ChatbotDarija.isArabizi('3andi skhana')).toBe(true);
+      expect(ChatbotDarija.isArabizi('win kayen pharmacie')).toBe(true);
+      expect(ChatbotDarija.isArabizi('Je cherche un dentiste à Sfisef')).toBe(false);
+      expect(ChatbotDarija.isArabizi('Ouvert 24h/24 et 7j/7')).toBe(false);
+    });
+  });
+
+  describe('translate', () => {
+    test('should rewrite Arabizi into French', () => {
+      expect(ChatbotDarija.translate('nheb tbib snan')).toBe('je cherche dentiste');
+      expect(ChatbotDarija.translate('3andi wja3 f rassi')).toBe("j'ai douleur à tête");
+      expect(ChatbotDarija.translate('Snane yoj3ouni bezzaf?')).toBe('dents douleur?');
+    });
+
+    test('should rewrite Arabic-script Darija into Modern Standard Arabic', () => {
+      expect(ChatbotDarija.translate('وين كاين سبيطار')).toBe('أين يوجد مستشفى');
+      expect(ChatbotDarija.translate('نحب فارمسي محلولة دروك')).toBe('أريد صيدلية مفتوح الآن');
+      expect(ChatbotDarija.translate('فالسبيطار')).toBe('مستشفى');
+    });
+
+    test('should keep French words and place names in mixed messages', () => {
+      expect(ChatbotDarija.translate('win kayen pharmacie de garde f Sidi Djillali'))
+        .toBe('où il y a pharmacie de garde à Sidi Djillali');
+      expect(ChatbotDarija.translate('نحب pharmacie de garde')).toBe('أريد pharmacie de garde');
+    });
+
+    test('should leave French and English messages alone', () => {
+      expect(ChatbotDarija.translate("J'ai de la fièvre depuis hier")).toBe("J'ai de la fièvre depuis hier");
+      expect(ChatbotDarija.translate('Is there a pharmacy in Tlemcen?')).toBe('Is there a pharmacy in Tlemcen?');
+    });
+  });
+
+  describe('getLanguages', () => {
+    test('should add the lexicons of the scripts used', () => {
+      expect(ChatbotDarija.getLanguages('Find a dentist', 'en')).toEqual(['en']);
+      expect(ChatbotDarija.getLanguages('nheb tbib', 'en')).toEqual(['en', 'fr']);
+      expect(ChatbotDarija.getLanguages('وين كاين سبيطار', 'fr')).toEqual(['fr', 'ar']);
+      expect(ChatbotDarija.getLanguages('نحب pharmacie de garde', 'ar')).toEqual(['ar', 'fr']);
+    });
+  });
+
+  describe('with the dialog and triage', () => {
+    test('should fill search slots from Darija', () => {
+      expect(ChatbotDialog.extract('nheb tbib snan f sidi djillali mehloul dorka')).toMatchObject({
+        specialty: 'dentistry',
+        location: 'sidi djillali',
+        filters: { openNow: true }
+      });
+      expect(ChatbotDialog.extract('وين كاين طبيب أطفال ف سيدي الجيلالي')).toMatchObject({
+        type: 'doctor',
+        specialty: 'pediatrics',
+        location: 'سيدي الجيلالي'
+      });
+    });
+
+    test('should triage symptoms described in Darija', () => {
+      expect(ChatbotTriage.assess('3andi wja3 f sdri')).toMatchObject({ level: 'call', specialty: 'cardiology' });
+      expect(ChatbotTriage.assess('wlidi mrid 3andou skhana').rules).toContain('sick-child');
+      expect(ChatbotTriage.assess('راني ما نقدرش نتنفس').rules).toEqual(['breathing']);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for chatbot conversation state and slot filling
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ChatbotDialog = require('../assets/js/chatbot-dialog.js');
+
+describe('ChatbotDialog Module', () => {
+  const converse = (messages, options = {}) => messages.reduce(
+    (result, message) => ChatbotDialog.update(result.state, message, options),
+    { state: ChatbotDialog.createState(), handled: false }
+  );
+
+  describe('extract', () => {
+    test('should find type, specialty and constraints in any language', () => {
+      const slots = ChatbotDialog.extract('Je cherche un pédiatre à domicile, wheelchair svp');
+
+      expect(slots.specialty).toBe('pediatrics');
+      expect(slots.filters).toEqual({ homeVisits: true, accessibility: true });
+      expect(ChatbotDialog.extract('أريد صيدلية مفتوحة الآن').type).toBe('pharmacy');
+      expect(ChatbotDialog.extract('أريد صيدلية مفتوحة الآن').filters).toEqual({ openNow: true });
+    });
+
+    test('should take the place after a location marker', () => {
+      expect(ChatbotDialog.extract('open now near Sidi Djillali?').location).toBe('Sidi Djillali');
+      expect(ChatbotDialog.extract('une pharmacie à Sfisef ouverte maintenant').location).toBe('Sfisef');
+      expect(ChatbotDialog.extract('I need a dentist').location).toBe('');
+      expect(ChatbotDialog.extract('a clinic in the morning').location).toBe('');
+    });
+  });
+
+  describe('update', () => {
+    test('should keep the specialty across turns', () => {
+      const first = converse(['I need a dentist']);
+      expect(first.state.pending).toBe('location');
+
+      const second = ChatbotDialog.update(first.state, 'open now near Sidi Djillali?');
+      expect(second.handled).toBe(true);
+      expect(second.state.searched).toBe(true);
+      expect(ChatbotDialog.toSearchParams(second.state)).toEqual({
+        query: 'dent Sidi Djillali',
+        serviceType: 'all',
+        location: 'all',
+        filters: { openNow: true }
+      });
+    });
+
+    test('should take a bare answer to "where?" as the place', () => {
+      const { state } = converse(['Trouver un médecin', 'Sidi Bel Abbès']);
+
+      expect(state.type).toBe('doctor');
+      expect(state.location).toBe('Sidi Bel Abbès');
+      expect(state.searched).toBe(true);
+    });
+
+    test('should ask where only once', () => {
+      const { state } = converse(['pharmacy', 'anywhere', 'home visits']);
+
+      expect(state.pending).toBeNull();
+      expect(state.anyLocation).toBe(true);
+      expect(state.filters).toEqual({ homeVisits: true });
+    });
+
+    test('should ask what is needed when a search starts without slots', () => {
+      const { state, handled } = ChatbotDialog.update(null, 'I am looking for someone', { start: true });
+
+      expect(handled).toBe(true);
+      expect(state.pending).toBe('what');
+    });
+
+    test('should start a new search in the same place for another provider', () => {
+      const { state } = converse(['dentist near Sidi Djillali', 'open now', 'pharmacy']);
+
+      expect(state.specialty).toBeNull();
+      expect(state.type).toBe('pharmacy');
+      expect(state.location).toBe('Sidi Djillali');
+      expect(state.filters).toEqual({});
+    });
+
+    test('should leave emergencies, resets and unrelated messages to other intents', () => {
+      const { state } = converse(['I need a dentist']);
+
+      expect(ChatbotDialog.update(state, 'pharmacie de garde').handled).toBe(false);
+      expect(ChatbotDialog.update(state, 'thanks', { freeText: false }).handled).toBe(false);
+      expect(ChatbotDialog.update(state, 'new search').state).toEqual(ChatbotDialog.createState());
+      expect(ChatbotDialog.update(null, "j'ai mal à la tête").handled).toBe(false);
+    });
+  });
+
+  describe('step', () => {
+    test('should follow the detected intent', () => {
+      const { state } = converse(['I need a dentist']);
+
+      expect(ChatbotDialog.step(state, 'Sidi Djillali', { type: 'unknown' })).toMatchObject({ handled: true, state: { location: 'Sidi Djillali' } });
+      expect(ChatbotDialog.step(state, "j'ai mal aux dents chez le dentiste", { type: 'triage' })).toEqual({ state, handled: false });
+      expect(ChatbotDialog.step(state, 'hello', { type: 'greeting' })).toEqual({ state: ChatbotDialog.createState(), handled: false });
+      expect(ChatbotDialog.step(null, 'I am looking for help', { type: 'findProvider' }).handled).toBe(true);
+    });
+  });
+
+  test('should match the Cloud Functions copy', () => {
+    const read = file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    expect(read('functions/chatbot-dialog.js')).toBe(read('assets/js/chatbot-dialog.js'));
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Unit tests for the chatbot engine shared by the web app and Cloud Functions
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SearchIndex = require('../assets/js/search-index.js');
+const fixtures = require('./fixtures/chatbot-messages.json');
+
+const engines = {
+  browser: require('../assets/js/chatbot-engine.js'),
+  cloud: require('../functions/chatbot-engine.js')
+};
+
+/**
+ * Firestore stand-in for the queries the engine runs: where ('==',
+ * 'array-contains-any'), orderBy and limit on one collection
+ */
+function createDb(providers) {
+  const docs = providers.map(({ id, ...data }) => ({
+    id,
+    data: () => ({ ...data, searchTokens: SearchIndex.buildTokens(data) })
+  }));
+
+  const query = (filters, order, max) => ({
+    where: (field, op, value) => query([...filters, { field, op, value }], order, max),
+    orderBy: (field, direction) => query(filters, { field, direction }, max),
+    limit: n => query(filters, order, n),
+    get: async () => {
+      let result = docs.filter(doc => filters.every(({ field, op, value }) => op === 'array-contains-any'
+        ? value.some(token => (doc.data()[field] || []).includes(token))
+        : doc.data()[field] === value));
+
+      if (order) {
+        const sign = order.direction === 'desc' ? -1 : 1;
+        result = [...result].sort((a, b) => sign * (a.data()[order.field] - b.data()[order.field]));
+      }
+
+      return { docs: result.slice(0, max) };
+    }
+  });
+
+  return { collection: () => query([], null, Infinity) };
+}
+
+describe('ChatbotEngine Module', () => {
+  const db = createDb(fixtures.providers);
+  const source = {
+    db,
+    getEmergencyProviders: async () => fixtures.providers
+      .filter(provider => provider.available24_7 && provider.verified)
+      .sort((a, b) => b.rating - a.rating)
+  };
+
+  test('should match the Cloud Functions copy', () => {
+    const read = file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    expect(read('functions/chatbot-engine.js')).toBe(read('assets/js/chatbot-engine.js'));
+  });
+
+  describe('answers', () => {
+    test.each(fixtures.messages)('$language: "$message"', async ({ language, message, intent, providers }) => {
+      const answers = {};
+
+      for (const [side, engine] of Object.entries(engines)) {
+        const detected = engine.detectIntent(message, language);
+        expect(detected.type).toBe(intent);
+
+        answers[side] = await engine.getResponse(detected, message, language, source);
+      }
+
+      expect(answers.cloud).toEqual(answers.browser);
+      expect((answers.browser.providers || []).map(provider => provider.id)).toEqual(providers);
+      expect(answers.browser.error).toBeUndefined();
+      expect(/[\u0600-\u06ff]/.test(answers.browser.text)).toBe(language === 'ar');
+    });
+  });
+
+  describe('getTriageResponse', () => {
+    test('should give emergency numbers and a disclaimer for red flags', async () => {
+      const intent = engines.browser.detectIntent('chest pain and left arm numb', 'en');
+      const response = await engines.browser.getResponse(intent, 'chest pain and left arm numb', 'en', source);
+
+      expect(intent.triage).toMatchObject({ level: 'call', specialty: 'cardiology' });
+      expect(response.emergencyNumbers.map(entry => entry.number)).toEqual(['14', '115']);
+      expect(response.disclaimer).toMatch(/not a diagnosis/);
+      expect(response.suggestions).toBeUndefined();
+    });
+
+    test('should still give emergency numbers when providers cannot be read', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const failing = { getEmergencyProviders: () => Promise.reject(new Error('offline')) };
+      const intent = engines.cloud.detectIntent('ضيق في التنفس', 'ar');
+
+      const response = await engines.cloud.getResponse(intent, 'ضيق في التنفس', 'ar', failing);
+      expect(response.providers).toEqual([]);
+      expect(response.emergencyNumbers).toHaveLength(2);
+
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('getSearchParams', () => {
+    test('should keep type, specialty and constraints the server can query', () => {
+      expect(engines.browser.getSearchParams('Une pharmacie à domicile ouverte maintenant')).toEqual({
+        query: '',
+        serviceType: 'pharmacy',
+        filters: { homeVisits: true }
+      });
+      expect(engines.browser.getSearchParams('أبحث عن طبيب أسنان').query).toBe('dent');
+    });
+  });
+
+  describe('findProviders', () => {
+    test('should skip trashed and unverified providers', async () => {
+      const providers = await engines.browser.findProviders(db, { query: 'dent' });
+      expect(providers.map(provider => provider.id)).toEqual(['dentist']);
+    });
+  });
+
+  describe('custom entries', () => {
+    const customEntries = [
+      {
+        id: 'cnas',
+        type: 'answer',
+        keywords: ['CNAS', 'carte chifa', 'بطاقة الشفاء'],
+        answers: { en: 'Most providers accept the CNAS card.', fr: 'La plupart des prestataires acceptent la carte CNAS.' }
+      },
+      { id: 'hours', type: 'pattern', intent: 'hours', keywords: ['permanence'] }
+    ];
+
+    test('should give admin answers in both copies, in English when untranslated', async () => {
+      for (const engine of Object.values(engines)) {
+        const intent = engine.detectIntent('Vous acceptez la carte Chifa ?', 'fr', customEntries);
+        expect(intent).toMatchObject({ type: 'custom', entry: { id: 'cnas' } });
+        expect((await engine.getResponse(intent, '', 'fr', source)).text).toMatch(/carte CNAS/);
+
+        const arabic = engine.detectIntent('هل تقبلون بطاقة الشفاء', 'ar', customEntries);
+        expect((await engine.getResponse(arabic, '', 'ar', source)).text).toBe('Most providers accept the CNAS card.');
+      }
+    });
+
+    test('should add admin keywords to built-in intents', () => {
+      expect(engines.browser.detectIntent('La permanence du samedi', 'fr').type).toBe('unknown');
+      expect(engines.browser.detectIntent('La permanence du samedi', 'fr', customEntries).type).toBe('hours');
+    });
+
+    test('should keep triage ahead of admin answers', () => {
+      const entries = [{ id: 'chest', type: 'answer', keywords: ['chest'], answers: { en: 'Chest' } }];
+      expect(engines.cloud.detectIntent('chest pain and left arm numb', 'en', entries).type).toBe('triage');
+    });
+
+    test('should validate entries', () => {
+      const validate = entry => engines.browser.validateCustomEntry(entry);
+
+      expect(validate(customEntries[0])).toBeNull();
+      expect(validate(customEntries[1])).toBeNull();
+      expect(validate({ type: 'answer', keywords: ['cnas'], answers: {} })).toBe('At least one answer is required');
+      expect(validate({ type: 'pattern', keywords: ['x'], intent: 'triage' })).toBe('Invalid intent');
+      expect(validate({ type: 'answer', keywords: [' '], answers: { en: 'x' } })).toBe('At least one keyword is required');
+      expect(validate({ type: 'other', keywords: ['x'] })).toBe('Invalid entry type');
+    });
+
+    test('should load enabled and valid entries', async () => {
+      const entries = [...customEntries, { id: 'broken', type: 'answer', keywords: ['x'] }]
+        .map(({ id, ...data }) => ({ id, data: () => ({ ...data, enabled: true }) }));
+      const requests = [];
+      const entriesDb = {
+        collection: name => ({
+          where: (...condition) => {
+            requests.push([name, ...condition]);
+            return { get: async () => ({ docs: entries }) };
+          }
+        })
+      };
+
+      const loaded = await engines.cloud.loadCustomEntries(entriesDb);
+      expect(requests).toEqual([['chatbot_answers', 'enabled', '==', true]]);
+      expect(loaded.map(entry => entry.id)).toEqual(['cnas', 'hours']);
+    });
+  });
+
+  describe('getErrorResponse', () => {
+    test('should answer with an error when providers cannot be read', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const failing = { getEmergencyProviders: () => Promise.reject(new Error('offline')) };
+
+      const response = await engines.cloud.getResponse({ type: 'emergency' }, 'urgence', 'fr', failing);
+      expect(response).toEqual(engines.cloud.getErrorResponse('fr'));
+
+      consoleError.mockRestore();
+    });
+  });
+});
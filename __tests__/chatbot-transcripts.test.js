@@ -0,0 +1,70 @@
+/**
+ * Unit tests for chatbot transcripts and unanswered question grouping
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ChatbotTranscripts = require('../assets/js/chatbot-transcripts.js');
+
+describe('ChatbotTranscripts Module', () => {
+  test('should match the Cloud Functions copy', () => {
+    const read = file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    expect(read('functions/chatbot-transcripts.js')).toBe(read('assets/js/chatbot-transcripts.js'));
+  });
+
+  describe('anonymize', () => {
+    test('should mask e-mail addresses and phone numbers', () => {
+      expect(ChatbotTranscripts.anonymize('Call me at 0551 23 45 67 or write to amina.b@mail.dz'))
+        .toBe('Call me at [number] or write to [email]');
+      expect(ChatbotTranscripts.anonymize('+213661234567')).toBe('[number]');
+    });
+
+    test('should mask names after an introduction', () => {
+      expect(ChatbotTranscripts.anonymize('Hello, my name is Amina Benali.')).toBe('Hello, my name is [name].');
+      expect(ChatbotTranscripts.anonymize('my name is amina and I need a dentist'))
+        .toBe('my name is [name] and I need a dentist');
+      expect(ChatbotTranscripts.anonymize("Je m'appelle Karim, j'ai 45 ans")).toBe("Je m'appelle [name], j'ai 45 ans");
+      expect(ChatbotTranscripts.anonymize('اسمي أحمد وأحتاج طبيب')).toBe('اسمي [name] وأحتاج طبيب');
+    });
+
+    test('should cut long messages', () => {
+      expect(ChatbotTranscripts.anonymize('a'.repeat(800))).toHaveLength(ChatbotTranscripts.MAX_TEXT_LENGTH);
+    });
+  });
+
+  describe('createEntry', () => {
+    test('should mark messages without an intent as unanswered', () => {
+      expect(ChatbotTranscripts.createEntry({ message: 'my name is Sara', reply: 'Hi', intent: 'unknown', language: 'xx' }))
+        .toEqual({ text: 'my name is [name]', reply: 'Hi', intent: 'unknown', language: 'en', answered: false });
+      expect(ChatbotTranscripts.createEntry({ message: 'Bonjour', intent: 'greeting', language: 'fr' }).answered).toBe(true);
+    });
+  });
+
+  describe('groupQuestions', () => {
+    test('should group similar questions, largest group first', () => {
+      const groups = ChatbotTranscripts.groupQuestions([
+        { id: '1', text: 'Is there parking near the hospital?', language: 'en' },
+        { id: '2', text: 'Do you sell face masks?', language: 'en' },
+        { id: '3', text: 'Parking near hospital', language: 'en' },
+        { id: '4', text: 'Parking près de l\'hôpital', language: 'fr' },
+        { id: '5', text: 'parking hospital', language: 'en' }
+      ]);
+
+      expect(groups.map(group => group.count)).toEqual([3, 1, 1]);
+      expect(groups[0].questions.map(question => question.id)).toEqual(['1', '3', '5']);
+      expect(groups[0].keywords).toEqual(expect.arrayContaining(['parking', 'hospital']));
+      expect(groups[0].languages).toEqual(['en']);
+    });
+
+    test('should ignore case, accents and stopwords', () => {
+      const groups = ChatbotTranscripts.groupQuestions([
+        { text: 'Vous acceptez la CNAS ?', language: 'fr' },
+        { text: 'acceptez vous cnas', language: 'fr' },
+        { text: 'هل تقبلون بطاقة الشفاء', language: 'ar' },
+        { text: 'تقبلون بطاقة الشفاء؟', language: 'ar' }
+      ]);
+
+      expect(groups.map(group => group.count)).toEqual([2, 2]);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Unit tests for chatbot symptom triage
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ChatbotTriage = require('../assets/js/chatbot-triage.js');
+
+describe('ChatbotTriage Module', () => {
+  describe('assess', () => {
+    test('should flag emergencies in each language', () => {
+      expect(ChatbotTriage.assess('chest pain and left arm numb')).toEqual({
+        level: 'call',
+        redFlag: true,
+        specialty: 'cardiology',
+        rules: ['chest-pain']
+      });
+      expect(ChatbotTriage.assess("J'ai une douleur thoracique depuis ce matin").level).toBe('call');
+      expect(ChatbotTriage.assess('أبي عنده ضيق في التنفس').rules).toEqual(['breathing']);
+    });
+
+    test('should keep the most urgent level', () => {
+      const result = ChatbotTriage.assess('Mon bébé a de la fièvre et il tousse');
+
+      expect(result.level).toBe('emergency');
+      expect(result.specialty).toBe('pediatrics');
+      expect(result.rules).toEqual(expect.arrayContaining(['baby-fever', 'fever']));
+    });
+
+    test('should tell minor complaints from red flags', () => {
+      expect(ChatbotTriage.assess("J'ai des brûlures d'estomac").level).toBe('pharmacy');
+      expect(ChatbotTriage.assess('severe burn on the face').level).toBe('emergency');
+      expect(ChatbotTriage.assess('I have a cold and a sore throat')).toMatchObject({ level: 'pharmacy', redFlag: false });
+    });
+
+    test('should match Arabic words with attached prefixes and suffixes', () => {
+      expect(ChatbotTriage.assess('عندي وجع في ضرسي')).toMatchObject({ level: 'doctor', specialty: 'dentistry' });
+      expect(ChatbotTriage.assess('سنة سعيدة')).toBeNull();
+    });
+
+    test('should ignore messages without symptoms', () => {
+      expect(ChatbotTriage.assess('Find a dentist near Sidi Djillali')).toBeNull();
+      expect(ChatbotTriage.assess('pharmacie de garde')).toBeNull();
+    });
+  });
+
+  describe('getEmergencyNumbers', () => {
+    test('should label the numbers in the requested language', () => {
+      const numbers = ChatbotTriage.getEmergencyNumbers('fr');
+
+      expect(numbers.map(entry => entry.number)).toEqual(['14', '115']);
+      expect(numbers[0].label).toBe('Protection civile (ambulance)');
+    });
+  });
+
+  test('should match the Cloud Functions copy', () => {
+    const read = file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    expect(read('functions/chatbot-triage.js')).toBe(read('assets/js/chatbot-triage.js'));
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for the profile claim codes and their delivery adapters
+ */
+
+const ClaimCodes = require('../functions/claim-codes.js');
+const ClaimDelivery = require('../functions/claim-delivery.js');
+
+describe('ClaimCodes Module', () => {
+  describe('codes', () => {
+    test('should generate zero-padded codes', () => {
+      expect(ClaimCodes.generateCode(() => 4217)).toBe('004217');
+      expect(ClaimCodes.generateCode()).toMatch(/^\d{6}$/);
+    });
+
+    test('should only match the code for the same profile and user', () => {
+      const hash = ClaimCodes.hashCode('123456', 'p1:u1');
+
+      expect(ClaimCodes.matches('123456', hash, 'p1:u1')).toBe(true);
+      expect(ClaimCodes.matches('123457', hash, 'p1:u1')).toBe(false);
+      expect(ClaimCodes.matches('123456', hash, 'p1:u2')).toBe(false);
+    });
+
+    test('should normalize Arabic-Indic digits and separators', () => {
+      expect(ClaimCodes.normalizeCode('١٢٣ ٤٥٦')).toBe('123456');
+      expect(ClaimCodes.normalizeCode('123-456')).toBe('123456');
+    });
+
+    test('should mask all but the first and last two digits', () => {
+      expect(ClaimCodes.maskPhone('0555 12 34 78')).toBe('05** ** ** 78');
+    });
+  });
+
+  describe('checkRateLimit', () => {
+    const now = Date.parse('2026-06-10T12:00:00Z');
+    const minutesAgo = minutes => now - minutes * 60000;
+
+    test('should limit codes per user and hour', () => {
+      const sends = [10, 20, 30].map(minutes => ({ userId: 'u1', at: minutesAgo(minutes) }));
+
+      expect(ClaimCodes.checkRateLimit(sends, 'u1', now)).toEqual({ allowed: false, retryAt: minutesAgo(30) + 3600000 });
+      expect(ClaimCodes.checkRateLimit(sends, 'u2', now).allowed).toBe(true);
+      expect(ClaimCodes.checkRateLimit(sends, 'u1', minutesAgo(-31)).allowed).toBe(true);
+    });
+
+    test('should limit codes sent to one profile per day', () => {
+      const sends = Array.from({ length: 10 }, (_, index) => ({ userId: `u${index}`, at: minutesAgo(120 + index) }));
+
+      expect(ClaimCodes.checkRateLimit(sends, 'u99', now).allowed).toBe(false);
+      expect(ClaimCodes.pruneSends([{ userId: 'u1', at: minutesAgo(25 * 60) }], now)).toEqual([]);
+    });
+  });
+});
+
+describe('ClaimDelivery Module', () => {
+  test('should use the console adapter by default and accept custom adapters', async () => {
+    const sent = [];
+    ClaimDelivery.register('test', { send: async message => sent.push(message) });
+
+    expect(ClaimDelivery.getAdapter({})).toBe(ClaimDelivery.adapters.console);
+    await ClaimDelivery.send('0555123478', 'hello', { CLAIM_CODE_DELIVERY: 'test' });
+    expect(sent).toEqual([{ phone: '0555123478', message: 'hello' }]);
+    expect(() => ClaimDelivery.getAdapter({ CLAIM_CODE_DELIVERY: 'pigeon' })).toThrow('pigeon');
+  });
+
+  test('should build the code message in the user language', () => {
+    expect(ClaimDelivery.message('004217', 10, 'en')).toContain('004217');
+    expect(ClaimDelivery.message('004217', 10, 'fr')).toContain('10 minutes');
+  });
+});
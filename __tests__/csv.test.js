@@ -0,0 +1,68 @@
+/**
+ * Unit tests for the CSV parser
+ */
+
+const CSV = require('../assets/js/csv.js');
+
+describe('CSV Module', () => {
+  describe('parse', () => {
+    test('should keep delimiters inside quoted fields', () => {
+      expect(CSV.parse('name,address\nClinique A,"Rue X, Cité Y"')).toEqual([
+        ['name', 'address'],
+        ['Clinique A', 'Rue X, Cité Y']
+      ]);
+    });
+
+    test('should unescape doubled quotes and keep line breaks in quotes', () => {
+      expect(CSV.parse('name,note\n"Clinique ""El Amel""","line 1\r\nline 2"')).toEqual([
+        ['name', 'note'],
+        ['Clinique "El Amel"', 'line 1\r\nline 2']
+      ]);
+    });
+
+    test('should handle CRLF, a BOM, blank lines and empty trailing fields', () => {
+      expect(CSV.parse('\uFEFFname,phone\r\nA,\r\n\r\nB,0555\r\n')).toEqual([
+        ['name', 'phone'],
+        ['A', ''],
+        ['B', '0555']
+      ]);
+    });
+
+    test('should detect the semicolon delimiter used by French Excel', () => {
+      expect(CSV.detectDelimiter('nom;adresse;ville\n"A, B";x;y')).toBe(';');
+      expect(CSV.parse('nom;adresse\n"A";"Rue X, Cité Y"')).toEqual([
+        ['nom', 'adresse'],
+        ['A', 'Rue X, Cité Y']
+      ]);
+    });
+
+    test('should reject an unterminated quoted field', () => {
+      expect(() => CSV.parse('name,address\nA,"Rue X\nB,c')).toThrow('line 2');
+    });
+  });
+
+  describe('stringify', () => {
+    test('should quote only fields that need it and round-trip through parse', () => {
+      const records = [['name', 'address', 'note'], ['Clinique "A"', 'Rue X, Cité Y', 'line 1\nline 2'], ['B', '', null]];
+      const text = CSV.stringify(records);
+
+      expect(text.split('\r\n')[0]).toBe('name,address,note');
+      expect(text).toContain('"Clinique ""A""","Rue X, Cité Y"');
+      expect(CSV.parse(text)).toEqual([records[0], records[1], ['B', '', '']]);
+    });
+
+    test('should escape values a spreadsheet would run as formulas when asked', () => {
+      const records = [['=HYPERLINK("http://x")', '+213 48', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd', '-0.63', 'Rue =1']];
+
+      expect(CSV.parse(CSV.stringify(records))).toEqual(records);
+      expect(CSV.parse(CSV.stringify(records, { escapeFormulas: true }))).toEqual([
+        ["'=HYPERLINK(\"http://x\")", "'+213 48", "'-2+3", "'@SUM(A1)", "'\tcmd", "'\rcmd", '-0.63', 'Rue =1']
+      ]);
+    });
+
+    test('should restore escaped values', () => {
+      expect(CSV.unescapeFormula(CSV.escapeFormula('=1+1'))).toBe('=1+1');
+      expect(CSV.unescapeFormula("'quoted")).toBe("'quoted");
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for the pharmacy duty roster helpers
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DutyRoster = require('../assets/js/duty-roster.js');
+
+describe('DutyRoster Module', () => {
+  const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes);
+
+  describe('parseShift', () => {
+    test('should default a date-only entry to a 20:00-08:00 night shift', () => {
+      const shift = DutyRoster.parseShift('2026-10-19');
+      expect(shift.startsAt).toEqual(at(19, 20));
+      expect(shift.endsAt).toEqual(at(20, 8));
+    });
+
+    test('should cover every night of a date range', () => {
+      const shift = DutyRoster.parseShift('2026-10-23', '2026-10-24');
+      expect(shift.startsAt).toEqual(at(23, 20));
+      expect(shift.endsAt).toEqual(at(25, 8));
+    });
+
+    test('should keep explicit times', () => {
+      const shift = DutyRoster.parseShift('2026-10-23 12:00', '2026-10-25 08:00');
+      expect(shift.startsAt).toEqual(at(23, 12));
+      expect(shift.endsAt).toEqual(at(25, 8));
+    });
+
+    test('should reject invalid dates and empty shifts', () => {
+      expect(DutyRoster.parseShift('23/10/2026').error).toBeDefined();
+      expect(DutyRoster.parseShift('2026-02-30').error).toBeDefined();
+      expect(DutyRoster.parseShift('2026-10-23 20:00', '2026-10-23 08:00').error).toBeDefined();
+    });
+  });
+
+  describe('getOnDutyMap', () => {
+    const shifts = [
+      { pharmacyIds: ['a', 'b'], startsAt: at(18, 20), endsAt: at(19, 8) },
+      { pharmacyIds: ['c'], startsAt: at(19, 20), endsAt: at(20, 8) },
+      { pharmacyIds: ['a'], startsAt: at(19, 20), endsAt: at(20, 8) },
+      { pharmacyIds: ['d'], startsAt: at(21, 20), endsAt: at(22, 8) }
+    ];
+
+    test('should mark pharmacies on duty now as current', () => {
+      const onDuty = DutyRoster.getOnDutyMap(shifts, at(19, 2));
+      expect(onDuty.get('a').current).toBe(true);
+      expect(onDuty.get('b').endsAt).toEqual(at(19, 8));
+    });
+
+    test('should include shifts starting tonight but not later ones', () => {
+      const onDuty = DutyRoster.getOnDutyMap(shifts, at(19, 10));
+      expect([...onDuty.keys()]).toEqual(['c', 'a']);
+      expect(onDuty.get('c').current).toBe(false);
+    });
+
+    test('should accept Firestore-like timestamps', () => {
+      const timestamp = date => ({ toDate: () => date });
+      const onDuty = DutyRoster.getOnDutyMap([
+        { pharmacyIds: ['a'], startsAt: timestamp(at(18, 20)), endsAt: timestamp(at(19, 8)) }
+      ], at(18, 23));
+      expect(onDuty.has('a')).toBe(true);
+    });
+  });
+
+  describe('mergeWithProviders', () => {
+    test('should put on-duty pharmacies first without duplicates', () => {
+      const merged = DutyRoster.mergeWithProviders(
+        [{ id: 'p1', onDuty: {} }],
+        [{ id: 'h1' }, { id: 'p1' }, { id: 'h2' }],
+        2
+      );
+      expect(merged.map(provider => provider.id)).toEqual(['p1', 'h1']);
+    });
+  });
+
+  describe('canBeOnDuty', () => {
+    test('should only list verified pharmacies as on duty', () => {
+      expect(DutyRoster.canBeOnDuty({ type: 'pharmacy', verified: true })).toBe(true);
+      expect(DutyRoster.canBeOnDuty({ type: 'pharmacy', verified: false })).toBe(false);
+      expect(DutyRoster.canBeOnDuty({ type: 'clinic', verified: true })).toBe(false);
+      expect(DutyRoster.canBeOnDuty(undefined)).toBe(false);
+    });
+  });
+
+  test('should match the Cloud Functions copy', () => {
+    const read = file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    expect(read('functions/duty-roster.js')).toBe(read('assets/js/duty-roster.js'));
+  });
+});
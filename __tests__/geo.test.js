@@ -0,0 +1,78 @@
+/**
+ * Unit tests for geohash bounds and distance helpers
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Geo = require('../assets/js/geo.js');
+
+describe('Geo Module', () => {
+  const center = { lat: 35.1908, lng: 0.6388 }; // Sidi Bel Abbès
+
+  describe('encodeGeohash', () => {
+    test('should encode known coordinates', () => {
+      expect(Geo.encodeGeohash(57.64911, 10.40744, 11)).toBe('u4pruydqqvj');
+    });
+
+    test('should use stored precision by default', () => {
+      expect(Geo.encodeGeohash(center.lat, center.lng)).toHaveLength(9);
+    });
+  });
+
+  describe('getQueryBounds', () => {
+    test('should return prefix ranges that contain the center', () => {
+      const hash = Geo.encodeGeohash(center.lat, center.lng);
+      const bounds = Geo.getQueryBounds(center, 3);
+
+      expect(bounds.length).toBeGreaterThan(0);
+      expect(bounds.length).toBeLessThanOrEqual(9);
+      expect(bounds.some(([start, end]) => hash >= start && hash <= end)).toBe(true);
+    });
+
+    test('should cover points on the edge of the radius', () => {
+      const bounds = Geo.getQueryBounds(center, 3);
+      // ~2.9 km north and east of the center
+      const edgePoints = [
+        { lat: center.lat + 0.026, lng: center.lng },
+        { lat: center.lat, lng: center.lng + 0.032 }
+      ];
+
+      edgePoints.forEach(point => {
+        expect(Geo.distanceKm(center, point)).toBeLessThan(3);
+        const hash = Geo.encodeGeohash(point.lat, point.lng);
+        expect(bounds.some(([start, end]) => hash >= start && hash <= end)).toBe(true);
+      });
+    });
+  });
+
+  describe('distanceKm', () => {
+    test('should return zero for identical points', () => {
+      expect(Geo.distanceKm(center, center)).toBe(0);
+    });
+
+    test('should compute distance between two providers', () => {
+      const hospital = { lat: 35.1925, lng: 0.6402 };
+      expect(Geo.distanceKm(center, hospital)).toBeCloseTo(0.226, 2);
+    });
+  });
+
+  describe('formatDistance', () => {
+    test('should format short distances in meters', () => {
+      expect(Geo.formatDistance(0.853)).toBe('850 m');
+    });
+
+    test('should format longer distances in kilometers', () => {
+      expect(Geo.formatDistance(2.44)).toBe('2.4 km');
+      expect(Geo.formatDistance(12.6)).toBe('13 km');
+    });
+
+    test('should return empty string for missing distance', () => {
+      expect(Geo.formatDistance(undefined)).toBe('');
+    });
+  });
+
+  test('should match the Cloud Functions copy', () => {
+    const read = file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    expect(read('functions/geo.js')).toBe(read('assets/js/geo.js'));
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Unit tests for the offline provider snapshot
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OfflineDirectory = require('../assets/js/offline-directory.js');
+
+describe('OfflineDirectory Module', () => {
+  const providers = [
+    {
+      id: 'hospital',
+      name: 'CHU Sidi Bel Abbès',
+      nameAr: 'المستشفى الجامعي',
+      type: 'hospital',
+      specialty: 'emergency',
+      phone: '048 54 00 00',
+      address: { street: 'Rue Larbi Ben Mhidi', city: 'Sidi Bel Abbès', postalCode: '22000' },
+      location: { lat: 35.19, lng: -0.63 },
+      geohash: 'eyk2',
+      available24_7: true,
+      verified: true,
+      rating: 4.1,
+      description: 'Long description',
+      images: ['a.jpg'],
+      searchTokens: ['chu']
+    },
+    { id: 'clinic', name: 'Clinique El Amel', type: 'clinic', phone: '048 11', city: 'Sfisef', verified: true, rating: 4.6, available24_7: true },
+    { id: 'pending', name: 'Pending Pharmacy', type: 'pharmacy', verified: false, available24_7: true },
+    { id: 'trashed', name: 'Old Lab', type: 'lab', verified: true, deletedAt: new Date(), available24_7: true },
+    { id: 'pharmacy', name: 'Pharmacie Centrale', type: 'pharmacy', verified: true, rating: 3.9, homeVisits: true }
+  ];
+
+  describe('createSnapshot', () => {
+    test('should keep verified providers that are not in the trash', () => {
+      const snapshot = OfflineDirectory.createSnapshot(providers, 1000);
+
+      expect(snapshot.createdAt).toBe(1000);
+      expect(snapshot.providers.map(provider => provider.id)).toEqual(['hospital', 'clinic', 'pharmacy']);
+    });
+
+    test('should keep only the fields needed to find and reach a provider', () => {
+      const [hospital, clinic] = OfflineDirectory.createSnapshot(providers).providers;
+
+      expect(hospital).toEqual({
+        id: 'hospital',
+        name: 'CHU Sidi Bel Abbès',
+        nameAr: 'المستشفى الجامعي',
+        type: 'hospital',
+        specialty: 'emergency',
+        phone: '048 54 00 00',
+        address: { street: 'Rue Larbi Ben Mhidi', city: 'Sidi Bel Abbès' },
+        city: 'Sidi Bel Abbès',
+        location: { lat: 35.19, lng: -0.63 },
+        available24_7: true,
+        accessibility: false,
+        homeVisits: false,
+        rating: 4.1,
+        verified: true
+      });
+      expect(clinic.location).toBeNull();
+      expect(clinic.city).toBe('Sfisef');
+    });
+  });
+
+  test('should match the Cloud Functions copy', () => {
+    const read = file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    expect(read('functions/offline-directory.js')).toBe(read('assets/js/offline-directory.js'));
+  });
+
+  describe('refresh', () => {
+    const published = OfflineDirectory.createSnapshot(providers, 2000);
+    const db = data => ({
+      doc: jest.fn(() => ({ get: async () => ({ exists: !!data, data: () => data }) }))
+    });
+
+    beforeEach(() => {
+      OfflineDirectory.snapshot = null;
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      OfflineDirectory.snapshot = null;
+      console.warn.mockRestore();
+    });
+
+    test('should download the published snapshot document', async () => {
+      const firestore = db(published);
+
+      await expect(OfflineDirectory.refresh(firestore)).resolves.toEqual(published);
+      expect(firestore.doc).toHaveBeenCalledWith('offline_directory/current');
+    });
+
+    test('should keep the current snapshot when nothing newer was published', async () => {
+      const current = { createdAt: 3000, providers: [] };
+      OfflineDirectory.snapshot = current;
+
+      await expect(OfflineDirectory.refresh(db(published))).resolves.toBe(current);
+      await expect(OfflineDirectory.refresh(db(null))).resolves.toBe(current);
+    });
+  });
+
+  describe('needsRefresh', () => {
+    test('should refresh missing and out of date snapshots', () => {
+      const now = Date.now();
+
+      expect(OfflineDirectory.needsRefresh(null, now)).toBe(true);
+      expect(OfflineDirectory.needsRefresh({ createdAt: now - 60 * 1000, providers: [] }, now)).toBe(false);
+      expect(OfflineDirectory.needsRefresh({ createdAt: now - OfflineDirectory.REFRESH_INTERVAL_MS, providers: [] }, now)).toBe(true);
+    });
+  });
+
+  describe('getEmergencyProviders', () => {
+    test('should list providers available 24/7, best rated first', () => {
+      const snapshot = OfflineDirectory.createSnapshot(providers);
+      expect(OfflineDirectory.getEmergencyProviders(snapshot).map(provider => provider.id)).toEqual(['clinic', 'hospital']);
+    });
+  });
+
+  describe('getFavoriteProviders', () => {
+    test('should keep the favorites order and skip providers no longer listed', () => {
+      const snapshot = OfflineDirectory.createSnapshot(providers);
+      expect(OfflineDirectory.getFavoriteProviders(snapshot, ['pharmacy', 'trashed', 'hospital']).map(provider => provider.id))
+        .toEqual(['pharmacy', 'hospital']);
+    });
+  });
+
+  describe('getDataAsOfText', () => {
+    test('should give the snapshot date, or nothing without a snapshot', () => {
+      expect(OfflineDirectory.getDataAsOfText(null)).toBe('');
+      expect(OfflineDirectory.getDataAsOfText(new Date(2026, 9, 19, 8, 30).getTime()))
+        .toMatch(/^Showing saved provider data as of .*2026/);
+    });
+  });
+
+  describe('load', () => {
+    test('should give no snapshot when IndexedDB is unavailable', async () => {
+      const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await expect(OfflineDirectory.load()).resolves.toBeNull();
+      expect(consoleWarn).toHaveBeenCalled();
+
+      consoleWarn.mockRestore();
+    });
+  });
+
+  describe('service worker', () => {
+    test('should cache every local script and stylesheet the app loads', () => {
+      const root = path.join(__dirname, '..');
+      const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+      const serviceWorker = fs.readFileSync(path.join(root, 'service-worker.js'), 'utf8');
+      const localAssets = [...html.matchAll(/(?:src|href)="(assets\/[^"]+\.(?:js|css))"/g)].map(match => `'/${match[1]}'`);
+
+      expect(localAssets).toContain(`'/assets/js/offline-directory.js'`);
+      localAssets.forEach(asset => expect(serviceWorker).toContain(asset));
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit tests for opening hours status computation
+ */
+
+const OpeningHours = require('../assets/js/opening-hours.js');
+
+describe('OpeningHours Module', () => {
+  // Sunday 2026-10-18 is the first working day of the Algerian week
+  const at = (day, hours, minutes = 0) => new Date(2026, 9, 18 + day, hours, minutes);
+
+  const clinic = {
+    hours: {
+      weekdays: { open: '08:00', close: '17:00' },
+      friday: { closed: true },
+      saturday: [{ open: '09:00', close: '12:00' }, { open: '14:00', close: '16:00' }]
+    }
+  };
+
+  const nightPharmacy = {
+    hours: {
+      weekdays: { open: '20:00', close: '08:00' },
+      weekend: { open: '20:00', close: '08:00' }
+    }
+  };
+
+  describe('getStatus', () => {
+    test('should be open during weekday hours from the weekdays group', () => {
+      const status = OpeningHours.getStatus(clinic, at(0, 10));
+      expect(status.isOpen).toBe(true);
+      expect(status.closesAt).toEqual(at(0, 17));
+    });
+
+    test('should be closed on Friday and report the next opening', () => {
+      const status = OpeningHours.getStatus(clinic, at(5, 10));
+      expect(status.isOpen).toBe(false);
+      expect(status.opensAt).toEqual(at(6, 9));
+    });
+
+    test('should handle split ranges', () => {
+      expect(OpeningHours.isOpenAt(clinic, at(6, 11))).toBe(true);
+      expect(OpeningHours.isOpenAt(clinic, at(6, 13))).toBe(false);
+      expect(OpeningHours.isOpenAt(clinic, at(6, 15))).toBe(true);
+    });
+
+    test('should handle overnight ranges after midnight', () => {
+      expect(OpeningHours.isOpenAt(nightPharmacy, at(1, 3))).toBe(true);
+      expect(OpeningHours.isOpenAt(nightPharmacy, at(1, 12))).toBe(false);
+    });
+
+    test('should merge consecutive overnight ranges', () => {
+      const status = OpeningHours.getStatus(nightPharmacy, at(1, 23));
+      expect(status.closesAt).toEqual(at(2, 8));
+    });
+
+    test('should treat 24/7 providers as always open', () => {
+      const status = OpeningHours.getStatus({ available24_7: true }, at(5, 3));
+      expect(status.isOpen).toBe(true);
+      expect(status.is24_7).toBe(true);
+    });
+
+    test('should return null when no hours are known', () => {
+      expect(OpeningHours.getStatus({}, at(0, 10))).toBeNull();
+      expect(OpeningHours.isOpenAt({}, at(0, 10))).toBe(false);
+    });
+  });
+
+  describe('hoursExceptions', () => {
+    test('should close on a holiday', () => {
+      const provider = { ...clinic, hoursExceptions: [{ date: '2026-11-01', closed: true }] };
+      expect(OpeningHours.isOpenAt(provider, new Date(2026, 10, 1, 10))).toBe(false);
+      expect(OpeningHours.isOpenAt(provider, new Date(2026, 10, 2, 10))).toBe(true);
+    });
+
+    test('should apply replacement hours over a date range', () => {
+      const provider = {
+        ...clinic,
+        hoursExceptions: [{ from: '2026-10-19', to: '2026-10-21', open: '10:00', close: '15:00' }]
+      };
+      expect(OpeningHours.isOpenAt(provider, at(1, 9))).toBe(false);
+      expect(OpeningHours.isOpenAt(provider, at(1, 14))).toBe(true);
+      expect(OpeningHours.isOpenAt(provider, at(4, 9))).toBe(true);
+    });
+  });
+
+  describe('resolveTime', () => {
+    test('should resolve HH:MM to today', () => {
+      expect(OpeningHours.resolveTime('21:30', at(0, 10))).toEqual(at(0, 21, 30));
+    });
+
+    test('should return null for invalid values', () => {
+      expect(OpeningHours.resolveTime('not a time')).toBeNull();
+    });
+  });
+
+  describe('validateHours', () => {
+    test('should accept day, group, split and closed entries', () => {
+      expect(OpeningHours.validateHours(clinic.hours)).toEqual([]);
+    });
+
+    test('should reject malformed ranges and unknown keys', () => {
+      const errors = OpeningHours.validateHours({ monday: { open: '8h', close: '17:00' }, holiday: {} });
+      expect(errors).toHaveLength(2);
+    });
+  });
+
+  describe('validateExceptions', () => {
+    test('should require a date and hours or closed flag', () => {
+      expect(OpeningHours.validateExceptions([{ date: '2026-11-01', closed: true }])).toEqual([]);
+      expect(OpeningHours.validateExceptions([{ from: '2026-11-05', to: '2026-11-01', closed: true }])).toHaveLength(1);
+      expect(OpeningHours.validateExceptions([{ date: '2026-11-01' }])).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for provider exports
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CSV = require('../assets/js/csv.js');
+const ProviderImport = require('../assets/js/provider-import.js');
+const ProviderExport = require('../assets/js/provider-export.js');
+
+describe('ProviderExport Module', () => {
+  const provider = {
+    id: 'p1',
+    name: 'Pharmacie Benali',
+    nameAr: 'صيدلية بن علي',
+    type: 'pharmacy',
+    phone: '+213 48 54 12 34',
+    address: { street: 'Rue X, Cité Y', city: 'Sidi Bel Abbès', wilaya: 'Sidi Bel Abbès' },
+    location: { lat: 35.19, lng: -0.63 },
+    available24_7: true,
+    verified: true,
+    rating: 4.5,
+    createdAt: { toDate: () => new Date('2026-10-01T08:00:00Z') }
+  };
+
+  describe('toCSV', () => {
+    test('should escape values a spreadsheet would run as formulas', () => {
+      const [, record] = CSV.parse(ProviderExport.toCSV([{ ...provider, name: '=cmd|"/c calc"!A0' }]));
+
+      expect(record[0]).toBe('\'=cmd|"/c calc"!A0');
+      expect(record).toContain("'+213 48 54 12 34");
+      expect(record).toContain('-0.63');
+    });
+
+    test('should use the initial-providers.csv columns', () => {
+      const header = fs.readFileSync(path.join(__dirname, '..', 'initial-providers.csv'), 'utf8').split(/\r?\n/)[0];
+      expect(ProviderExport.toCSV([]).split('\r\n')[0]).toBe(header);
+    });
+
+    test('should re-import to the same provider data', () => {
+      const records = CSV.parse(ProviderExport.toCSV([provider]));
+      const [row] = ProviderImport.validateRecords(records, ProviderImport.guessMapping(records[0]));
+
+      expect(row.errors).toEqual([]);
+      expect(row.provider).toMatchObject({
+        name: provider.name,
+        type: 'pharmacy',
+        phone: provider.phone,
+        address: provider.address,
+        location: provider.location,
+        available24_7: true,
+        homeVisits: false
+      });
+    });
+  });
+
+  describe('toJSON', () => {
+    test('should keep IDs and convert timestamps', () => {
+      const [exported] = JSON.parse(ProviderExport.toJSON([provider]));
+      expect(exported.id).toBe('p1');
+      expect(exported.createdAt).toBe('2026-10-01T08:00:00.000Z');
+    });
+  });
+
+  describe('matchesFilters', () => {
+    test('should filter by type, city ignoring accents and verification', () => {
+      expect(ProviderExport.matchesFilters(provider, { type: 'pharmacy', city: 'sidi bel abbes', verified: true })).toBe(true);
+      expect(ProviderExport.matchesFilters(provider, { city: 'Oran' })).toBe(false);
+      expect(ProviderExport.matchesFilters(provider, { verified: false })).toBe(false);
+    });
+  });
+
+  describe('toVCard', () => {
+    test('should build an escaped vCard 3.0 contact', () => {
+      const vcard = ProviderExport.toVCard(provider, 'https://example.org/profile/p1');
+      const lines = vcard.trim().split('\r\n');
+
+      expect(lines[0]).toBe('BEGIN:VCARD');
+      expect(lines).toContain('VERSION:3.0');
+      expect(lines).toContain('FN:Pharmacie Benali');
+      expect(lines).toContain('TEL;TYPE=WORK,VOICE:+213 48 54 12 34');
+      expect(lines).toContain('ADR;TYPE=WORK:;;Rue X\\, Cité Y;Sidi Bel Abbès;Sidi Bel Abbès;;Algeria');
+      expect(lines).toContain('GEO:35.19;-0.63');
+      expect(lines[lines.length - 1]).toBe('END:VCARD');
+    });
+
+    test('should fold long lines', () => {
+      const vcard = ProviderExport.toVCard({ name: 'A'.repeat(200) });
+      vcard.split('\r\n').forEach(line => expect(line.length).toBeLessThanOrEqual(75));
+    });
+  });
+
+  test('should build dated file names', () => {
+    expect(ProviderExport.getFileName('Pharmacie Benali', 'vcf', new Date(2026, 9, 19))).toBe('pharmacie-benali-2026-10-19.vcf');
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for provider import mapping, validation and duplicate detection
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CSV = require('../assets/js/csv.js');
+const ProviderImport = require('../assets/js/provider-import.js');
+
+describe('ProviderImport Module', () => {
+  describe('guessMapping', () => {
+    test('should recognize English and French headers', () => {
+      expect(ProviderImport.guessMapping(['Name', 'Type', 'Phone', 'Home_Visits'])).toEqual({
+        name: 0, type: 1, phone: 2, homevisits: 3
+      });
+      expect(ProviderImport.guessMapping(['Nom', 'Catégorie', 'Téléphone', 'Adresse', 'Ville'])).toEqual({
+        name: 0, type: 1, phone: 2, address: 3, city: 4
+      });
+    });
+
+    test('should report missing required fields', () => {
+      expect(ProviderImport.getMissingFields({ name: 0 })).toEqual(['type']);
+    });
+  });
+
+  describe('buildProvider', () => {
+    const mapping = { name: 0, type: 1, phone: 2, latitude: 3, longitude: 4, available24_7: 5 };
+
+    test('should build a provider from localized values', () => {
+      const { provider, errors } = ProviderImport.buildProvider(
+        ['Pharmacie Centrale', 'Pharmacie', '+213 48 54 12 34', '35,1908', '-0,6388', 'oui'],
+        mapping
+      );
+      expect(errors).toEqual([]);
+      expect(provider.type).toBe('pharmacy');
+      expect(provider.location).toEqual({ lat: 35.1908, lng: -0.6388 });
+      expect(provider.available24_7).toBe(true);
+      expect(provider.address.city).toBe('Sidi Bel Abbès');
+    });
+
+    test('should collect every validation error of a row', () => {
+      const { errors } = ProviderImport.buildProvider(['', 'dentist', '12', '95', ''], mapping);
+      expect(errors).toEqual([
+        'Missing name',
+        'Invalid provider type: dentist',
+        'Invalid phone number: 12',
+        'Invalid coordinates: 95, ?'
+      ]);
+    });
+  });
+
+  describe('validateRecords', () => {
+    const records = CSV.parse([
+      'name;type;phone;city',
+      'Clinique El Amel;clinic;0 48 54 12 34;Sidi Bel Abbès',
+      'Pharmacie Benali;pharmacy;0555 11 22 33;Sidi Bel Abbès',
+      'PHARMACIE BENALI;pharmacy;;Sidi Bel Abbes',
+      'Pharmacie Benali;pharmacy;;Oran',
+      ';lab;;'
+    ].join('\r\n'));
+    const mapping = ProviderImport.guessMapping(records[0]);
+    const existing = [{ id: 'p1', name: 'El Amel', phone: '+213 48 54 12 34' }];
+
+    test('should flag duplicates by phone and by name within a city', () => {
+      const rows = ProviderImport.validateRecords(records, mapping, existing);
+
+      expect(rows.map(row => row.row)).toEqual([2, 3, 4, 5, 6]);
+      expect(rows[0].duplicate).toEqual({ id: 'p1', name: 'El Amel', reason: 'phone' });
+      expect(rows[1].duplicate).toBeNull();
+      expect(rows[2].duplicate).toEqual({ row: 3, name: 'Pharmacie Benali', reason: 'name' });
+      expect(rows[3].duplicate).toBeNull();
+      expect(rows[4].errors).toEqual(['Missing name']);
+    });
+  });
+
+  test('should match the Cloud Functions copy', () => {
+    const read = file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    expect(read('functions/provider-import.js')).toBe(read('assets/js/provider-import.js'));
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Unit tests for the search results map helpers
+ */
+
+require('../assets/js/geo.js');
+const ResultsMap = require('../assets/js/results-map.js');
+
+describe('ResultsMap Module', () => {
+  const provider = (id, lat, lng) => ({ id, location: { lat, lng } });
+
+  const providers = [
+    provider('a', 35.1899, -0.6308),
+    provider('b', 35.1902, -0.6311),
+    provider('c', 35.2100, -0.6000)
+  ];
+
+  describe('clusterProviders', () => {
+    test('should group nearby markers when zoomed out', () => {
+      const clusters = ResultsMap.clusterProviders(providers, 10);
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].providers.map(item => item.id)).toEqual(['a', 'b', 'c']);
+    });
+
+    test('should separate markers when zoomed in', () => {
+      const clusters = ResultsMap.clusterProviders(providers, 14);
+      expect(clusters.map(cluster => cluster.providers.map(item => item.id))).toEqual([['a', 'b'], ['c']]);
+    });
+
+    test('should center clusters on their members and report bounds', () => {
+      const [cluster] = ResultsMap.clusterProviders(providers.slice(0, 2), 14);
+      expect(cluster.location.lat).toBeCloseTo(35.19005, 5);
+      expect(cluster.bounds).toEqual([[35.1899, -0.6311], [35.1902, -0.6308]]);
+    });
+  });
+
+  describe('getSearchArea', () => {
+    test('should search around the center within the visible area', () => {
+      const area = ResultsMap.getSearchArea({ north: 35.22, south: 35.16, east: -0.58, west: -0.68 });
+      expect(area.near).toEqual({ lat: 35.19, lng: -0.63 });
+      expect(area.radiusKm).toBeCloseTo(3.3, 1);
+    });
+
+    test('should cap very large areas', () => {
+      const area = ResultsMap.getSearchArea({ north: 37, south: 33, east: 2, west: -3 });
+      expect(area.radiusKm).toBe(ResultsMap.MAX_AREA_RADIUS_KM);
+    });
+  });
+
+  describe('getTileSource', () => {
+    afterEach(() => {
+      localStorage.removeItem('mapTileUrl');
+      delete window.mapConfig;
+    });
+
+    test('should default to OpenStreetMap', () => {
+      expect(ResultsMap.getTileSource().url).toContain('tile.openstreetmap.org');
+    });
+
+    test('should prefer a local override over the page config', () => {
+      window.mapConfig = { tileUrl: 'https://tiles.example.org/{z}/{x}/{y}.png' };
+      expect(ResultsMap.getTileSource().url).toBe('https://tiles.example.org/{z}/{x}/{y}.png');
+
+      localStorage.setItem('mapTileUrl', 'http://localhost:8080/{z}/{x}/{y}.png');
+      expect(ResultsMap.getTileSource().url).toBe('http://localhost:8080/{z}/{x}/{y}.png');
+    });
+  });
+});
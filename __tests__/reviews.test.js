@@ -0,0 +1,70 @@
+/**
+ * Unit tests for review validation and the provider rating aggregate
+ */
+
+const reviewsModule = require('../assets/js/reviews.js');
+const ReviewRatings = require('../functions/review-ratings.js');
+
+describe('Reviews Module', () => {
+  describe('validateReview', () => {
+    test('should accept a whole star rating with optional text', () => {
+      expect(reviewsModule.validateReview({ rating: 4, text: 'Très bon accueil' })).toEqual([]);
+      expect(reviewsModule.validateReview({ rating: 1 })).toEqual([]);
+    });
+
+    test('should reject ratings outside 1-5 and fractional ratings', () => {
+      [0, 6, 3.5, '4', undefined].forEach(rating => {
+        expect(reviewsModule.validateReview({ rating, text: '' }))
+          .toEqual(['Rating must be a whole number between 1 and 5']);
+      });
+    });
+
+    test('should reject text that is too long or not a string', () => {
+      expect(reviewsModule.validateReview({ rating: 5, text: 'a'.repeat(reviewsModule.REVIEW_MAX_LENGTH + 1) }))
+        .toEqual([`Review text cannot exceed ${reviewsModule.REVIEW_MAX_LENGTH} characters`]);
+      expect(reviewsModule.validateReview({ rating: 5, text: 42 })).toEqual(['Review text must be a string']);
+    });
+  });
+
+  describe('ReviewRatings', () => {
+    const review = (rating, status = 'published') => ({ rating, status });
+
+    test('should start the aggregate with the first review', () => {
+      const delta = ReviewRatings.getDelta(null, review(4));
+      expect(ReviewRatings.apply({ rating: 0, reviewCount: 0, ratingTotal: 0 }, delta))
+        .toEqual({ rating: 4, reviewCount: 1, ratingTotal: 4 });
+    });
+
+    test('should replace the old rating when a review is edited', () => {
+      const delta = ReviewRatings.getDelta(review(2), review(5));
+      expect(delta).toEqual({ total: 3, count: 0 });
+      expect(ReviewRatings.apply({ reviewCount: 3, ratingTotal: 9 }, delta))
+        .toEqual({ rating: 4, reviewCount: 3, ratingTotal: 12 });
+    });
+
+    test('should remove deleted reviews and reset after the last one', () => {
+      expect(ReviewRatings.apply({ reviewCount: 3, ratingTotal: 11 }, ReviewRatings.getDelta(review(5), null)))
+        .toEqual({ rating: 3, reviewCount: 2, ratingTotal: 6 });
+      expect(ReviewRatings.apply({ reviewCount: 1, ratingTotal: 4 }, ReviewRatings.getDelta(review(4), null)))
+        .toEqual({ rating: 0, reviewCount: 0, ratingTotal: 0 });
+    });
+
+    test('should keep counting flagged reviews until they are hidden', () => {
+      expect(ReviewRatings.getDelta(review(1), review(1, 'flagged'))).toEqual({ total: 0, count: 0 });
+      expect(ReviewRatings.getDelta(review(1, 'flagged'), review(1, 'hidden'))).toEqual({ total: -1, count: -1 });
+      expect(ReviewRatings.getDelta(review(1, 'hidden'), review(1, 'published'))).toEqual({ total: 1, count: 1 });
+      expect(ReviewRatings.getDelta(null, review(3, 'hidden'))).toEqual({ total: 0, count: 0 });
+    });
+
+    test('should ignore writes that do not change the rating', () => {
+      expect(ReviewRatings.getDelta({ ...review(4), flagCount: 0 }, { ...review(4), flagCount: 1, text: 'edited' }))
+        .toEqual({ total: 0, count: 0 });
+    });
+
+    test('should round the average to one decimal', () => {
+      expect(ReviewRatings.fromReviews([review(5), review(4), review(4), review(2, 'hidden')]))
+        .toEqual({ rating: 4.3, reviewCount: 3, ratingTotal: 13 });
+      expect(ReviewRatings.fromReviews([])).toEqual({ rating: 0, reviewCount: 0, ratingTotal: 0 });
+    });
+  });
+});
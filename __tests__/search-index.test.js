@@ -0,0 +1,150 @@
+/**
+ * Unit tests for the multilingual search index
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SearchIndex = require('../assets/js/search-index.js');
+
+describe('SearchIndex Module', () => {
+  const pharmacy = {
+    name: 'Pharmacie Benali',
+    nameAr: 'صيدلية بن علي',
+    type: 'pharmacy',
+    address: { street: 'Rue Larbi Ben M\'hidi', city: 'Sidi Bel Abbès' },
+    verified: true,
+    rating: 4
+  };
+
+  const cardiologist = {
+    name: 'Dr. Ahmed Kaddour',
+    nameAr: 'د. أحمد قدور',
+    type: 'doctor',
+    specialty: 'Cardiologie',
+    address: { city: 'Sidi Bel Abbès' },
+    verified: true,
+    rating: 4.5
+  };
+
+  describe('normalize', () => {
+    test('should remove French accents', () => {
+      expect(SearchIndex.normalize('Hôpital Été Abbès')).toBe('hopital ete abbes');
+    });
+
+    test('should remove Arabic diacritics and fold letter variants', () => {
+      expect(SearchIndex.normalize('مُسْتَشْفَى')).toBe('مستشفي');
+      expect(SearchIndex.normalize('أحمد إسلام آمنة')).toBe('احمد اسلام امنه');
+      expect(SearchIndex.normalize('صـيـدلية')).toBe('صيدليه');
+    });
+  });
+
+  describe('tokenize', () => {
+    test('should drop stopwords and the Arabic article', () => {
+      expect(SearchIndex.tokenize('Clinique de la Paix')).toEqual(['clinique', 'paix']);
+      expect(SearchIndex.tokenize('الصيدلية المركزية')).toEqual(['صيدليه', 'مركزيه']);
+    });
+  });
+
+  describe('phonetic', () => {
+    test('should give Latin and Arabic spellings the same key', () => {
+      expect(SearchIndex.phonetic('mohamed')).toBe(SearchIndex.phonetic('محمد'));
+      expect(SearchIndex.phonetic('kaddour')).toBe(SearchIndex.phonetic('قدور'));
+      expect(SearchIndex.phonetic('ahmed')).toBe(SearchIndex.phonetic(SearchIndex.normalize('أحمد')));
+    });
+  });
+
+  describe('buildTokens', () => {
+    test('should index words, prefixes, phonetic keys and type names', () => {
+      const tokens = SearchIndex.buildTokens(pharmacy);
+      expect(tokens).toEqual(expect.arrayContaining(['benali', 'ben', 'pharmacy', 'صيدليه', 'ph:bnl']));
+    });
+
+    test('should be sorted and unique', () => {
+      const tokens = SearchIndex.buildTokens(cardiologist);
+      expect(tokens).toEqual([...new Set(tokens)].sort());
+    });
+  });
+
+  describe('score', () => {
+    test('should transliterate between Latin and Arabic spellings', () => {
+      expect(SearchIndex.score(pharmacy, 'Benali')).toBeGreaterThan(0);
+      expect(SearchIndex.score(pharmacy, 'ben ali')).toBeGreaterThan(0);
+      expect(SearchIndex.score(pharmacy, 'بنعلي')).toBeGreaterThan(0);
+      expect(SearchIndex.score(cardiologist, 'محمد')).toBe(0);
+    });
+
+    test('should match across languages and accents', () => {
+      expect(SearchIndex.score(pharmacy, 'صيدلية')).toBeGreaterThan(0);
+      expect(SearchIndex.score(cardiologist, 'cardio')).toBeGreaterThan(0);
+      expect(SearchIndex.score(cardiologist, 'sidi bel abbes')).toBeGreaterThan(0);
+    });
+
+    test('should require every query word to match', () => {
+      expect(SearchIndex.score(cardiologist, 'kaddour pharmacie')).toBe(0);
+    });
+
+    test('should rank name matches above address matches', () => {
+      const ranked = SearchIndex.rank([
+        { id: 'street', name: 'Clinique Centrale', address: { street: 'Rue Benali' } },
+        { id: 'name', name: 'Cabinet Benali' }
+      ], 'benali');
+      expect(ranked.map(provider => provider.id)).toEqual(['name', 'street']);
+    });
+  });
+
+  describe('getQueryTokens', () => {
+    test('should include words and phonetic keys within the Firestore limit', () => {
+      expect(SearchIndex.getQueryTokens('Benali')).toEqual(['benali', 'ph:bnl']);
+      expect(SearchIndex.getQueryTokens('a b c d e f g h i j k l m n o p q r s t u v w x y z aa bb cc dd'))
+        .toHaveLength(SearchIndex.MAX_QUERY_TOKENS);
+    });
+  });
+
+  describe('editDistance', () => {
+    test('should count a transposition as one edit', () => {
+      expect(SearchIndex.editDistance('cardiologie', 'cardiolgie')).toBe(1);
+      expect(SearchIndex.editDistance('pharmacie', 'pharmcaie')).toBe(1);
+      expect(SearchIndex.editDistance('oran', 'oran')).toBe(0);
+    });
+  });
+
+  describe('fuzzyScore', () => {
+    test('should tolerate typos in longer words', () => {
+      expect(SearchIndex.fuzzyScore('cardiolgie', 'Cardiologie')).toBeGreaterThan(0);
+      expect(SearchIndex.fuzzyScore('pharmcie', 'Pharmacie Benali')).toBeGreaterThan(0);
+    });
+
+    test('should rank exact and prefix matches above typo matches', () => {
+      const exact = SearchIndex.fuzzyScore('pharmacie', 'Pharmacie');
+      const prefix = SearchIndex.fuzzyScore('pharm', 'Pharmacie');
+      const typo = SearchIndex.fuzzyScore('pharmcie', 'Pharmacie');
+      expect(exact).toBeGreaterThan(typo);
+      expect(prefix).toBeGreaterThan(typo);
+    });
+
+    test('should not accept typos in short words', () => {
+      expect(SearchIndex.fuzzyScore('ora', 'Oran')).toBeGreaterThan(0);
+      expect(SearchIndex.fuzzyScore('ora', 'Tlemcen')).toBe(0);
+      expect(SearchIndex.fuzzyScore('ben', 'Dr. Kaddour')).toBe(0);
+    });
+  });
+
+  describe('suggestCorrection', () => {
+    const vocabulary = ['Pharmacie Benali', 'Cardiologie', 'Sidi Bel Abbès'];
+
+    test('should correct misspelled words from the vocabulary', () => {
+      expect(SearchIndex.suggestCorrection('pharmcie benali', vocabulary)).toBe('pharmacie benali');
+      expect(SearchIndex.suggestCorrection('cardiolgie', vocabulary)).toBe('cardiologie');
+    });
+
+    test('should return null when nothing needs or allows correcting', () => {
+      expect(SearchIndex.suggestCorrection('cardiologie', vocabulary)).toBeNull();
+      expect(SearchIndex.suggestCorrection('xyzxyzxyz', vocabulary)).toBeNull();
+    });
+  });
+
+  test('should match the Cloud Functions copy', () => {
+    const read = file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    expect(read('functions/search-index.js')).toBe(read('assets/js/search-index.js'));
+  });
+});
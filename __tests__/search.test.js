@@ -70,4 +70,104 @@ describe('Search Module', () => {
       expect(result[3].rating).toBe(4.0);
     });
   });
+
+  describe('searchProviders with an opening-hours filter', () => {
+    window.OpeningHours = require('../assets/js/opening-hours.js');
+    const search = require('../assets/js/search.js');
+
+    // Every other provider is open all day, the others have no hours
+    const allDay = { open: '00:00', close: '24:00' };
+    const docs = Array.from({ length: 50 }, (_, index) => ({
+      id: `p${index}`,
+      data: () => ({
+        listed: true,
+        rating: 5 - index / 100,
+        ...(index % 2 === 0 ? { hours: { weekdays: allDay, weekend: allDay } } : {})
+      })
+    }));
+
+    /**
+     * Firestore stand-in for the plain query: '==' filters, rating order,
+     * startAfter and limit
+     */
+    const query = (filters = [], cursor = null, max = Infinity) => ({
+      where: (field, op, value) => query([...filters, { field, value }], cursor, max),
+      orderBy: () => query(filters, cursor, max),
+      startAfter: doc => query(filters, doc, max),
+      limit: n => query(filters, cursor, n),
+      get: async () => {
+        const matching = docs.filter(doc => filters.every(({ field, value }) => doc.data()[field] === value));
+        const start = cursor ? matching.indexOf(cursor) + 1 : 0;
+        const result = matching.slice(start, start + max);
+        return { docs: result, empty: result.length === 0 };
+      }
+    });
+
+    beforeEach(() => {
+      search.db = { collection: () => query() };
+      search.clearCache();
+      search.resetPagination();
+    });
+
+    test('should fill pages with open providers and stop after the last one', async () => {
+      const filters = { openAt: '10:00' };
+      const first = await search.searchProviders({ filters, page: 1, showLoading: false });
+      const second = await search.searchProviders({ filters, page: 2, showLoading: false });
+
+      expect(first.providers).toHaveLength(20);
+      expect(first).toMatchObject({ total: 25, hasMore: true });
+      expect(second.providers.map(provider => provider.id)).toEqual(['p40', 'p42', 'p44', 'p46', 'p48']);
+      expect(second.hasMore).toBe(false);
+    });
+
+    test('should keep cursor pagination without an opening-hours filter', async () => {
+      const first = await search.searchProviders({ page: 1, showLoading: false });
+      const second = await search.searchProviders({ page: 2, showLoading: false });
+
+      expect(first.providers).toHaveLength(20);
+      expect(first.hasMore).toBe(true);
+      expect(second.providers[0].id).toBe('p20');
+    });
+  });
+
+  describe('searchProviders when Firestore fails', () => {
+    const search = require('../assets/js/search.js');
+    const failingQuery = code => {
+      const query = {
+        where: () => query,
+        orderBy: () => query,
+        limit: () => query,
+        get: async () => { throw Object.assign(new Error(code), { code }); }
+      };
+      return query;
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      window.OfflineDirectory = {
+        isOffline: () => false,
+        load: async () => ({ createdAt: 1000, providers: [{ id: 'saved', name: 'Saved', type: 'clinic', rating: 4 }] })
+      };
+      search.clearCache();
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+      delete window.OfflineDirectory;
+    });
+
+    test('should fall back to the offline data when Firestore is unavailable', async () => {
+      search.db = { collection: () => failingQuery('unavailable') };
+      const result = await search.searchProviders({ showLoading: false });
+
+      expect(result.offline).toBe(true);
+      expect(result.providers.map(provider => provider.id)).toEqual(['saved']);
+    });
+
+    test('should not hide other errors behind the offline data', async () => {
+      search.db = { collection: () => failingQuery('permission-denied') };
+
+      await expect(search.searchProviders({ showLoading: false })).rejects.toThrow('Failed to search providers');
+    });
+  });
 });
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for the dashboard statistics counters
+ */
+
+const StatsCounters = require('../functions/stats-counters.js');
+
+describe('StatsCounters Module', () => {
+  const increment = delta => ({ increment: delta });
+
+  describe('toUpdate', () => {
+    test('should count a new provider', () => {
+      const after = StatsCounters.providerCounters({
+        type: 'pharmacy',
+        verified: true,
+        address: { city: 'Sidi Bel Abbès' }
+      });
+
+      expect(StatsCounters.toUpdate([], after, increment)).toEqual({
+        providers: {
+          total: { increment: 1 },
+          verified: { increment: 1 },
+          byType: { pharmacy: { increment: 1 } },
+          byCity: { 'Sidi Bel Abbès': { increment: 1 } }
+        }
+      });
+    });
+
+    test('should only move the counters that changed', () => {
+      const before = StatsCounters.providerCounters({ type: 'clinic', city: 'Oran', verified: false });
+      const after = StatsCounters.providerCounters({ type: 'clinic', city: 'Oran', verified: true, claimed: true });
+
+      expect(StatsCounters.toUpdate(before, after, increment)).toEqual({
+        providers: { verified: { increment: 1 }, claimed: { increment: 1 } }
+      });
+    });
+
+    test('should decrement every counter of a deleted document', () => {
+      const before = StatsCounters.userCounters({ role: 'provider' });
+
+      expect(StatsCounters.toUpdate(before, StatsCounters.userCounters(null), increment)).toEqual({
+        users: { total: { increment: -1 }, byRole: { provider: { increment: -1 } } }
+      });
+    });
+
+    test('should move a trashed provider out of the listed counters', () => {
+      const provider = { type: 'lab', city: 'Oran', verified: true };
+      const before = StatsCounters.providerCounters(provider);
+      const after = StatsCounters.providerCounters({ ...provider, deletedAt: new Date() });
+
+      expect(StatsCounters.toUpdate(before, after, increment)).toEqual({
+        providers: {
+          total: { increment: -1 },
+          verified: { increment: -1 },
+          trashed: { increment: 1 },
+          byType: { lab: { increment: -1 } },
+          byCity: { Oran: { increment: -1 } }
+        }
+      });
+    });
+
+    test('should return null when no counter changed', () => {
+      const verification = { status: 'approved' };
+      const before = StatsCounters.verificationCounters(verification);
+      const after = StatsCounters.verificationCounters({ ...verification, reviewedBy: 'a1' });
+
+      expect(StatsCounters.toUpdate(before, after, increment)).toBeNull();
+    });
+
+    test('should keep city names with dots as single map keys', () => {
+      const after = StatsCounters.providerCounters({ type: 'doctor', city: 'Sidi Bel Abbès Ctr.' });
+      expect(StatsCounters.toUpdate([], after, increment).providers.byCity).toEqual({
+        'Sidi Bel Abbès Ctr.': { increment: 1 }
+      });
+    });
+  });
+
+  describe('tally', () => {
+    test('should count documents from scratch', () => {
+      const users = [{ role: 'citizen' }, { role: 'citizen' }, { role: 'admin' }, {}];
+
+      expect(StatsCounters.tally(users, StatsCounters.userCounters)).toEqual({
+        users: { total: 4, byRole: { citizen: 2, admin: 1, unknown: 1 } }
+      });
+    });
+  });
+
+  describe('dayKey', () => {
+    test('should use the Algiers calendar day', () => {
+      // 23:30 UTC is already the next day in Algiers (UTC+1)
+      expect(StatsCounters.dayKey(new Date('2026-03-09T23:30:00Z'))).toBe('2026-03-10');
+    });
+  });
+});
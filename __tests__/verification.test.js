@@ -0,0 +1,104 @@
+/**
+ * Unit tests for the verification checklist, SLA and expiry helpers
+ */
+
+const Verification = require('../assets/js/verification.js');
+
+describe('Verification Module', () => {
+  const timestamp = date => ({ toDate: () => new Date(date) });
+
+  describe('getChecklist', () => {
+    const license = { type: 'license', name: 'license.pdf', contentType: 'application/pdf' };
+    const registration = { type: 'registration', name: 'agrement.jpg', contentType: 'image/jpeg' };
+    const allChecked = type => Object.fromEntries(
+      Verification.DOCUMENT_TYPES[type].checklist.map(item => [item.id, true])
+    );
+
+    test('should require the registration of establishments', () => {
+      const progress = Verification.getChecklist({ documents: [license] }, 'clinic');
+
+      expect(progress.missing).toEqual(['registration']);
+      expect(progress.groups.map(group => group.type)).toEqual(['license', 'registration']);
+      expect(progress.complete).toBe(false);
+    });
+
+    test('should be complete once every item of every document is checked', () => {
+      const verification = {
+        documents: [license, registration],
+        checklist: { license: allChecked('license'), registration: { legible: true } }
+      };
+
+      const progress = Verification.getChecklist(verification, 'pharmacy');
+      expect(progress.done).toBe(5);
+      expect(progress.total).toBe(8);
+      expect(progress.complete).toBe(false);
+
+      verification.checklist.registration = allChecked('registration');
+      expect(Verification.getChecklist(verification, 'pharmacy').complete).toBe(true);
+    });
+
+    test('should only require a license from doctors', () => {
+      const verification = { documents: [license], checklist: { license: allChecked('license') } };
+      expect(Verification.getChecklist(verification, 'doctor').complete).toBe(true);
+    });
+  });
+
+  describe('normalizeDocuments', () => {
+    test('should read legacy download URLs', () => {
+      const url = 'https://firebasestorage.googleapis.com/v0/b/app/o/verification-documents%2Fp1%2F123_licence.pdf?alt=media&token=t';
+
+      expect(Verification.normalizeDocuments([url])).toEqual([{
+        type: 'other',
+        name: '123_licence.pdf',
+        url,
+        path: null,
+        contentType: 'application/pdf'
+      }]);
+    });
+  });
+
+  describe('getQueueAge', () => {
+    const now = new Date('2026-06-10T12:00:00Z');
+
+    test('should flag requests approaching and past the SLA', () => {
+      expect(Verification.getQueueAge({ status: 'pending', submittedAt: timestamp('2026-06-10T02:00:00Z') }, now))
+        .toEqual({ hours: 10, level: 'ok' });
+      expect(Verification.getQueueAge({ status: 'pending', submittedAt: timestamp('2026-06-08T06:00:00Z') }, now).level)
+        .toBe('warning');
+      expect(Verification.getQueueAge({ status: 'pending', submittedAt: timestamp('2026-06-06T12:00:00Z') }, now))
+        .toEqual({ hours: 96, level: 'overdue' });
+    });
+
+    test('should restart the clock on resubmission and pause it while waiting for the provider', () => {
+      const request = {
+        status: 'pending',
+        submittedAt: timestamp('2026-06-01T12:00:00Z'),
+        lastSubmittedAt: timestamp('2026-06-10T09:00:00Z')
+      };
+
+      expect(Verification.getQueueAge(request, now)).toEqual({ hours: 3, level: 'ok' });
+      expect(Verification.getQueueAge({ ...request, status: 'info_requested' }, now).level).toBe('waiting');
+    });
+  });
+
+  describe('expiry', () => {
+    test('should add the validity period and clamp month ends', () => {
+      expect(Verification.getExpiryDate(new Date('2026-03-15T10:00:00Z')).toISOString())
+        .toBe('2027-03-15T10:00:00.000Z');
+      expect(Verification.getExpiryDate(new Date('2026-01-31T10:00:00Z'), 1).toISOString())
+        .toBe('2026-02-28T10:00:00.000Z');
+    });
+
+    test('should open the renewal window before expiry', () => {
+      const now = new Date('2026-06-10T12:00:00Z');
+
+      expect(Verification.getRenewalState({ verified: true, verifiedUntil: timestamp('2026-12-01T00:00:00Z') }, now).state)
+        .toBe('valid');
+      expect(Verification.getRenewalState({ verified: true, verifiedUntil: timestamp('2026-06-30T00:00:00Z') }, now))
+        .toMatchObject({ state: 'expiring', daysLeft: 20 });
+      expect(Verification.getRenewalState({ verified: false, verificationExpired: true }, now).state).toBe('expired');
+      expect(Verification.getRenewalState({ verified: true }, now).state).toBe('valid');
+      expect(Verification.getRenewalState({ verified: false }, now).state).toBe('unverified');
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Ad Lifecycle Module
+ * States of an ad and the transitions between them:
+ *
+ *   draft → pending → approved → active → expired
+ *                 ↘ rejected      ↕ paused
+ *
+ * Moderation moves pending ads to approved or rejected. The scheduled
+ * `updateAdLifecycle` Cloud Function then activates approved ads on their
+ * start date, expires ads on their end date and archives old expired ads.
+ * Providers can pause and resume their ads, and renew them with new dates,
+ * which sends them back to moderation.
+ *
+ * functions/ad-lifecycle.js is a copy of this file used by the Cloud Function;
+ * keep both identical (checked by __tests__/ad-lifecycle.test.js).
+ */
+
+const AdLifecycle = {
+  /**
+   * All ad states
+   */
+  STATUSES: ['draft', 'pending', 'approved', 'active', 'paused', 'expired', 'rejected'],
+
+  /**
+   * States each provider action is allowed from
+   */
+  ACTIONS: {
+    submit: ['draft'],
+    pause: ['approved', 'active'],
+    resume: ['paused'],
+    renew: ['active', 'paused', 'expired', 'rejected']
+  },
+
+  /**
+   * Days before the end date when providers are told their ad expires
+   */
+  EXPIRY_NOTICE_DAYS: 3,
+
+  /**
+   * Days after the end date when expired ads are archived
+   */
+  ARCHIVE_AFTER_DAYS: 90,
+
+  /**
+   * Convert a Firestore Timestamp, Date or date string to milliseconds
+   * @param {*} value - Date value
+   * @returns {number|null} - Milliseconds, or null if missing
+   */
+  toMillis(value) {
+    if (!value) return null;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : time;
+  },
+
+  /**
+   * Whether a provider action is allowed for an ad
+   * @param {Object} ad - Ad data
+   * @param {string} action - 'submit', 'pause', 'resume' or 'renew'
+   * @returns {boolean} - True if allowed
+   */
+  canPerform(ad, action) {
+    return (this.ACTIONS[action] || []).includes(ad.status);
+  },
+
+  /**
+   * State an ad should be in at a given time. Only approved, active and
+   * paused ads change with time.
+   * @param {Object} ad - Ad data ({ status, startDate, endDate })
+   * @param {Date} now - Current time
+   * @returns {string} - Status
+   */
+  scheduledStatus(ad, now = new Date()) {
+    const time = now.getTime();
+    const start = this.toMillis(ad.startDate);
+    const end = this.toMillis(ad.endDate);
+
+    if (!['approved', 'active', 'paused'].includes(ad.status)) {
+      return ad.status;
+    }
+
+    if (end !== null && end <= time) {
+      return 'expired';
+    }
+
+    if (ad.status === 'paused') {
+      return 'paused';
+    }
+
+    return start === null || start <= time ? 'active' : 'approved';
+  },
+
+  /**
+   * State of an ad once approved or resumed
+   * @param {Object} ad - Ad data
+   * @param {Date} now - Current time
+   * @returns {string} - 'approved', 'active' or 'expired'
+   */
+  releasedStatus(ad, now = new Date()) {
+    return this.scheduledStatus({ ...ad, status: 'approved' }, now);
+  },
+
+  /**
+   * Whether an ad should be shown to visitors now. Also guards against the
+   * delay between an ad's end date and the next scheduled run.
+   * @param {Object} ad - Ad data
+   * @param {Date} now - Current time
+   * @returns {boolean} - True if the ad is serving
+   */
+  isServing(ad, now = new Date()) {
+    return (ad.status === 'active' || ad.status === 'approved') && this.scheduledStatus(ad, now) === 'active';
+  },
+
+  /**
+   * Whether the provider should be told that the ad ends soon
+   * @param {Object} ad - Ad data
+   * @param {Date} now - Current time
+   * @returns {boolean} - True if a notice is due and was not sent yet
+   */
+  needsExpiryNotice(ad, now = new Date()) {
+    const end = this.toMillis(ad.endDate);
+
+    return ['approved', 'active'].includes(ad.status) &&
+      !ad.expiryNoticeSentAt &&
+      end !== null &&
+      end > now.getTime() &&
+      end - now.getTime() <= this.EXPIRY_NOTICE_DAYS * 86400000;
+  },
+
+  /**
+   * Whether an expired ad is old enough to be archived
+   * @param {Object} ad - Ad data
+   * @param {Date} now - Current time
+   * @returns {boolean} - True if the ad should be archived
+   */
+  shouldArchive(ad, now = new Date()) {
+    const end = this.toMillis(ad.endDate);
+
+    return ad.status === 'expired' &&
+      !ad.archived &&
+      end !== null &&
+      now.getTime() - end >= this.ARCHIVE_AFTER_DAYS * 86400000;
+  },
+
+  /**
+   * Validate the dates of a new or renewed ad
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @param {Date} now - Current time
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateDates(startDate, endDate, now = new Date()) {
+    if (!(startDate instanceof Date) || Number.isNaN(startDate.getTime()) ||
+        !(endDate instanceof Date) || Number.isNaN(endDate.getTime())) {
+      return 'Start and end dates are required';
+    }
+
+    // Ads may start today: compare with the start of the current day
+    const today = new Date(now.getTime());
+    today.setHours(0, 0, 0, 0);
+
+    if (startDate < today) {
+      return 'Start date cannot be in the past';
+    }
+
+    if (endDate <= startDate) {
+      return 'End date must be after start date';
+    }
+
+    return null;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AdLifecycle;
+}
+
+if (typeof window !== 'undefined') {
+  window.AdLifecycle = AdLifecycle;
+}
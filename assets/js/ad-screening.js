@@ -0,0 +1,339 @@
+/**
+ * Ad Screening Module
+ * Automated pre-screening of ads waiting for moderation. Each rule either
+ * lists forbidden terms (medical claims, prescription drugs, spam wording in
+ * Arabic, French or English) or runs a built-in detector (phone numbers,
+ * links, near-duplicate ads of other providers). Triggered rules add their
+ * weight to the ad's risk score so admins review the riskiest ads first.
+ *
+ * Admins manage the rules in the `ad_screening_rules` collection; the
+ * DEFAULT_RULES below are used until rules have been saved there.
+ */
+
+const AdScreening = {
+  /**
+   * Rule categories
+   */
+  CATEGORIES: ['medical_claim', 'prescription_drug', 'spam', 'duplicate'],
+
+  /**
+   * Languages a term rule can be written in ('' for any)
+   */
+  LANGUAGES: ['ar', 'fr', 'en', ''],
+
+  /**
+   * Built-in detectors a rule can use instead of terms
+   */
+  DETECTORS: ['phone', 'url', 'duplicate'],
+
+  /**
+   * Limits on a rule's terms and weight
+   */
+  MAX_TERMS: 100,
+  MAX_WEIGHT: 100,
+
+  /**
+   * Word overlap above which two ads are considered duplicates
+   */
+  DUPLICATE_SIMILARITY: 0.8,
+
+  /**
+   * Minimum score of each risk level
+   */
+  RISK_LEVELS: { high: 50, medium: 20 },
+
+  /**
+   * Rules used until admins save their own
+   */
+  DEFAULT_RULES: [
+    {
+      id: 'claims-en',
+      name: 'Guaranteed cure claims (English)',
+      category: 'medical_claim',
+      language: 'en',
+      terms: ['guaranteed cure', 'guaranteed results', '100% cure', 'miracle cure', 'permanent cure', 'cures cancer', 'cures diabetes', 'no side effects'],
+      weight: 40,
+      enabled: true
+    },
+    {
+      id: 'claims-fr',
+      name: 'Guaranteed cure claims (French)',
+      category: 'medical_claim',
+      language: 'fr',
+      terms: ['guérison garantie', 'résultats garantis', 'guérison définitive', 'remède miracle', 'traitement miracle', '100% efficace', 'guérit le cancer', 'sans effets secondaires'],
+      weight: 40,
+      enabled: true
+    },
+    {
+      id: 'claims-ar',
+      name: 'Guaranteed cure claims (Arabic)',
+      category: 'medical_claim',
+      language: 'ar',
+      terms: ['علاج مضمون', 'شفاء مضمون', 'نتائج مضمونة', 'علاج نهائي', 'شفاء تام', 'علاج سحري', 'بدون أعراض جانبية'],
+      weight: 40,
+      enabled: true
+    },
+    {
+      id: 'drugs-names',
+      name: 'Prescription-only drugs',
+      category: 'prescription_drug',
+      language: '',
+      terms: ['viagra', 'cialis', 'tramadol', 'xanax', 'rivotril', 'lyrica', 'oxycodone', 'فياغرا', 'ترامادول'],
+      weight: 40,
+      enabled: true
+    },
+    {
+      id: 'drugs-no-prescription',
+      name: 'Drugs without prescription',
+      category: 'prescription_drug',
+      language: '',
+      terms: ['without prescription', 'no prescription needed', 'sans ordonnance', 'بدون وصفة'],
+      weight: 40,
+      enabled: true
+    },
+    {
+      id: 'spam-wording',
+      name: 'Pushy advertising wording',
+      category: 'spam',
+      language: '',
+      terms: ['call now', 'limited offer', 'appelez maintenant', 'offre limitée', 'اتصل الآن', 'عرض محدود'],
+      weight: 10,
+      enabled: true
+    },
+    {
+      id: 'spam-phone',
+      name: 'Phone number in ad text',
+      category: 'spam',
+      detector: 'phone',
+      weight: 25,
+      enabled: true
+    },
+    {
+      id: 'spam-url',
+      name: 'Link in ad text',
+      category: 'spam',
+      detector: 'url',
+      weight: 25,
+      enabled: true
+    },
+    {
+      id: 'duplicate',
+      name: 'Same ad as another provider',
+      category: 'duplicate',
+      detector: 'duplicate',
+      weight: 40,
+      enabled: true
+    }
+  ],
+
+  /**
+   * Normalize text for matching: lower case, no accents or Arabic
+   * diacritics, unified Arabic letter variants, Western digits, and single
+   * spaces between words
+   * @param {string} text - Text
+   * @returns {string} - Normalized text
+   */
+  normalize(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[\u064b-\u065f\u0670\u0640]/g, '')
+      .replace(/[\u0622\u0623\u0625]/g, '\u0627')
+      .replace(/\u0649/g, '\u064a')
+      .replace(/\u0629/g, '\u0647')
+      .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}%]+/gu, ' ')
+      .trim();
+  },
+
+  /**
+   * Text of an ad that is screened
+   * @param {Object} ad - Ad data
+   * @returns {string} - Title, description and text content
+   */
+  getText(ad) {
+    return [ad.title, ad.description, ad.type === 'text' ? ad.content : '']
+      .filter(Boolean)
+      .join('\n');
+  },
+
+  /**
+   * Terms of a rule found in a text, word by word. Latin words must match
+   * whole words; Arabic words may carry attached prefixes and suffixes such
+   * as "ال" or "و".
+   * @param {string} text - Normalized text
+   * @param {Array<string>} terms - Rule terms
+   * @returns {Array<string>} - Matched terms
+   */
+  findTerms(text, terms) {
+    const words = text ? text.split(' ') : [];
+    const wordMatches = (word, termWord) => /[\u0600-\u06ff]/.test(termWord)
+      ? word.includes(termWord)
+      : word === termWord;
+
+    return (terms || []).filter(term => {
+      const termWords = this.normalize(term).split(' ').filter(Boolean);
+      if (termWords.length === 0) return false;
+
+      return words.some((_, start) =>
+        termWords.every((termWord, offset) => start + offset < words.length && wordMatches(words[start + offset], termWord))
+      );
+    });
+  },
+
+  /**
+   * Phone numbers in a text (9 digits or more, with optional separators)
+   * @param {string} text - Raw text
+   * @returns {Array<string>} - Phone numbers as written
+   */
+  findPhones(text) {
+    const western = String(text || '').replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660));
+    const candidates = western.match(/\+?\d[\d\s.\-()/]{7,}\d/g) || [];
+
+    return candidates
+      .map(candidate => candidate.trim())
+      .filter(candidate => candidate.replace(/\D/g, '').length >= 9);
+  },
+
+  /**
+   * Links and web addresses in a text
+   * @param {string} text - Raw text
+   * @returns {Array<string>} - Links as written
+   */
+  findUrls(text) {
+    return String(text || '').match(/\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|dz|fr|info|biz|io|me)\b/gi) || [];
+  },
+
+  /**
+   * Word overlap of two texts (Jaccard index of their words)
+   * @param {string} a - First text
+   * @param {string} b - Second text
+   * @returns {number} - Similarity between 0 and 1
+   */
+  similarity(a, b) {
+    const words = text => new Set(this.normalize(text).split(' ').filter(word => word.length > 1));
+    const wordsA = words(a);
+    const wordsB = words(b);
+
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / (wordsA.size + wordsB.size - shared);
+  },
+
+  /**
+   * Ads of other providers with nearly the same text
+   * @param {Object} ad - Ad data (with id and providerId)
+   * @param {Array<Object>} otherAds - Ads to compare with
+   * @returns {Array<Object>} - Duplicate ads
+   */
+  findDuplicates(ad, otherAds) {
+    const text = this.getText(ad);
+
+    return (otherAds || []).filter(other =>
+      other.id !== ad.id &&
+      other.providerId !== ad.providerId &&
+      this.similarity(text, this.getText(other)) >= this.DUPLICATE_SIMILARITY
+    );
+  },
+
+  /**
+   * Validate a rule before saving it
+   * @param {Object} rule - Rule data
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateRule(rule) {
+    if (!rule.name || !String(rule.name).trim()) {
+      return 'Rule name is required';
+    }
+
+    if (!this.CATEGORIES.includes(rule.category)) {
+      return 'Invalid rule category';
+    }
+
+    if (rule.detector) {
+      if (!this.DETECTORS.includes(rule.detector)) {
+        return 'Invalid rule detector';
+      }
+    } else {
+      if (!this.LANGUAGES.includes(rule.language || '')) {
+        return 'Invalid rule language';
+      }
+      if (!Array.isArray(rule.terms) || rule.terms.filter(term => this.normalize(term)).length === 0) {
+        return 'At least one term is required';
+      }
+      if (rule.terms.length > this.MAX_TERMS) {
+        return `A rule can have at most ${this.MAX_TERMS} terms`;
+      }
+    }
+
+    if (!Number.isInteger(rule.weight) || rule.weight < 1 || rule.weight > this.MAX_WEIGHT) {
+      return `Weight must be a whole number between 1 and ${this.MAX_WEIGHT}`;
+    }
+
+    return null;
+  },
+
+  /**
+   * Risk level of a score
+   * @param {number} score - Risk score
+   * @returns {string} - 'high', 'medium' or 'low'
+   */
+  riskLevel(score) {
+    if (score >= this.RISK_LEVELS.high) return 'high';
+    if (score >= this.RISK_LEVELS.medium) return 'medium';
+    return 'low';
+  },
+
+  /**
+   * Screen an ad against the enabled rules
+   * @param {Object} ad - Ad data (with id and providerId)
+   * @param {Array<Object>} rules - Screening rules
+   * @param {Array<Object>} otherAds - Ads to check for duplicates
+   * @returns {Object} - { score, level, flags: [{ ruleId, name, category, weight, matches }] }
+   */
+  screen(ad, rules = this.DEFAULT_RULES, otherAds = []) {
+    const text = this.getText(ad);
+    const normalized = this.normalize(text);
+    const flags = [];
+
+    rules.filter(rule => rule.enabled !== false).forEach(rule => {
+      let matches;
+
+      if (rule.detector === 'phone') {
+        matches = this.findPhones(text);
+      } else if (rule.detector === 'url') {
+        matches = this.findUrls(text);
+      } else if (rule.detector === 'duplicate') {
+        matches = this.findDuplicates(ad, otherAds)
+          .map(other => `${other.title || other.id} (${other.providerName || other.providerId})`);
+      } else {
+        matches = this.findTerms(normalized, rule.terms);
+      }
+
+      if (matches.length > 0) {
+        flags.push({
+          ruleId: rule.id,
+          name: rule.name,
+          category: rule.category,
+          weight: rule.weight,
+          matches: [...new Set(matches)]
+        });
+      }
+    });
+
+    const score = Math.min(100, flags.reduce((sum, flag) => sum + flag.weight, 0));
+
+    return { score, level: this.riskLevel(score), flags };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AdScreening;
+}
+
+if (typeof window !== 'undefined') {
+  window.AdScreening = AdScreening;
+}
@@ -0,0 +1,180 @@
+/**
+ * Ad Targeting Module
+ * Pure helpers behind ad delivery and reporting: which approved ads match a
+ * placement (location, specialty, city), per-session frequency capping,
+ * ranking, and the daily impression/click report shown to providers.
+ */
+
+const AdTargeting = {
+  /**
+   * Placements an ad can be shown in
+   */
+  LOCATIONS: ['homepage', 'search', 'emergency'],
+
+  /**
+   * Impressions of one ad per browser session
+   */
+  FREQUENCY_CAP: 3,
+
+  /**
+   * Time zone of the daily report (matches the Cloud Function counters)
+   */
+  TIME_ZONE: 'Africa/Algiers',
+
+  /**
+   * Normalize a specialty or city for comparison (case and accents)
+   * @param {string} text - Text
+   * @returns {string} - Normalized text
+   */
+  normalize(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .trim();
+  },
+
+  /**
+   * Parse a comma-separated targeting list
+   * @param {string} text - e.g. "Oran, Alger"
+   * @returns {Array<string>} - Trimmed, de-duplicated values
+   */
+  parseList(text) {
+    const values = [];
+    String(text || '').split(',').map(value => value.trim()).filter(Boolean).forEach(value => {
+      if (!values.some(existing => this.normalize(existing) === this.normalize(value))) {
+        values.push(value);
+      }
+    });
+    return values;
+  },
+
+  /**
+   * Whether an ad can be shown in a placement. Ads targeting specialties or
+   * cities are only shown when the placement's specialty or city matches.
+   * @param {Object} ad - Ad data
+   * @param {Object} context - { location, specialty, city }
+   * @returns {boolean} - True if the ad matches
+   */
+  matches(ad, context = {}) {
+    const targeting = ad.targeting || {};
+    const inList = (list, value) => list.some(item => this.normalize(item) === this.normalize(value));
+
+    if (context.location && !(ad.displayLocations || []).includes(context.location)) {
+      return false;
+    }
+
+    if ((targeting.specialties || []).length > 0 && !(context.specialty && inList(targeting.specialties, context.specialty))) {
+      return false;
+    }
+
+    if ((targeting.cities || []).length > 0 && !(context.city && inList(targeting.cities, context.city))) {
+      return false;
+    }
+
+    return true;
+  },
+
+  /**
+   * Relevance of a matching ad: targeted ads rank above untargeted ones
+   * @param {Object} ad - Ad data
+   * @returns {number} - Score
+   */
+  score(ad) {
+    const targeting = ad.targeting || {};
+    return ((targeting.specialties || []).length > 0 ? 2 : 0) + ((targeting.cities || []).length > 0 ? 1 : 0);
+  },
+
+  /**
+   * Ads to show in a placement: matching, under the session frequency cap,
+   * most relevant and least seen first, ties in random order
+   * @param {Array<Object>} ads - Approved ads (with id)
+   * @param {Object} context - { location, specialty, city }
+   * @param {Object} impressions - Session impressions by ad ID
+   * @param {Function} random - Random number generator (for tests)
+   * @returns {Array<Object>} - Ads in display order
+   */
+  selectAds(ads, context = {}, impressions = {}, random = Math.random) {
+    const seen = ad => impressions[ad.id] || 0;
+    const eligible = ads.filter(ad => this.matches(ad, context) && seen(ad) < this.FREQUENCY_CAP);
+
+    // Shuffle first so the stable sort keeps ties in random order
+    for (let i = eligible.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [eligible[i], eligible[j]] = [eligible[j], eligible[i]];
+    }
+
+    return eligible.sort((a, b) => this.score(b) - this.score(a) || seen(a) - seen(b));
+  },
+
+  /**
+   * Calendar day of a date in the report time zone
+   * @param {Date} date - Date
+   * @returns {string} - Day as YYYY-MM-DD
+   */
+  dayKey(date = new Date()) {
+    // The en-CA locale formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.TIME_ZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(date);
+  },
+
+  /**
+   * Days covered by a report, oldest first
+   * @param {number} count - Number of days
+   * @param {Date} now - Last day
+   * @returns {Array<string>} - Days as YYYY-MM-DD
+   */
+  lastDays(count, now = new Date()) {
+    return Array.from({ length: count }, (_, index) => this.dayKey(new Date(now.getTime() - (count - 1 - index) * 86400000)));
+  },
+
+  /**
+   * Click-through rate
+   * @param {number} impressions - Impressions
+   * @param {number} clicks - Clicks
+   * @returns {number} - Percentage with one decimal (0 without impressions)
+   */
+  ctr(impressions, clicks) {
+    return impressions > 0 ? Math.round((clicks / impressions) * 1000) / 10 : 0;
+  },
+
+  /**
+   * Daily performance report of an ad
+   * @param {Array<Object>} daily - `ads/{adId}/daily` documents ({ date, impressions, clicks })
+   * @param {Array<string>} days - Days to report (see lastDays)
+   * @returns {Object} - { days: [{ date, impressions, clicks, ctr }], totals: { impressions, clicks, ctr } }
+   */
+  buildReport(daily, days) {
+    const byDay = {};
+    daily.forEach(entry => {
+      byDay[entry.date] = entry;
+    });
+
+    const rows = days.map(date => {
+      const impressions = (byDay[date] && byDay[date].impressions) || 0;
+      const clicks = (byDay[date] && byDay[date].clicks) || 0;
+      return { date, impressions, clicks, ctr: this.ctr(impressions, clicks) };
+    });
+
+    const impressions = rows.reduce((sum, row) => sum + row.impressions, 0);
+    const clicks = rows.reduce((sum, row) => sum + row.clicks, 0);
+
+    return {
+      days: rows,
+      totals: { impressions, clicks, ctr: this.ctr(impressions, clicks) }
+    };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AdTargeting;
+}
+
+if (typeof window !== 'undefined') {
+  window.AdTargeting = AdTargeting;
+}
@@ -5,11 +5,51 @@
  * Requirements: 10.1, 10.2, 10.3, 10.5, 13.1, 13.2, 13.3, 13.4, 13.5, 12.1, 12.2, 12.3, 12.4, 12.5
  */
 
+/**
+ * Upload verification documents to Storage
+ * @param {string} providerId - Provider ID (the uploader's UID for dispute documents)
+ * @param {Array<File|Object>} documents - Files, or { file, type } to tag the document type
+ * @returns {Promise<Array<Object>>} Stored documents: { type, name, path, url, contentType, uploadedAt }
+ */
+async function uploadVerificationDocuments(providerId, documents) {
+  const uploaded = [];
+  
+  for (const document of documents) {
+    const file = document.file || document;
+    const docType = Verification.DOCUMENT_TYPES[document.type] ? document.type : 'other';
+    
+    // Validate file
+    if (file.size > 5 * 1024 * 1024) {
+      throw new Error(`File ${file.name} exceeds 5MB limit`);
+    }
+    
+    if (!Verification.ACCEPTED_CONTENT_TYPES.test(file.type || '')) {
+      throw new Error(`File ${file.name} must be an image or a PDF`);
+    }
+    
+    // Upload to Storage
+    const path = `verification-docs/${providerId}/${Date.now()}_${docType}_${file.name}`;
+    const uploadTask = await storage.ref(path).put(file);
+    const downloadUrl = await uploadTask.ref.getDownloadURL();
+    
+    uploaded.push({
+      type: docType,
+      name: file.name,
+      path: path,
+      url: downloadUrl,
+      contentType: file.type,
+      uploadedAt: firebase.firestore.Timestamp.now()
+    });
+  }
+  
+  return uploaded;
+}
+
 /**
  * Submit a verification request for a provider
  * @param {string} providerId - Provider ID
- * @param {Array<File>} documents - Array of document files to upload
- * @param {string} type - Type of verification: 'new' or 'claim'
+ * @param {Array<File|Object>} documents - Document files, or { file, type } with a Verification.DOCUMENT_TYPES key
+ * @param {string} type - Type of verification: 'new', 'claim' or 'renewal'
  * @returns {Promise<Object>} Verification request object
  */
 async function submitVerificationRequest(providerId, documents = [], type = 'new') {
@@ -29,37 +69,52 @@ async function submitVerificationRequest(providerId, documents = [], type = 'new
       throw new Error('Provider ID is required');
     }
     
-    if (!['new', 'claim'].includes(type)) {
+    if (!['new', 'claim', 'renewal'].includes(type)) {
       throw new Error('Invalid verification type');
     }
     
-    // Upload documents to Firebase Storage
-    const documentUrls = [];
-    
-    for (let i = 0; i < documents.length; i++) {
-      const file = documents[i];
+    if (type !== 'claim') {
+      const providerDoc = await db.collection('providers').doc(providerId).get();
+      const providerData = providerDoc.exists ? providerDoc.data() : {};
       
-      // Validate file
-      if (file.size > 5 * 1024 * 1024) {
-        throw new Error(`File ${file.name} exceeds 5MB limit`);
+      if (type === 'renewal' && !providerData.verified && !providerData.verificationExpired) {
+        throw new Error('Only verified providers can renew their verification');
       }
       
-      // Upload to Storage
-      const storageRef = storage.ref(`verification-documents/${providerId}/${Date.now()}_${file.name}`);
-      const uploadTask = await storageRef.put(file);
-      const downloadUrl = await uploadTask.ref.getDownloadURL();
-      
-      documentUrls.push(downloadUrl);
+      const missing = Verification.getMissingDocuments(documents, providerData.type);
+      if (missing.length > 0) {
+        const labels = missing.map(docType => Verification.DOCUMENT_TYPES[docType].label);
+        throw new Error(`Missing required documents: ${labels.join(', ')}`);
+      }
+    }
+    
+    // More documents go to the open request instead of a new one
+    const openSnapshot = await db.collection('verifications')
+      .where('userId', '==', user.uid)
+      .where('providerId', '==', providerId)
+      .where('status', 'in', Verification.OPEN_STATUSES)
+      .limit(1)
+      .get();
+    
+    if (!openSnapshot.empty) {
+      throw new Error('You already have a verification request in progress');
     }
     
+    // Upload documents to Firebase Storage
+    const uploadedDocuments = await uploadVerificationDocuments(providerId, documents);
+    
     // Create verification request in Firestore
     const verificationData = {
       providerId: providerId,
       userId: user.uid,
       type: type,
-      documents: documentUrls,
+      documents: uploadedDocuments,
       status: 'pending',
       submittedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      lastSubmittedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      checklist: {},
+      infoRequest: null,
+      history: [],
       reviewedBy: null,
       reviewedAt: null,
       denialReason: null
@@ -72,7 +127,7 @@ async function submitVerificationRequest(providerId, documents = [], type = 'new
       analytics.logEvent('verification_request_submitted', {
         provider_id: providerId,
         type: type,
-        document_count: documentUrls.length
+        document_count: uploadedDocuments.length
       });
     }
     
@@ -87,6 +142,67 @@ async function submitVerificationRequest(providerId, documents = [], type = 'new
   }
 }
 
+/**
+ * Upload more documents to a request an admin asked more information for,
+ * and send it back to the review queue
+ * @param {string} verificationId - Verification request ID
+ * @param {Array<File|Object>} documents - Document files, or { file, type }
+ * @param {string} note - Optional note for the reviewer
+ * @returns {Promise<void>}
+ */
+async function resubmitVerification(verificationId, documents = [], note = '') {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user) {
+      throw new Error('You must be signed in to resubmit a verification request');
+    }
+    
+    const verificationDoc = await db.collection('verifications').doc(verificationId).get();
+    
+    if (!verificationDoc.exists || verificationDoc.data().userId !== user.uid) {
+      throw new Error('Verification request not found');
+    }
+    
+    const verificationData = verificationDoc.data();
+    
+    if (verificationData.status !== 'info_requested') {
+      throw new Error('This verification request is not waiting for more information');
+    }
+    
+    if (documents.length === 0) {
+      throw new Error('Please upload at least one document');
+    }
+    
+    const uploadedDocuments = await uploadVerificationDocuments(verificationData.providerId, documents);
+    
+    await db.collection('verifications').doc(verificationId).update({
+      status: 'pending',
+      documents: firebase.firestore.FieldValue.arrayUnion(...uploadedDocuments),
+      lastSubmittedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      history: firebase.firestore.FieldValue.arrayUnion({
+        action: 'resubmitted',
+        by: user.uid,
+        at: firebase.firestore.Timestamp.now(),
+        note: note.trim(),
+        documentCount: uploadedDocuments.length
+      })
+    });
+    
+    // Log analytics event
+    if (window.analytics) {
+      analytics.logEvent('verification_resubmitted', {
+        verification_id: verificationId,
+        document_count: uploadedDocuments.length
+      });
+    }
+    
+  } catch (error) {
+    console.error('Error resubmitting verification request:', error);
+    throw error;
+  }
+}
+
 /**
  * Get verification requests for the current provider
  * @returns {Promise<Array>} Array of verification requests
@@ -121,8 +237,10 @@ async function getProviderVerificationRequests() {
 }
 
 /**
- * Get all pending verification requests (admin only)
- * @returns {Promise<Array>} Array of pending verification requests with provider details
+ * Get open verification requests (admin only), oldest first. Each request
+ * carries its age against the review SLA; requests waiting for the provider
+ * come last.
+ * @returns {Promise<Array>} Array of open verification requests with provider details and `sla`
  */
 async function getVerificationQueue() {
   try {
@@ -138,13 +256,14 @@ async function getVerificationQueue() {
       : null;
     
     const snapshot = await db.collection('verifications')
-      .where('status', '==', 'pending')
+      .where('status', 'in', Verification.OPEN_STATUSES)
       .orderBy('submittedAt', 'asc')
       .get();
     
     // Stop performance tracking
     if (stopTracking) stopTracking();
     
+    const now = new Date();
     const requests = [];
     
     for (const doc of snapshot.docs) {
@@ -164,11 +283,13 @@ async function getVerificationQueue() {
       requests.push({
         id: doc.id,
         ...verificationData,
-        providerDetails: providerData
+        providerDetails: providerData,
+        sla: Verification.getQueueAge(verificationData, now)
       });
     }
     
-    return requests;
+    const waiting = request => request.sla.level === 'waiting';
+    return requests.sort((a, b) => (waiting(a) - waiting(b)) || (b.sla.hours - a.sla.hours));
     
   } catch (error) {
     console.error('Error getting verification queue:', error);
@@ -177,12 +298,132 @@ async function getVerificationQueue() {
 }
 
 /**
- * Approve a verification request (admin only)
+ * Get a fresh download URL to preview a verification document (admin or owner)
+ * @param {Object|string} document - Stored document, or a legacy download URL
+ * @returns {Promise<string>} Download URL
+ */
+async function getVerificationDocumentUrl(document) {
+  const [normalized] = Verification.normalizeDocuments([document]);
+  
+  if (normalized.path) {
+    return storage.ref(normalized.path).getDownloadURL();
+  }
+  
+  return normalized.url;
+}
+
+/**
+ * Save review checklist progress on a verification request (admin only)
+ * @param {string} verificationId - Verification request ID
+ * @param {Object} checklist - Document type to { itemId: true }
+ * @returns {Promise<void>}
+ */
+async function saveVerificationChecklist(verificationId, checklist) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can review verification requests');
+    }
+    
+    await db.collection('verifications').doc(verificationId).update({
+      checklist: checklist || {}
+    });
+    
+  } catch (error) {
+    console.error('Error saving verification checklist:', error);
+    throw error;
+  }
+}
+
+/**
+ * Ask the provider for more information (admin only). The request leaves
+ * the review queue until the provider resubmits it.
+ * @param {string} verificationId - Verification request ID
+ * @param {string} message - What the provider must provide
+ * @param {Array<string>} documentTypes - Requested document types (optional)
+ * @returns {Promise<void>}
+ */
+async function requestVerificationInfo(verificationId, message, documentTypes = []) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can request more information');
+    }
+    
+    if (!message || message.trim() === '') {
+      throw new Error('A message for the provider is required');
+    }
+    
+    const verificationDoc = await db.collection('verifications').doc(verificationId).get();
+    
+    if (!verificationDoc.exists) {
+      throw new Error('Verification request not found');
+    }
+    
+    const verificationData = verificationDoc.data();
+    
+    if (verificationData.status !== 'pending') {
+      throw new Error('Only pending verification requests can be sent back to the provider');
+    }
+    
+    const infoRequest = {
+      message: message.trim(),
+      documentTypes: documentTypes.filter(docType => Verification.DOCUMENT_TYPES[docType]),
+      requestedBy: user.uid,
+      requestedAt: firebase.firestore.Timestamp.now()
+    };
+    
+    await db.collection('verifications').doc(verificationId).update({
+      status: 'info_requested',
+      infoRequest: infoRequest,
+      reviewedBy: user.uid,
+      reviewedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      history: firebase.firestore.FieldValue.arrayUnion({
+        action: 'info_requested',
+        by: user.uid,
+        at: infoRequest.requestedAt,
+        note: infoRequest.message,
+        documentTypes: infoRequest.documentTypes
+      })
+    });
+    
+    // Log change
+    await logAdminChange({
+      action: 'request_verification_info',
+      verificationId: verificationId,
+      providerId: verificationData.providerId || null,
+      type: verificationData.type || null,
+      adminId: user.uid,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+      oldData: { status: verificationData.status },
+      newData: { status: 'info_requested', infoRequest: { message: infoRequest.message, documentTypes: infoRequest.documentTypes } }
+    });
+    
+    // Log analytics event
+    if (window.analytics) {
+      analytics.logEvent('verification_info_requested', {
+        verification_id: verificationId
+      });
+    }
+    
+  } catch (error) {
+    console.error('Error requesting verification info:', error);
+    throw error;
+  }
+}
+
+/**
+ * Approve a verification request (admin only). Every checklist item of the
+ * submitted documents must be checked. The verification stays valid for
+ * Verification.VALIDITY_MONTHS.
  * @param {string} verificationId - Verification request ID
  * @param {string} providerId - Provider ID
+ * @param {Object} checklist - Checklist to save with the approval (optional, defaults to the saved one)
  * @returns {Promise<void>}
  */
-async function approveVerification(verificationId, providerId) {
+async function approveVerification(verificationId, providerId, checklist = null) {
   try {
     const user = await authModule.getCurrentUser();
     
@@ -190,23 +431,51 @@ async function approveVerification(verificationId, providerId) {
       throw new Error('Only admins can approve verification requests');
     }
     
+    // Get verification data to check type
+    const verificationDoc = await db.collection('verifications').doc(verificationId).get();
+    const verificationData = verificationDoc.data();
+    
+    if (checklist) {
+      verificationData.checklist = checklist;
+    }
+    
+    const providerDoc = await db.collection('providers').doc(providerId).get();
+    const providerData = providerDoc.exists ? providerDoc.data() : {};
+    
+    if (verificationData.type !== 'claim') {
+      const progress = Verification.getChecklist(verificationData, providerData.type);
+      
+      if (!progress.complete) {
+        throw new Error('Complete the review checklist before approving');
+      }
+    } else if (providerData.claimed && providerData.ownerId !== verificationData.userId) {
+      throw new Error('This profile has been claimed by another provider. Resolve it as an ownership dispute.');
+    }
+    
+    const verifiedUntil = firebase.firestore.Timestamp.fromDate(Verification.getExpiryDate(new Date()));
+    
     // Update verification request
     await db.collection('verifications').doc(verificationId).update({
       status: 'approved',
+      checklist: verificationData.checklist || {},
+      expiresAt: verifiedUntil,
       reviewedBy: user.uid,
-      reviewedAt: firebase.firestore.FieldValue.serverTimestamp()
+      reviewedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      history: firebase.firestore.FieldValue.arrayUnion({
+        action: 'approved',
+        by: user.uid,
+        at: firebase.firestore.Timestamp.now()
+      })
     });
     
     // Update provider verified status
     await db.collection('providers').doc(providerId).update({
       verified: true,
-      verifiedAt: firebase.firestore.FieldValue.serverTimestamp()
+      verifiedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      verifiedUntil: verifiedUntil,
+      verificationExpired: false
     });
     
-    // Get verification data to check type
-    const verificationDoc = await db.collection('verifications').doc(verificationId).get();
-    const verificationData = verificationDoc.data();
-    
     // If this is a claim request, update claimed status
     if (verificationData.type === 'claim') {
       await db.collection('providers').doc(providerId).update({
@@ -216,6 +485,18 @@ async function approveVerification(verificationId, providerId) {
       });
     }
     
+    // Log change
+    await logAdminChange({
+      action: 'approve_verification',
+      verificationId: verificationId,
+      providerId: providerId,
+      type: verificationData.type,
+      adminId: user.uid,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+      oldData: { status: verificationData.status },
+      newData: { status: 'approved', verifiedUntil: verifiedUntil, checklist: verificationData.checklist || {} }
+    });
+    
     // TODO: Send email notification to provider
     // This would typically be done via Cloud Functions
     
@@ -252,12 +533,33 @@ async function denyVerification(verificationId, reason) {
       throw new Error('Reason for denial is required');
     }
     
+    const verificationDoc = await db.collection('verifications').doc(verificationId).get();
+    const verificationData = verificationDoc.exists ? verificationDoc.data() : {};
+    
     // Update verification request
     await db.collection('verifications').doc(verificationId).update({
       status: 'denied',
       reviewedBy: user.uid,
       reviewedAt: firebase.firestore.FieldValue.serverTimestamp(),
-      denialReason: reason
+      denialReason: reason,
+      history: firebase.firestore.FieldValue.arrayUnion({
+        action: 'denied',
+        by: user.uid,
+        at: firebase.firestore.Timestamp.now(),
+        note: reason
+      })
+    });
+    
+    // Log change
+    await logAdminChange({
+      action: 'deny_verification',
+      verificationId: verificationId,
+      providerId: verificationData.providerId || null,
+      type: verificationData.type || null,
+      adminId: user.uid,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+      oldData: { status: verificationData.status || null },
+      newData: { status: 'denied', denialReason: reason }
     });
     
     // TODO: Send email notification to provider with reason
@@ -321,756 +623,2148 @@ async function claimProfile(providerId, documents = []) {
 }
 
 /**
- * Get dashboard statistics (admin only)
- * @returns {Promise<Object>} Dashboard statistics
+ * Send a one-time code to the phone number listed on a preloaded profile,
+ * as an alternative to claiming it with documents
+ * @param {string} providerId - Provider ID to claim
+ * @returns {Promise<Object>} { maskedPhone, expiresAt, attempts }
  */
-async function getDashboardStats() {
+async function requestClaimCode(providerId) {
   try {
     const user = await authModule.getCurrentUser();
     
-    if (!user || user.role !== 'admin') {
-      throw new Error('Only admins can access dashboard statistics');
+    if (!user || user.role !== 'provider') {
+      throw new Error('Only providers can claim profiles');
     }
     
-    // Track dashboard stats loading performance
-    const stopTracking = window.PerformanceMonitoring 
-      ? window.PerformanceMonitoring.startTrace('admin_dashboard_stats')
-      : null;
+    const requestCode = firebase.functions().httpsCallable('requestClaimCode');
+    const result = await requestCode({
+      providerId: providerId,
+      language: window.i18n?.getCurrentLanguage() || 'fr'
+    });
     
-    // Get total providers
-    const providersSnapshot = await db.collection('providers').get();
-    const totalProviders = providersSnapshot.size;
+    // Log analytics event
+    if (window.analytics) {
+      analytics.logEvent('claim_code_requested', {
+        provider_id: providerId
+      });
+    }
     
-    // Get verified providers
-    const verifiedSnapshot = await db.collection('providers')
-      .where('verified', '==', true)
-      .get();
-    const verifiedProviders = verifiedSnapshot.size;
+    return result.data;
     
-    // Get pending verifications
-    const pendingSnapshot = await db.collection('verifications')
-      .where('status', '==', 'pending')
-      .get();
-    const pendingVerifications = pendingSnapshot.size;
+  } catch (error) {
+    console.error('Error requesting claim code:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check a claim code. On success the profile is transferred to the current
+ * user; if another provider claimed it in the meantime, an ownership
+ * dispute is opened instead.
+ * @param {string} providerId - Provider ID to claim
+ * @param {string} code - Code received by phone
+ * @returns {Promise<Object>} { claimed, disputed }
+ */
+async function verifyClaimCode(providerId, code) {
+  try {
+    const user = await authModule.getCurrentUser();
     
-    // Get claimed profiles
-    const claimedSnapshot = await db.collection('providers')
-      .where('claimed', '==', true)
-      .get();
-    const claimedProfiles = claimedSnapshot.size;
+    if (!user || user.role !== 'provider') {
+      throw new Error('Only providers can claim profiles');
+    }
     
-    // Get total users
-    const usersSnapshot = await db.collection('users').get();
-    const totalUsers = usersSnapshot.size;
+    const verifyCode = firebase.functions().httpsCallable('verifyClaimCode');
+    const result = await verifyCode({ providerId: providerId, code: code });
     
-    // Get active users (users who logged in within last 30 days)
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    const activeUsersSnapshot = await db.collection('users')
-      .where('lastLoginAt', '>=', firebase.firestore.Timestamp.fromDate(thirtyDaysAgo))
-      .get();
-    const activeUsers = activeUsersSnapshot.size;
-    
-    // Get chatbot usage statistics
-    let chatbotMessages = 0;
-    let chatbotSessions = 0;
-    try {
-      const chatbotSnapshot = await db.collection('chatbot_sessions')
-        .orderBy('createdAt', 'desc')
-        .limit(1000)
-        .get();
-      chatbotSessions = chatbotSnapshot.size;
-      
-      // Count total messages
-      chatbotSnapshot.forEach(doc => {
-        const data = doc.data();
-        if (data.messageCount) {
-          chatbotMessages += data.messageCount;
-        }
+    // Log analytics event
+    if (window.analytics) {
+      analytics.logEvent('claim_code_verified', {
+        provider_id: providerId,
+        claimed: result.data.claimed
       });
-    } catch (error) {
-      console.warn('Chatbot statistics not available:', error);
     }
     
-    // Stop performance tracking
-    if (stopTracking) {
-      window.PerformanceMonitoring.stopTrace('admin_dashboard_stats');
-    }
-    
-    return {
-      totalProviders,
-      verifiedProviders,
-      unverifiedProviders: totalProviders - verifiedProviders,
-      pendingVerifications,
-      claimedProfiles,
-      totalUsers,
-      activeUsers,
-      chatbotMessages,
-      chatbotSessions
-    };
+    return result.data;
     
   } catch (error) {
-    console.error('Error getting dashboard stats:', error);
-    
-    // Stop performance tracking on error
-    if (stopTracking) {
-      window.PerformanceMonitoring.stopTrace('admin_dashboard_stats');
-    }
-    
+    console.error('Error verifying claim code:', error);
     throw error;
   }
 }
 
 /**
- * Get all providers with search and filters (admin only)
- * @param {Object} options - Search and filter options
- * @param {Array<string>} options.fields - Specific fields to retrieve (optional)
- * @returns {Promise<Array>} Array of providers
+ * Dispute the ownership of a profile another provider has claimed
+ * @param {string} providerId - Provider ID
+ * @param {string} reason - Why the current owner is not the right one
+ * @param {Array<File|Object>} documents - Supporting documents (optional)
+ * @returns {Promise<Object>} Dispute object
  */
-async function getAllProviders(options = {}) {
+async function openClaimDispute(providerId, reason, documents = []) {
   try {
     const user = await authModule.getCurrentUser();
     
-    if (!user || user.role !== 'admin') {
-      throw new Error('Only admins can access all providers');
+    if (!user || user.role !== 'provider') {
+      throw new Error('Only providers can dispute a profile claim');
     }
     
-    // Track Firestore query performance
-    const stopTracking = window.PerformanceMonitoring 
-      ? window.PerformanceMonitoring.trackFirestoreQuery('providers', 'admin_read')
-      : null;
+    if (!reason || reason.trim() === '') {
+      throw new Error('Please explain why you are disputing this claim');
+    }
     
-    let query = db.collection('providers');
+    const providerDoc = await db.collection('providers').doc(providerId).get();
     
-    // Apply filters
-    if (options.verified !== undefined) {
-      query = query.where('verified', '==', options.verified);
+    if (!providerDoc.exists) {
+      throw new Error('Provider profile not found');
     }
     
-    if (options.claimed !== undefined) {
-      query = query.where('claimed', '==', options.claimed);
+    const providerData = providerDoc.data();
+    
+    if (!providerData.claimed) {
+      throw new Error('This profile has not been claimed yet. You can claim it instead.');
     }
     
-    if (options.type) {
-      query = query.where('type', '==', options.type);
+    if (providerData.ownerId === user.uid) {
+      throw new Error('You already manage this profile');
     }
     
-    // Order by creation date
-    query = query.orderBy('createdAt', 'desc');
+    const openSnapshot = await db.collection('claim_disputes')
+      .where('claimantId', '==', user.uid)
+      .where('providerId', '==', providerId)
+      .where('status', '==', 'open')
+      .limit(1)
+      .get();
     
-    // Apply limit
-    if (options.limit) {
-      query = query.limit(options.limit);
+    if (!openSnapshot.empty) {
+      throw new Error('You already have an open dispute for this profile');
     }
     
-    const snapshot = await query.get();
+    // Dispute documents go to the claimant's own folder
+    const uploadedDocuments = await uploadVerificationDocuments(user.uid, documents);
     
-    const providers = [];
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      
-      // If specific fields requested, return only those fields
-      if (options.fields && Array.isArray(options.fields)) {
-        const filteredData = { id: doc.id };
-        options.fields.forEach(field => {
-          if (data[field] !== undefined) {
-            filteredData[field] = data[field];
-          }
-        });
-        providers.push(filteredData);
-      } else {
-        providers.push({
-          id: doc.id,
-          ...data
-        });
-      }
-    });
+    const disputeData = {
+      providerId: providerId,
+      providerName: providerData.name || '',
+      claimantId: user.uid,
+      ownerId: providerData.ownerId || null,
+      source: 'dispute',
+      verificationId: null,
+      reason: reason.trim(),
+      documents: uploadedDocuments,
+      status: 'open',
+      createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    };
     
-    // Apply search filter on client side (for name search)
-    if (options.search) {
-      const searchLower = options.search.toLowerCase();
-      return providers.filter(p => 
-        (p.name && p.name.toLowerCase().includes(searchLower)) ||
-        (p.nameAr && p.nameAr.includes(options.search)) ||
-        (p.nameFr && p.nameFr.toLowerCase().includes(searchLower))
-      );
-    }
+    const disputeRef = await db.collection('claim_disputes').add(disputeData);
     
-    // Stop performance tracking
-    if (stopTracking) stopTracking();
+    // Log analytics event
+    if (window.analytics) {
+      analytics.logEvent('claim_dispute_opened', {
+        provider_id: providerId
+      });
+    }
     
-    return providers;
+    return {
+      id: disputeRef.id,
+      ...disputeData
+    };
     
   } catch (error) {
-    console.error('Error getting all providers:', error);
+    console.error('Error opening claim dispute:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get ownership disputes (admin only)
+ * @param {string} status - 'open' or 'resolved'
+ * @returns {Promise<Array>} Disputes, oldest first
+ */
+async function getClaimDisputes(status = 'open') {
+  try {
+    const user = await authModule.getCurrentUser();
     
-    // Stop performance tracking on error
-    if (stopTracking) stopTracking();
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can access claim disputes');
+    }
     
+    const snapshot = await db.collection('claim_disputes')
+      .where('status', '==', status)
+      .orderBy('createdAt', 'asc')
+      .get();
+    
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+    
+  } catch (error) {
+    console.error('Error getting claim disputes:', error);
     throw error;
   }
 }
 
 /**
- * Create a new provider profile (admin only)
- * @param {Object} providerData - Provider data
- * @returns {Promise<string>} Provider ID
+ * Resolve an ownership dispute (admin only)
+ * @param {string} disputeId - Dispute ID
+ * @param {string} decision - 'keep_owner' or 'transfer' (to the claimant)
+ * @param {string} note - Resolution note
+ * @returns {Promise<void>}
  */
-async function createProvider(providerData) {
+async function resolveClaimDispute(disputeId, decision, note = '') {
   try {
     const user = await authModule.getCurrentUser();
     
     if (!user || user.role !== 'admin') {
-      throw new Error('Only admins can create provider profiles');
+      throw new Error('Only admins can resolve claim disputes');
     }
     
-    // Validate required fields
-    if (!providerData.name || !providerData.type) {
-      throw new Error('Provider name and type are required');
+    if (!['keep_owner', 'transfer'].includes(decision)) {
+      throw new Error('Invalid dispute decision');
     }
     
-    // Add metadata
-    const newProvider = {
-      ...providerData,
-      createdAt: firebase.firestore.FieldValue.serverTimestamp(),
-      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
-      createdBy: user.uid,
-      verified: providerData.verified || false,
-      claimed: providerData.claimed || false,
-      preloaded: providerData.preloaded || false
-    };
+    const disputeDoc = await db.collection('claim_disputes').doc(disputeId).get();
     
-    const docRef = await db.collection('providers').add(newProvider);
+    if (!disputeDoc.exists || disputeDoc.data().status !== 'open') {
+      throw new Error('This dispute is no longer open');
+    }
+    
+    const disputeData = disputeDoc.data();
+    const providerDoc = await db.collection('providers').doc(disputeData.providerId).get();
+    const oldOwnerId = providerDoc.exists ? providerDoc.data().ownerId || null : null;
+    const batch = db.batch();
+    
+    batch.update(db.collection('claim_disputes').doc(disputeId), {
+      status: 'resolved',
+      resolution: decision,
+      resolutionNote: note.trim(),
+      resolvedBy: user.uid,
+      resolvedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    
+    if (decision === 'transfer') {
+      batch.update(db.collection('providers').doc(disputeData.providerId), {
+        claimed: true,
+        ownerId: disputeData.claimantId,
+        claimedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        claimMethod: 'dispute'
+      });
+    }
+
+    // A document claim that turned into this dispute is decided with it
+    if (disputeData.verificationId) {
+      const verificationRef = db.collection('verifications').doc(disputeData.verificationId);
+      const verificationDoc = await verificationRef.get();
+
+      if (verificationDoc.exists && Verification.OPEN_STATUSES.includes(verificationDoc.data().status)) {
+        batch.update(verificationRef, {
+          status: decision === 'transfer' ? 'approved' : 'denied',
+          reviewedBy: user.uid,
+          reviewedAt: firebase.firestore.FieldValue.serverTimestamp(),
+          denialReason: decision === 'transfer' ? null : 'The profile was claimed by its listed phone owner'
+        });
+      }
+    }
+
+    await batch.commit();
     
     // Log change
     await logAdminChange({
-      action: 'create_provider',
-      providerId: docRef.id,
+      action: 'resolve_claim_dispute',
+      disputeId: disputeId,
+      providerId: disputeData.providerId,
+      decision: decision,
       adminId: user.uid,
       timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-      data: newProvider
+      oldData: { ownerId: oldOwnerId },
+      newData: { ownerId: decision === 'transfer' ? disputeData.claimantId : oldOwnerId }
     });
     
-    // Log analytics event
-    if (window.analytics) {
-      analytics.logEvent('admin_create_provider', {
-        provider_id: docRef.id,
-        provider_type: providerData.type
-      });
+  } catch (error) {
+    console.error('Error resolving claim dispute:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get profile change requests (admin only)
+ * @param {string} status - 'pending', 'approved', 'rejected' or 'cancelled'
+ * @returns {Promise<Array>} Change requests, oldest first
+ */
+async function getChangeRequests(status = 'pending') {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can access change requests');
     }
     
-    return docRef.id;
+    const snapshot = await db.collection('provider_changes')
+      .where('status', '==', status)
+      .orderBy('submittedAt', 'asc')
+      .get();
+    
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
     
   } catch (error) {
-    console.error('Error creating provider:', error);
+    console.error('Error getting change requests:', error);
     throw error;
   }
 }
 
 /**
- * Update a provider profile (admin only)
- * @param {string} providerId - Provider ID
- * @param {Object} updates - Fields to update
+ * Apply a provider's pending profile changes (admin only)
+ * @param {string} requestId - Change request ID
  * @returns {Promise<void>}
  */
-async function updateProvider(providerId, updates) {
+async function approveChangeRequest(requestId) {
   try {
     const user = await authModule.getCurrentUser();
     
     if (!user || user.role !== 'admin') {
-      throw new Error('Only admins can update provider profiles');
+      throw new Error('Only admins can approve change requests');
     }
     
-    // Get current provider data for logging
-    const providerDoc = await db.collection('providers').doc(providerId).get();
-    const oldData = providerDoc.data();
+    const requestDoc = await db.collection('provider_changes').doc(requestId).get();
     
-    // Add update metadata
-    const updateData = {
-      ...updates,
-      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
-      updatedBy: user.uid
-    };
+    if (!requestDoc.exists || requestDoc.data().status !== 'pending') {
+      throw new Error('This change request is no longer pending');
+    }
     
-    await db.collection('providers').doc(providerId).update(updateData);
+    const requestData = requestDoc.data();
+    const providerRef = db.collection('providers').doc(requestData.providerId);
+    const providerDoc = await providerRef.get();
+    
+    if (!providerDoc.exists) {
+      throw new Error('Provider not found');
+    }
+    
+    // Log against the profile as it is now, which may differ from `previous`
+    const oldData = {};
+    Object.keys(requestData.changes).forEach(field => {
+      const value = ChangeRequests.getValue(providerDoc.data(), field);
+      oldData[field] = value === undefined ? null : value;
+    });
+    
+    const batch = db.batch();
+    
+    batch.update(providerRef, {
+      ...requestData.changes,
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    
+    batch.update(db.collection('provider_changes').doc(requestId), {
+      status: 'approved',
+      reviewedBy: user.uid,
+      reviewedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    
+    await batch.commit();
     
     // Log change
     await logAdminChange({
-      action: 'update_provider',
-      providerId: providerId,
+      action: 'approve_provider_change',
+      changeRequestId: requestId,
+      providerId: requestData.providerId,
       adminId: user.uid,
       timestamp: firebase.firestore.FieldValue.serverTimestamp(),
       oldData: oldData,
-      newData: updates
+      newData: requestData.changes
     });
     
-    // Log analytics event
-    if (window.analytics) {
-      analytics.logEvent('admin_update_provider', {
-        provider_id: providerId
-      });
-    }
-    
   } catch (error) {
-    console.error('Error updating provider:', error);
+    console.error('Error approving change request:', error);
     throw error;
   }
 }
 
 /**
- * Delete a provider profile (admin only)
- * @param {string} providerId - Provider ID
+ * Reject a provider's pending profile changes (admin only)
+ * @param {string} requestId - Change request ID
+ * @param {string} reason - Rejection reason shown to the provider
  * @returns {Promise<void>}
  */
-async function deleteProvider(providerId) {
+async function rejectChangeRequest(requestId, reason) {
   try {
     const user = await authModule.getCurrentUser();
     
     if (!user || user.role !== 'admin') {
-      throw new Error('Only admins can delete provider profiles');
+      throw new Error('Only admins can reject change requests');
     }
     
-    // Get provider data for logging
-    const providerDoc = await db.collection('providers').doc(providerId).get();
-    const providerData = providerDoc.data();
+    if (!reason || !reason.trim()) {
+      throw new Error('A rejection reason is required');
+    }
     
-    // Delete provider
-    await db.collection('providers').doc(providerId).delete();
+    const requestDoc = await db.collection('provider_changes').doc(requestId).get();
+    
+    if (!requestDoc.exists || requestDoc.data().status !== 'pending') {
+      throw new Error('This change request is no longer pending');
+    }
+    
+    await db.collection('provider_changes').doc(requestId).update({
+      status: 'rejected',
+      rejectionReason: reason.trim(),
+      reviewedBy: user.uid,
+      reviewedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
     
     // Log change
     await logAdminChange({
-      action: 'delete_provider',
-      providerId: providerId,
+      action: 'reject_provider_change',
+      changeRequestId: requestId,
+      providerId: requestDoc.data().providerId,
+      reason: reason.trim(),
       adminId: user.uid,
-      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-      data: providerData
+      timestamp: firebase.firestore.FieldValue.serverTimestamp()
     });
     
-    // Log analytics event
-    if (window.analytics) {
-      analytics.logEvent('admin_delete_provider', {
-        provider_id: providerId
-      });
+  } catch (error) {
+    console.error('Error rejecting change request:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get dashboard statistics (admin only)
+ * Reads the `stats/current` counters maintained by Cloud Functions
+ * @returns {Promise<Object>} Dashboard statistics
+ */
+async function getDashboardStats() {
+  // Track dashboard stats loading performance
+  const stopTracking = window.PerformanceMonitoring 
+    ? window.PerformanceMonitoring.startTrace('admin_dashboard_stats')
+    : null;
+  
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can access dashboard statistics');
     }
     
+    const statsDoc = await db.collection('stats').doc('current').get();
+    
+    return toDashboardStats(statsDoc.exists ? statsDoc.data() : {});
+    
   } catch (error) {
-    console.error('Error deleting provider:', error);
+    console.error('Error getting dashboard stats:', error);
     throw error;
+  } finally {
+    if (stopTracking) {
+      window.PerformanceMonitoring.stopTrace('admin_dashboard_stats');
+    }
   }
 }
 
 /**
- * Log admin changes for audit trail
- * @param {Object} changeData - Change data
- * @returns {Promise<void>}
+ * Flatten a stats document into dashboard statistics
+ * @param {Object} data - `stats/current` or `stats_daily` document data
+ * @returns {Object} Dashboard statistics
  */
-async function logAdminChange(changeData) {
+function toDashboardStats(data) {
+  const providers = data.providers || {};
+  const users = data.users || {};
+  const totalProviders = providers.total || 0;
+  const verifiedProviders = providers.verified || 0;
+  
+  return {
+    totalProviders,
+    verifiedProviders,
+    unverifiedProviders: totalProviders - verifiedProviders,
+    pendingVerifications: data.verifications?.pending || 0,
+    claimedProfiles: providers.claimed || 0,
+    totalUsers: users.total || 0,
+    activeUsers: users.active || 0,
+    chatbotMessages: data.chatbot?.messages || 0,
+    chatbotSessions: data.chatbot?.sessions || 0,
+    providersByType: providers.byType || {},
+    providersByCity: providers.byCity || {},
+    usersByRole: users.byRole || {},
+    updatedAt: data.updatedAt ? data.updatedAt.toDate() : null
+  };
+}
+
+/**
+ * Get daily statistics snapshots (admin only)
+ * @param {number} days - Number of days (default: 30)
+ * @returns {Promise<Array>} Dashboard statistics with `date` (YYYY-MM-DD), oldest first
+ */
+async function getStatsHistory(days = 30) {
   try {
-    await db.collection('admin_logs').add(changeData);
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can access dashboard statistics');
+    }
+    
+    const snapshot = await db.collection('stats_daily')
+      .orderBy('date', 'desc')
+      .limit(days)
+      .get();
+    
+    const history = [];
+    snapshot.forEach(doc => {
+      history.push({ ...toDashboardStats(doc.data()), date: doc.data().date });
+    });
+    
+    return history.reverse();
+    
   } catch (error) {
-    console.error('Error logging admin change:', error);
-    // Don't throw error, just log it
+    console.error('Error getting statistics history:', error);
+    throw error;
   }
 }
 
 /**
- * Get system data (account types, specialties, service categories)
- * @returns {Promise<Object>} System data
+ * Recount dashboard statistics from scratch (admin only)
+ * Runs the `rebuildStats` Cloud Function
+ * @returns {Promise<Object>} Recomputed counters
  */
-async function getSystemData() {
+async function rebuildStats() {
   try {
     const user = await authModule.getCurrentUser();
     
     if (!user || user.role !== 'admin') {
-      throw new Error('Only admins can access system data');
+      throw new Error('Only admins can rebuild statistics');
+    }
+    
+    const rebuild = firebase.functions().httpsCallable('rebuildStats');
+    const result = await rebuild();
+    
+    // Log change
+    await logAdminChange({
+      action: 'rebuild_stats',
+      adminId: user.uid,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    
+    return result.data;
+    
+  } catch (error) {
+    console.error('Error rebuilding statistics:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the open questions the chatbot could not answer, grouped by
+ * similarity (admin only)
+ * @param {number} limit - Maximum number of questions read (default: 500)
+ * @returns {Promise<Array>} Groups from ChatbotTranscripts.groupQuestions,
+ * largest first; each question has its id, sessionId and Date `createdAt`
+ */
+async function getUnmatchedChatbotQuestions(limit = 500) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can review chatbot questions');
+    }
+    
+    const snapshot = await db.collection('chatbot_unmatched')
+      .where('status', '==', 'open')
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get();
+    
+    const questions = snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data(),
+      createdAt: doc.data().createdAt ? doc.data().createdAt.toDate() : null
+    }));
+    
+    return ChatbotTranscripts.groupQuestions(questions);
+    
+  } catch (error) {
+    console.error('Error getting unmatched chatbot questions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Close unmatched chatbot questions (admin only)
+ * @param {Array<string>} questionIds - Question IDs (at most 500)
+ * @param {string} status - 'answered' once an answer covers them, or 'dismissed'
+ * @returns {Promise<void>}
+ */
+async function reviewChatbotQuestions(questionIds, status) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can review chatbot questions');
+    }
+    
+    if (!['answered', 'dismissed'].includes(status)) {
+      throw new Error('Invalid question status');
+    }
+    
+    if (!Array.isArray(questionIds) || questionIds.length === 0 || questionIds.length > 500) {
+      throw new Error('Between 1 and 500 questions can be reviewed at once');
+    }
+    
+    const batch = db.batch();
+    
+    questionIds.forEach(questionId => {
+      batch.update(db.collection('chatbot_unmatched').doc(questionId), {
+        status,
+        reviewedBy: user.uid,
+        reviewedAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+    });
+    
+    await batch.commit();
+    
+    // Log change
+    await logAdminChange({
+      action: 'review_chatbot_questions',
+      questionIds,
+      adminId: user.uid,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+      data: { status }
+    });
+    
+  } catch (error) {
+    console.error('Error reviewing chatbot questions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the anonymized transcript of a chatbot session (admin only)
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Array>} Messages with Date `createdAt`, oldest first
+ */
+async function getChatbotTranscript(sessionId) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can read chatbot transcripts');
+    }
+    
+    const snapshot = await db.collection('chatbot_sessions').doc(sessionId)
+      .collection('messages')
+      .orderBy('createdAt', 'asc')
+      .get();
+    
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data(),
+      createdAt: doc.data().createdAt ? doc.data().createdAt.toDate() : null
+    }));
+    
+  } catch (error) {
+    console.error('Error getting chatbot transcript:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the chatbot patterns and answers, enabled or not (admin only)
+ * @returns {Promise<Array>} Entries, answers first
+ */
+async function getChatbotAnswers() {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can manage chatbot answers');
+    }
+    
+    const snapshot = await db.collection(ChatbotEngine.CUSTOM_ENTRIES_COLLECTION).get();
+    
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) =>
+        ChatbotEngine.CUSTOM_ENTRY_TYPES.indexOf(b.type) - ChatbotEngine.CUSTOM_ENTRY_TYPES.indexOf(a.type) ||
+        (a.keywords || []).join(', ').localeCompare((b.keywords || []).join(', '))
+      );
+    
+  } catch (error) {
+    console.error('Error getting chatbot answers:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create or update a chatbot pattern or answer (admin only). The web app
+ * and the Cloud Function pick it up within ChatbotEngine.CUSTOM_ENTRIES_TTL_MS.
+ * @param {Object} entry - Entry data
+ * @param {string} entry.type - 'pattern' (more keywords for an intent) or 'answer'
+ * @param {string} entry.intent - ChatbotEngine.INTENT_PATTERNS key (patterns)
+ * @param {Array<string>} entry.keywords - Keywords, in any language
+ * @param {Object} entry.answers - Answer per language { en, fr, ar } (answers)
+ * @param {boolean} entry.enabled - Whether the chatbot uses the entry
+ * @param {string} entryId - Entry ID to update (optional)
+ * @returns {Promise<string>} Entry ID
+ */
+async function saveChatbotAnswer(entry, entryId = null) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can manage chatbot answers');
+    }
+    
+    const entryData = {
+      type: entry.type,
+      keywords: [...new Set((entry.keywords || []).map(keyword => String(keyword).trim()).filter(Boolean))],
+      enabled: entry.enabled !== false
+    };
+    
+    if (entry.type === 'pattern') {
+      entryData.intent = entry.intent;
+    } else {
+      entryData.answers = {};
+      ['en', 'fr', 'ar'].forEach(language => {
+        const text = String((entry.answers || {})[language] || '').trim();
+        if (text) entryData.answers[language] = text;
+      });
+    }
+    
+    const validationError = ChatbotEngine.validateCustomEntry(entryData);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+    
+    const entryRef = entryId
+      ? db.collection(ChatbotEngine.CUSTOM_ENTRIES_COLLECTION).doc(entryId)
+      : db.collection(ChatbotEngine.CUSTOM_ENTRIES_COLLECTION).doc();
+    const oldDoc = entryId ? await entryRef.get() : null;
+    
+    // Replace the whole entry so switching between a pattern and an answer
+    // does not leave the other fields behind
+    await entryRef.set({
+      ...entryData,
+      updatedBy: user.uid,
+      createdAt: oldDoc && oldDoc.exists && oldDoc.data().createdAt
+        ? oldDoc.data().createdAt
+        : firebase.firestore.FieldValue.serverTimestamp(),
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    
+    // Log change
+    await logAdminChange({
+      action: 'save_chatbot_answer',
+      entryId: entryRef.id,
+      adminId: user.uid,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+      oldData: oldDoc && oldDoc.exists ? oldDoc.data() : null,
+      newData: entryData
+    });
+    
+    return entryRef.id;
+    
+  } catch (error) {
+    console.error('Error saving chatbot answer:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a chatbot pattern or answer (admin only)
+ * @param {string} entryId - Entry ID
+ * @returns {Promise<void>}
+ */
+async function deleteChatbotAnswer(entryId) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can manage chatbot answers');
+    }
+    
+    const entryRef = db.collection(ChatbotEngine.CUSTOM_ENTRIES_COLLECTION).doc(entryId);
+    const entryDoc = await entryRef.get();
+    
+    await entryRef.delete();
+    
+    // Log change
+    await logAdminChange({
+      action: 'delete_chatbot_answer',
+      entryId,
+      adminId: user.uid,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+      data: entryDoc.exists ? entryDoc.data() : null
+    });
+    
+  } catch (error) {
+    console.error('Error deleting chatbot answer:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all providers with search and filters (admin only)
+ * @param {Object} options - Search and filter options
+ * @param {Array<string>} options.fields - Specific fields to retrieve (optional)
+ * @param {boolean} options.trashed - List trashed providers instead (default: false)
+ * @returns {Promise<Array>} Array of providers
+ */
+async function getAllProviders(options = {}) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can access all providers');
+    }
+    
+    // Track Firestore query performance
+    const stopTracking = window.PerformanceMonitoring 
+      ? window.PerformanceMonitoring.trackFirestoreQuery('providers', 'admin_read')
+      : null;
+    
+    let query = db.collection('providers');
+    
+    // Apply filters
+    if (options.verified !== undefined) {
+      query = query.where('verified', '==', options.verified);
+    }
+    
+    if (options.claimed !== undefined) {
+      query = query.where('claimed', '==', options.claimed);
+    }
+    
+    if (options.type) {
+      query = query.where('type', '==', options.type);
+    }
+    
+    // Order by creation date. The trash is read directly: only trashed
+    // providers have `purgeAt` (single-field index, no composite index
+    // needed without filters), soonest purged first.
+    query = options.trashed
+      ? query.orderBy('purgeAt', 'asc')
+      : query.orderBy('createdAt', 'desc');
+    
+    // Apply limit
+    if (options.limit) {
+      query = query.limit(options.limit);
+    }
+    
+    const snapshot = await query.get();
+    
+    const providers = [];
+    snapshot.forEach(doc => {
+      const data = doc.data();
+      
+      // Trashed providers are only listed when asked for
+      if (!!data.deletedAt !== !!options.trashed) {
+        return;
+      }
+      
+      // If specific fields requested, return only those fields
+      if (options.fields && Array.isArray(options.fields)) {
+        const filteredData = { id: doc.id };
+        options.fields.forEach(field => {
+          if (data[field] !== undefined) {
+            filteredData[field] = data[field];
+          }
+        });
+        providers.push(filteredData);
+      } else {
+        providers.push({
+          id: doc.id,
+          ...data
+        });
+      }
+    });
+    
+    // Apply search filter on client side (for name search)
+    if (options.search) {
+      const searchLower = options.search.toLowerCase();
+      return providers.filter(p => 
+        (p.name && p.name.toLowerCase().includes(searchLower)) ||
+        (p.nameAr && p.nameAr.includes(options.search)) ||
+        (p.nameFr && p.nameFr.toLowerCase().includes(searchLower))
+      );
+    }
+    
+    // Stop performance tracking
+    if (stopTracking) stopTracking();
+    
+    return providers;
+    
+  } catch (error) {
+    console.error('Error getting all providers:', error);
+    
+    // Stop performance tracking on error
+    if (stopTracking) stopTracking();
+    
+    throw error;
+  }
+}
+
+/**
+ * Create a new provider profile (admin only)
+ * @param {Object} providerData - Provider data
+ * @returns {Promise<string>} Provider ID
+ */
+async function createProvider(providerData) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can create provider profiles');
+    }
+    
+    // Validate required fields
+    if (!providerData.name || !providerData.type) {
+      throw new Error('Provider name and type are required');
+    }
+    
+    // Add metadata
+    const newProvider = {
+      ...providerData,
+      createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      createdBy: user.uid,
+      verified: providerData.verified || false,
+      claimed: providerData.claimed || false,
+      preloaded: providerData.preloaded || false
+    };
+    
+    const docRef = await db.collection('providers').add(newProvider);
+    
+    // Log change
+    await logAdminChange({
+      action: 'create_provider',
+      providerId: docRef.id,
+      adminId: user.uid,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+      data: newProvider
+    });
+    
+    // Log analytics event
+    if (window.analytics) {
+      analytics.logEvent('admin_create_provider', {
+        provider_id: docRef.id,
+        provider_type: providerData.type
+      });
+    }
+    
+    return docRef.id;
+    
+  } catch (error) {
+    console.error('Error creating provider:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a provider profile (admin only)
+ * @param {string} providerId - Provider ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<void>}
+ */
+async function updateProvider(providerId, updates) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can update provider profiles');
+    }
+    
+    // Get current provider data for logging
+    const providerDoc = await db.collection('providers').doc(providerId).get();
+    const oldData = providerDoc.data();
+    
+    // Add update metadata
+    const updateData = {
+      ...updates,
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedBy: user.uid
+    };
+    
+    await db.collection('providers').doc(providerId).update(updateData);
+    
+    // Log change
+    await logAdminChange({
+      action: 'update_provider',
+      providerId: providerId,
+      adminId: user.uid,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+      oldData: oldData,
+      newData: updates
+    });
+    
+    // Log analytics event
+    if (window.analytics) {
+      analytics.logEvent('admin_update_provider', {
+        provider_id: providerId
+      });
+    }
+    
+  } catch (error) {
+    console.error('Error updating provider:', error);
+    throw error;
+  }
+}
+
+/**
+ * Days a trashed provider is kept before the `purgeTrashedProviders` Cloud
+ * Function deletes it with its images
+ */
+const TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Trash fields written when a provider is deleted
+ * @param {Object} user - Current admin
+ * @returns {Object} Firestore update
+ */
+function getTrashUpdate(user) {
+  const purgeAt = new Date();
+  purgeAt.setDate(purgeAt.getDate() + TRASH_RETENTION_DAYS);
+  
+  return {
+    deletedAt: firebase.firestore.FieldValue.serverTimestamp(),
+    deletedBy: user.uid,
+    purgeAt: firebase.firestore.Timestamp.fromDate(purgeAt)
+  };
+}
+
+/**
+ * Delete a provider profile (admin only)
+ * The provider is moved to the trash, hidden from every public listing, and
+ * can be restored until it is purged after TRASH_RETENTION_DAYS.
+ * @param {string} providerId - Provider ID
+ * @returns {Promise<void>}
+ */
+async function deleteProvider(providerId) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can delete provider profiles');
+    }
+    
+    // Get provider data for logging
+    const providerDoc = await db.collection('providers').doc(providerId).get();
+    
+    if (!providerDoc.exists) {
+      throw new Error('Provider not found');
+    }
+    
+    const trashUpdate = getTrashUpdate(user);
+    
+    // Move provider to the trash
+    await db.collection('providers').doc(providerId).update(trashUpdate);
+    
+    // Log change
+    await logAdminChange({
+      action: 'delete_provider',
+      providerId: providerId,
+      adminId: user.uid,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+      data: providerDoc.data(),
+      purgeAt: trashUpdate.purgeAt
+    });
+    
+    // Log analytics event
+    if (window.analytics) {
+      analytics.logEvent('admin_delete_provider', {
+        provider_id: providerId
+      });
+    }
+    
+  } catch (error) {
+    console.error('Error deleting provider:', error);
+    throw error;
+  }
+}
+
+/**
+ * Restore a provider from the trash (admin only)
+ * @param {string} providerId - Provider ID
+ * @returns {Promise<void>}
+ */
+async function restoreProvider(providerId) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can restore providers');
+    }
+    
+    const providerDoc = await db.collection('providers').doc(providerId).get();
+    
+    if (!providerDoc.exists) {
+      throw new Error('Provider not found. It may already have been purged.');
+    }
+    
+    const { deletedAt, deletedBy, purgeAt } = providerDoc.data();
+    
+    if (!deletedAt) {
+      throw new Error('Provider is not in the trash');
+    }
+    
+    await db.collection('providers').doc(providerId).update({
+      deletedAt: firebase.firestore.FieldValue.delete(),
+      deletedBy: firebase.firestore.FieldValue.delete(),
+      purgeAt: firebase.firestore.FieldValue.delete(),
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedBy: user.uid
+    });
+    
+    // Log change
+    await logAdminChange({
+      action: 'restore_provider',
+      providerId: providerId,
+      adminId: user.uid,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+      oldData: { deletedAt, deletedBy, purgeAt },
+      newData: { deletedAt: null, deletedBy: null, purgeAt: null }
+    });
+    
+    // Log analytics event
+    if (window.analytics) {
+      analytics.logEvent('admin_restore_provider', {
+        provider_id: providerId
+      });
+    }
+    
+  } catch (error) {
+    console.error('Error restoring provider:', error);
+    throw error;
+  }
+}
+
+/**
+ * Log admin changes for audit trail
+ * @param {Object} changeData - Change data
+ * @returns {Promise<void>}
+ */
+async function logAdminChange(changeData) {
+  try {
+    await db.collection('admin_logs').add(changeData);
+  } catch (error) {
+    console.error('Error logging admin change:', error);
+    // Don't throw error, just log it
+  }
+}
+
+/**
+ * Query audit log entries, newest first. Admin and dates are filtered by
+ * Firestore; entity filters are applied client-side, reading further pages
+ * until `limit` entries match.
+ * @param {Object} filters - { adminId, entity, entityId, from, to } (Dates)
+ * @param {Object} options - { limit, startAfter (cursor from a previous call),
+ *   pageSize (default: limit, at least 50), maxPages (default 10) }
+ * @returns {Promise<Object>} { entries, cursor, hasMore }
+ */
+async function queryAuditLog(filters, options) {
+  const pageSize = options.pageSize || Math.max(options.limit, 50);
+  const maxPages = options.maxPages || 10;
+  const entries = [];
+  let cursor = options.startAfter || null;
+  let hasMore = true;
+  
+  for (let page = 0; page < maxPages && entries.length < options.limit && hasMore; page++) {
+    let query = db.collection('admin_logs');
+    
+    if (filters.adminId) {
+      query = query.where('adminId', '==', filters.adminId);
+    }
+    if (filters.from) {
+      query = query.where('timestamp', '>=', firebase.firestore.Timestamp.fromDate(filters.from));
+    }
+    if (filters.to) {
+      query = query.where('timestamp', '<=', firebase.firestore.Timestamp.fromDate(filters.to));
+    }
+    
+    query = query.orderBy('timestamp', 'desc');
+    if (cursor) {
+      query = query.startAfter(cursor);
+    }
+    
+    const snapshot = await query.limit(pageSize).get();
+    hasMore = snapshot.size === pageSize;
+    
+    for (const doc of snapshot.docs) {
+      cursor = doc;
+      const entry = { id: doc.id, ...doc.data() };
+      
+      if (AuditLog.matchesFilters(entry, filters)) {
+        entries.push(entry);
+        if (entries.length === options.limit) {
+          hasMore = hasMore || doc !== snapshot.docs[snapshot.docs.length - 1];
+          break;
+        }
+      }
+    }
+  }
+  
+  return { entries, cursor, hasMore };
+}
+
+/**
+ * Get audit log entries (admin only)
+ * @param {Object} filters - { adminId, entity, entityId, from, to } (Dates)
+ * @param {Object} options - { limit, startAfter }
+ * @returns {Promise<Object>} { entries, cursor, hasMore }; pass `cursor` as
+ *   `startAfter` to load the next page
+ */
+async function getAuditLog(filters = {}, options = {}) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can view the audit log');
+    }
+    
+    return await queryAuditLog(filters, {
+      limit: options.limit || 50,
+      startAfter: options.startAfter
+    });
+    
+  } catch (error) {
+    console.error('Error getting audit log:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get admin accounts, for the audit log filter (admin only)
+ * @returns {Promise<Array>} { id, name } sorted by name
+ */
+async function getAdminUsers() {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can list admin accounts');
+    }
+    
+    const snapshot = await db.collection('users')
+      .where('role', '==', 'admin')
+      .get();
+    
+    const admins = [];
+    snapshot.forEach(doc => {
+      const data = doc.data();
+      admins.push({ id: doc.id, name: data.displayName || data.email || doc.id });
+    });
+    
+    return admins.sort((a, b) => a.name.localeCompare(b.name));
+    
+  } catch (error) {
+    console.error('Error getting admin users:', error);
+    throw error;
+  }
+}
+
+/**
+ * Most entries in one audit log export, and the log entries read per query
+ * while exporting (entity filters are applied client-side, so up to
+ * AUDIT_EXPORT_MAX_PAGES pages are read)
+ */
+const AUDIT_EXPORT_LIMIT = 10000;
+const AUDIT_EXPORT_PAGE_SIZE = 500;
+const AUDIT_EXPORT_MAX_PAGES = 100;
+
+/**
+ * Export audit log entries as CSV, one row per changed field (admin only).
+ * Exports are never cut short: when more than AUDIT_EXPORT_LIMIT entries
+ * match, or the scan stops before the end of the log, nothing is exported.
+ * @param {Object} filters - { adminId, entity, entityId, from, to } (Dates)
+ * @returns {Promise<Object>} { content, fileName, mimeType, count }
+ * @throws {Error} - If the matching entries do not fit in one export
+ */
+async function exportAuditLog(filters = {}) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can export the audit log');
+    }
+    
+    // One entry past the limit tells a full export from a truncated one
+    const { entries, hasMore } = await queryAuditLog(filters, {
+      limit: AUDIT_EXPORT_LIMIT + 1,
+      pageSize: AUDIT_EXPORT_PAGE_SIZE,
+      maxPages: AUDIT_EXPORT_MAX_PAGES
+    });
+    
+    if (entries.length > AUDIT_EXPORT_LIMIT) {
+      throw new Error(`More than ${AUDIT_EXPORT_LIMIT} audit log entries match. Narrow the dates or filters and export again.`);
+    }
+    if (hasMore) {
+      throw new Error('Too many audit log entries to search for this filter. Narrow the dates or pick an admin and export again.');
+    }
+    
+    const admins = await getAdminUsers();
+    const adminNames = Object.fromEntries(admins.map(admin => [admin.id, admin.name]));
+    
+    // Log export, so compliance exports are themselves audited
+    await logAdminChange({
+      action: 'export_audit_log',
+      adminId: user.uid,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+      filters: {
+        adminId: filters.adminId || null,
+        entity: filters.entity || null,
+        entityId: filters.entityId || null,
+        from: filters.from || null,
+        to: filters.to || null
+      },
+      count: entries.length
+    });
+    
+    return {
+      // The BOM lets Excel detect UTF-8
+      content: '\uFEFF' + AuditLog.toCSV(entries, adminNames),
+      fileName: ProviderExport.getFileName('audit-log', 'csv'),
+      mimeType: 'text/csv;charset=utf-8',
+      count: entries.length
+    };
+    
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get system data (account types, specialties, service categories)
+ * @returns {Promise<Object>} System data
+ */
+async function getSystemData() {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can access system data');
+    }
+    
+    const systemDoc = await db.collection('system').doc('data').get();
+    
+    if (!systemDoc.exists) {
+      // Return default data if not exists
+      return {
+        accountTypes: ['clinic', 'hospital', 'doctor', 'pharmacy', 'lab'],
+        specialties: [
+          'General Medicine',
+          'Cardiology',
+          'Dermatology',
+          'Pediatrics',
+          'Orthopedics',
+          'Neurology',
+          'Psychiatry',
+          'Ophthalmology',
+          'ENT',
+          'Dentistry'
+        ],
+        serviceCategories: [
+          'Consultation',
+          'Emergency',
+          'Surgery',
+          'Diagnostics',
+          'Pharmacy',
+          'Laboratory'
+        ]
+      };
+    }
+    
+    return systemDoc.data();
+    
+  } catch (error) {
+    console.error('Error getting system data:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update system data (admin only)
+ * @param {Object} systemData - System data to update
+ * @returns {Promise<void>}
+ */
+async function updateSystemData(systemData) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can update system data');
+    }
+    
+    const systemDoc = await db.collection('system').doc('data').get();
+    const oldData = systemDoc.exists ? systemDoc.data() : {};
+    
+    await db.collection('system').doc('data').set({
+      ...systemData,
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedBy: user.uid
+    }, { merge: true });
+    
+    // Log change
+    await logAdminChange({
+      action: 'update_system_data',
+      adminId: user.uid,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+      oldData: oldData,
+      newData: systemData
+    });
+    
+    // Log analytics event
+    if (window.analytics) {
+      analytics.logEvent('admin_update_system_data');
+    }
+    
+  } catch (error) {
+    console.error('Error updating system data:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add account type (admin only)
+ * @param {string} accountType - Account type to add
+ * @returns {Promise<void>}
+ */
+async function addAccountType(accountType) {
+  try {
+    const systemData = await getSystemData();
+    
+    if (!systemData.accountTypes) {
+      systemData.accountTypes = [];
+    }
+    
+    if (systemData.accountTypes.includes(accountType)) {
+      throw new Error('Account type already exists');
+    }
+    
+    systemData.accountTypes.push(accountType);
+    await updateSystemData(systemData);
+    
+  } catch (error) {
+    console.error('Error adding account type:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove account type (admin only)
+ * @param {string} accountType - Account type to remove
+ * @returns {Promise<void>}
+ */
+async function removeAccountType(accountType) {
+  try {
+    const systemData = await getSystemData();
+    
+    if (!systemData.accountTypes) {
+      throw new Error('No account types found');
+    }
+    
+    systemData.accountTypes = systemData.accountTypes.filter(t => t !== accountType);
+    await updateSystemData(systemData);
+    
+  } catch (error) {
+    console.error('Error removing account type:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add specialty (admin only)
+ * @param {string} specialty - Specialty to add
+ * @returns {Promise<void>}
+ */
+async function addSpecialty(specialty) {
+  try {
+    const systemData = await getSystemData();
+    
+    if (!systemData.specialties) {
+      systemData.specialties = [];
+    }
+    
+    if (systemData.specialties.includes(specialty)) {
+      throw new Error('Specialty already exists');
+    }
+    
+    systemData.specialties.push(specialty);
+    await updateSystemData(systemData);
+    
+  } catch (error) {
+    console.error('Error adding specialty:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove specialty (admin only)
+ * @param {string} specialty - Specialty to remove
+ * @returns {Promise<void>}
+ */
+async function removeSpecialty(specialty) {
+  try {
+    const systemData = await getSystemData();
+    
+    if (!systemData.specialties) {
+      throw new Error('No specialties found');
+    }
+    
+    systemData.specialties = systemData.specialties.filter(s => s !== specialty);
+    await updateSystemData(systemData);
+    
+  } catch (error) {
+    console.error('Error removing specialty:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add service category (admin only)
+ * @param {string} category - Service category to add
+ * @returns {Promise<void>}
+ */
+async function addServiceCategory(category) {
+  try {
+    const systemData = await getSystemData();
+    
+    if (!systemData.serviceCategories) {
+      systemData.serviceCategories = [];
+    }
+    
+    if (systemData.serviceCategories.includes(category)) {
+      throw new Error('Service category already exists');
+    }
+    
+    systemData.serviceCategories.push(category);
+    await updateSystemData(systemData);
+    
+  } catch (error) {
+    console.error('Error adding service category:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove service category (admin only)
+ * @param {string} category - Service category to remove
+ * @returns {Promise<void>}
+ */
+async function removeServiceCategory(category) {
+  try {
+    const systemData = await getSystemData();
+    
+    if (!systemData.serviceCategories) {
+      throw new Error('No service categories found');
+    }
+    
+    systemData.serviceCategories = systemData.serviceCategories.filter(c => c !== category);
+    await updateSystemData(systemData);
+    
+  } catch (error) {
+    console.error('Error removing service category:', error);
+    throw error;
+  }
+}
+
+/**
+ * Export providers as CSV or JSON (admin only)
+ * CSV uses the initial-providers.csv columns so the file can be re-imported;
+ * JSON keeps every field and the document IDs, for backups.
+ * @param {Object} options - { format: 'csv' | 'json', type, city, verified }
+ * @returns {Promise<Object>} { content, fileName, mimeType, count }
+ */
+async function exportProviders(options = {}) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can export providers');
+    }
+    
+    const format = options.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+    
+    const filters = {
+      type: options.type || null,
+      city: options.city || null,
+      verified: typeof options.verified === 'boolean' ? options.verified : null
+    };
+    
+    // Type and verification narrow the query; city is matched client-side
+    // so accents and case don't matter
+    const providers = (await getAllProviders({
+      type: filters.type || undefined,
+      verified: filters.verified === null ? undefined : filters.verified
+    })).filter(provider => ProviderExport.matchesFilters(provider, filters));
+    
+    const baseName = ['providers', filters.type, filters.city].filter(Boolean).join('-');
+    const result = format === 'csv'
+      ? {
+        // The BOM lets Excel detect UTF-8 (accents, Arabic names)
+        content: '\uFEFF' + ProviderExport.toCSV(providers),
+        fileName: ProviderExport.getFileName(baseName, 'csv'),
+        mimeType: 'text/csv;charset=utf-8'
+      }
+      : {
+        content: ProviderExport.toJSON(providers),
+        fileName: ProviderExport.getFileName(baseName, 'json'),
+        mimeType: 'application/json'
+      };
+    
+    // Log export
+    await logAdminChange({
+      action: 'export_providers',
+      adminId: user.uid,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+      format,
+      filters,
+      count: providers.length
+    });
+    
+    if (window.analytics) {
+      analytics.logEvent('admin_export_providers', {
+        format,
+        count: providers.length
+      });
+    }
+    
+    return { ...result, count: providers.length };
+    
+  } catch (error) {
+    console.error('Error exporting providers:', error);
+    throw error;
+  }
+}
+
+/**
+ * Parse and validate a provider CSV without writing anything (admin only).
+ * Flags rows with validation errors and rows that duplicate an existing
+ * provider (same phone, or same name in the same city) or an earlier row.
+ * Existing duplicates are looked up by the rows' keys in `duplicateKeys`,
+ * kept by the syncProviderDuplicateKeys Cloud Function.
+ * @param {string} csvText - CSV text content (comma or semicolon separated)
+ * @param {Object} mapping - Field name to column index (guessed from headers when omitted)
+ * @returns {Promise<Object>} Preview with headers, mapping, missingFields, rows and summary
+ */
+async function previewProviderImport(csvText, mapping = null) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can bulk import providers');
+    }
+    
+    const records = CSV.parse(csvText);
+    if (records.length < 2) {
+      throw new Error('CSV file must contain at least a header row and one data row');
+    }
+    
+    const headers = records[0].map(header => header.trim());
+    const columnMapping = mapping || ProviderImport.guessMapping(headers);
+    const missingFields = ProviderImport.getMissingFields(columnMapping);
+    
+    // Without the required columns every row would fail the same way
+    if (missingFields.length > 0) {
+      return {
+        headers,
+        mapping: columnMapping,
+        missingFields,
+        rows: [],
+        summary: { total: records.length - 1, valid: 0, invalid: 0, duplicates: 0 }
+      };
+    }
+    
+    // Only read the providers sharing a duplicate key with an imported row
+    const keys = new Set();
+    records.slice(1).forEach(values => {
+      const { provider } = ProviderImport.buildProvider(values, columnMapping);
+      ProviderImport.getDuplicateKeys(provider).forEach(key => keys.add(key));
+    });
+    
+    const keyList = [...keys];
+    const matches = new Map();
+    const queryLimit = 30; // Firestore limit for array-contains-any
+    
+    for (let i = 0; i < keyList.length; i += queryLimit) {
+      const snapshot = await db.collection('providers')
+        .where('duplicateKeys', 'array-contains-any', keyList.slice(i, i + queryLimit))
+        .get();
+      snapshot.docs.forEach(doc => matches.set(doc.id, { id: doc.id, ...doc.data() }));
+    }
+    
+    const existing = [...matches.values()];
+    const rows = ProviderImport.validateRecords(records, columnMapping, existing);
+    
+    return {
+      headers,
+      mapping: columnMapping,
+      missingFields,
+      rows,
+      summary: {
+        total: rows.length,
+        valid: rows.filter(row => row.errors.length === 0 && !row.duplicate).length,
+        invalid: rows.filter(row => row.errors.length > 0).length,
+        duplicates: rows.filter(row => row.duplicate).length
+      }
+    };
+    
+  } catch (error) {
+    console.error('Error previewing provider import:', error);
+    throw error;
+  }
+}
+
+/**
+ * Bulk import providers from CSV data (admin only)
+ * Validates like previewProviderImport, then writes the valid rows using
+ * batch operations. Duplicate rows are skipped unless importDuplicates is set.
+ * @param {string} csvText - CSV text content
+ * @param {Object} options - { mapping, dryRun, importDuplicates }
+ * @returns {Promise<Object>} Import results with success and error counts
+ */
+async function bulkImportProviders(csvText, options = {}) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can bulk import providers');
+    }
+    
+    const preview = await previewProviderImport(csvText, options.mapping || null);
+    
+    if (preview.missingFields.length > 0) {
+      throw new Error(`Missing required fields: ${preview.missingFields.join(', ')}`);
+    }
+    
+    if (options.dryRun) {
+      return preview;
+    }
+    
+    const results = {
+      total: preview.rows.length,
+      success: 0,
+      errors: [],
+      skipped: [],
+      imported: []
+    };
+    
+    // Prepare provider data for batch operations
+    const providersToImport = [];
+    
+    preview.rows.forEach(row => {
+      if (row.errors.length > 0) {
+        results.errors.push({ row: row.row, error: row.errors.join('; ') });
+        return;
+      }
+      
+      if (row.duplicate && !options.importDuplicates) {
+        results.skipped.push({ row: row.row, name: row.provider.name, duplicate: row.duplicate });
+        return;
+      }
+      
+      providersToImport.push({
+        row: row.row,
+        data: {
+          ...row.provider,
+          verified: true, // Preloaded profiles are verified
+          claimed: false,
+          preloaded: true,
+          // Ratings come from patient reviews (see onReviewWrite Cloud Function)
+          rating: 0,
+          reviewCount: 0,
+          ratingTotal: 0,
+          viewCount: 0,
+          createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+          updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+          createdBy: user.uid
+        }
+      });
+    });
+    
+    // Use batch operations for better performance (max 500 per batch)
+    const batchSize = 500;
+    
+    for (let i = 0; i < providersToImport.length; i += batchSize) {
+      const chunk = providersToImport.slice(i, i + batchSize);
+      const batch = db.batch();
+      
+      chunk.forEach(item => {
+        const docRef = db.collection('providers').doc();
+        batch.set(docRef, item.data);
+        
+        results.imported.push({
+          id: docRef.id,
+          name: item.data.name
+        });
+      });
+      
+      try {
+        await batch.commit();
+        results.success += chunk.length;
+      } catch (error) {
+        console.error('Batch commit error:', error);
+        chunk.forEach(item => {
+          results.errors.push({
+            row: item.row,
+            error: error.message
+          });
+        });
+      }
     }
     
-    const systemDoc = await db.collection('system').doc('data').get();
+    // Log bulk import
+    await logAdminChange({
+      action: 'bulk_import_providers',
+      adminId: user.uid,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+      results: {
+        total: results.total,
+        success: results.success,
+        errors: results.errors.length,
+        skipped: results.skipped.length
+      }
+    });
     
-    if (!systemDoc.exists) {
-      // Return default data if not exists
-      return {
-        accountTypes: ['clinic', 'hospital', 'doctor', 'pharmacy', 'lab'],
-        specialties: [
-          'General Medicine',
-          'Cardiology',
-          'Dermatology',
-          'Pediatrics',
-          'Orthopedics',
-          'Neurology',
-          'Psychiatry',
-          'Ophthalmology',
-          'ENT',
-          'Dentistry'
-        ],
-        serviceCategories: [
-          'Consultation',
-          'Emergency',
-          'Surgery',
-          'Diagnostics',
-          'Pharmacy',
-          'Laboratory'
-        ]
-      };
+    // Log analytics event
+    if (window.analytics) {
+      analytics.logEvent('admin_bulk_import', {
+        total: results.total,
+        success: results.success,
+        errors: results.errors.length,
+        skipped: results.skipped.length
+      });
     }
     
-    return systemDoc.data();
+    return results;
     
   } catch (error) {
-    console.error('Error getting system data:', error);
+    console.error('Error bulk importing providers:', error);
     throw error;
   }
 }
 
 /**
- * Update system data (admin only)
- * @param {Object} systemData - System data to update
- * @returns {Promise<void>}
+ * Rebuild the full-text search index for every provider (admin only)
+ * Runs the `rebuildSearchIndex` Cloud Function
+ * @returns {Promise<Object>} { scanned, updated }
  */
-async function updateSystemData(systemData) {
+async function rebuildSearchIndex() {
   try {
     const user = await authModule.getCurrentUser();
     
     if (!user || user.role !== 'admin') {
-      throw new Error('Only admins can update system data');
+      throw new Error('Only admins can rebuild the search index');
     }
     
-    await db.collection('system').doc('data').set({
-      ...systemData,
-      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
-      updatedBy: user.uid
-    }, { merge: true });
+    const rebuild = firebase.functions().httpsCallable('rebuildSearchIndex');
+    const result = await rebuild();
     
     // Log change
     await logAdminChange({
-      action: 'update_system_data',
+      action: 'rebuild_search_index',
       adminId: user.uid,
       timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-      data: systemData
+      results: result.data
     });
     
-    // Log analytics event
-    if (window.analytics) {
-      analytics.logEvent('admin_update_system_data');
-    }
+    return result.data;
     
   } catch (error) {
-    console.error('Error updating system data:', error);
+    console.error('Error rebuilding search index:', error);
     throw error;
   }
 }
 
 /**
- * Add account type (admin only)
- * @param {string} accountType - Account type to add
- * @returns {Promise<void>}
+ * Get duty roster shifts that end after a date (admin only)
+ * @param {Object} options - Query options
+ * @param {Date} options.from - Only shifts ending after this date (default: now)
+ * @param {number} options.limit - Maximum number of shifts (default: 100)
+ * @returns {Promise<Array>} Shifts with Date `startsAt`/`endsAt`, earliest first
  */
-async function addAccountType(accountType) {
+async function getDutyRoster(options = {}) {
   try {
-    const systemData = await getSystemData();
+    const user = await authModule.getCurrentUser();
     
-    if (!systemData.accountTypes) {
-      systemData.accountTypes = [];
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can manage the duty roster');
     }
     
-    if (systemData.accountTypes.includes(accountType)) {
-      throw new Error('Account type already exists');
-    }
+    const snapshot = await db.collection('duty_roster')
+      .where('endsAt', '>', options.from || new Date())
+      .orderBy('endsAt')
+      .limit(options.limit || 100)
+      .get();
     
-    systemData.accountTypes.push(accountType);
-    await updateSystemData(systemData);
+    return snapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        startsAt: DutyRoster.toDate(doc.data().startsAt),
+        endsAt: DutyRoster.toDate(doc.data().endsAt)
+      }))
+      .sort((a, b) => a.startsAt - b.startsAt);
     
   } catch (error) {
-    console.error('Error adding account type:', error);
+    console.error('Error getting duty roster:', error);
     throw error;
   }
 }
 
 /**
- * Remove account type (admin only)
- * @param {string} accountType - Account type to remove
- * @returns {Promise<void>}
+ * Add a duty shift for one or more pharmacies (admin only)
+ * @param {Object} shift - Shift data
+ * @param {Date|string} shift.startsAt - Shift start
+ * @param {Date|string} shift.endsAt - Shift end
+ * @param {Array<string>} shift.pharmacyIds - On-duty pharmacy IDs
+ * @param {string} shift.note - Optional note
+ * @returns {Promise<string>} Shift ID
  */
-async function removeAccountType(accountType) {
+async function createDutyShift(shift) {
   try {
-    const systemData = await getSystemData();
+    const user = await authModule.getCurrentUser();
     
-    if (!systemData.accountTypes) {
-      throw new Error('No account types found');
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can manage the duty roster');
     }
     
-    systemData.accountTypes = systemData.accountTypes.filter(t => t !== accountType);
-    await updateSystemData(systemData);
+    const startsAt = DutyRoster.toDate(shift.startsAt);
+    const endsAt = DutyRoster.toDate(shift.endsAt);
     
-  } catch (error) {
-    console.error('Error removing account type:', error);
-    throw error;
-  }
-}
-
-/**
- * Add specialty (admin only)
- * @param {string} specialty - Specialty to add
- * @returns {Promise<void>}
- */
-async function addSpecialty(specialty) {
-  try {
-    const systemData = await getSystemData();
+    if (!startsAt || !endsAt) {
+      throw new Error('Shift start and end are required');
+    }
     
-    if (!systemData.specialties) {
-      systemData.specialties = [];
+    if (endsAt <= startsAt) {
+      throw new Error('Shift must end after it starts');
     }
     
-    if (systemData.specialties.includes(specialty)) {
-      throw new Error('Specialty already exists');
+    const pharmacyIds = [...new Set(shift.pharmacyIds || [])].filter(Boolean);
+    if (pharmacyIds.length === 0) {
+      throw new Error('At least one pharmacy is required');
     }
     
-    systemData.specialties.push(specialty);
-    await updateSystemData(systemData);
+    const shiftData = {
+      startsAt: firebase.firestore.Timestamp.fromDate(startsAt),
+      endsAt: firebase.firestore.Timestamp.fromDate(endsAt),
+      pharmacyIds,
+      note: (shift.note || '').trim(),
+      createdBy: user.uid,
+      createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    };
     
-  } catch (error) {
-    console.error('Error adding specialty:', error);
-    throw error;
-  }
-}
-
-/**
- * Remove specialty (admin only)
- * @param {string} specialty - Specialty to remove
- * @returns {Promise<void>}
- */
-async function removeSpecialty(specialty) {
-  try {
-    const systemData = await getSystemData();
+    const docRef = await db.collection('duty_roster').add(shiftData);
     
-    if (!systemData.specialties) {
-      throw new Error('No specialties found');
-    }
+    // Log change
+    await logAdminChange({
+      action: 'create_duty_shift',
+      shiftId: docRef.id,
+      adminId: user.uid,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+      data: shiftData
+    });
     
-    systemData.specialties = systemData.specialties.filter(s => s !== specialty);
-    await updateSystemData(systemData);
+    return docRef.id;
     
   } catch (error) {
-    console.error('Error removing specialty:', error);
+    console.error('Error creating duty shift:', error);
     throw error;
   }
 }
 
 /**
- * Add service category (admin only)
- * @param {string} category - Service category to add
+ * Delete a duty shift (admin only)
+ * @param {string} shiftId - Shift ID
  * @returns {Promise<void>}
  */
-async function addServiceCategory(category) {
+async function deleteDutyShift(shiftId) {
   try {
-    const systemData = await getSystemData();
-    
-    if (!systemData.serviceCategories) {
-      systemData.serviceCategories = [];
-    }
+    const user = await authModule.getCurrentUser();
     
-    if (systemData.serviceCategories.includes(category)) {
-      throw new Error('Service category already exists');
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can manage the duty roster');
     }
     
-    systemData.serviceCategories.push(category);
-    await updateSystemData(systemData);
-    
-  } catch (error) {
-    console.error('Error adding service category:', error);
-    throw error;
-  }
-}
-
-/**
- * Remove service category (admin only)
- * @param {string} category - Service category to remove
- * @returns {Promise<void>}
- */
-async function removeServiceCategory(category) {
-  try {
-    const systemData = await getSystemData();
+    const shiftDoc = await db.collection('duty_roster').doc(shiftId).get();
     
-    if (!systemData.serviceCategories) {
-      throw new Error('No service categories found');
-    }
+    await db.collection('duty_roster').doc(shiftId).delete();
     
-    systemData.serviceCategories = systemData.serviceCategories.filter(c => c !== category);
-    await updateSystemData(systemData);
+    // Log change
+    await logAdminChange({
+      action: 'delete_duty_shift',
+      shiftId: shiftId,
+      adminId: user.uid,
+      timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+      data: shiftDoc.exists ? shiftDoc.data() : null
+    });
     
   } catch (error) {
-    console.error('Error removing service category:', error);
+    console.error('Error deleting duty shift:', error);
     throw error;
   }
 }
 
 /**
- * Bulk import providers from CSV data (admin only)
- * Uses batch operations for better performance
+ * Import the pharmacy duty roster from CSV data (admin only)
+ * Columns: start, end, pharmacy, note. `start`/`end` are "YYYY-MM-DD HH:MM"
+ * or a date alone (20:00 start, 08:00 the next morning for the end).
+ * `pharmacy` is a pharmacy ID, name or phone; separate several with "|".
+ * Rows with the same start and end become a single shift.
  * @param {string} csvText - CSV text content
  * @returns {Promise<Object>} Import results with success and error counts
  */
-async function bulkImportProviders(csvText) {
+async function importDutyRoster(csvText) {
   try {
     const user = await authModule.getCurrentUser();
     
     if (!user || user.role !== 'admin') {
-      throw new Error('Only admins can bulk import providers');
+      throw new Error('Only admins can import the duty roster');
     }
     
     // Parse CSV
-    const lines = csvText.trim().split('\n');
-    if (lines.length < 2) {
+    const records = CSV.parse(csvText);
+    if (records.length < 2) {
       throw new Error('CSV file must contain at least a header row and one data row');
     }
     
-    // Parse header
-    const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
+    const headers = records[0].map(h => h.trim().toLowerCase());
     
-    // Validate required fields
-    const requiredFields = ['name', 'type'];
+    const requiredFields = ['start', 'pharmacy'];
     const missingFields = requiredFields.filter(field => !headers.includes(field));
     if (missingFields.length > 0) {
       throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
     }
     
+    // Index pharmacies by ID, name and phone for matching
+    const pharmaciesSnapshot = await db.collection('providers')
+      .where('type', '==', 'pharmacy')
+      .get();
+    
+    const pharmacyIndex = new Map();
+    const phoneKey = phone => String(phone || '').replace(/\D/g, '');
+    pharmaciesSnapshot.docs.forEach(doc => {
+      const data = doc.data();
+      pharmacyIndex.set(doc.id, doc.id);
+      if (data.name) pharmacyIndex.set(data.name.trim().toLowerCase(), doc.id);
+      if (phoneKey(data.phone)) pharmacyIndex.set(phoneKey(data.phone), doc.id);
+    });
+    
     const results = {
-      total: lines.length - 1,
+      total: 0,
       success: 0,
       errors: [],
       imported: []
     };
     
-    // Prepare provider data for batch operations
-    const providersToImport = [];
+    // Group rows into shifts keyed by start/end
+    const shifts = new Map();
     
-    // Process each row
-    for (let i = 1; i < lines.length; i++) {
-      try {
-        const values = lines[i].split(',').map(v => v.trim());
-        
-        if (values.length === 0 || values[0] === '') {
-          continue; // Skip empty lines
-        }
-        
-        // Build provider object
-        const provider = {};
-        headers.forEach((header, index) => {
-          if (values[index]) {
-            provider[header] = values[index];
-          }
-        });
-        
-        // Validate required fields
-        if (!provider.name || !provider.type) {
-          results.errors.push({
-            row: i + 1,
-            error: 'Missing required fields (name, type)'
-          });
-          continue;
-        }
-        
-        // Validate provider type
-        const validTypes = ['clinic', 'hospital', 'doctor', 'pharmacy', 'lab'];
-        if (!validTypes.includes(provider.type.toLowerCase())) {
-          results.errors.push({
-            row: i + 1,
-            error: `Invalid provider type: ${provider.type}`
-          });
-          continue;
-        }
-        
-        // Build provider data
-        const providerData = {
-          name: provider.name,
-          type: provider.type.toLowerCase(),
-          phone: provider.phone || '',
-          specialty: provider.specialty || '',
-          address: {
-            street: provider.address || provider.street || '',
-            city: provider.city || 'Sidi Bel Abbès',
-            wilaya: provider.wilaya || 'Sidi Bel Abbès'
-          },
-          verified: true, // Preloaded profiles are verified
-          claimed: false,
-          preloaded: true,
-          accessibility: provider.accessibility === 'true' || provider.accessibility === '1',
-          homeVisits: provider.homevisits === 'true' || provider.homevisits === '1',
-          available24_7: provider.available24_7 === 'true' || provider.available24_7 === '1',
-          rating: provider.rating ? parseFloat(provider.rating) : 0,
-          viewCount: 0,
-          createdAt: firebase.firestore.FieldValue.serverTimestamp(),
-          updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
-          createdBy: user.uid
-        };
-        
-        // Add location if provided
-        if (provider.latitude && provider.longitude) {
-          providerData.location = {
-            lat: parseFloat(provider.latitude),
-            lng: parseFloat(provider.longitude)
-          };
-        }
-        
-        providersToImport.push({
-          row: i + 1,
-          data: providerData
-        });
-        
-      } catch (error) {
+    for (let i = 1; i < records.length; i++) {
+      const values = records[i].map(v => v.trim());
+      
+      if (values.every(value => value === '')) {
+        continue; // Skip empty rows
+      }
+      
+      results.total++;
+      
+      const row = {};
+      headers.forEach((header, index) => {
+        row[header] = values[index] || '';
+      });
+      
+      const period = DutyRoster.parseShift(row.start, row.end);
+      if (period.error) {
+        results.errors.push({ row: i + 1, error: period.error });
+        continue;
+      }
+      
+      const references = row.pharmacy.split('|').map(ref => ref.trim()).filter(Boolean);
+      const unknown = references.filter(ref =>
+        !pharmacyIndex.has(ref) && !pharmacyIndex.has(ref.toLowerCase()) && !pharmacyIndex.has(phoneKey(ref))
+      );
+      
+      if (references.length === 0 || unknown.length > 0) {
         results.errors.push({
           row: i + 1,
-          error: error.message
+          error: references.length === 0 ? 'Missing pharmacy' : `Unknown pharmacy: ${unknown.join(', ')}`
         });
+        continue;
+      }
+      
+      const key = `${period.startsAt.getTime()}_${period.endsAt.getTime()}`;
+      if (!shifts.has(key)) {
+        shifts.set(key, { ...period, pharmacyIds: new Set(), notes: [], rows: [] });
       }
+      
+      const shift = shifts.get(key);
+      references.forEach(ref => {
+        shift.pharmacyIds.add(pharmacyIndex.get(ref) || pharmacyIndex.get(ref.toLowerCase()) || pharmacyIndex.get(phoneKey(ref)));
+      });
+      if (row.note) shift.notes.push(row.note);
+      shift.rows.push(i + 1);
     }
     
     // Use batch operations for better performance (max 500 per batch)
     const batchSize = 500;
+    const shiftList = [...shifts.values()];
     
-    for (let i = 0; i < providersToImport.length; i += batchSize) {
-      const chunk = providersToImport.slice(i, i + batchSize);
+    for (let i = 0; i < shiftList.length; i += batchSize) {
+      const chunk = shiftList.slice(i, i + batchSize);
       const batch = db.batch();
+      const chunkImported = [];
       
-      chunk.forEach(item => {
-        const docRef = db.collection('providers').doc();
-        batch.set(docRef, item.data);
+      chunk.forEach(shift => {
+        const docRef = db.collection('duty_roster').doc();
+        batch.set(docRef, {
+          startsAt: firebase.firestore.Timestamp.fromDate(shift.startsAt),
+          endsAt: firebase.firestore.Timestamp.fromDate(shift.endsAt),
+          pharmacyIds: [...shift.pharmacyIds],
+          note: shift.notes.join('; '),
+          createdBy: user.uid,
+          createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+          updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
         
-        results.imported.push({
+        chunkImported.push({
           id: docRef.id,
-          name: item.data.name
+          startsAt: shift.startsAt,
+          endsAt: shift.endsAt,
+          pharmacyCount: shift.pharmacyIds.size
         });
       });
       
       try {
         await batch.commit();
-        results.success += chunk.length;
+        results.imported.push(...chunkImported);
+        results.success += chunk.reduce((count, shift) => count + shift.rows.length, 0);
       } catch (error) {
         console.error('Batch commit error:', error);
-        chunk.forEach(item => {
-          results.errors.push({
-            row: item.row,
-            error: error.message
+        chunk.forEach(shift => {
+          shift.rows.forEach(row => {
+            results.errors.push({ row, error: error.message });
           });
         });
       }
     }
     
-    // Log bulk import
+    // Log roster import
     await logAdminChange({
-      action: 'bulk_import_providers',
+      action: 'import_duty_roster',
       adminId: user.uid,
       timestamp: firebase.firestore.FieldValue.serverTimestamp(),
       results: {
         total: results.total,
         success: results.success,
+        shifts: results.imported.length,
         errors: results.errors.length
       }
     });
     
     // Log analytics event
     if (window.analytics) {
-      analytics.logEvent('admin_bulk_import', {
+      analytics.logEvent('admin_import_duty_roster', {
         total: results.total,
         success: results.success,
         errors: results.errors.length
@@ -1080,13 +2774,14 @@ async function bulkImportProviders(csvText) {
     return results;
     
   } catch (error) {
-    console.error('Error bulk importing providers:', error);
+    console.error('Error importing duty roster:', error);
     throw error;
   }
 }
 
 /**
  * Batch delete multiple providers (admin only)
+ * Providers are moved to the trash, like deleteProvider
  * @param {Array<string>} providerIds - Array of provider IDs to delete
  * @returns {Promise<Object>} Result with success and error counts
  */
@@ -1114,9 +2809,10 @@ async function batchDeleteProviders(providerIds) {
       const chunk = providerIds.slice(i, i + batchSize);
       const batch = db.batch();
       
+      const trashUpdate = getTrashUpdate(user);
       chunk.forEach(id => {
         const docRef = db.collection('providers').doc(id);
-        batch.delete(docRef);
+        batch.update(docRef, trashUpdate);
       });
       
       try {
@@ -1128,7 +2824,8 @@ async function batchDeleteProviders(providerIds) {
           action: 'batch_delete_providers',
           adminId: user.uid,
           timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-          providerIds: chunk
+          providerIds: chunk,
+          purgeAt: trashUpdate.purgeAt
         });
       } catch (error) {
         console.error('Batch delete error:', error);
@@ -1242,18 +2939,49 @@ async function batchUpdateProviders(updates) {
 // Export functions
 window.adminModule = {
   submitVerificationRequest,
+  resubmitVerification,
   getProviderVerificationRequests,
   getVerificationQueue,
+  getVerificationDocumentUrl,
+  saveVerificationChecklist,
+  requestVerificationInfo,
   approveVerification,
   denyVerification,
   claimProfile,
+  requestClaimCode,
+  verifyClaimCode,
+  openClaimDispute,
+  getClaimDisputes,
+  resolveClaimDispute,
+  getChangeRequests,
+  approveChangeRequest,
+  rejectChangeRequest,
   getDashboardStats,
+  getStatsHistory,
+  rebuildStats,
+  getUnmatchedChatbotQuestions,
+  reviewChatbotQuestions,
+  getChatbotTranscript,
+  getChatbotAnswers,
+  saveChatbotAnswer,
+  deleteChatbotAnswer,
   getAllProviders,
   createProvider,
   updateProvider,
   deleteProvider,
+  restoreProvider,
   logAdminChange,
+  getAuditLog,
+  getAdminUsers,
+  exportAuditLog,
+  exportProviders,
+  previewProviderImport,
   bulkImportProviders,
+  rebuildSearchIndex,
+  getDutyRoster,
+  createDutyShift,
+  deleteDutyShift,
+  importDutyRoster,
   batchDeleteProviders,
   batchUpdateProviders,
   getSystemData,
@@ -3,11 +3,35 @@
  * 
  * Handles medical ads creation, moderation, and display
  * Requirements: 11.1, 11.2, 11.3, 11.4, 11.5, 14.5
+ * 
+ * Ad states and transitions are defined by AdLifecycle; the scheduled
+ * `updateAdLifecycle` Cloud Function activates, expires and archives ads.
+ * Targeting, frequency capping and reports are computed by AdTargeting.
+ * Pending ads are pre-screened by AdScreening with the admin-managed rules
+ * in `ad_screening_rules` and reviewed riskiest first.
+ * Impressions and clicks are batched in the browser and sent to the
+ * `recordAdEvents` Cloud Function, which only keeps per-day totals per ad.
  */
 
+// Delay before queued impressions and clicks are sent
+const AD_EVENTS_FLUSH_DELAY = 5000;
+
+// Session storage key for frequency capping
+const AD_IMPRESSIONS_KEY = 'adImpressions';
+
+// Session storage key of the random ID sent with ad events
+const AD_SESSION_KEY = 'adSessionId';
+
+// Maximum targeted specialties or cities per ad
+const MAX_TARGETING_VALUES = 10;
+
+// Ads checked for duplicates of a pending ad
+const DUPLICATE_CHECK_STATUSES = ['pending', 'approved', 'active', 'paused'];
+
 /**
  * Submit a new medical ad (verified providers only)
- * @param {Object} adData - Ad data including content, type, dates
+ * @param {Object} adData - Ad data including content, type, dates, and
+ * `draft: true` to save it without sending it to moderation
  * @returns {Promise<Object>} Created ad object
  */
 async function submitAd(adData) {
@@ -56,14 +80,24 @@ async function submitAd(adData) {
     // Validate dates
     const startDate = new Date(adData.startDate);
     const endDate = new Date(adData.endDate);
-    const now = new Date();
+    const dateError = AdLifecycle.validateDates(startDate, endDate);
+    
+    if (dateError) {
+      throw new Error(dateError);
+    }
     
-    if (startDate < now) {
-      throw new Error('Start date cannot be in the past');
+    const displayLocations = adData.displayLocations || ['homepage', 'search'];
+    if (displayLocations.length === 0 || !displayLocations.every(location => AdTargeting.LOCATIONS.includes(location))) {
+      throw new Error(`Display locations must be among: ${AdTargeting.LOCATIONS.join(', ')}`);
     }
     
-    if (endDate <= startDate) {
-      throw new Error('End date must be after start date');
+    const targeting = {
+      specialties: AdTargeting.parseList((adData.targeting?.specialties || []).join(',')),
+      cities: AdTargeting.parseList((adData.targeting?.cities || []).join(','))
+    };
+    
+    if (targeting.specialties.length > MAX_TARGETING_VALUES || targeting.cities.length > MAX_TARGETING_VALUES) {
+      throw new Error(`Target at most ${MAX_TARGETING_VALUES} specialties and ${MAX_TARGETING_VALUES} cities`);
     }
     
     // Create ad document
@@ -75,10 +109,14 @@ async function submitAd(adData) {
       content: adData.content,
       title: adData.title || '',
       description: adData.description || '',
-      displayLocations: adData.displayLocations || ['homepage', 'search'],
-      status: 'pending',
+      displayLocations: displayLocations,
+      targeting: targeting,
+      impressions: 0,
+      clicks: 0,
+      status: adData.draft ? 'draft' : 'pending',
       startDate: firebase.firestore.Timestamp.fromDate(startDate),
       endDate: firebase.firestore.Timestamp.fromDate(endDate),
+      expiryNoticeSentAt: null,
       createdAt: firebase.firestore.FieldValue.serverTimestamp(),
       updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
       reviewedBy: null,
@@ -154,9 +192,10 @@ async function uploadAdImage(file, providerId) {
 
 /**
  * Get ads for current provider
+ * @param {boolean} includeArchived - Include archived ads (default false)
  * @returns {Promise<Array>} Array of provider's ads
  */
-async function getProviderAds() {
+async function getProviderAds(includeArchived = false) {
   try {
     const user = await authModule.getCurrentUser();
     
@@ -171,10 +210,12 @@ async function getProviderAds() {
     
     const ads = [];
     snapshot.forEach(doc => {
-      ads.push({
-        id: doc.id,
-        ...doc.data()
-      });
+      if (includeArchived || !doc.data().archived) {
+        ads.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      }
     });
     
     return ads;
@@ -186,8 +227,10 @@ async function getProviderAds() {
 }
 
 /**
- * Get pending ads for moderation (admin only)
- * @returns {Promise<Array>} Array of pending ads
+ * Get pending ads for moderation (admin only), pre-screened and sorted by
+ * risk score (highest first, then oldest first)
+ * @returns {Promise<Array>} Pending ads, each with `screening`
+ * ({ score, level, flags }, see AdScreening.screen)
  */
 async function getPendingAds() {
   try {
@@ -197,23 +240,216 @@ async function getPendingAds() {
       throw new Error('Only admins can access pending ads');
     }
     
-    const snapshot = await db.collection('ads')
-      .where('status', '==', 'pending')
-      .orderBy('createdAt', 'asc')
-      .get();
+    // Pending ads are compared with every ad that is or may become visible
+    const [rules, snapshot] = await Promise.all([
+      getAdScreeningRules(),
+      db.collection('ads').where('status', 'in', DUPLICATE_CHECK_STATUSES).get()
+    ]);
     
-    const ads = [];
-    snapshot.forEach(doc => {
-      ads.push({
-        id: doc.id,
-        ...doc.data()
+    const ads = snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+    
+    return ads
+      .filter(ad => ad.status === 'pending')
+      .map(ad => ({
+        ...ad,
+        screening: AdScreening.screen(ad, rules, ads)
+      }))
+      .sort((a, b) =>
+        b.screening.score - a.screening.score ||
+        (AdLifecycle.toMillis(a.createdAt) || 0) - (AdLifecycle.toMillis(b.createdAt) || 0)
+      );
+    
+  } catch (error) {
+    console.error('Error getting pending ads:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the ad screening rules (admin only). Until rules are saved, returns
+ * the built-in AdScreening.DEFAULT_RULES with `builtIn: true`.
+ * @returns {Promise<Array>} Rules, by category then name
+ */
+async function getAdScreeningRules() {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can manage ad screening rules');
+    }
+    
+    const snapshot = await db.collection('ad_screening_rules').get();
+    
+    if (snapshot.empty) {
+      return AdScreening.DEFAULT_RULES.map(rule => ({ ...rule, builtIn: true }));
+    }
+    
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) =>
+        AdScreening.CATEGORIES.indexOf(a.category) - AdScreening.CATEGORIES.indexOf(b.category) ||
+        (a.name || '').localeCompare(b.name || '')
+      );
+    
+  } catch (error) {
+    console.error('Error getting ad screening rules:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create or update an ad screening rule (admin only)
+ * @param {Object} rule - Rule data
+ * @param {string} rule.name - Rule name
+ * @param {string} rule.category - One of AdScreening.CATEGORIES
+ * @param {string} rule.language - 'ar', 'fr', 'en' or '' (term rules)
+ * @param {Array<string>} rule.terms - Terms to look for (term rules)
+ * @param {string} rule.detector - 'phone', 'url' or 'duplicate' (instead of terms)
+ * @param {number} rule.weight - Points added to the risk score
+ * @param {boolean} rule.enabled - Whether the rule is applied
+ * @param {string} ruleId - Rule ID to update (optional)
+ * @returns {Promise<string>} Rule ID
+ */
+async function saveAdScreeningRule(rule, ruleId = null) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can manage ad screening rules');
+    }
+    
+    const ruleData = {
+      name: String(rule.name || '').trim(),
+      category: rule.category,
+      weight: Number(rule.weight),
+      enabled: rule.enabled !== false
+    };
+    
+    if (rule.detector) {
+      ruleData.detector = rule.detector;
+    } else {
+      ruleData.language = rule.language || '';
+      ruleData.terms = [...new Set((rule.terms || []).map(term => String(term).trim()).filter(Boolean))];
+    }
+    
+    const validationError = AdScreening.validateRule(ruleData);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+    
+    const ruleRef = ruleId
+      ? db.collection('ad_screening_rules').doc(ruleId)
+      : db.collection('ad_screening_rules').doc();
+    const oldDoc = ruleId ? await ruleRef.get() : null;
+    
+    // Replace the whole rule so switching between terms and a detector
+    // does not leave the other fields behind
+    await ruleRef.set({
+      ...ruleData,
+      updatedBy: user.uid,
+      createdAt: oldDoc && oldDoc.exists && oldDoc.data().createdAt
+        ? oldDoc.data().createdAt
+        : firebase.firestore.FieldValue.serverTimestamp(),
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    
+    // Log change
+    if (window.adminModule) {
+      await window.adminModule.logAdminChange({
+        action: 'save_ad_screening_rule',
+        ruleId: ruleRef.id,
+        adminId: user.uid,
+        timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+        oldData: oldDoc && oldDoc.exists ? oldDoc.data() : null,
+        newData: ruleData
+      });
+    }
+    
+    return ruleRef.id;
+    
+  } catch (error) {
+    console.error('Error saving ad screening rule:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save the built-in screening rules so admins can edit them (admin only)
+ * @returns {Promise<number>} Number of rules saved
+ */
+async function saveDefaultAdScreeningRules() {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can manage ad screening rules');
+    }
+    
+    const batch = db.batch();
+    
+    AdScreening.DEFAULT_RULES.forEach(({ id, ...rule }) => {
+      batch.set(db.collection('ad_screening_rules').doc(id), {
+        ...rule,
+        updatedBy: user.uid,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
       });
     });
     
-    return ads;
+    await batch.commit();
+    
+    // Log change
+    if (window.adminModule) {
+      await window.adminModule.logAdminChange({
+        action: 'save_ad_screening_rule',
+        ruleId: AdScreening.DEFAULT_RULES.map(rule => rule.id),
+        adminId: user.uid,
+        timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+        data: { defaults: AdScreening.DEFAULT_RULES.length }
+      });
+    }
+    
+    return AdScreening.DEFAULT_RULES.length;
     
   } catch (error) {
-    console.error('Error getting pending ads:', error);
+    console.error('Error saving default ad screening rules:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete an ad screening rule (admin only)
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<void>}
+ */
+async function deleteAdScreeningRule(ruleId) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can manage ad screening rules');
+    }
+    
+    const ruleDoc = await db.collection('ad_screening_rules').doc(ruleId).get();
+    
+    await db.collection('ad_screening_rules').doc(ruleId).delete();
+    
+    // Log change
+    if (window.adminModule) {
+      await window.adminModule.logAdminChange({
+        action: 'delete_ad_screening_rule',
+        ruleId: ruleId,
+        adminId: user.uid,
+        timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+        data: ruleDoc.exists ? ruleDoc.data() : null
+      });
+    }
+    
+  } catch (error) {
+    console.error('Error deleting ad screening rule:', error);
     throw error;
   }
 }
@@ -241,8 +477,23 @@ async function moderateAd(adId, action, reason = null) {
       throw new Error('Rejection reason is required');
     }
     
+    const adDoc = await db.collection('ads').doc(adId).get();
+    
+    if (!adDoc.exists || adDoc.data().status !== 'pending') {
+      throw new Error('Only ads waiting for moderation can be moderated');
+    }
+    
+    const oldStatus = adDoc.data().status;
+    
+    // Approved ads whose start date has passed go live immediately
+    const approvedStatus = AdLifecycle.releasedStatus(adDoc.data());
+    
+    if (action === 'approve' && approvedStatus === 'expired') {
+      throw new Error('This ad has already ended. Reject it so the provider can renew it.');
+    }
+    
     const updateData = {
-      status: action === 'approve' ? 'approved' : 'rejected',
+      status: action === 'approve' ? approvedStatus : 'rejected',
       reviewedBy: user.uid,
       reviewedAt: firebase.firestore.FieldValue.serverTimestamp(),
       updatedAt: firebase.firestore.FieldValue.serverTimestamp()
@@ -254,6 +505,21 @@ async function moderateAd(adId, action, reason = null) {
     
     await db.collection('ads').doc(adId).update(updateData);
     
+    // Log change
+    if (window.adminModule) {
+      await window.adminModule.logAdminChange({
+        action: 'moderate_ad',
+        adId: adId,
+        providerId: adDoc.data().providerId || null,
+        adminId: user.uid,
+        timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+        oldData: { status: oldStatus },
+        newData: action === 'reject'
+          ? { status: updateData.status, rejectionReason: reason }
+          : { status: updateData.status }
+      });
+    }
+    
     // TODO: Send notification to provider
     // This would typically be done via Cloud Functions
     
@@ -272,18 +538,19 @@ async function moderateAd(adId, action, reason = null) {
 }
 
 /**
- * Get approved ads for display
+ * Get serving ads for display
  * @param {Array<string>} locations - Display locations to filter by
- * @returns {Promise<Array>} Array of approved ads
+ * @param {Object} context - Placement targeting { specialty, city } (optional)
+ * @returns {Promise<Array>} Array of serving ads, in display order
  */
-async function getApprovedAds(locations = ['homepage', 'search']) {
+async function getApprovedAds(locations = ['homepage', 'search'], context = {}) {
   try {
-    const now = firebase.firestore.Timestamp.now();
+    const now = new Date();
     
+    // Approved ads are included so they serve from their start date even
+    // before the scheduled function marks them active
     const snapshot = await db.collection('ads')
-      .where('status', '==', 'approved')
-      .where('startDate', '<=', now)
-      .where('endDate', '>=', now)
+      .where('status', 'in', ['approved', 'active'])
       .get();
     
     const ads = [];
@@ -294,7 +561,7 @@ async function getApprovedAds(locations = ['homepage', 'search']) {
         adData.displayLocations && adData.displayLocations.includes(loc)
       );
       
-      if (hasMatchingLocation) {
+      if (hasMatchingLocation && AdLifecycle.isServing(adData, now)) {
         ads.push({
           id: doc.id,
           ...adData
@@ -302,8 +569,7 @@ async function getApprovedAds(locations = ['homepage', 'search']) {
       }
     });
     
-    // Shuffle ads for rotation
-    return shuffleArray(ads);
+    return selectAds(ads, context);
     
   } catch (error) {
     console.error('Error getting approved ads:', error);
@@ -312,17 +578,407 @@ async function getApprovedAds(locations = ['homepage', 'search']) {
 }
 
 /**
- * Shuffle array for ad rotation
- * @param {Array} array - Array to shuffle
- * @returns {Array} Shuffled array
+ * Order ads for display, dropping those that do not match the placement
+ * or reached the session frequency cap
+ * @param {Array} ads - Approved ads
+ * @param {Object} context - Placement { location, specialty, city }
+ * @returns {Array} Ads in display order
  */
-function shuffleArray(array) {
-  const shuffled = [...array];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+function selectAds(ads, context = {}) {
+  return AdTargeting.selectAds(ads, context, getSessionImpressions());
+}
+
+/**
+ * Impressions per ad in this browser session
+ * @returns {Object} Counts by ad ID
+ */
+function getSessionImpressions() {
+  try {
+    return JSON.parse(sessionStorage.getItem(AD_IMPRESSIONS_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Random ID of this browser session, which lets recordAdEvents ignore
+ * events a session already reported. It is not linked to the user.
+ * @returns {string} Session ID
+ */
+function getAdSessionId() {
+  let sessionId = null;
+  try {
+    sessionId = sessionStorage.getItem(AD_SESSION_KEY);
+  } catch (error) {
+    // Storage unavailable: a new ID per page load
+  }
+  
+  if (!sessionId) {
+    sessionId = typeof crypto !== 'undefined' && crypto.randomUUID
+      ? crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+    try {
+      sessionStorage.setItem(AD_SESSION_KEY, sessionId);
+    } catch (error) {
+      // Storage unavailable
+    }
+  }
+  
+  return sessionId;
+}
+
+// Impressions and clicks waiting to be sent, by ad ID
+let pendingAdEvents = {};
+let adEventsTimer = null;
+
+// Ad elements already counted
+const countedAdElements = new WeakSet();
+
+/**
+ * Queue an impression or click. Events are sent together once no new event
+ * arrived for AD_EVENTS_FLUSH_DELAY.
+ * @param {string} adId - Ad ID
+ * @param {string} type - 'impressions' or 'clicks'
+ */
+function recordAdEvent(adId, type) {
+  if (!adId) return;
+  
+  const counts = pendingAdEvents[adId] || (pendingAdEvents[adId] = { impressions: 0, clicks: 0 });
+  counts[type]++;
+  
+  if (type === 'impressions') {
+    const impressions = getSessionImpressions();
+    impressions[adId] = (impressions[adId] || 0) + 1;
+    try {
+      sessionStorage.setItem(AD_IMPRESSIONS_KEY, JSON.stringify(impressions));
+    } catch (error) {
+      // Storage unavailable: no frequency capping this session
+    }
+  }
+  
+  clearTimeout(adEventsTimer);
+  adEventsTimer = setTimeout(flushAdEvents, AD_EVENTS_FLUSH_DELAY);
+}
+
+/**
+ * Send queued impressions and clicks. Only counts and the random session ID
+ * are sent: no user or device identifier.
+ * @returns {Promise<void>}
+ */
+async function flushAdEvents() {
+  clearTimeout(adEventsTimer);
+  adEventsTimer = null;
+  
+  const events = pendingAdEvents;
+  pendingAdEvents = {};
+  
+  if (Object.keys(events).length === 0) {
+    return;
+  }
+  
+  try {
+    const recordAdEvents = firebase.functions().httpsCallable('recordAdEvents');
+    await recordAdEvents({ sessionId: getAdSessionId(), events });
+  } catch (error) {
+    // Counting must never affect the page
+    console.warn('Error recording ad events:', error);
+  }
+}
+
+/**
+ * Count impressions of the ads in a container when at least half of an ad
+ * is visible, and clicks on them. Ads are elements with `data-ad-id`.
+ * @param {HTMLElement} container - Container element
+ */
+function trackAds(container) {
+  if (!container) return;
+  
+  const adElements = Array.from(container.querySelectorAll('[data-ad-id]'))
+    .filter(element => !countedAdElements.has(element));
+  
+  if (!container.dataset.adClicksTracked) {
+    container.dataset.adClicksTracked = 'true';
+    container.addEventListener('click', event => {
+      const adElement = event.target.closest('[data-ad-id]');
+      if (adElement && container.contains(adElement)) {
+        recordAdEvent(adElement.dataset.adId, 'clicks');
+      }
+    });
+  }
+  
+  if (typeof IntersectionObserver === 'undefined') {
+    adElements.forEach(element => {
+      countedAdElements.add(element);
+      recordAdEvent(element.dataset.adId, 'impressions');
+    });
+    return;
+  }
+  
+  const observer = new IntersectionObserver(entries => {
+    entries.forEach(entry => {
+      if (entry.isIntersecting && !countedAdElements.has(entry.target)) {
+        countedAdElements.add(entry.target);
+        observer.unobserve(entry.target);
+        recordAdEvent(entry.target.dataset.adId, 'impressions');
+      }
+    });
+  }, { threshold: 0.5 });
+  
+  adElements.forEach(element => observer.observe(element));
+}
+
+// Send what is left when the page is hidden or closed
+if (typeof document !== 'undefined') {
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      flushAdEvents();
+    }
+  });
+}
+
+/**
+ * Get the daily performance report of one of the current provider's ads
+ * @param {string} adId - Ad ID
+ * @param {number} days - Number of days, ending today (default 30)
+ * @returns {Promise<Object>} Report (see AdTargeting.buildReport) with the
+ * all-time totals of the ad as `lifetime`
+ */
+async function getAdReport(adId, days = 30) {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user) {
+      throw new Error('You must be signed in');
+    }
+    
+    const adDoc = await db.collection('ads').doc(adId).get();
+    
+    if (!adDoc.exists) {
+      throw new Error('Ad not found');
+    }
+    
+    const adData = adDoc.data();
+    
+    if (adData.userId !== user.uid && user.role !== 'admin') {
+      throw new Error('You do not have permission to view this report');
+    }
+    
+    const dayKeys = AdTargeting.lastDays(days);
+    const snapshot = await db.collection('ads').doc(adId).collection('daily')
+      .where('date', '>=', dayKeys[0])
+      .get();
+    
+    const report = AdTargeting.buildReport(snapshot.docs.map(doc => doc.data()), dayKeys);
+    const impressions = adData.impressions || 0;
+    const clicks = adData.clicks || 0;
+    
+    return {
+      ...report,
+      lifetime: { impressions, clicks, ctr: AdTargeting.ctr(impressions, clicks) }
+    };
+    
+  } catch (error) {
+    console.error('Error getting ad report:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get one of the current user's ads and check that an action is allowed
+ * @param {string} adId - Ad ID
+ * @param {string} action - AdLifecycle action
+ * @returns {Promise<Object>} Ad data with id
+ */
+async function getOwnAdFor(adId, action) {
+  const user = await authModule.getCurrentUser();
+  
+  if (!user) {
+    throw new Error('You must be signed in');
+  }
+  
+  const adDoc = await db.collection('ads').doc(adId).get();
+  
+  if (!adDoc.exists || adDoc.data().userId !== user.uid) {
+    throw new Error('Ad not found');
+  }
+  
+  const adData = { id: adDoc.id, ...adDoc.data() };
+  
+  if (!AdLifecycle.canPerform(adData, action)) {
+    throw new Error(`This action is not available for ${adData.status} ads`);
+  }
+  
+  return adData;
+}
+
+/**
+ * Send a draft ad to moderation
+ * @param {string} adId - Ad ID
+ * @returns {Promise<void>}
+ */
+async function submitDraftAd(adId) {
+  try {
+    const adData = await getOwnAdFor(adId, 'submit');
+    const dateError = AdLifecycle.validateDates(adData.startDate.toDate(), adData.endDate.toDate());
+    
+    if (dateError) {
+      throw new Error(`${dateError}. Renew the ad with new dates instead.`);
+    }
+    
+    await db.collection('ads').doc(adId).update({
+      status: 'pending',
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    
+  } catch (error) {
+    console.error('Error submitting draft ad:', error);
+    throw error;
+  }
+}
+
+/**
+ * Stop showing an approved or active ad until it is resumed
+ * @param {string} adId - Ad ID
+ * @returns {Promise<void>}
+ */
+async function pauseAd(adId) {
+  try {
+    await getOwnAdFor(adId, 'pause');
+    
+    await db.collection('ads').doc(adId).update({
+      status: 'paused',
+      pausedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    
+    if (window.analytics) {
+      analytics.logEvent('ad_paused', { ad_id: adId });
+    }
+    
+  } catch (error) {
+    console.error('Error pausing ad:', error);
+    throw error;
+  }
+}
+
+/**
+ * Resume a paused ad. It goes back to approved or active depending on its
+ * dates, or to expired if it ended while paused.
+ * @param {string} adId - Ad ID
+ * @returns {Promise<string>} New status
+ */
+async function resumeAd(adId) {
+  try {
+    const adData = await getOwnAdFor(adId, 'resume');
+    const status = AdLifecycle.releasedStatus(adData);
+    
+    await db.collection('ads').doc(adId).update({
+      status: status,
+      pausedAt: null,
+      // Ads that ended while paused are archived by updateAdLifecycle
+      ...(status === 'expired' ? { archived: false } : {}),
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    
+    if (window.analytics) {
+      analytics.logEvent('ad_resumed', { ad_id: adId });
+    }
+    
+    return status;
+    
+  } catch (error) {
+    console.error('Error resuming ad:', error);
+    throw error;
+  }
+}
+
+/**
+ * Renew an ad with new dates. Renewed ads go back to moderation.
+ * @param {string} adId - Ad ID
+ * @param {string} startDate - New start date
+ * @param {string} endDate - New end date
+ * @returns {Promise<void>}
+ */
+async function renewAd(adId, startDate, endDate) {
+  try {
+    await getOwnAdFor(adId, 'renew');
+    
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    const dateError = AdLifecycle.validateDates(start, end);
+    
+    if (dateError) {
+      throw new Error(dateError);
+    }
+    
+    await db.collection('ads').doc(adId).update({
+      status: 'pending',
+      startDate: firebase.firestore.Timestamp.fromDate(start),
+      endDate: firebase.firestore.Timestamp.fromDate(end),
+      expiryNoticeSentAt: null,
+      archived: false,
+      archivedAt: null,
+      rejectionReason: null,
+      reviewedBy: null,
+      reviewedAt: null,
+      renewedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    
+    if (window.analytics) {
+      analytics.logEvent('ad_renewed', { ad_id: adId });
+    }
+    
+  } catch (error) {
+    console.error('Error renewing ad:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the current user's unread ad notifications (e.g. ads ending soon)
+ * @returns {Promise<Array>} Notifications, newest first
+ */
+async function getAdNotifications() {
+  try {
+    const user = await authModule.getCurrentUser();
+    
+    if (!user) {
+      return [];
+    }
+    
+    const snapshot = await db.collection('notifications')
+      .where('userId', '==', user.uid)
+      .where('read', '==', false)
+      .get();
+    
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(notification => notification.type && notification.type.startsWith('ad_'))
+      .sort((a, b) => AdLifecycle.toMillis(b.createdAt) - AdLifecycle.toMillis(a.createdAt));
+    
+  } catch (error) {
+    console.error('Error getting ad notifications:', error);
+    return [];
+  }
+}
+
+/**
+ * Mark a notification as read
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<void>}
+ */
+async function dismissAdNotification(notificationId) {
+  try {
+    await db.collection('notifications').doc(notificationId).update({
+      read: true,
+      readAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    
+  } catch (error) {
+    console.error('Error dismissing notification:', error);
+    throw error;
   }
-  return shuffled;
 }
 
 /**
@@ -371,11 +1027,12 @@ async function deleteAd(adId) {
  * Inject ads into search results
  * @param {Array} results - Array of search results
  * @param {number} frequency - Insert ad every N results (default 3)
+ * @param {Object} context - Search targeting { specialty, city } (optional)
  * @returns {Promise<Array>} Results with ads injected
  */
-async function injectAdsIntoResults(results, frequency = 3) {
+async function injectAdsIntoResults(results, frequency = 3, context = {}) {
   try {
-    const ads = await getApprovedAds(['search']);
+    const ads = await getApprovedAds(['search'], { ...context, location: 'search' });
     
     if (ads.length === 0) {
       return results;
@@ -411,8 +1068,9 @@ async function injectAdsIntoResults(results, frequency = 3) {
  * @returns {string} HTML string
  */
 function renderAdCard(ad) {
+  const escape = Utils.escapeHTML;
   let html = `
-    <div class="card border-primary mb-3 shadow-sm">
+    <div class="card border-primary mb-3 shadow-sm" data-ad-id="${escape(ad.id)}">
       <div class="card-body">
         <div class="d-flex justify-content-between align-items-start mb-2">
           <span class="badge bg-primary">Sponsored</span>
@@ -421,19 +1079,27 @@ function renderAdCard(ad) {
   
   if (ad.type === 'text') {
     html += `
-        <h5 class="card-title">${ad.title || 'Untitled'}</h5>
-        <p class="card-text">${ad.description || ad.content || ''}</p>
+        <h5 class="card-title">${escape(ad.title || 'Untitled')}</h5>
+        <p class="card-text">${escape(ad.description || ad.content || '')}</p>
     `;
   } else if (ad.type === 'image') {
     html += `
         <div class="text-center">
-          <img src="${ad.content}" class="img-fluid mb-2" style="max-height: 200px; object-fit: contain;" alt="${ad.title}">
-          <h5 class="card-title">${ad.title || 'Untitled'}</h5>
-          ${ad.description ? `<p class="card-text">${ad.description}</p>` : ''}
+          <img src="${escape(ad.content)}" class="img-fluid mb-2" style="max-height: 200px; object-fit: contain;" alt="${escape(ad.title || '')}">
+          <h5 class="card-title">${escape(ad.title || 'Untitled')}</h5>
+          ${ad.description ? `<p class="card-text">${escape(ad.description)}</p>` : ''}
         </div>
     `;
   }
   
+  if (ad.providerId) {
+    html += `
+        <a href="/profile/${encodeURIComponent(ad.providerId)}" data-route class="stretched-link">
+          <span class="visually-hidden">${escape(ad.providerName || ad.title || '')}</span>
+        </a>
+    `;
+  }
+  
   html += `
       </div>
     </div>
@@ -447,9 +1113,23 @@ window.adsModule = {
   submitAd,
   uploadAdImage,
   getProviderAds,
+  submitDraftAd,
+  pauseAd,
+  resumeAd,
+  renewAd,
+  getAdNotifications,
+  dismissAdNotification,
   getPendingAds,
+  getAdScreeningRules,
+  saveAdScreeningRule,
+  saveDefaultAdScreeningRules,
+  deleteAdScreeningRule,
   moderateAd,
   getApprovedAds,
+  selectAds,
+  trackAds,
+  flushAdEvents,
+  getAdReport,
   deleteAd,
   injectAdsIntoResults,
   renderAdCard
@@ -132,6 +132,51 @@ const Analytics = {
     }
   },
 
+  /**
+   * Track review action
+   * @param {string} providerId - Provider ID
+   * @param {number|null} rating - Star rating (null on delete)
+   * @param {string} action - 'create', 'update' or 'delete'
+   */
+  trackReview(providerId, rating, action) {
+    if (!window.analytics) return;
+    
+    try {
+      firebase.analytics().logEvent('provider_review', {
+        provider_id: providerId,
+        rating: rating,
+        action: action,
+        timestamp: new Date().toISOString()
+      });
+      
+      console.log('Review tracked:', action, providerId);
+    } catch (error) {
+      console.error('Error tracking review:', error);
+    }
+  },
+
+  /**
+   * Track appointment action
+   * @param {string} providerId - Provider ID
+   * @param {string} action - 'book', 'confirm', 'cancel' or 'no_show'
+   * @param {string|null} actor - 'patient' or 'provider' (for cancellations)
+   */
+  trackAppointment(providerId, action, actor = null) {
+    if (!window.analytics) return;
+    
+    try {
+      firebase.analytics().logEvent('appointment_' + action, {
+        provider_id: providerId,
+        actor: actor,
+        timestamp: new Date().toISOString()
+      });
+      
+      console.log('Appointment tracked:', action, providerId);
+    } catch (error) {
+      console.error('Error tracking appointment:', error);
+    }
+  },
+
   /**
    * Track chatbot interaction
    * @param {string} message - User message
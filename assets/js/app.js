@@ -35,6 +35,11 @@ async function initializeApp() {
     // Register routes (ALWAYS do this, even without Firebase)
     registerRoutes();
     
+    // Keep the offline provider data up to date in the background
+    if (window.OfflineDirectory) {
+      window.OfflineDirectory.init();
+    }
+    
     // Initialize authentication router
     if (window.authRouter) {
       console.log('Auth router initialized');
@@ -0,0 +1,508 @@
+/**
+ * Appointments Module
+ *
+ * Handles appointment booking between citizens and providers. Bookable slots
+ * are derived from the provider's `hours` and `appointmentSettings`.
+ * Appointments live in the top-level `appointments` collection; each active
+ * booking also holds a lock document in `providers/{providerId}/bookedSlots`
+ * (keyed by the slot start time) so two citizens cannot take the same slot.
+ */
+
+const DEFAULT_SLOT_MINUTES = 30;
+const APPOINTMENT_REASON_MAX_LENGTH = 500;
+const ACTIVE_APPOINTMENT_STATUSES = ['requested', 'confirmed'];
+
+/**
+ * Allowed status transitions and who may perform them
+ */
+const APPOINTMENT_TRANSITIONS = {
+  requested: {
+    confirmed: ['provider'],
+    cancelled: ['patient', 'provider']
+  },
+  confirmed: {
+    cancelled: ['patient', 'provider'],
+    'no-show': ['provider']
+  },
+  cancelled: {},
+  'no-show': {}
+};
+
+/**
+ * Check whether a status transition is allowed for a role
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @param {string} role - 'patient' or 'provider'
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransition(from, to, role) {
+  const allowed = APPOINTMENT_TRANSITIONS[from] && APPOINTMENT_TRANSITIONS[from][to];
+  return !!allowed && allowed.includes(role);
+}
+
+/**
+ * Generate bookable slots for a date from the provider's opening hours.
+ * Uses OpeningHours, so split ranges, weekday groups and holiday exceptions
+ * apply; overnight slots belong to the day the opening started.
+ * @param {Object} provider - Provider data ({ hours, hoursExceptions })
+ * @param {Date} date - Day to generate slots for (local time)
+ * @param {number} slotMinutes - Slot length in minutes
+ * @returns {Array<Object>} Array of { start, end } Date pairs
+ */
+function generateSlots(provider, date, slotMinutes = DEFAULT_SLOT_MINUTES) {
+  if (!provider || !date) {
+    return [];
+  }
+
+  const slots = [];
+
+  OpeningHours.getDayRanges(provider, date).forEach(range => {
+    for (let minute = range.open; minute + slotMinutes <= range.close; minute += slotMinutes) {
+      const start = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, minute);
+      slots.push({
+        start,
+        end: new Date(start.getTime() + slotMinutes * 60000)
+      });
+    }
+  });
+
+  return slots;
+}
+
+/**
+ * Check whether a provider accepts online appointments.
+ * Unclaimed profiles have nobody to confirm bookings.
+ * @param {Object} provider - Provider data
+ * @returns {boolean} True if booking is enabled
+ */
+function isBookingEnabled(provider) {
+  return !!provider && !!provider.ownerId &&
+    !!provider.appointmentSettings && provider.appointmentSettings.enabled === true;
+}
+
+/**
+ * Check whether two time ranges overlap
+ * @param {Object} a - { start, end } Dates
+ * @param {Object} b - { start, end } Dates
+ * @returns {boolean} True if the ranges overlap
+ */
+function rangesOverlap(a, b) {
+  return a.start.getTime() < b.end.getTime() && b.start.getTime() < a.end.getTime();
+}
+
+/**
+ * Convert a Firestore appointment document to a plain object with Dates
+ * @param {Object} doc - Firestore document snapshot
+ * @returns {Object} Appointment
+ */
+function toAppointment(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    startTime: data.startTime && data.startTime.toDate ? data.startTime.toDate() : data.startTime,
+    endTime: data.endTime && data.endTime.toDate ? data.endTime.toDate() : data.endTime
+  };
+}
+
+/**
+ * Get booked slot locks for a provider within a time range.
+ * Locks are public and only expose the booked time range.
+ * @param {string} providerId - Provider ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Array>} Array of { start, end } Date pairs
+ */
+async function getBookedRanges(providerId, from, to) {
+  const snapshot = await db.collection('providers').doc(providerId)
+    .collection('bookedSlots')
+    .where('startTime', '>=', firebase.firestore.Timestamp.fromDate(from))
+    .where('startTime', '<', firebase.firestore.Timestamp.fromDate(to))
+    .get();
+
+  return snapshot.docs.map(doc => {
+    const data = doc.data();
+    return {
+      start: data.startTime.toDate(),
+      end: data.endTime.toDate()
+    };
+  });
+}
+
+/**
+ * Get available slots for a provider on a given day
+ * @param {string} providerId - Provider ID
+ * @param {Date} date - Day to check
+ * @returns {Promise<Array>} Array of free { start, end } slots in the future
+ */
+async function getAvailableSlots(providerId, date) {
+  try {
+    if (!providerId) {
+      throw new Error('Provider ID is required');
+    }
+
+    const providerDoc = await db.collection('providers').doc(providerId).get();
+    if (!providerDoc.exists) {
+      throw new Error('Provider not found');
+    }
+
+    const provider = providerDoc.data();
+    if (!isBookingEnabled(provider)) {
+      return [];
+    }
+
+    const settings = provider.appointmentSettings;
+
+    const slots = generateSlots(provider, date, settings.slotMinutes || DEFAULT_SLOT_MINUTES);
+    if (slots.length === 0) {
+      return [];
+    }
+
+    // Look back a day to catch longer or overnight bookings that run into the first slot
+    const booked = await getBookedRanges(
+      providerId,
+      new Date(slots[0].start.getTime() - 24 * 60 * 60000),
+      slots[slots.length - 1].end
+    );
+
+    const now = Date.now();
+
+    return slots.filter(slot =>
+      slot.start.getTime() > now &&
+      !booked.some(range => rangesOverlap(slot, range))
+    );
+
+  } catch (error) {
+    console.error('Error getting available slots:', error);
+    throw error;
+  }
+}
+
+/**
+ * Book an appointment with a provider
+ * @param {string} providerId - Provider ID
+ * @param {Date} startTime - Slot start time
+ * @param {Object} options - Options
+ * @param {string} options.reason - Optional reason for the visit
+ * @returns {Promise<Object>} Created appointment
+ */
+async function bookAppointment(providerId, startTime, options = {}) {
+  try {
+    if (!providerId) {
+      throw new Error('Provider ID is required');
+    }
+
+    const currentUser = await authModule.getCurrentUser();
+    if (!currentUser) {
+      throw new Error('You must be signed in to book an appointment');
+    }
+
+    const reason = (options.reason || '').trim();
+    if (reason.length > APPOINTMENT_REASON_MAX_LENGTH) {
+      throw new Error(`Reason cannot exceed ${APPOINTMENT_REASON_MAX_LENGTH} characters`);
+    }
+
+    const start = new Date(startTime);
+    if (isNaN(start.getTime()) || start.getTime() <= Date.now()) {
+      throw new Error('Please choose a time in the future');
+    }
+
+    const providerDoc = await db.collection('providers').doc(providerId).get();
+    if (!providerDoc.exists) {
+      throw new Error('Provider not found');
+    }
+
+    const provider = providerDoc.data();
+    if (!isBookingEnabled(provider)) {
+      throw new Error('This provider does not accept online appointments');
+    }
+
+    const settings = provider.appointmentSettings;
+
+    if (provider.ownerId === currentUser.uid) {
+      throw new Error('You cannot book an appointment with yourself');
+    }
+
+    // The requested time must match one of the provider's slots, including
+    // overnight slots opened the previous day
+    const previousDay = new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1);
+    const slot = [previousDay, start]
+      .flatMap(day => generateSlots(provider, day, settings.slotMinutes || DEFAULT_SLOT_MINUTES))
+      .find(candidate => candidate.start.getTime() === start.getTime());
+
+    if (!slot) {
+      throw new Error('The selected time is outside the provider\'s opening hours');
+    }
+
+    // Overlaps with slots of a different length (e.g. after a settings change)
+    const dayStart = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    const rangeStart = new Date(dayStart.getTime() - 24 * 60 * 60000);
+    const rangeEnd = new Date(dayStart.getTime() + 2 * 24 * 60 * 60000);
+    const booked = await getBookedRanges(providerId, rangeStart, rangeEnd);
+
+    if (booked.some(range => rangesOverlap(slot, range))) {
+      throw new Error('This time slot is no longer available');
+    }
+
+    // The citizen cannot hold two overlapping appointments
+    const ownSnapshot = await db.collection('appointments')
+      .where('patientId', '==', currentUser.uid)
+      .where('startTime', '>=', firebase.firestore.Timestamp.fromDate(rangeStart))
+      .where('startTime', '<', firebase.firestore.Timestamp.fromDate(rangeEnd))
+      .get();
+
+    const ownConflict = ownSnapshot.docs
+      .map(toAppointment)
+      .some(appointment =>
+        ACTIVE_APPOINTMENT_STATUSES.includes(appointment.status) &&
+        rangesOverlap(slot, { start: appointment.startTime, end: appointment.endTime })
+      );
+
+    if (ownConflict) {
+      throw new Error('You already have an appointment at this time');
+    }
+
+    const appointmentRef = db.collection('appointments').doc();
+    const slotRef = db.collection('providers').doc(providerId)
+      .collection('bookedSlots').doc(String(slot.start.getTime()));
+
+    const appointmentData = {
+      providerId,
+      providerOwnerId: provider.ownerId,
+      providerName: provider.name || '',
+      patientId: currentUser.uid,
+      patientName: currentUser.displayName || '',
+      patientEmail: currentUser.email || '',
+      startTime: firebase.firestore.Timestamp.fromDate(slot.start),
+      endTime: firebase.firestore.Timestamp.fromDate(slot.end),
+      reason,
+      status: 'requested',
+      createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    };
+
+    // Claim the slot lock and create the appointment atomically
+    await db.runTransaction(async (transaction) => {
+      const slotDoc = await transaction.get(slotRef);
+      if (slotDoc.exists) {
+        throw new Error('This time slot is no longer available');
+      }
+
+      transaction.set(slotRef, {
+        appointmentId: appointmentRef.id,
+        startTime: appointmentData.startTime,
+        endTime: appointmentData.endTime
+      });
+      transaction.set(appointmentRef, appointmentData);
+    });
+
+    if (window.Analytics) {
+      window.Analytics.trackAppointment(providerId, 'book', 'patient');
+    }
+
+    return {
+      id: appointmentRef.id,
+      ...appointmentData,
+      startTime: slot.start,
+      endTime: slot.end
+    };
+
+  } catch (error) {
+    console.error('Error booking appointment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Change the status of an appointment
+ * @param {string} appointmentId - Appointment ID
+ * @param {string} status - Target status
+ * @param {Object} extra - Additional fields to store (e.g. cancellation reason)
+ * @returns {Promise<Object>} Updated appointment
+ */
+async function updateAppointmentStatus(appointmentId, status, extra = {}) {
+  try {
+    const currentUser = await authModule.getCurrentUser();
+    if (!currentUser) {
+      throw new Error('You must be signed in to manage appointments');
+    }
+
+    const appointmentRef = db.collection('appointments').doc(appointmentId);
+    let updated = null;
+    let actorRole = null;
+
+    await db.runTransaction(async (transaction) => {
+      const appointmentDoc = await transaction.get(appointmentRef);
+      if (!appointmentDoc.exists) {
+        throw new Error('Appointment not found');
+      }
+
+      const appointment = toAppointment(appointmentDoc);
+      let role = null;
+      if (appointment.providerOwnerId === currentUser.uid) {
+        role = 'provider';
+      } else if (appointment.patientId === currentUser.uid) {
+        role = 'patient';
+      }
+
+      if (!role) {
+        throw new Error('You do not have permission to manage this appointment');
+      }
+
+      if (!canTransition(appointment.status, status, role)) {
+        throw new Error(`Cannot change appointment from ${appointment.status} to ${status}`);
+      }
+
+      if (status === 'no-show' && appointment.startTime.getTime() > Date.now()) {
+        throw new Error('An appointment can only be marked as no-show after it has started');
+      }
+
+      const updateData = {
+        status,
+        ...extra,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+      };
+
+      if (status === 'cancelled') {
+        updateData.cancelledBy = role;
+        // Release the slot so it can be booked again
+        transaction.delete(
+          db.collection('providers').doc(appointment.providerId)
+            .collection('bookedSlots').doc(String(appointment.startTime.getTime()))
+        );
+      }
+
+      transaction.update(appointmentRef, updateData);
+      updated = { ...appointment, ...updateData, status };
+      actorRole = role;
+    });
+
+    if (window.Analytics) {
+      const actions = { confirmed: 'confirm', cancelled: 'cancel', 'no-show': 'no_show' };
+      window.Analytics.trackAppointment(updated.providerId, actions[status], actorRole);
+    }
+
+    return updated;
+
+  } catch (error) {
+    console.error('Error updating appointment status:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancel an appointment (patient or provider)
+ * @param {string} appointmentId - Appointment ID
+ * @param {string} reason - Optional cancellation reason
+ * @returns {Promise<Object>} Updated appointment
+ */
+async function cancelAppointment(appointmentId, reason = '') {
+  return updateAppointmentStatus(appointmentId, 'cancelled', {
+    cancellationReason: (reason || '').trim().substring(0, APPOINTMENT_REASON_MAX_LENGTH)
+  });
+}
+
+/**
+ * Confirm a requested appointment (provider only)
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Promise<Object>} Updated appointment
+ */
+async function confirmAppointment(appointmentId) {
+  return updateAppointmentStatus(appointmentId, 'confirmed');
+}
+
+/**
+ * Mark a confirmed appointment as a no-show (provider only)
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Promise<Object>} Updated appointment
+ */
+async function markNoShow(appointmentId) {
+  return updateAppointmentStatus(appointmentId, 'no-show');
+}
+
+/**
+ * Get the current user's appointments, soonest first
+ * @param {Object} options - Options
+ * @param {string} options.providerId - Only return appointments with this provider
+ * @param {boolean} options.upcomingOnly - Exclude past appointments (default: true)
+ * @returns {Promise<Array>} Array of appointments
+ */
+async function getMyAppointments(options = {}) {
+  try {
+    const currentUser = await authModule.getCurrentUser();
+    if (!currentUser) {
+      return [];
+    }
+
+    const upcomingOnly = options.upcomingOnly !== false;
+
+    let query = db.collection('appointments')
+      .where('patientId', '==', currentUser.uid);
+
+    if (upcomingOnly) {
+      query = query.where('startTime', '>=', firebase.firestore.Timestamp.now());
+    }
+
+    const snapshot = await query.orderBy('startTime', 'asc').get();
+
+    return snapshot.docs
+      .map(toAppointment)
+      .filter(appointment => !options.providerId || appointment.providerId === options.providerId);
+
+  } catch (error) {
+    console.error('Error fetching appointments:', error);
+    throw new Error('Failed to load appointments. Please try again.');
+  }
+}
+
+/**
+ * Get a provider's agenda (provider owner only)
+ * @param {string} providerId - Provider ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Array>} Array of appointments, all statuses, soonest first
+ */
+async function getProviderAgenda(providerId, from, to) {
+  try {
+    const currentUser = await authModule.getCurrentUser();
+    if (!currentUser || currentUser.role !== 'provider') {
+      throw new Error('Only providers can view their agenda');
+    }
+
+    const snapshot = await db.collection('appointments')
+      .where('providerOwnerId', '==', currentUser.uid)
+      .where('providerId', '==', providerId)
+      .where('startTime', '>=', firebase.firestore.Timestamp.fromDate(from))
+      .where('startTime', '<', firebase.firestore.Timestamp.fromDate(to))
+      .orderBy('startTime', 'asc')
+      .get();
+
+    return snapshot.docs.map(toAppointment);
+
+  } catch (error) {
+    console.error('Error fetching provider agenda:', error);
+    throw error;
+  }
+}
+
+// Export functions
+window.appointmentsModule = {
+  DEFAULT_SLOT_MINUTES,
+  APPOINTMENT_TRANSITIONS,
+  canTransition,
+  isBookingEnabled,
+  generateSlots,
+  rangesOverlap,
+  getAvailableSlots,
+  bookAppointment,
+  cancelAppointment,
+  confirmAppointment,
+  markNoShow,
+  getMyAppointments,
+  getProviderAgenda
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = window.appointmentsModule;
+}
@@ -0,0 +1,240 @@
+/**
+ * Audit Log Module
+ * Reads back the `admin_logs` entries written by logAdminChange: which
+ * entity an action touched, the field-level before/after diff and the CSV
+ * export used for compliance reviews.
+ */
+
+const AuditLog = {
+  /**
+   * Entity type of each logged action, and the entry field holding its ID
+   */
+  ACTIONS: {
+    create_provider: { entity: 'provider', idField: 'providerId' },
+    update_provider: { entity: 'provider', idField: 'providerId' },
+    delete_provider: { entity: 'provider', idField: 'providerId' },
+    restore_provider: { entity: 'provider', idField: 'providerId' },
+    purge_provider: { entity: 'provider', idField: 'providerId' },
+    batch_delete_providers: { entity: 'provider', idField: 'providerIds' },
+    batch_update_providers: { entity: 'provider' },
+    bulk_import_providers: { entity: 'provider' },
+    export_providers: { entity: 'provider' },
+    rebuild_search_index: { entity: 'provider' },
+    approve_verification: { entity: 'verification', idField: 'verificationId' },
+    deny_verification: { entity: 'verification', idField: 'verificationId' },
+    request_verification_info: { entity: 'verification', idField: 'verificationId' },
+    expire_verification: { entity: 'provider', idField: 'providerId' },
+    claim_profile: { entity: 'provider', idField: 'providerId' },
+    resolve_claim_dispute: { entity: 'provider', idField: 'providerId' },
+    approve_provider_change: { entity: 'provider', idField: 'providerId' },
+    reject_provider_change: { entity: 'provider', idField: 'providerId' },
+    moderate_ad: { entity: 'ad', idField: 'adId' },
+    save_ad_screening_rule: { entity: 'system', idField: 'ruleId' },
+    delete_ad_screening_rule: { entity: 'system', idField: 'ruleId' },
+    moderate_review: { entity: 'review', idField: 'reviewId' },
+    save_chatbot_answer: { entity: 'system', idField: 'entryId' },
+    delete_chatbot_answer: { entity: 'system', idField: 'entryId' },
+    review_chatbot_questions: { entity: 'system', idField: 'questionIds' },
+    update_system_data: { entity: 'system' },
+    create_duty_shift: { entity: 'duty_shift', idField: 'shiftId' },
+    delete_duty_shift: { entity: 'duty_shift', idField: 'shiftId' },
+    import_duty_roster: { entity: 'duty_shift' },
+    rebuild_stats: { entity: 'system' },
+    export_audit_log: { entity: 'system' }
+  },
+
+  /**
+   * Entity types, in filter order
+   */
+  ENTITIES: ['provider', 'verification', 'ad', 'review', 'duty_shift', 'system'],
+
+  /**
+   * Fields describing the log entry itself rather than the change
+   */
+  META_FIELDS: ['action', 'adminId', 'timestamp', 'oldData', 'newData', 'data'],
+
+  /**
+   * Entity an entry refers to
+   * @param {Object} entry - Log entry
+   * @returns {Object} - { type, id } (id is '' for collection-wide actions)
+   */
+  getEntity(entry) {
+    const definition = this.ACTIONS[entry.action] || {};
+    const id = definition.idField ? entry[definition.idField] : '';
+
+    return {
+      type: definition.entity || 'other',
+      id: Array.isArray(id) ? id.join(' ') : String(id || '')
+    };
+  },
+
+  /**
+   * Convert a value to something comparable and printable: Firestore
+   * Timestamps and Dates become ISO strings
+   * @param {*} value - Any value
+   * @returns {*} - Plain value
+   */
+  toPlain(value) {
+    if (value === null || value === undefined) return value;
+    if (typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(item => this.toPlain(item));
+    if (typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.toPlain(item)]));
+    }
+    return value;
+  },
+
+  /**
+   * Flatten nested objects into dotted field paths. Arrays are kept whole.
+   * @param {Object} data - Document data
+   * @param {string} prefix - Path prefix
+   * @returns {Object} - Field path to plain value
+   */
+  flatten(data, prefix = '') {
+    const fields = {};
+
+    Object.entries(this.toPlain(data) || {}).forEach(([key, value]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+        Object.assign(fields, this.flatten(value, path));
+      } else {
+        fields[path] = value;
+      }
+    });
+
+    return fields;
+  },
+
+  /**
+   * Field-level differences between two versions of a document
+   * @param {Object|null} before - Old data (null for a creation)
+   * @param {Object|null} after - New data (null for a deletion)
+   * @returns {Array<Object>} - { field, before, after } sorted by field
+   */
+  diff(before, after) {
+    const oldFields = this.flatten(before);
+    const newFields = this.flatten(after);
+    const fields = new Set([...Object.keys(oldFields), ...Object.keys(newFields)]);
+
+    return Array.from(fields)
+      .filter(field => JSON.stringify(oldFields[field]) !== JSON.stringify(newFields[field]))
+      .sort()
+      .map(field => ({ field, before: oldFields[field], after: newFields[field] }));
+  },
+
+  /**
+   * Changes recorded by an entry. Updates log the previous document as
+   * `oldData` and the written fields as `newData`; creations and deletions
+   * log the document as `data`.
+   * @param {Object} entry - Log entry
+   * @returns {Array<Object>} - { field, before, after }
+   */
+  getChanges(entry) {
+    if (entry.newData !== undefined) {
+      // Updates are partial: fields that were not written did not change
+      const written = Object.keys(entry.newData || {});
+      const before = Object.fromEntries(
+        Object.entries(entry.oldData || {}).filter(([key]) => written.includes(key))
+      );
+      return this.diff(before, entry.newData);
+    }
+
+    if (entry.action && entry.action.startsWith('delete_')) {
+      return this.diff(entry.data, null);
+    }
+
+    return this.diff(null, entry.data);
+  },
+
+  /**
+   * Extra details of an entry that are not part of the diff (filters,
+   * results, reasons...)
+   * @param {Object} entry - Log entry
+   * @returns {Object} - Plain details
+   */
+  getDetails(entry) {
+    const definition = this.ACTIONS[entry.action] || {};
+    const details = {};
+
+    Object.entries(entry).forEach(([key, value]) => {
+      if (key !== 'id' && key !== definition.idField && !this.META_FIELDS.includes(key)) {
+        details[key] = this.toPlain(value);
+      }
+    });
+
+    return details;
+  },
+
+  /**
+   * Check an entry against the viewer filters
+   * @param {Object} entry - Log entry
+   * @param {Object} filters - { adminId, entity, entityId, from, to } (Dates)
+   * @returns {boolean} - True if the entry should be shown
+   */
+  matchesFilters(entry, filters = {}) {
+    const entity = this.getEntity(entry);
+    const time = entry.timestamp && typeof entry.timestamp.toDate === 'function'
+      ? entry.timestamp.toDate()
+      : entry.timestamp;
+
+    if (filters.adminId && entry.adminId !== filters.adminId) return false;
+    if (filters.entity && entity.type !== filters.entity) return false;
+    if (filters.entityId && !entity.id.split(' ').includes(filters.entityId)) return false;
+    if (filters.from && (!time || time < filters.from)) return false;
+    if (filters.to && (!time || time > filters.to)) return false;
+
+    return true;
+  },
+
+  /**
+   * Format a value for display or CSV
+   * @param {*} value - Plain value
+   * @returns {string} - Text ('' for missing values)
+   */
+  formatValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  },
+
+  /**
+   * Serialize entries to CSV with one row per changed field. Logged values
+   * come from provider and user data, so values a spreadsheet would run as a
+   * formula are escaped (see CSV.escapeFormula).
+   * @param {Array<Object>} entries - Log entries with `id`
+   * @param {Object} adminNames - Admin ID to display name (optional)
+   * @returns {string} - CSV text with header row
+   */
+  toCSV(entries, adminNames = {}) {
+    const records = [['timestamp', 'admin_id', 'admin', 'action', 'entity', 'entity_id', 'field', 'before', 'after', 'details', 'log_id']];
+
+    entries.forEach(entry => {
+      const entity = this.getEntity(entry);
+      const timestamp = this.toPlain(entry.timestamp) || '';
+      const details = this.getDetails(entry);
+      const base = [timestamp, entry.adminId || '', adminNames[entry.adminId] || '', entry.action || '', entity.type, entity.id];
+      const detailText = Object.keys(details).length > 0 ? JSON.stringify(details) : '';
+      const changes = this.getChanges(entry);
+
+      if (changes.length === 0) {
+        records.push([...base, '', '', '', detailText, entry.id || '']);
+      } else {
+        changes.forEach(change => {
+          records.push([...base, change.field, this.formatValue(change.before), this.formatValue(change.after), detailText, entry.id || '']);
+        });
+      }
+    });
+
+    return window.CSV.stringify(records, { escapeFormulas: true });
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AuditLog;
+}
+
+if (typeof window !== 'undefined') {
+  window.AuditLog = AuditLog;
+}
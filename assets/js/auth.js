@@ -51,7 +51,8 @@ async function signUp(email, password, userType = 'citizen', additionalData = {}
         theme: 'light'
       },
       favorites: [],
-      createdAt: firebase.firestore.FieldValue.serverTimestamp()
+      createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+      lastLoginAt: firebase.firestore.FieldValue.serverTimestamp()
     };
 
     await db.collection('users').doc(user.uid).set(userData);
@@ -111,6 +112,11 @@ async function signIn(email, password, submitButton = null) {
 
     const userData = userDoc.data();
 
+    // Used for the active users statistic
+    db.collection('users').doc(user.uid).update({
+      lastLoginAt: firebase.firestore.FieldValue.serverTimestamp()
+    }).catch(error => console.warn('Could not record sign-in time:', error));
+
     // Track sign in in analytics
     if (window.Analytics) {
       window.Analytics.trackAuth('email', 'sign_in');
@@ -180,7 +186,8 @@ async function signInWithGoogle(userType = 'citizen', submitButton = null) {
           theme: 'light'
         },
         favorites: [],
-        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+        lastLoginAt: firebase.firestore.FieldValue.serverTimestamp()
       };
 
       await db.collection('users').doc(user.uid).set(userData);
@@ -192,6 +199,10 @@ async function signInWithGoogle(userType = 'citizen', submitButton = null) {
     } else {
       userData = userDoc.data();
 
+      db.collection('users').doc(user.uid).update({
+        lastLoginAt: firebase.firestore.FieldValue.serverTimestamp()
+      }).catch(error => console.warn('Could not record sign-in time:', error));
+
       // Track sign in in analytics
       if (window.Analytics) {
         window.Analytics.trackAuth('google', 'sign_in');
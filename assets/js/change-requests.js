@@ -0,0 +1,162 @@
+/**
+ * Change Requests Module
+ * Pure helpers behind profile change moderation: once a provider is
+ * verified, edits to the fields patients rely on to identify it (name, type,
+ * phone, address, location) wait in a `provider_changes` request until an
+ * admin approves them, while other fields apply immediately.
+ */
+
+const ChangeRequests = {
+  /**
+   * Fields whose changes need admin approval, in display order
+   */
+  SENSITIVE_FIELDS: ['name', 'type', 'phone', 'address', 'location'],
+
+  /**
+   * Whether a field (or dotted field path) is sensitive
+   * @param {string} field - Field name or path (e.g. 'address.city')
+   * @returns {boolean} - True if changes need approval
+   */
+  isSensitive(field) {
+    return this.SENSITIVE_FIELDS.includes(field.split('.')[0]);
+  },
+
+  /**
+   * Whether a provider's sensitive changes need approval
+   * @param {Object} provider - Provider data
+   * @returns {boolean} - True for verified providers
+   */
+  requiresReview(provider) {
+    return provider.verified === true;
+  },
+
+  /**
+   * Read a field or dotted field path
+   * @param {Object} data - Document data
+   * @param {string} field - Field name or path
+   * @returns {*} - Value (undefined if missing)
+   */
+  getValue(data, field) {
+    return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+  },
+
+  /**
+   * Compare two field values regardless of object key order
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {boolean} - True if equal
+   */
+  isEqual(a, b) {
+    const normalize = value => {
+      if (value === undefined || value === null || value === '') return null;
+      if (Array.isArray(value)) return value.map(normalize);
+      if (typeof value === 'object') {
+        return Object.keys(value).sort().reduce((result, key) => {
+          result[key] = normalize(value[key]);
+          return result;
+        }, {});
+      }
+      return value;
+    };
+
+    return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+  },
+
+  /**
+   * Split profile updates into those applied now and those needing approval
+   * @param {Object} updates - Profile updates
+   * @param {Object} provider - Current provider data
+   * @returns {Object} - { immediate, sensitive }
+   */
+  splitUpdates(updates, provider) {
+    const immediate = {};
+    const sensitive = {};
+    const review = this.requiresReview(provider);
+
+    Object.entries(updates).forEach(([field, value]) => {
+      if (review && this.isSensitive(field)) {
+        sensitive[field] = value;
+      } else {
+        immediate[field] = value;
+      }
+    });
+
+    return { immediate, sensitive };
+  },
+
+  /**
+   * Merge sensitive updates into a pending request. Fields set back to
+   * their current value are dropped from the request.
+   * @param {Object} changes - Changes already pending (empty for a new request)
+   * @param {Object} sensitive - Sensitive updates
+   * @param {Object} provider - Current provider data
+   * @returns {Object} - { changes, previous } (previous holds the current values)
+   */
+  mergeChanges(changes, sensitive, provider) {
+    const merged = { ...(changes || {}) };
+
+    Object.entries(sensitive).forEach(([field, value]) => {
+      if (this.isEqual(this.getValue(provider, field), value)) {
+        delete merged[field];
+      } else {
+        merged[field] = value;
+      }
+    });
+
+    const previous = {};
+    Object.keys(merged).forEach(field => {
+      const value = this.getValue(provider, field);
+      previous[field] = value === undefined ? null : value;
+    });
+
+    return { changes: merged, previous };
+  },
+
+  /**
+   * Field-level view of a request, in SENSITIVE_FIELDS order
+   * @param {Object} request - Change request ({ changes, previous })
+   * @returns {Array<Object>} - { field, before, after }
+   */
+  getFieldChanges(request) {
+    const rank = field => this.SENSITIVE_FIELDS.indexOf(field.split('.')[0]);
+
+    return Object.keys(request.changes || {})
+      .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+      .map(field => ({
+        field,
+        before: (request.previous || {})[field],
+        after: request.changes[field]
+      }));
+  },
+
+  /**
+   * Format a field value for display
+   * @param {string} field - Field name or path
+   * @param {*} value - Value
+   * @returns {string} - Text ('' for missing values)
+   */
+  formatValue(field, value) {
+    if (value === null || value === undefined) return '';
+
+    if (field === 'address' && typeof value === 'object') {
+      return [value.street, value.city, value.wilaya].filter(Boolean).join(', ');
+    }
+
+    if (field === 'location' && typeof value === 'object') {
+      const lat = value.lat ?? value.latitude;
+      const lng = value.lng ?? value.longitude;
+      return typeof lat === 'number' && typeof lng === 'number' ? `${lat.toFixed(5)}, ${lng.toFixed(5)}` : '';
+    }
+
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChangeRequests;
+}
+
+if (typeof window !== 'undefined') {
+  window.ChangeRequests = ChangeRequests;
+}
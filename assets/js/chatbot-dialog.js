@@ -0,0 +1,423 @@
+/**
+ * Chatbot Dialog Module
+ * Conversation state for provider searches in the chatbot. Each message
+ * fills slots (provider type, specialty, location and constraints such as
+ * "open now", home visits or wheelchair access) that are kept across turns,
+ * so "I need a dentist" followed by "open now near Sidi Djillali?" searches
+ * for dentists open now near Sidi Djillali. Missing slots are asked for once,
+ * then the slots are turned into Search.searchProviders parameters.
+ *
+ * Terms of every language are matched whatever the interface language, as
+ * users often mix Arabic, French and English. Algerian Darija is first
+ * rewritten by ChatbotDarija.
+ *
+ * functions/chatbot-dialog.js is a copy of this file used by the Cloud
+ * Function through ChatbotEngine; keep both identical (checked by
+ * __tests__/chatbot-dialog.test.js).
+ */
+
+const ChatbotDialog = {
+  /**
+   * Provider type names (values of `provider.type`)
+   */
+  TYPE_TERMS: {
+    doctor: ['doctor', 'physician', 'gp', 'médecin', 'medecin', 'docteur', 'généraliste', 'طبيب', 'دكتور'],
+    clinic: ['clinic', 'clinique', 'cabinet', 'عيادة'],
+    hospital: ['hospital', 'hôpital', 'hopital', 'chu', 'مستشفى'],
+    pharmacy: ['pharmacy', 'chemist', 'pharmacie', 'صيدلية'],
+    lab: ['lab', 'laboratory', 'laboratoire', 'labo', 'analyses', 'مختبر', 'تحاليل']
+  },
+
+  /**
+   * Specialties: words that mention them, and the search query used for
+   * them (a stem matching their English, French and Arabic names)
+   */
+  SPECIALTIES: {
+    cardiology: {
+      query: 'cardio',
+      terms: ['heart', 'cardiac', 'cardiology', 'cardiologist', 'cœur', 'coeur', 'cardiaque', 'cardiologie', 'cardiologue', 'قلب', 'قلبية']
+    },
+    dentistry: {
+      query: 'dent',
+      terms: ['teeth', 'tooth', 'dental', 'dentist', 'dents', 'dent', 'dentaire', 'dentiste', 'أسنان', 'سنان']
+    },
+    pediatrics: {
+      query: 'pediatr',
+      terms: ['child', 'children', 'pediatric', 'pediatrician', 'baby', 'kid', 'kids', 'enfant', 'enfants', 'pédiatre', 'pédiatrique', 'pédiatrie', 'bébé', 'أطفال', 'طفل', 'رضيع']
+    },
+    dermatology: {
+      query: 'dermato',
+      terms: ['skin', 'dermatology', 'dermatologist', 'peau', 'dermatologie', 'dermatologue', 'جلد', 'جلدية']
+    },
+    orthopedics: {
+      query: 'ortho',
+      terms: ['bone', 'bones', 'orthopedic', 'orthopedist', 'fracture', 'os', 'orthopédique', 'orthopédiste', 'عظام', 'كسر']
+    },
+    ophthalmology: {
+      query: 'oph',
+      terms: ['eye', 'eyes', 'vision', 'ophthalmology', 'ophthalmologist', 'œil', 'yeux', 'ophtalmologie', 'ophtalmologue', 'عين', 'عيون', 'بصر']
+    },
+    gynecology: {
+      query: 'gyn',
+      terms: ['women', 'gynecology', 'gynecologist', 'pregnancy', 'pregnant', 'femmes', 'gynécologie', 'gynécologue', 'grossesse', 'enceinte', 'نساء', 'نسائية', 'حمل', 'حامل']
+    }
+  },
+
+  /**
+   * Search constraints (Search filters)
+   */
+  CONSTRAINT_TERMS: {
+    openNow: ['open now', 'opened now', 'open today', 'ouvert maintenant', 'ouvert aujourd hui', 'ouverte maintenant', 'مفتوح الآن', 'مفتوح الان', 'مفتوحة الآن'],
+    homeVisits: ['home visit', 'home visits', 'house call', 'visit home', 'visite à domicile', 'visites à domicile', 'à domicile', 'زيارة منزلية', 'زيارات منزلية', 'في البيت', 'للمنزل'],
+    accessibility: ['wheelchair', 'wheelchair accessible', 'disabled access', 'fauteuil roulant', 'accès handicapé', 'handicapé', 'كرسي متحرك', 'الكراسي المتحركة', 'معاق', 'إعاقة']
+  },
+
+  /**
+   * Words introducing a place ("near Sidi Djillali", "à Sfisef"), compared
+   * with their accents so French "à" is not mistaken for English "a"
+   */
+  LOCATION_MARKERS: ['near', 'in', 'around', 'at', 'close to', 'près de', 'pres de', 'à', 'au', 'dans', 'vers', 'quartier', 'قرب', 'بالقرب من', 'في', 'حي'],
+
+  /**
+   * Articles skipped before a place name
+   */
+  ARTICLES: ['the', 'le', 'la', 'les', 'l'],
+
+  /**
+   * Answers meaning "no particular place"
+   */
+  ANY_LOCATION_TERMS: ['anywhere', 'doesn t matter', 'no preference', 'partout', 'n importe où', 'peu importe', 'pas de préférence', 'أي مكان', 'لا يهم', 'كل مكان'],
+
+  /**
+   * Phrases starting a new search
+   */
+  RESET_TERMS: ['new search', 'start over', 'nouvelle recherche', 'recommencer', 'بحث جديد'],
+
+  /**
+   * Phrases handled by the emergency answer rather than a search
+   */
+  EMERGENCY_TERMS: ['emergency', 'urgent', 'on duty', 'on-duty', 'urgence', 'urgences', 'de garde', 'طوارئ', 'عاجل', 'مستعجل', 'مناوبة'],
+
+  /**
+   * Words that cannot be part of a place name
+   */
+  NON_PLACE_WORDS: ['the', 'a', 'an', 'my', 'me', 'and', 'or', 'for', 'with', 'open', 'now', 'today', 'tonight', 'tomorrow',
+    'morning', 'evening', 'afternoon', 'night', 'weekend', 'le', 'la', 'les', 'l', 'un', 'une', 'mon', 'ma', 'et', 'ou',
+    'pour', 'avec', 'ouvert', 'ouverte', 'maintenant', 'aujourd', 'hui', 'demain', 'matin', 'soir', 'nuit', 'semaine',
+    'و', 'او', 'مع', 'الان', 'اليوم', 'غدا', 'صباح', 'مساء', 'الليله', 'ليلا'],
+
+  /**
+   * Longest place name taken from a message, in words
+   */
+  MAX_LOCATION_WORDS: 4,
+
+  /**
+   * New, empty conversation state
+   * @returns {Object} - { type, specialty, location, anyLocation, filters, asked, pending, searched }
+   */
+  createState() {
+    return {
+      type: null,
+      specialty: null,
+      location: '',
+      anyLocation: false,
+      filters: {},
+      asked: [],
+      pending: null,
+      searched: false
+    };
+  },
+
+  /**
+   * Darija rewriting: a global in the browser, the sibling file in Cloud
+   * Functions
+   */
+  getDarija() {
+    return typeof ChatbotDarija !== 'undefined' ? ChatbotDarija : require('./chatbot-darija.js');
+  },
+
+  /**
+   * Normalize text for matching: lower case, no accents or Arabic
+   * diacritics, unified Arabic letter variants, single spaces
+   * @param {string} text - Text
+   * @returns {string} - Normalized text
+   */
+  normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/\u0153/g, 'oe')
+      .replace(/[\u064b-\u065f\u0670\u0640]/g, '')
+      .replace(/[\u0622\u0623\u0625]/g, '\u0627')
+      .replace(/\u0649/g, '\u064a')
+      .replace(/\u0629/g, '\u0647')
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  },
+
+  /**
+   * Whether a normalized text contains a term. Latin terms must match whole
+   * words; Arabic terms may carry attached prefixes such as "ال" or "و".
+   * @param {string} text - Normalized text
+   * @param {string} term - Term
+   * @returns {boolean} - True if found
+   */
+  hasTerm(text, term) {
+    const normalized = this.normalize(term);
+    if (!normalized) return false;
+
+    return /[\u0600-\u06ff]/.test(normalized)
+      ? ` ${text} `.includes(normalized)
+      : ` ${text} `.includes(` ${normalized} `);
+  },
+
+  /**
+   * Whether a normalized text contains any of the terms
+   * @param {string} text - Normalized text
+   * @param {Array<string>} terms - Terms
+   * @returns {boolean} - True if one is found
+   */
+  hasAnyTerm(text, terms) {
+    return terms.some(term => this.hasTerm(text, term));
+  },
+
+  /**
+   * Words of every term the dialog knows, which end a place name
+   * @returns {Set<string>} - Normalized words
+   */
+  getVocabulary() {
+    if (!this.vocabulary) {
+      const terms = [
+        ...Object.values(this.TYPE_TERMS).flat(),
+        ...Object.values(this.SPECIALTIES).flatMap(specialty => specialty.terms),
+        ...Object.values(this.CONSTRAINT_TERMS).flat(),
+        ...this.LOCATION_MARKERS,
+        ...this.ARTICLES,
+        ...this.EMERGENCY_TERMS,
+        ...this.NON_PLACE_WORDS
+      ];
+      this.vocabulary = new Set(terms.flatMap(term => this.normalize(term).split(' ')));
+    }
+    return this.vocabulary;
+  },
+
+  /**
+   * Take a place name from a message: the words after a location marker, or
+   * the whole message when `whole` is set (an answer to "where?")
+   * @param {string} message - User message
+   * @param {boolean} whole - Treat the message as an answer to "where?"
+   * @returns {string} - Place name as written, or ''
+   */
+  extractLocation(message, whole = false) {
+    const vocabulary = this.getVocabulary();
+    const words = String(message || '').split(/\s+/).filter(Boolean).map(raw => ({
+      raw: raw.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''),
+      norm: this.normalize(raw),
+      endsClause: /[?!.,;:]$/.test(raw)
+    }));
+    const markers = this.LOCATION_MARKERS.map(marker => marker.split(' '));
+
+    // Words following each marker, or every word of an answer
+    const starts = whole ? [0] : [];
+    words.forEach((word, index) => {
+      markers.forEach(marker => {
+        if (marker.every((part, offset) => words[index + offset] && words[index + offset].raw.toLowerCase() === part)) {
+          starts.push(index + marker.length);
+        }
+      });
+    });
+
+    for (const start of starts) {
+      const place = [];
+
+      for (let index = start; index < words.length && place.length < this.MAX_LOCATION_WORDS; index++) {
+        const word = words[index];
+        const parts = word.norm.split(' ').filter(Boolean);
+
+        if (parts.length === 0) continue;
+        if (place.length === 0 && parts.every(part => this.ARTICLES.includes(part))) continue;
+        if (parts.some(part => vocabulary.has(part))) break;
+
+        place.push(word.raw);
+        if (word.endsClause) break;
+      }
+
+      if (place.length > 0) {
+        return place.join(' ');
+      }
+    }
+
+    return '';
+  },
+
+  /**
+   * Slots mentioned in a message
+   * @param {string} message - User message
+   * @param {Object} options - { whole: treat the message as an answer to "where?" }
+   * @returns {Object} - { type, specialty, location, anyLocation, filters, reset, emergency }
+   */
+  extract(message, options = {}) {
+    const translated = this.getDarija().translate(message);
+    const text = this.normalize(translated);
+    const findKey = (dictionary, getTerms) =>
+      Object.keys(dictionary).find(key => this.hasAnyTerm(text, getTerms(dictionary[key]))) || null;
+    const filters = {};
+
+    Object.entries(this.CONSTRAINT_TERMS).forEach(([filter, terms]) => {
+      if (this.hasAnyTerm(text, terms)) filters[filter] = true;
+    });
+
+    const type = findKey(this.TYPE_TERMS, terms => terms);
+    const specialty = findKey(this.SPECIALTIES, definition => definition.terms);
+    const anyLocation = this.hasAnyTerm(text, this.ANY_LOCATION_TERMS);
+
+    // A bare answer to "where?" is a place only if it asks for nothing else
+    const whole = options.whole && !type && !specialty && Object.keys(filters).length === 0;
+
+    return {
+      type,
+      specialty,
+      location: anyLocation ? '' : this.extractLocation(translated, whole),
+      anyLocation,
+      filters,
+      reset: this.hasAnyTerm(text, this.RESET_TERMS),
+      emergency: this.hasAnyTerm(text, this.EMERGENCY_TERMS)
+    };
+  },
+
+  /**
+   * Apply a message to the conversation state
+   * @param {Object} state - Current state (see createState)
+   * @param {string} message - User message
+   * @param {Object} options - { freeText: the message may be a bare answer to
+   * the pending question (false when it matched another intent), start: the
+   * message asks for a provider even without slots ("I'm looking for help") }
+   * @returns {Object} - { state, handled }: the new state, and whether the
+   * message belongs to the provider search. The search runs when the new
+   * state has no pending question (`searched` is then true).
+   */
+  update(state, message, options = {}) {
+    const current = state || this.createState();
+    const answersWhere = current.pending === 'location' && options.freeText !== false;
+    const slots = this.extract(message, { whole: answersWhere });
+
+    if (slots.reset) {
+      return { state: this.createState(), handled: false };
+    }
+
+    if (slots.emergency) {
+      return { state: current, handled: false };
+    }
+
+    // A place alone ("j'ai mal à la tête") only continues a search in progress
+    const inProgress = Boolean(current.type || current.specialty || current.pending ||
+      Object.keys(current.filters).length > 0);
+    const hasSlots = Boolean(slots.type || slots.specialty || Object.keys(slots.filters).length > 0 ||
+      (inProgress && (slots.location || slots.anyLocation)) || options.start);
+
+    if (!hasSlots) {
+      return { state: current, handled: false };
+    }
+
+    // Asking for something else after a search starts a new one in the same place
+    const isNewSearch = current.searched && (
+      (slots.type && slots.type !== current.type) ||
+      (slots.specialty && slots.specialty !== current.specialty)
+    );
+    const base = isNewSearch
+      ? { ...this.createState(), location: current.location, anyLocation: current.anyLocation, asked: current.asked }
+      : current;
+
+    const next = {
+      ...base,
+      type: slots.type || base.type,
+      specialty: slots.specialty || base.specialty,
+      location: slots.location || (slots.anyLocation ? '' : base.location),
+      anyLocation: slots.anyLocation || (slots.location ? false : base.anyLocation),
+      filters: { ...base.filters, ...slots.filters },
+      pending: null
+    };
+
+    next.pending = this.nextQuestion(next);
+    next.searched = next.pending === null;
+    if (next.pending && !next.asked.includes(next.pending)) {
+      next.asked = [...next.asked, next.pending];
+    }
+
+    return { state: next, handled: true };
+  },
+
+  /**
+   * Apply a message the way the chatbot does, given its detected intent:
+   * described symptoms are triaged even when they name a specialty, other
+   * messages may continue or start a provider search, and a greeting that
+   * does not starts over. The web app and recordChatbotTurn both use it, so
+   * the Cloud Function knows which messages were search follow-ups.
+   * @param {Object} state - Current state (see createState)
+   * @param {string} message - User message
+   * @param {Object} intent - Intent from ChatbotEngine.detectIntent
+   * @returns {Object} - { state, handled } (see update)
+   */
+  step(state, message, intent) {
+    if (intent.type === 'triage') {
+      return { state: state || this.createState(), handled: false };
+    }
+
+    const result = this.update(state, message, {
+      freeText: intent.type === 'unknown',
+      start: intent.type === 'findProvider'
+    });
+
+    if (!result.handled && intent.type === 'greeting') {
+      return { state: this.createState(), handled: false };
+    }
+
+    return result;
+  },
+
+  /**
+   * Slot to ask for next
+   * @param {Object} state - Conversation state
+   * @returns {string|null} - 'what', 'location', or null when ready to search
+   */
+  nextQuestion(state) {
+    if (!state.type && !state.specialty && Object.keys(state.filters).length === 0) {
+      return 'what';
+    }
+
+    if (!state.location && !state.anyLocation && !state.asked.includes('location')) {
+      return 'location';
+    }
+
+    return null;
+  },
+
+  /**
+   * Search parameters for the current slots
+   * @param {Object} state - Conversation state
+   * @returns {Object} - { query, serviceType, location, filters } for Search.searchProviders
+   */
+  toSearchParams(state) {
+    const query = [
+      state.specialty ? this.SPECIALTIES[state.specialty].query : '',
+      state.location || ''
+    ].filter(Boolean).join(' ');
+
+    return {
+      query,
+      serviceType: state.type || 'all',
+      location: 'all',
+      filters: { ...state.filters }
+    };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChatbotDialog;
+}
+
+if (typeof window !== 'undefined') {
+  window.ChatbotDialog = ChatbotDialog;
+}
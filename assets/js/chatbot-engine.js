@@ -0,0 +1,801 @@
+/**
+ * Chatbot Engine Module
+ * Intent detection and answers of the chatbot, shared by the browser
+ * (Chatbot in chatbot.js) and the `processChatbotMessage` Cloud Function so
+ * both give the same answer to the same message in Arabic, French and
+ * English.
+ *
+ * Answers that list providers read them from a source given by the caller:
+ *
+ *   db                       Firestore instance (web SDK or firebase-admin)
+ *   getEmergencyProviders({ nearest })
+ *                            tonight's on-duty pharmacies, then 24/7 providers;
+ *                            with `nearest`, closest first when the caller
+ *                            knows where the user is
+ *
+ * Provider searches themselves are run here (see findProviders) so both sides
+ * query and rank providers the same way.
+ *
+ * Messages in Algerian Darija, in Arabic script or Arabizi, are understood
+ * through ChatbotDarija.
+ *
+ * Admins add keyword patterns and canned answers in the `chatbot_answers`
+ * collection. Both sides read them with loadCustomEntries and pass them to
+ * detectIntent, so new entries apply without a redeploy.
+ *
+ * functions/chatbot-engine.js is a copy of this file used by the Cloud
+ * Function; keep both identical (checked by __tests__/chatbot-engine.test.js).
+ */
+
+const ChatbotEngine = {
+  /**
+   * Providers shown in an answer
+   */
+  MAX_PROVIDERS: 5,
+
+  /**
+   * Candidates read for a text search before ranking
+   */
+  SEARCH_CANDIDATE_LIMIT: 300,
+
+  /**
+   * Firestore collection of admin-managed patterns and answers
+   */
+  CUSTOM_ENTRIES_COLLECTION: 'chatbot_answers',
+
+  /**
+   * How long callers keep the custom entries they read
+   */
+  CUSTOM_ENTRIES_TTL_MS: 5 * 60 * 1000,
+
+  /**
+   * Custom entry types: more keywords for a built-in intent, or a canned answer
+   */
+  CUSTOM_ENTRY_TYPES: ['pattern', 'answer'],
+
+  MAX_CUSTOM_KEYWORDS: 30,
+
+  MAX_CUSTOM_ANSWER_LENGTH: 1000,
+
+  /**
+   * Specialty names used in triage answers (ChatbotDialog.SPECIALTIES keys)
+   */
+  SPECIALTY_NAMES: {
+    cardiology: { en: 'a cardiologist', fr: 'un cardiologue', ar: 'طبيب قلب' },
+    dentistry: { en: 'a dentist', fr: 'un dentiste', ar: 'طبيب أسنان' },
+    pediatrics: { en: 'a pediatrician', fr: 'un pédiatre', ar: 'طبيب أطفال' },
+    dermatology: { en: 'a dermatologist', fr: 'un dermatologue', ar: 'طبيب جلدية' },
+    orthopedics: { en: 'an orthopedist', fr: 'un orthopédiste', ar: 'طبيب عظام' },
+    ophthalmology: { en: 'an ophthalmologist', fr: 'un ophtalmologue', ar: 'طبيب عيون' },
+    gynecology: { en: 'a gynecologist', fr: 'un gynécologue', ar: 'طبيب نساء' }
+  },
+
+  /**
+   * Intent patterns for different languages
+   */
+  INTENT_PATTERNS: {
+    // Find provider intents
+    findProvider: {
+      en: ['find', 'search', 'looking for', 'need', 'where', 'doctor', 'clinic', 'hospital', 'pharmacy', 'lab'],
+      fr: ['trouver', 'chercher', 'cherche', 'besoin', 'où', 'docteur', 'clinique', 'hôpital', 'pharmacie', 'laboratoire'],
+      ar: ['ابحث', 'أبحث', 'أريد', 'أين', 'طبيب', 'عيادة', 'مستشفى', 'صيدلية', 'مختبر', 'دكتور']
+    },
+
+    // Emergency intents
+    emergency: {
+      en: ['emergency', 'urgent', 'now', '24/7', 'immediate', 'asap', 'on duty', 'on-duty', 'tonight'],
+      fr: ['urgence', 'urgent', 'maintenant', '24/7', 'immédiat', 'tout de suite', 'de garde', 'garde', 'cette nuit'],
+      ar: ['طوارئ', 'عاجل', 'الآن', 'فوري', 'مستعجل', 'مناوبة', 'الليلة']
+    },
+
+    // Hours/availability intents
+    hours: {
+      en: ['hours', 'open', 'close', 'available', 'when', 'time', 'schedule'],
+      fr: ['heures', 'ouvert', 'fermé', 'disponible', 'quand', 'horaire'],
+      ar: ['ساعات', 'مفتوح', 'مغلق', 'متاح', 'متى', 'وقت', 'مواعيد']
+    },
+
+    // Location intents
+    location: {
+      en: ['where', 'location', 'address', 'directions', 'map', 'how to get'],
+      fr: ['où', 'emplacement', 'adresse', 'directions', 'carte', 'comment aller'],
+      ar: ['أين', 'موقع', 'عنوان', 'اتجاهات', 'خريطة', 'كيف أصل']
+    },
+
+    // Accessibility intents
+    accessibility: {
+      en: ['wheelchair', 'accessible', 'disability', 'handicap'],
+      fr: ['fauteuil roulant', 'accessible', 'handicap'],
+      ar: ['كرسي متحرك', 'متاح', 'إعاقة', 'معاق']
+    },
+
+    // Home visit intents
+    homeVisit: {
+      en: ['home visit', 'house call', 'come to', 'visit home'],
+      fr: ['visite à domicile', 'venir à', 'domicile'],
+      ar: ['زيارة منزلية', 'يأتي للمنزل', 'في البيت']
+    },
+
+    // Greeting intents
+    greeting: {
+      en: ['hello', 'hi', 'hey', 'good morning', 'good afternoon', 'good evening'],
+      fr: ['bonjour', 'salut', 'bonsoir'],
+      ar: ['مرحبا', 'السلام عليكم', 'أهلا', 'صباح الخير', 'مساء الخير']
+    },
+
+    // Help intents
+    help: {
+      en: ['help', 'how', 'what can', 'assist', 'support'],
+      fr: ['aide', 'comment', 'que peux', 'assister', 'support'],
+      ar: ['مساعدة', 'كيف', 'ماذا يمكن', 'ساعد']
+    },
+
+    // Thanks intents
+    thanks: {
+      en: ['thank', 'thanks', 'appreciate'],
+      fr: ['merci', 'remercie'],
+      ar: ['شكرا', 'شكراً', 'متشكر']
+    }
+  },
+
+  /**
+   * Modules this one builds on: globals in the browser, sibling files in
+   * Cloud Functions
+   */
+  getDialog() {
+    return typeof ChatbotDialog !== 'undefined' ? ChatbotDialog : require('./chatbot-dialog.js');
+  },
+
+  getSearchIndex() {
+    return typeof SearchIndex !== 'undefined' ? SearchIndex : require('./search-index.js');
+  },
+
+  getTriage() {
+    return typeof ChatbotTriage !== 'undefined' ? ChatbotTriage : require('./chatbot-triage.js');
+  },
+
+  getDarija() {
+    return typeof ChatbotDarija !== 'undefined' ? ChatbotDarija : require('./chatbot-darija.js');
+  },
+
+  /**
+   * Detect user intent from message. Described symptoms take precedence
+   * over every other intent ("triage", with the assessment in `triage`),
+   * then admin answers ("custom", with the entry in `entry`).
+   * @param {string} message - User message
+   * @param {string} language - Language code
+   * @param {Array<Object>} customEntries - Enabled entries from loadCustomEntries
+   * @returns {Object} - Intent object with type and confidence
+   */
+  detectIntent(message, language, customEntries = []) {
+    const triage = this.getTriage().assess(message);
+    if (triage) {
+      return { type: 'triage', confidence: 1, triage };
+    }
+
+    const entry = this.matchCustomAnswer(message, customEntries);
+    if (entry) {
+      return { type: 'custom', confidence: 1, entry: { id: entry.id, answers: entry.answers } };
+    }
+
+    // Darija is matched through the Arabic or French words it stands for,
+    // with the patterns of every language the message is written in
+    const darija = this.getDarija();
+    const lowerMessages = [...new Set([message, darija.translate(message)]
+      .map(text => text.toLowerCase().trim()))];
+    const languages = darija.getLanguages(message, language);
+    const intents = [];
+
+    // Check each intent pattern, with the keywords admins added to it
+    for (const [intentType, patterns] of Object.entries(this.INTENT_PATTERNS)) {
+      const customKeywords = this.getCustomKeywords(intentType, customEntries);
+      let confidence = 0;
+
+      for (const patternLanguage of languages) {
+        const languagePatterns = [...(patterns[patternLanguage] || patterns.en), ...customKeywords];
+
+        let matches = 0;
+        for (const pattern of languagePatterns) {
+          if (lowerMessages.some(text => text.includes(pattern.toLowerCase()))) {
+            matches++;
+          }
+        }
+
+        confidence = Math.max(confidence, matches / languagePatterns.length);
+      }
+
+      if (confidence > 0) {
+        intents.push({ type: intentType, confidence });
+      }
+    }
+
+    // Sort by confidence
+    intents.sort((a, b) => b.confidence - a.confidence);
+
+    // Return highest confidence intent or unknown
+    return intents.length > 0
+      ? intents[0]
+      : { type: 'unknown', confidence: 0 };
+  },
+
+  /**
+   * Get response based on intent
+   * @param {Object} intent - Detected intent
+   * @param {string} message - Original message
+   * @param {string} language - Language code
+   * @param {Object} source - Provider source { db, getEmergencyProviders }
+   * @returns {Promise<Object>} - Response object
+   */
+  async getResponse(intent, message, language, source) {
+    switch (intent.type) {
+      case 'greeting':
+        return this.getGreetingResponse(language);
+
+      case 'help':
+        return this.getHelpResponse(language);
+
+      case 'thanks':
+        return this.getThanksResponse(language);
+
+      case 'triage':
+        return await this.getTriageResponse(intent.triage, language, source);
+
+      case 'custom':
+        return this.getCustomResponse(intent.entry, language);
+
+      case 'emergency':
+        return await this.getEmergencyResponse(language, source);
+
+      case 'findProvider':
+        return await this.getFindProviderResponse(message, language, source);
+
+      case 'hours':
+        return this.getHoursResponse(language);
+
+      case 'location':
+        return this.getLocationResponse(language);
+
+      case 'accessibility':
+        return await this.getAccessibilityResponse(language, source);
+
+      case 'homeVisit':
+        return await this.getHomeVisitResponse(language, source);
+
+      default:
+        return this.getUnknownResponse(language);
+    }
+  },
+
+  /**
+   * Get greeting response
+   */
+  getGreetingResponse(language) {
+    const responses = {
+      en: "Hello! I'm here to help you find healthcare providers in Sidi Bel Abbès. You can ask me about doctors, clinics, hospitals, pharmacies, or labs. How can I assist you today?",
+      fr: "Bonjour ! Je suis là pour vous aider à trouver des prestataires de soins de santé à Sidi Bel Abbès. Vous pouvez me poser des questions sur les médecins, les cliniques, les hôpitaux, les pharmacies ou les laboratoires. Comment puis-je vous aider aujourd'hui ?",
+      ar: "مرحباً! أنا هنا لمساعدتك في العثور على مقدمي الرعاية الصحية في سيدي بلعباس. يمكنك أن تسألني عن الأطباء أو العيادات أو المستشفيات أو الصيدليات أو المختبرات. كيف يمكنني مساعدتك اليوم؟"
+    };
+
+    return {
+      text: responses[language] || responses.en,
+      suggestions: this.getQuickReplies(language)
+    };
+  },
+
+  /**
+   * Get help response
+   */
+  getHelpResponse(language) {
+    const responses = {
+      en: "I can help you with:\n• Finding doctors, clinics, hospitals, pharmacies, or labs\n• Emergency services (24/7 available)\n• Providers with wheelchair accessibility\n• Providers offering home visits\n• Operating hours and locations\n\nJust ask me what you need!",
+      fr: "Je peux vous aider avec :\n• Trouver des médecins, cliniques, hôpitaux, pharmacies ou laboratoires\n• Services d'urgence (disponibles 24h/24 et 7j/7)\n• Prestataires accessibles en fauteuil roulant\n• Prestataires proposant des visites à domicile\n• Horaires d'ouverture et emplacements\n\nDemandez-moi simplement ce dont vous avez besoin !",
+      ar: "يمكنني مساعدتك في:\n• العثور على الأطباء والعيادات والمستشفيات والصيدليات أو المختبرات\n• خدمات الطوارئ (متاحة 24/7)\n• مقدمي الخدمة مع إمكانية الوصول بالكراسي المتحركة\n• مقدمي الخدمة الذين يقدمون زيارات منزلية\n• ساعات العمل والمواقع\n\nفقط اسألني عما تحتاجه!"
+    };
+
+    return {
+      text: responses[language] || responses.en,
+      suggestions: this.getQuickReplies(language)
+    };
+  },
+
+  /**
+   * Get thanks response
+   */
+  getThanksResponse(language) {
+    const responses = {
+      en: "You're welcome! Is there anything else I can help you with?",
+      fr: "De rien ! Y a-t-il autre chose que je puisse faire pour vous ?",
+      ar: "على الرحب والسعة! هل هناك أي شيء آخر يمكنني مساعدتك به؟"
+    };
+
+    return {
+      text: responses[language] || responses.en,
+      suggestions: this.getQuickReplies(language)
+    };
+  },
+
+  /**
+   * Get an admin answer, in English when it has no translation
+   * @param {Object} entry - Custom entry ({ answers: { en, fr, ar } })
+   */
+  getCustomResponse(entry, language) {
+    const answers = entry.answers || {};
+
+    return {
+      text: answers[language] || answers.en || answers.fr || answers.ar,
+      suggestions: this.getQuickReplies(language)
+    };
+  },
+
+  /**
+   * Get emergency response with tonight's on-duty pharmacies and 24/7 providers.
+   * All on-duty pharmacies are listed, even beyond MAX_PROVIDERS.
+   */
+  async getEmergencyResponse(language, source) {
+    try {
+      const providers = await source.getEmergencyProviders();
+      const onDutyCount = providers.filter(provider => provider.onDuty).length;
+      const shown = providers.slice(0, Math.max(this.MAX_PROVIDERS, onDutyCount));
+
+      const responses = onDutyCount > 0 ? {
+        en: `${onDutyCount} pharmacies are on duty tonight. Here they are first, followed by providers available 24/7:`,
+        fr: `${onDutyCount} pharmacies sont de garde cette nuit. Les voici en premier, suivies des prestataires disponibles 24h/24 et 7j/7 :`,
+        ar: `${onDutyCount} صيدليات مناوبة هذه الليلة. إليك هي أولاً، تليها مقدمو الرعاية المتاحون على مدار الساعة:`
+      } : {
+        en: `I found ${shown.length} emergency healthcare providers available 24/7:`,
+        fr: `J'ai trouvé ${shown.length} prestataires de soins d'urgence disponibles 24h/24 et 7j/7 :`,
+        ar: `وجدت ${shown.length} من مقدمي الرعاية الصحية الطارئة المتاحين على مدار الساعة:`
+      };
+
+      return {
+        text: responses[language] || responses.en,
+        providers: shown,
+        action: 'showProviders'
+      };
+    } catch (error) {
+      console.error('Error getting emergency providers:', error);
+      return this.getErrorResponse(language);
+    }
+  },
+
+  /**
+   * Get triage response. Red flags always give the emergency numbers, even
+   * when providers cannot be read; other levels suggest matching providers.
+   * @param {Object} triage - Assessment from ChatbotTriage.assess
+   */
+  async getTriageResponse(triage, language, source) {
+    const disclaimers = {
+      en: 'This is general guidance, not a diagnosis. If in doubt, call 14 or see a doctor.',
+      fr: "Ceci est une orientation générale, pas un diagnostic. En cas de doute, appelez le 14 ou consultez un médecin.",
+      ar: 'هذه إرشادات عامة وليست تشخيصاً. في حالة الشك، اتصل بالرقم 14 أو استشر طبيباً.'
+    };
+    const specialist = triage.specialty && this.SPECIALTY_NAMES[triage.specialty];
+    const specialistName = specialist ? (specialist[language] || specialist.en) : null;
+    const responses = {
+      call: {
+        en: 'Your symptoms may be a medical emergency. Call 14 or the SAMU now and do not stay alone. The nearest providers open 24/7 are listed below.',
+        fr: "Vos symptômes peuvent être une urgence vitale. Appelez tout de suite le 14 ou le SAMU et ne restez pas seul. Les prestataires ouverts 24h/24 les plus proches sont indiqués ci-dessous.",
+        ar: 'قد تكون أعراضك حالة طبية طارئة. اتصل فوراً بالرقم 14 أو بالإسعاف الطبي ولا تبقَ وحدك. أقرب مقدمي الرعاية المتاحين على مدار الساعة مذكورون أدناه.'
+      },
+      emergency: {
+        en: 'Your symptoms need to be checked quickly. Go to an emergency department now, or call 14 if you cannot get there safely.',
+        fr: "Vos symptômes doivent être examinés rapidement. Rendez-vous maintenant aux urgences, ou appelez le 14 si vous ne pouvez pas vous y rendre en sécurité.",
+        ar: 'يجب فحص أعراضك بسرعة. توجه الآن إلى قسم الطوارئ، أو اتصل بالرقم 14 إذا لم تتمكن من الوصول بأمان.'
+      },
+      doctor: specialistName ? {
+        en: `Your symptoms should be seen by a doctor, ideally ${specialistName}. Here are some:`,
+        fr: `Vos symptômes devraient être examinés par un médecin, idéalement ${specialistName}. En voici quelques-uns :`,
+        ar: `يجب أن يفحص أعراضك طبيب، ويفضل ${specialistName}. إليك بعضهم:`
+      } : {
+        en: 'Your symptoms should be seen by a general practitioner. Here are some doctors:',
+        fr: 'Vos symptômes devraient être examinés par un médecin généraliste. Voici quelques médecins :',
+        ar: 'يجب أن يفحص أعراضك طبيب عام. إليك بعض الأطباء:'
+      },
+      pharmacy: {
+        en: 'A pharmacist can advise you on these symptoms. See a doctor if they last more than a few days or get worse. Here are some pharmacies:',
+        fr: "Un pharmacien peut vous conseiller pour ces symptômes. Consultez un médecin s'ils durent plus de quelques jours ou s'aggravent. Voici quelques pharmacies :",
+        ar: 'يمكن للصيدلي أن ينصحك بشأن هذه الأعراض. استشر طبيباً إذا استمرت أكثر من بضعة أيام أو ساءت. إليك بعض الصيدليات:'
+      }
+    };
+
+    let providers = [];
+    try {
+      if (triage.redFlag) {
+        providers = (await source.getEmergencyProviders({ nearest: true })).slice(0, this.MAX_PROVIDERS);
+      } else if (triage.level === 'pharmacy') {
+        providers = await this.findProviders(source.db, { serviceType: 'pharmacy' });
+      } else {
+        providers = await this.findProviders(source.db, triage.specialty
+          ? { query: this.getDialog().SPECIALTIES[triage.specialty].query }
+          : { serviceType: 'doctor' });
+      }
+    } catch (error) {
+      console.error('Error getting providers for triage:', error);
+    }
+
+    const response = {
+      text: responses[triage.level][language] || responses[triage.level].en,
+      disclaimer: disclaimers[language] || disclaimers.en,
+      triage: { level: triage.level, redFlag: triage.redFlag, specialty: triage.specialty },
+      providers
+    };
+
+    if (providers.length > 0) {
+      response.action = 'showProviders';
+    }
+
+    if (triage.redFlag) {
+      response.emergencyNumbers = this.getTriage().getEmergencyNumbers(language);
+    } else {
+      response.suggestions = this.getQuickReplies(language);
+    }
+
+    return response;
+  },
+
+  /**
+   * Get find provider response for the type, specialty and constraints named
+   * in the message
+   */
+  async getFindProviderResponse(message, language, source) {
+    try {
+      const providers = await this.findProviders(source.db, this.getSearchParams(message));
+
+      if (providers.length === 0) {
+        const responses = {
+          en: "I couldn't find any providers matching your request. Try searching for doctors, clinics, hospitals, pharmacies, or labs.",
+          fr: "Je n'ai trouvé aucun prestataire correspondant à votre demande. Essayez de rechercher des médecins, des cliniques, des hôpitaux, des pharmacies ou des laboratoires.",
+          ar: "لم أتمكن من العثور على أي مقدمي خدمة يطابقون طلبك. حاول البحث عن الأطباء أو العيادات أو المستشفيات أو الصيدليات أو المختبرات."
+        };
+
+        return {
+          text: responses[language] || responses.en,
+          suggestions: this.getQuickReplies(language)
+        };
+      }
+
+      const responses = {
+        en: `I found ${providers.length} healthcare providers for you:`,
+        fr: `J'ai trouvé ${providers.length} prestataires de soins de santé pour vous :`,
+        ar: `وجدت ${providers.length} من مقدمي الرعاية الصحية لك:`
+      };
+
+      return {
+        text: responses[language] || responses.en,
+        providers,
+        action: 'showProviders'
+      };
+    } catch (error) {
+      console.error('Error finding providers:', error);
+      return this.getErrorResponse(language);
+    }
+  },
+
+  /**
+   * Get hours response
+   */
+  getHoursResponse(language) {
+    const responses = {
+      en: "To see operating hours for a specific provider, please search for them and view their profile. You can also filter for 24/7 emergency services if you need immediate care.",
+      fr: "Pour voir les heures d'ouverture d'un prestataire spécifique, veuillez le rechercher et consulter son profil. Vous pouvez également filtrer les services d'urgence 24h/24 et 7j/7 si vous avez besoin de soins immédiats.",
+      ar: "لمعرفة ساعات العمل لمقدم خدمة معين، يرجى البحث عنه وعرض ملفه الشخصي. يمكنك أيضًا تصفية خدمات الطوارئ على مدار الساعة إذا كنت بحاجة إلى رعاية فورية."
+    };
+
+    return {
+      text: responses[language] || responses.en,
+      suggestions: [
+        { text: language === 'ar' ? 'خدمات الطوارئ' : language === 'fr' ? 'Services d\'urgence' : 'Emergency services', action: 'emergency' }
+      ]
+    };
+  },
+
+  /**
+   * Get location response
+   */
+  getLocationResponse(language) {
+    const responses = {
+      en: "To see the location and get directions to a provider, please search for them and view their profile. Each profile includes an interactive map showing their exact location.",
+      fr: "Pour voir l'emplacement et obtenir des directions vers un prestataire, veuillez le rechercher et consulter son profil. Chaque profil comprend une carte interactive montrant leur emplacement exact.",
+      ar: "لمعرفة الموقع والحصول على الاتجاهات إلى مقدم الخدمة، يرجى البحث عنه وعرض ملفه الشخصي. يتضمن كل ملف شخصي خريطة تفاعلية توضح موقعه الدقيق."
+    };
+
+    return {
+      text: responses[language] || responses.en,
+      suggestions: this.getQuickReplies(language)
+    };
+  },
+
+  /**
+   * Get accessibility response
+   */
+  async getAccessibilityResponse(language, source) {
+    try {
+      const providers = await this.findProviders(source.db, { filters: { accessibility: true } });
+
+      const responses = {
+        en: `I found ${providers.length} wheelchair-accessible healthcare providers:`,
+        fr: `J'ai trouvé ${providers.length} prestataires de soins de santé accessibles en fauteuil roulant :`,
+        ar: `وجدت ${providers.length} من مقدمي الرعاية الصحية الذين يمكن الوصول إليهم بالكراسي المتحركة:`
+      };
+
+      return {
+        text: responses[language] || responses.en,
+        providers,
+        action: 'showProviders'
+      };
+    } catch (error) {
+      console.error('Error getting accessible providers:', error);
+      return this.getErrorResponse(language);
+    }
+  },
+
+  /**
+   * Get home visit response
+   */
+  async getHomeVisitResponse(language, source) {
+    try {
+      const providers = await this.findProviders(source.db, { filters: { homeVisits: true } });
+
+      const responses = {
+        en: `I found ${providers.length} healthcare providers offering home visits:`,
+        fr: `J'ai trouvé ${providers.length} prestataires de soins de santé proposant des visites à domicile :`,
+        ar: `وجدت ${providers.length} من مقدمي الرعاية الصحية الذين يقدمون زيارات منزلية:`
+      };
+
+      return {
+        text: responses[language] || responses.en,
+        providers,
+        action: 'showProviders'
+      };
+    } catch (error) {
+      console.error('Error getting home visit providers:', error);
+      return this.getErrorResponse(language);
+    }
+  },
+
+  /**
+   * Get unknown intent response
+   */
+  getUnknownResponse(language) {
+    const responses = {
+      en: "I'm not sure I understand. I can help you find healthcare providers, emergency services, or answer questions about accessibility and home visits. What would you like to know?",
+      fr: "Je ne suis pas sûr de comprendre. Je peux vous aider à trouver des prestataires de soins de santé, des services d'urgence ou répondre à des questions sur l'accessibilité et les visites à domicile. Que voudriez-vous savoir ?",
+      ar: "لست متأكدًا من أنني أفهم. يمكنني مساعدتك في العثور على مقدمي الرعاية الصحية أو خدمات الطوارئ أو الإجابة على أسئلة حول إمكانية الوصول والزيارات المنزلية. ماذا تريد أن تعرف؟"
+    };
+
+    return {
+      text: responses[language] || responses.en,
+      suggestions: this.getQuickReplies(language)
+    };
+  },
+
+  /**
+   * Get error response
+   */
+  getErrorResponse(language) {
+    const responses = {
+      en: "I'm sorry, I encountered an error. Please try again or use the search function to find providers.",
+      fr: "Je suis désolé, j'ai rencontré une erreur. Veuillez réessayer ou utiliser la fonction de recherche pour trouver des prestataires.",
+      ar: "أنا آسف، واجهت خطأ. يرجى المحاولة مرة أخرى أو استخدام وظيفة البحث للعثور على مقدمي الخدمة."
+    };
+
+    return {
+      text: responses[language] || responses.en,
+      error: true
+    };
+  },
+
+  /**
+   * Get quick reply suggestions
+   */
+  getQuickReplies(language) {
+    const replies = {
+      en: [
+        { text: 'Find a doctor', action: 'findDoctor' },
+        { text: 'Emergency services', action: 'emergency' },
+        { text: 'Wheelchair accessible', action: 'accessibility' },
+        { text: 'Home visits', action: 'homeVisit' }
+      ],
+      fr: [
+        { text: 'Trouver un médecin', action: 'findDoctor' },
+        { text: 'Services d\'urgence', action: 'emergency' },
+        { text: 'Accessible en fauteuil roulant', action: 'accessibility' },
+        { text: 'Visites à domicile', action: 'homeVisit' }
+      ],
+      ar: [
+        { text: 'ابحث عن طبيب', action: 'findDoctor' },
+        { text: 'خدمات الطوارئ', action: 'emergency' },
+        { text: 'متاح للكراسي المتحركة', action: 'accessibility' },
+        { text: 'زيارات منزلية', action: 'homeVisit' }
+      ]
+    };
+
+    return replies[language] || replies.en;
+  },
+
+  /**
+   * Search parameters for a single message. "Open now" is left out: opening
+   * hours are only evaluated in the browser.
+   * @param {string} message - User message
+   * @returns {Object} - { query, serviceType, filters } for findProviders
+   */
+  getSearchParams(message) {
+    const dialog = this.getDialog();
+    const slots = dialog.extract(message);
+    const filters = {};
+
+    if (slots.filters.accessibility) filters.accessibility = true;
+    if (slots.filters.homeVisits) filters.homeVisits = true;
+
+    return {
+      query: slots.specialty ? dialog.SPECIALTIES[slots.specialty].query : '',
+      serviceType: slots.type || 'all',
+      filters
+    };
+  },
+
+  /**
+   * Keywords admins added to a built-in intent
+   * @param {string} intentType - INTENT_PATTERNS key
+   * @param {Array<Object>} customEntries - Enabled custom entries
+   * @returns {Array<string>} - Keywords, in any language
+   */
+  getCustomKeywords(intentType, customEntries) {
+    return (customEntries || [])
+      .filter(entry => entry.type === 'pattern' && entry.intent === intentType)
+      .flatMap(entry => entry.keywords || []);
+  },
+
+  /**
+   * Find the admin answer for a message: the entry with the most keywords in
+   * it. Keywords match whole words, ignoring case, accents and Arabic
+   * diacritics.
+   * @param {string} message - User message
+   * @param {Array<Object>} customEntries - Enabled custom entries
+   * @returns {Object|null} - Matching entry
+   */
+  matchCustomAnswer(message, customEntries) {
+    const dialog = this.getDialog();
+    const text = dialog.normalize(message);
+    let best = null;
+    let bestMatches = 0;
+
+    (customEntries || [])
+      .filter(entry => entry.type === 'answer')
+      .forEach(entry => {
+        const matches = (entry.keywords || []).filter(keyword => dialog.hasTerm(text, keyword)).length;
+        if (matches > bestMatches) {
+          best = entry;
+          bestMatches = matches;
+        }
+      });
+
+    return best;
+  },
+
+  /**
+   * Validate a custom entry before saving or using it
+   * @param {Object} entry - { type, intent, keywords, answers, enabled }
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateCustomEntry(entry) {
+    if (!this.CUSTOM_ENTRY_TYPES.includes(entry.type)) {
+      return 'Invalid entry type';
+    }
+
+    const keywords = Array.isArray(entry.keywords) ? entry.keywords : [];
+    if (keywords.filter(keyword => typeof keyword === 'string' && this.getDialog().normalize(keyword)).length === 0) {
+      return 'At least one keyword is required';
+    }
+    if (keywords.length > this.MAX_CUSTOM_KEYWORDS) {
+      return `An entry can have at most ${this.MAX_CUSTOM_KEYWORDS} keywords`;
+    }
+
+    if (entry.type === 'pattern') {
+      if (!Object.prototype.hasOwnProperty.call(this.INTENT_PATTERNS, entry.intent)) {
+        return 'Invalid intent';
+      }
+      return null;
+    }
+
+    const answers = entry.answers && typeof entry.answers === 'object' ? entry.answers : {};
+    const texts = ['en', 'fr', 'ar'].map(language => answers[language]).filter(Boolean);
+
+    if (texts.length === 0 || texts.some(text => typeof text !== 'string')) {
+      return 'At least one answer is required';
+    }
+    if (texts.some(text => text.length > this.MAX_CUSTOM_ANSWER_LENGTH)) {
+      return `Answers can have at most ${this.MAX_CUSTOM_ANSWER_LENGTH} characters`;
+    }
+
+    return null;
+  },
+
+  /**
+   * Read the enabled custom entries. Invalid entries are skipped.
+   * @param {Object} db - Firestore instance
+   * @returns {Promise<Array>} - Entries with their id
+   */
+  async loadCustomEntries(db) {
+    const snapshot = await db.collection(this.CUSTOM_ENTRIES_COLLECTION)
+      .where('enabled', '==', true)
+      .get();
+
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(entry => !this.validateCustomEntry(entry));
+  },
+
+  /**
+   * Check that a provider may appear in chatbot answers: trashed providers
+   * keep their document, with `deletedAt` set, until they are purged
+   * @param {Object} provider - Provider data
+   * @returns {boolean} - False if the provider is in the trash
+   */
+  isListed(provider) {
+    return !provider.deletedAt;
+  },
+
+  /**
+   * Find verified providers. A text query looks up the search index and
+   * ranks the candidates like Search.searchIndexed; without one, providers
+   * are read by rating.
+   * @param {Object} db - Firestore instance
+   * @param {Object} params - { query, serviceType, filters: { accessibility, homeVisits } }
+   * @returns {Promise<Array>} - At most MAX_PROVIDERS providers
+   */
+  async findProviders(db, params = {}) {
+    const { query = '', serviceType = 'all', filters = {} } = params;
+    const searchIndex = this.getSearchIndex();
+    const tokens = query ? searchIndex.getQueryTokens(query) : [];
+    const matches = provider =>
+      this.isListed(provider) &&
+      (serviceType === 'all' || provider.type === serviceType) &&
+      (filters.accessibility !== true || provider.accessibility === true) &&
+      (filters.homeVisits !== true || provider.homeVisits === true);
+
+    if (tokens.length > 0) {
+      const snapshot = await db.collection('providers')
+        .where('verified', '==', true)
+        .where('searchTokens', 'array-contains-any', tokens)
+        .limit(this.SEARCH_CANDIDATE_LIMIT)
+        .get();
+
+      const candidates = snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(matches);
+
+      return searchIndex.rank(candidates, query).slice(0, this.MAX_PROVIDERS);
+    }
+
+    let firestoreQuery = db.collection('providers').where('verified', '==', true);
+
+    if (serviceType !== 'all') {
+      firestoreQuery = firestoreQuery.where('type', '==', serviceType);
+    }
+    if (filters.accessibility === true) {
+      firestoreQuery = firestoreQuery.where('accessibility', '==', true);
+    }
+    if (filters.homeVisits === true) {
+      firestoreQuery = firestoreQuery.where('homeVisits', '==', true);
+    }
+
+    const snapshot = await firestoreQuery
+      .orderBy('rating', 'desc')
+      .limit(this.MAX_PROVIDERS)
+      .get();
+
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(matches);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChatbotEngine;
+}
+
+if (typeof window !== 'undefined') {
+  window.ChatbotEngine = ChatbotEngine;
+}
@@ -0,0 +1,189 @@
+/**
+ * Chatbot Transcripts Module
+ * Anonymized chatbot transcripts and the grouping of questions the chatbot
+ * could not answer, reviewed by admins in the dashboard.
+ *
+ * Messages are anonymized before they are stored: e-mail addresses, phone
+ * and other long numbers, and names given after "my name is" are masked.
+ *
+ * functions/chatbot-transcripts.js is a copy of this file used by the Cloud
+ * Functions; keep both identical (checked by
+ * __tests__/chatbot-transcripts.test.js).
+ */
+
+const ChatbotTranscripts = {
+  /**
+   * Longest message kept in a transcript
+   */
+  MAX_TEXT_LENGTH: 500,
+
+  /**
+   * Word overlap (Jaccard) from which two questions are grouped
+   */
+  SIMILARITY_THRESHOLD: 0.5,
+
+  /**
+   * Keywords suggested for a group of questions
+   */
+  MAX_KEYWORDS: 5,
+
+  /**
+   * Introductions followed by the user's name
+   */
+  NAME_INTRODUCTIONS: [
+    'my name is', "i'm called", 'i am called',
+    "je m'appelle", 'je m’appelle', 'mon nom est', 'je me nomme',
+    'اسمي', 'إسمي', 'انا اسمي', 'أنا اسمي'
+  ],
+
+  /**
+   * Words ignored when comparing questions (normalized, see ChatbotDialog.normalize)
+   */
+  STOPWORDS: [
+    'the', 'an', 'is', 'are', 'am', 'my', 'me', 'to', 'of', 'in', 'on', 'at', 'for', 'and', 'or',
+    'it', 'this', 'that', 'with', 'do', 'does', 'can', 'you', 'what', 'please', 'be', 'have',
+    'le', 'la', 'les', 'un', 'une', 'des', 'de', 'du', 'et', 'ou', 'je', 'tu', 'il', 'est',
+    'pour', 'dans', 'sur', 'avec', 'que', 'qui', 'ce', 'ca', 'mon', 'ma', 'mes', 'vous', 'nous',
+    'pas', 'ne', 'au', 'aux', 'en', 'svp',
+    'في', 'من', 'على', 'الى', 'عن', 'ما', 'هل', 'انا', 'هو', 'هي', 'هذا', 'هذه', 'التي', 'الذي', 'و'
+  ],
+
+  /**
+   * Text normalization shared with the dialog: a global in the browser, the
+   * sibling file in Cloud Functions
+   */
+  getDialog() {
+    return typeof ChatbotDialog !== 'undefined' ? ChatbotDialog : require('./chatbot-dialog.js');
+  },
+
+  /**
+   * Mask personal data in a message
+   * @param {string} text - Message
+   * @returns {string} - Message with [email], [number] and [name] placeholders,
+   * cut to MAX_TEXT_LENGTH
+   */
+  anonymize(text) {
+    const introductions = this.NAME_INTRODUCTIONS
+      .map(intro => intro.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|');
+    const nameAfterIntroduction = new RegExp(
+      `(^|[\\s,.;!?])(${introductions})\\s+([^\\s,.;!?]+)((?:\\s+[^\\s,.;!?]+)?)`,
+      'giu'
+    );
+
+    return String(text || '')
+      .slice(0, this.MAX_TEXT_LENGTH)
+      .replace(/[^\s@]+@[^\s@]+\.[^\s@]+/g, '[email]')
+      .replace(/\+?\d(?:[\s.-]?\d){7,}/g, '[number]')
+      // A second word is part of the name only when it is capitalized
+      // ("my name is Amina Benali", not "my name is Amina and ...")
+      .replace(nameAfterIntroduction, (match, before, intro, first, second) =>
+        `${before}${intro} [name]${/^\s+\p{Lu}/u.test(second) ? '' : second}`)
+      .trim();
+  },
+
+  /**
+   * Transcript entry for one exchange
+   * @param {Object} turn - { message, reply, intent, language }
+   * @returns {Object} - { text, reply, intent, language, answered }
+   */
+  createEntry(turn) {
+    const intent = typeof turn.intent === 'string' && turn.intent ? turn.intent : 'unknown';
+
+    return {
+      text: this.anonymize(turn.message),
+      reply: String(turn.reply || '').slice(0, this.MAX_TEXT_LENGTH),
+      intent,
+      language: ['ar', 'fr', 'en'].includes(turn.language) ? turn.language : 'en',
+      answered: intent !== 'unknown'
+    };
+  },
+
+  /**
+   * Words of a question used to compare it with others
+   * @param {string} text - Question
+   * @returns {Set<string>} - Normalized words, without stopwords
+   */
+  getWords(text) {
+    return new Set(this.getDialog().normalize(text)
+      .split(' ')
+      .filter(word => word.length > 1 && !this.STOPWORDS.includes(word)));
+  },
+
+  /**
+   * Share of words two questions have in common
+   * @param {Set<string>} wordsA - Words of the first question (see getWords)
+   * @param {Set<string>} wordsB - Words of the second question
+   * @returns {number} - Between 0 and 1
+   */
+  similarity(wordsA, wordsB) {
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / (wordsA.size + wordsB.size - shared);
+  },
+
+  /**
+   * Group similar questions. Each question joins the first group whose first
+   * question is similar enough, so groups keep the order of the questions
+   * (newest first when read that way).
+   * @param {Array<Object>} questions - Questions with `text` and `language`
+   * @param {number} threshold - Similarity from which questions are grouped
+   * @returns {Array<Object>} - Groups { text, count, questions, languages,
+   * keywords }, largest first
+   */
+  groupQuestions(questions, threshold = this.SIMILARITY_THRESHOLD) {
+    const groups = [];
+
+    (questions || []).forEach(question => {
+      const words = this.getWords(question.text);
+      const group = groups.find(candidate =>
+        this.similarity(candidate.words, words) >= threshold ||
+        (words.size === 0 && candidate.words.size === 0 &&
+          this.getDialog().normalize(candidate.questions[0].text) === this.getDialog().normalize(question.text)));
+
+      if (group) {
+        group.questions.push(question);
+        group.wordLists.push(words);
+      } else {
+        groups.push({ words, questions: [question], wordLists: [words] });
+      }
+    });
+
+    return groups
+      .map(group => ({
+        text: group.questions[0].text,
+        count: group.questions.length,
+        questions: group.questions,
+        languages: [...new Set(group.questions.map(question => question.language).filter(Boolean))],
+        keywords: this.getKeywords(group.wordLists)
+      }))
+      .sort((a, b) => b.count - a.count);
+  },
+
+  /**
+   * Words found in at least half of a group's questions, most frequent first
+   * @param {Array<Set<string>>} wordLists - Words of each question
+   * @returns {Array<string>} - At most MAX_KEYWORDS words
+   */
+  getKeywords(wordLists) {
+    const counts = new Map();
+
+    wordLists.forEach(words => words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1)));
+
+    return [...counts.entries()]
+      .filter(([, count]) => count * 2 >= wordLists.length)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, this.MAX_KEYWORDS)
+      .map(([word]) => word);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChatbotTranscripts;
+}
+
+if (typeof window !== 'undefined') {
+  window.ChatbotTranscripts = ChatbotTranscripts;
+}
@@ -0,0 +1,185 @@
+/**
+ * CSV Module
+ * RFC 4180 parsing and serialization for admin imports and exports: quoted
+ * fields, escaped quotes ("") and line breaks inside quotes, CRLF/LF/CR line
+ * endings, a leading BOM and the semicolon delimiter Excel uses in French
+ * locales.
+ */
+
+const CSV = {
+  /**
+   * Delimiters recognized by detectDelimiter, in order of preference
+   */
+  DELIMITERS: [',', ';', '\t'],
+
+  /**
+   * First characters that make spreadsheet applications read a field as a
+   * formula (CSV injection)
+   */
+  FORMULA_PREFIX: /^[=+\-@\t\r]/,
+
+  /**
+   * Remove a leading byte order mark
+   * @param {string} text - CSV text
+   * @returns {string} - Text without BOM
+   */
+  stripBOM(text) {
+    return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  },
+
+  /**
+   * Guess the delimiter from the header line, ignoring quoted text
+   * @param {string} text - CSV text
+   * @returns {string} - Delimiter (defaults to a comma)
+   */
+  detectDelimiter(text) {
+    const counts = new Map(this.DELIMITERS.map(delimiter => [delimiter, 0]));
+    let inQuotes = false;
+
+    for (const char of this.stripBOM(text)) {
+      if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (!inQuotes && (char === '\n' || char === '\r')) {
+        break;
+      } else if (!inQuotes && counts.has(char)) {
+        counts.set(char, counts.get(char) + 1);
+      }
+    }
+
+    let best = ',';
+    counts.forEach((count, delimiter) => {
+      if (count > counts.get(best)) best = delimiter;
+    });
+
+    return best;
+  },
+
+  /**
+   * Parse CSV text into records. Blank lines are skipped.
+   * @param {string} text - CSV text
+   * @param {Object} options - { delimiter } (detected when omitted)
+   * @returns {Array<Array<string>>} - Records as arrays of field values
+   * @throws {Error} - If a quoted field is never closed
+   */
+  parse(text, options = {}) {
+    const input = this.stripBOM(String(text || ''));
+    const delimiter = options.delimiter || this.detectDelimiter(input);
+    const records = [];
+
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let quoteLine = 0;
+    let line = 1;
+
+    const endRecord = () => {
+      record.push(field);
+      // A blank line yields a single empty field
+      if (record.length > 1 || record[0] !== '') {
+        records.push(record);
+      }
+      record = [];
+      field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"') {
+          if (input[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else {
+            inQuotes = false;
+          }
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+        quoteLine = line;
+      } else if (char === delimiter) {
+        record.push(field);
+        field = '';
+      } else if (char === '\r' || char === '\n') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        line++;
+        endRecord();
+      } else {
+        field += char;
+      }
+    }
+
+    if (inQuotes) {
+      throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+    }
+
+    if (field !== '' || record.length > 0) {
+      endRecord();
+    }
+
+    return records;
+  },
+
+  /**
+   * Prefix a value a spreadsheet would run as a formula with a quote, so it
+   * is shown as text. Plain numbers such as -0.63 are left as they are.
+   * @param {string} text - Field value
+   * @returns {string} - Value safe to open in a spreadsheet
+   */
+  escapeFormula(text) {
+    return this.FORMULA_PREFIX.test(text) && !/^[-+]?\d+(\.\d+)?$/.test(text) ? `'${text}` : text;
+  },
+
+  /**
+   * Remove the quote added by escapeFormula, e.g. when re-importing an export
+   * @param {string} text - Field value
+   * @returns {string} - Original value
+   */
+  unescapeFormula(text) {
+    return text.startsWith("'") && this.FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+  },
+
+  /**
+   * Quote a field if it contains the delimiter, a quote or a line break
+   * @param {*} value - Field value (null and undefined become empty)
+   * @param {string} delimiter - Delimiter
+   * @param {Object} options - { escapeFormulas } (see escapeFormula)
+   * @returns {string} - CSV field
+   */
+  formatField(value, delimiter = ',', options = {}) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (options.escapeFormulas) text = this.escapeFormula(text);
+    const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text);
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+  },
+
+  /**
+   * Serialize records to CSV with CRLF line endings
+   * @param {Array<Array<*>>} records - Records as arrays of field values
+   * @param {Object} options - { delimiter, escapeFormulas } (default comma,
+   * values kept as they are); exports opened in a spreadsheet should set
+   * escapeFormulas
+   * @returns {string} - CSV text
+   */
+  stringify(records, options = {}) {
+    const delimiter = options.delimiter || ',';
+    return records
+      .map(record => record.map(value => this.formatField(value, delimiter, options)).join(delimiter))
+      .join('\r\n');
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CSV;
+}
+
+if (typeof window !== 'undefined') {
+  window.CSV = CSV;
+}
@@ -18,7 +18,8 @@ class EmergencySection {
   async render(containerId, options = {}) {
     const {
       limit = 5,
-      autoUpdate = true
+      autoUpdate = true,
+      city = ''
     } = options;
 
     const container = document.getElementById(containerId);
@@ -34,8 +35,8 @@ class EmergencySection {
       // Wait for search module
       await this.waitForSearch();
 
-      // Fetch emergency providers
-      const allProviders = await search.getEmergencyProviders();
+      // Fetch emergency providers, from the offline provider data without a connection
+      const { providers: allProviders, dataAsOf } = await this.getProviders();
       this.providers = allProviders.slice(0, limit);
 
       // Render section
@@ -44,7 +45,10 @@ class EmergencySection {
         return;
       }
 
-      container.innerHTML = this.getSectionHTML(this.providers);
+      container.innerHTML = this.getSectionHTML(this.providers, dataAsOf);
+      if (!dataAsOf) {
+        await this.renderSponsoredAd(container, city);
+      }
 
       // Re-translate
       if (window.i18n && window.i18n.translatePage) {
@@ -60,7 +64,8 @@ class EmergencySection {
       if (window.analytics) {
         analytics.logEvent('view_emergency_section', {
           location: 'homepage',
-          provider_count: this.providers.length
+          provider_count: this.providers.length,
+          on_duty_count: this.providers.filter(provider => provider.onDuty).length
         });
       }
 
@@ -70,6 +75,35 @@ class EmergencySection {
     }
   }
 
+  /**
+   * Get emergency providers online, or from the offline provider data when
+   * there is no connection or Firestore cannot be reached
+   * @returns {Promise<Object>} - { providers, dataAsOf } where `dataAsOf` is the
+   * snapshot time in ms for offline data, null otherwise
+   */
+  async getProviders() {
+    const offlineDirectory = window.OfflineDirectory;
+
+    if (!offlineDirectory || !offlineDirectory.isOffline()) {
+      try {
+        return { providers: await search.getEmergencyProviders(), dataAsOf: null };
+      } catch (error) {
+        if (!offlineDirectory) throw error;
+        console.warn('Emergency providers unavailable, using offline data:', error);
+      }
+    }
+
+    const snapshot = await offlineDirectory.load();
+    if (!snapshot) {
+      throw new Error('No offline provider data');
+    }
+
+    return {
+      providers: offlineDirectory.getEmergencyProviders(snapshot),
+      dataAsOf: snapshot.createdAt
+    };
+  }
+
   /**
    * Get loading HTML
    */
@@ -101,8 +135,10 @@ class EmergencySection {
 
   /**
    * Get section HTML
+   * @param {Array} providers - Providers to show
+   * @param {number|null} dataAsOf - Snapshot time in ms when showing offline data
    */
-  getSectionHTML(providers) {
+  getSectionHTML(providers, dataAsOf = null) {
     return `
       <section class="emergency-section py-4">
         <div class="emergency-header d-flex justify-content-between align-items-center mb-4">
@@ -111,7 +147,7 @@ class EmergencySection {
               <i class="bi bi-hospital text-danger me-2"></i>
               <span data-i18n="emergency.sectionTitle">Emergency Services</span>
             </h2>
-            <p class="text-muted mb-0" data-i18n="emergency.subtitle">Healthcare providers available around the clock</p>
+            <p class="text-muted mb-0" data-i18n="emergency.subtitle">On-duty pharmacies and providers available around the clock</p>
           </div>
           <a href="/emergency" data-route class="btn btn-outline-danger">
             <span data-i18n="emergency.viewAll">View All Emergency Services</span>
@@ -119,9 +155,18 @@ class EmergencySection {
           </a>
         </div>
 
+        ${dataAsOf && window.OfflineDirectory ? `
+          <div class="alert alert-warning py-2 mb-3" role="status">
+            <i class="bi bi-wifi-off me-2"></i>
+            <span>${this.escapeHtml(window.OfflineDirectory.getDataAsOfText(dataAsOf))}</span>
+          </div>
+        ` : ''}
+
         <div class="row g-3">
           ${providers.map(provider => this.getProviderCardHTML(provider)).join('')}
         </div>
+
+        <div class="emergency-ad-slot mt-3"></div>
       </section>
 
       <style>
@@ -192,6 +237,27 @@ class EmergencySection {
     `;
   }
 
+  /**
+   * Show one ad targeted to the emergency placement below the providers.
+   * Ads never block or break the section.
+   * @param {HTMLElement} container - Section container
+   * @param {string} city - City for ad targeting (optional)
+   */
+  async renderSponsoredAd(container, city = '') {
+    const slot = container.querySelector('.emergency-ad-slot');
+    if (!slot || !window.adsModule) return;
+
+    try {
+      const [ad] = await window.adsModule.getApprovedAds(['emergency'], { location: 'emergency', city });
+      if (!ad) return;
+
+      slot.innerHTML = window.adsModule.renderAdCard(ad);
+      window.adsModule.trackAds(slot);
+    } catch (error) {
+      console.warn('Error loading emergency ad:', error);
+    }
+  }
+
   /**
    * Get provider card HTML
    */
@@ -226,10 +292,17 @@ class EmergencySection {
         <div class="card emergency-provider-card-mini">
           <div class="card-body">
             <div class="d-flex justify-content-between align-items-start mb-2">
-              <span class="emergency-badge-mini">
-                <i class="bi bi-clock-fill"></i>
-                <span>24/7</span>
-              </span>
+              ${provider.onDuty ? `
+                <span class="emergency-badge-mini">
+                  <i class="bi bi-moon-stars-fill"></i>
+                  <span>${this.escapeHtml(DutyRoster.describeShift(provider.onDuty, currentLang))}</span>
+                </span>
+              ` : `
+                <span class="emergency-badge-mini">
+                  <i class="bi bi-clock-fill"></i>
+                  <span>24/7</span>
+                </span>
+              `}
               ${provider.verified ? `
                 <span class="badge bg-success">
                   <i class="bi bi-patch-check-fill"></i>
@@ -383,7 +383,8 @@ const ErrorHandler = {
   },
 
   /**
-   * Show offline indicator
+   * Show offline indicator, with the date of the offline provider data when
+   * there is some (see OfflineDirectory)
    */
   showOfflineIndicator() {
     let indicator = document.getElementById('offline-indicator');
@@ -401,8 +402,12 @@ const ErrorHandler = {
       document.body.appendChild(indicator);
     }
 
+    const dataAsOf = window.OfflineDirectory ? window.OfflineDirectory.getDataAsOfText() : '';
+    const message = dataAsOf ? `${this.translate('error.offline')} ${dataAsOf}` : this.translate('error.offline');
+    indicator.querySelector('.offline-text').textContent = message;
+
     indicator.classList.add('show');
-    this.announceToScreenReader(this.translate('error.offline'));
+    this.announceToScreenReader(message);
   },
 
   /**
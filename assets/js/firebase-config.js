@@ -18,6 +18,12 @@ const firebaseConfig = {
   measurementId: "G-DEMO"
 };
 
+// reCAPTCHA v3 site key registered for App Check. The Cloud Functions that
+// visitors call without signing in (ad events, chatbot turns) reject
+// requests without a valid App Check token.
+// TODO: Replace with your project's site key
+const appCheckSiteKey = "demo-recaptcha-site-key";
+
 // Initialize Firebase
 let app;
 let auth;
@@ -72,6 +78,11 @@ try {
     db = firebase.firestore();
     storage = firebase.storage();
 
+    // Initialize App Check before any Cloud Function call
+    if (typeof firebase.appCheck === 'function' && appCheckSiteKey !== 'demo-recaptcha-site-key') {
+      firebase.appCheck().activate(appCheckSiteKey, true);
+    }
+
     // Initialize Analytics (optional, only if measurementId is provided)
     if (firebaseConfig.measurementId && firebaseConfig.measurementId !== 'G-DEMO') {
       analytics = firebase.analytics();
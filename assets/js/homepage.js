@@ -240,6 +240,9 @@
           console.log('[Homepage] Fetched and cached medical ads');
         }
 
+        // Re-apply frequency capping to cached ads
+        ads = window.adsModule.selectAds(ads, { location: 'homepage' });
+
         if (ads.length === 0) {
           section.style.display = 'none';
           return;
@@ -273,7 +276,7 @@
         ads.forEach((ad, index) => {
           html += `
             <div class="carousel-item ${index === 0 ? 'active' : ''}">
-              <div class="card border-primary shadow-sm">
+              <div class="card border-primary shadow-sm" data-ad-id="${this.escapeHtml(ad.id)}">
                 <div class="card-body">
           `;
 
@@ -300,6 +303,14 @@
             `;
           }
 
+          if (ad.providerId) {
+            html += `
+                  <a href="/profile/${encodeURIComponent(ad.providerId)}" data-route class="stretched-link">
+                    <span class="visually-hidden">${this.escapeHtml(ad.providerName || ad.title || '')}</span>
+                  </a>
+            `;
+          }
+
           html += `
                 </div>
               </div>
@@ -327,6 +338,9 @@
           window.lazyLoading.observeImages(carouselContent);
         }
 
+        // Count impressions as slides become visible, and clicks
+        window.adsModule.trackAds(carouselContent);
+
         // Log analytics event
         if (window.analytics) {
           window.analytics.logEvent('view_ads_carousel', {
@@ -0,0 +1,361 @@
+/**
+ * Opening Hours Module
+ * Computes open/closed status from provider `hours`, including overnight
+ * ranges, Algerian working-week groups and per-provider date exceptions.
+ *
+ * `hours` is keyed by weekday ('sunday'..'saturday'). Each value is either
+ * { open: 'HH:MM', close: 'HH:MM' }, an array of such ranges (e.g. a Friday
+ * prayer break) or { closed: true }. A close time at or before the open time
+ * runs into the next morning (e.g. 20:00-08:00). The group keys `weekdays`
+ * (Sunday-Thursday, the Algerian working week) and `weekend` (Friday-Saturday)
+ * apply to any day without its own entry.
+ *
+ * `hoursExceptions` is an array of { date: 'YYYY-MM-DD' } or
+ * { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' } entries with either
+ * `closed: true` or replacement `open`/`close` times (holidays, Ramadan...).
+ */
+
+const OpeningHours = {
+  /**
+   * Weekday keys in Date#getDay() order
+   */
+  DAYS: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+
+  /**
+   * Algerian weekend (since 2009); other days fall under `weekdays`
+   */
+  WEEKEND: ['friday', 'saturday'],
+
+  /**
+   * Number of days scanned ahead when looking for the next opening
+   */
+  LOOKAHEAD_DAYS: 7,
+
+  /**
+   * Parse a "HH:MM" string into minutes since midnight
+   * @param {string} time - Time string
+   * @returns {number|null} - Minutes or null if invalid
+   */
+  parseTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+    if (!match) return null;
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+
+    return hours * 60 + minutes;
+  },
+
+  /**
+   * Format a Date as YYYY-MM-DD in local time
+   * @param {Date} date - Date
+   * @returns {string} - Date key
+   */
+  toDateKey(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  },
+
+  /**
+   * Resolve an "open at" filter value to a Date.
+   * Accepts "HH:MM" (today), an ISO string, a timestamp or a Date.
+   * @param {string|number|Date} value - Time value
+   * @param {Date} now - Reference date for "HH:MM" values
+   * @returns {Date|null} - Resolved date or null if invalid
+   */
+  resolveTime(value, now = new Date()) {
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+    const minutes = this.parseTime(value);
+    if (minutes !== null) {
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, minutes);
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  },
+
+  /**
+   * Normalize a day entry into a list of { open, close } minute ranges
+   * @param {Object|Array} entry - Day entry
+   * @returns {Array<Object>} - Ranges; close may exceed 1440 for overnight ranges
+   */
+  normalizeRanges(entry) {
+    if (!entry || entry.closed === true) return [];
+
+    const list = Array.isArray(entry) ? entry : [entry];
+    const ranges = [];
+
+    list.forEach(range => {
+      if (!range) return;
+      const open = this.parseTime(range.open);
+      let close = this.parseTime(range.close);
+      if (open === null || close === null) return;
+
+      if (close <= open) close += 24 * 60;
+      ranges.push({ open, close });
+    });
+
+    return ranges.sort((a, b) => a.open - b.open);
+  },
+
+  /**
+   * Find the exception covering a date, if any
+   * @param {Object} provider - Provider data
+   * @param {Date} date - Day to check
+   * @returns {Object|null} - Matching exception
+   */
+  getException(provider, date) {
+    const exceptions = provider && Array.isArray(provider.hoursExceptions) ? provider.hoursExceptions : [];
+    const key = this.toDateKey(date);
+
+    return exceptions.find(exception => {
+      if (!exception) return false;
+      if (exception.date) return exception.date === key;
+      return !!exception.from && !!exception.to && exception.from <= key && key <= exception.to;
+    }) || null;
+  },
+
+  /**
+   * Get the opening ranges that start on a given day
+   * @param {Object} provider - Provider data ({ hours, hoursExceptions })
+   * @param {Date} date - Day (local time)
+   * @returns {Array<Object>} - { open, close } minute ranges
+   */
+  getDayRanges(provider, date) {
+    if (!provider) return [];
+
+    const exception = this.getException(provider, date);
+    if (exception) {
+      return this.normalizeRanges(exception.closed ? null : (exception.ranges || exception));
+    }
+
+    return this.getWeeklyRanges(provider.hours, this.DAYS[date.getDay()]);
+  },
+
+  /**
+   * Get the regular weekly ranges for a weekday, falling back to the
+   * `weekdays`/`weekend` group entries
+   * @param {Object} hours - Provider hours
+   * @param {string} day - Weekday key ('sunday'..'saturday')
+   * @returns {Array<Object>} - { open, close } minute ranges
+   */
+  getWeeklyRanges(hours, day) {
+    if (!hours) return [];
+
+    let entry = hours[day];
+    if (entry === undefined) {
+      entry = this.WEEKEND.includes(day) ? hours.weekend : hours.weekdays;
+    }
+
+    return this.normalizeRanges(entry);
+  },
+
+  /**
+   * Format minutes since midnight as HH:MM (wrapping past midnight)
+   * @param {number} minutes - Minutes
+   * @returns {string} - Time string
+   */
+  formatMinutes(minutes) {
+    const wrapped = minutes === 24 * 60 ? minutes : minutes % (24 * 60);
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(Math.floor(wrapped / 60))}:${pad(wrapped % 60)}`;
+  },
+
+  /**
+   * Check whether a provider has any schedule information
+   * @param {Object} provider - Provider data
+   * @returns {boolean} - True if 24/7 or hours are set
+   */
+  hasSchedule(provider) {
+    return !!provider && (provider.available24_7 === true ||
+      (!!provider.hours && typeof provider.hours === 'object' && Object.keys(provider.hours).length > 0));
+  },
+
+  /**
+   * Build merged absolute opening intervals around a point in time.
+   * Starts the day before so overnight ranges are included.
+   * @param {Object} provider - Provider data
+   * @param {Date} at - Reference time
+   * @returns {Array<Object>} - Sorted { start, end } Date pairs
+   */
+  getIntervals(provider, at) {
+    const intervals = [];
+
+    for (let offset = -1; offset <= this.LOOKAHEAD_DAYS; offset++) {
+      const day = new Date(at.getFullYear(), at.getMonth(), at.getDate() + offset);
+
+      this.getDayRanges(provider, day).forEach(range => {
+        intervals.push({
+          start: new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, range.open),
+          end: new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, range.close)
+        });
+      });
+    }
+
+    intervals.sort((a, b) => a.start - b.start);
+
+    // Merge touching ranges, e.g. 20:00-24:00 followed by 00:00-08:00
+    return intervals.reduce((merged, interval) => {
+      const last = merged[merged.length - 1];
+      if (last && interval.start <= last.end) {
+        if (interval.end > last.end) last.end = interval.end;
+      } else {
+        merged.push({ ...interval });
+      }
+      return merged;
+    }, []);
+  },
+
+  /**
+   * Get the open/closed status of a provider
+   * @param {Object} provider - Provider data
+   * @param {Date} at - Time to check (default: now)
+   * @returns {Object|null} - { isOpen, is24_7, closesAt, opensAt, exception } or null if unknown
+   */
+  getStatus(provider, at = new Date()) {
+    if (!this.hasSchedule(provider)) return null;
+
+    if (provider.available24_7 === true) {
+      return { isOpen: true, is24_7: true, closesAt: null, opensAt: null, exception: null };
+    }
+
+    const intervals = this.getIntervals(provider, at);
+    const current = intervals.find(interval => interval.start <= at && at < interval.end);
+    const next = intervals.find(interval => interval.start > at);
+    const horizon = new Date(at.getFullYear(), at.getMonth(), at.getDate() + this.LOOKAHEAD_DAYS);
+
+    return {
+      isOpen: !!current,
+      is24_7: false,
+      closesAt: current && current.end < horizon ? current.end : null,
+      opensAt: !current && next ? next.start : null,
+      exception: this.getException(provider, at)
+    };
+  },
+
+  /**
+   * Check whether a provider is open at a given time
+   * @param {Object} provider - Provider data
+   * @param {Date} at - Time to check (default: now)
+   * @returns {boolean} - True if open; false if closed or unknown
+   */
+  isOpenAt(provider, at = new Date()) {
+    const status = this.getStatus(provider, at);
+    return !!status && status.isOpen;
+  },
+
+  /**
+   * Describe a status for display
+   * @param {Object} status - Result of getStatus()
+   * @param {string} locale - Locale code
+   * @returns {Object|null} - { state: 'open'|'closed', label, detail }
+   */
+  describeStatus(status, locale = 'en') {
+    if (!status) return null;
+
+    const t = (key, fallback, params) => {
+      if (typeof window !== 'undefined' && window.i18n) {
+        const translated = window.i18n.translate(key, params);
+        if (translated && translated !== key) return translated;
+      }
+      return Object.keys(params || {}).reduce(
+        (text, param) => text.replace(`{{${param}}}`, params[param]),
+        fallback
+      );
+    };
+    const formatTime = date => new Intl.DateTimeFormat(locale, { hour: '2-digit', minute: '2-digit' }).format(date);
+
+    if (status.is24_7) {
+      return { state: 'open', label: t('provider.open24_7', 'Open 24/7'), detail: '' };
+    }
+
+    if (status.isOpen) {
+      return {
+        state: 'open',
+        label: t('provider.openNow', 'Open now'),
+        detail: status.closesAt ? t('provider.closesAt', 'Closes at {{time}}', { time: formatTime(status.closesAt) }) : ''
+      };
+    }
+
+    let detail = '';
+    if (status.opensAt) {
+      const day = new Intl.DateTimeFormat(locale, { weekday: 'short' }).format(status.opensAt);
+      detail = t('provider.opensAt', 'Opens {{day}} {{time}}', { day, time: formatTime(status.opensAt) });
+    }
+
+    return { state: 'closed', label: t('provider.closedNow', 'Closed'), detail };
+  },
+
+  /**
+   * Validate an hours object
+   * @param {Object} hours - Hours keyed by weekday or group
+   * @returns {Array<string>} - Validation error messages
+   */
+  validateHours(hours) {
+    const errors = [];
+    const validKeys = [...this.DAYS, 'weekdays', 'weekend'];
+
+    Object.keys(hours).forEach(key => {
+      if (!validKeys.includes(key)) {
+        errors.push(`Unknown hours key: ${key}`);
+        return;
+      }
+
+      const entry = hours[key];
+      if (!entry || entry.closed === true) return;
+
+      const list = Array.isArray(entry) ? entry : [entry];
+      if (list.length === 0 || list.some(range => !range || this.parseTime(range.open) === null || this.parseTime(range.close) === null)) {
+        errors.push(`Invalid hours for ${key}`);
+      }
+    });
+
+    return errors;
+  },
+
+  /**
+   * Validate holiday/closure exceptions
+   * @param {Array} exceptions - Exception list
+   * @returns {Array<string>} - Validation error messages
+   */
+  validateExceptions(exceptions) {
+    const errors = [];
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if (!Array.isArray(exceptions)) {
+      return ['Hours exceptions must be a list'];
+    }
+
+    exceptions.forEach((exception, index) => {
+      const label = `Hours exception ${index + 1}`;
+
+      if (!exception || typeof exception !== 'object') {
+        errors.push(`${label} is invalid`);
+        return;
+      }
+
+      if (exception.date) {
+        if (!datePattern.test(exception.date)) errors.push(`${label} has an invalid date`);
+      } else if (!datePattern.test(exception.from || '') || !datePattern.test(exception.to || '') || exception.from > exception.to) {
+        errors.push(`${label} must have a date or a valid from/to range`);
+      }
+
+      if (exception.closed !== true && this.normalizeRanges(exception.ranges || exception).length === 0) {
+        errors.push(`${label} must be closed or have valid open and close times`);
+      }
+    });
+
+    return errors;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OpeningHours;
+}
+
+if (typeof window !== 'undefined') {
+  window.OpeningHours = OpeningHours;
+}
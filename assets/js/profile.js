@@ -40,7 +40,8 @@ async function getProviderProfile(providerId, showLoading = true) {
       stopTracking();
     }
 
-    if (!providerDoc.exists) {
+    // Trashed providers are hidden until restored or purged
+    if (!providerDoc.exists || providerDoc.data().deletedAt) {
       throw new Error('Provider not found');
     }
 
@@ -71,7 +72,8 @@ async function getProviderProfile(providerId, showLoading = true) {
  * Update provider profile
  * @param {string} providerId - Provider ID
  * @param {Object} updates - Profile updates
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} - { applied, pending, changeRequestId }: fields
+ * written now, fields waiting for admin approval and the request holding them
  */
 async function updateProviderProfile(providerId, updates) {
   try {
@@ -102,28 +104,148 @@ async function updateProviderProfile(providerId, updates) {
       throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
     }
 
-    // Prepare update data
-    const updateData = {
-      ...updates,
-      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
-    };
+    // Sensitive fields of verified providers wait for an admin
+    const { immediate, sensitive } = currentUser.role === 'admin'
+      ? { immediate: updates, sensitive: {} }
+      : ChangeRequests.splitUpdates(updates, providerData);
 
-    // Update Firestore document
-    await db.collection('providers').doc(providerId).update(updateData);
+    if (Object.keys(immediate).length > 0) {
+      await db.collection('providers').doc(providerId).update({
+        ...immediate,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    let changeRequest = { id: null, fields: [] };
+    if (Object.keys(sensitive).length > 0) {
+      changeRequest = await saveChangeRequest(providerId, providerData, sensitive, currentUser);
+    }
 
     // Log analytics event
     if (window.analytics) {
       analytics.logEvent('update_provider_profile', {
-        provider_id: providerId
+        provider_id: providerId,
+        pending_fields: changeRequest.fields.length
       });
     }
 
+    return {
+      applied: Object.keys(immediate),
+      pending: changeRequest.fields,
+      changeRequestId: changeRequest.id
+    };
+
   } catch (error) {
     console.error('Error updating provider profile:', error);
     throw error;
   }
 }
 
+/**
+ * Get the provider's open change request, if any
+ * @param {string} providerId - Provider ID
+ * @returns {Promise<Object|null>} - Pending change request
+ */
+async function getPendingChangeRequest(providerId) {
+  try {
+    const currentUser = await authModule.getCurrentUser();
+    if (!currentUser) {
+      throw new Error('You must be signed in to view change requests');
+    }
+
+    const snapshot = await db.collection('provider_changes')
+      .where('providerId', '==', providerId)
+      .where('requestedBy', '==', currentUser.uid)
+      .where('status', '==', 'pending')
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      return null;
+    }
+
+    return { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+
+  } catch (error) {
+    console.error('Error fetching change request:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record sensitive updates in the provider's open change request, creating
+ * it if needed. One request per provider collects all pending edits.
+ * @param {string} providerId - Provider ID
+ * @param {Object} providerData - Current provider data
+ * @param {Object} sensitive - Sensitive updates
+ * @param {Object} currentUser - Requesting user
+ * @returns {Promise<Object>} - { id, fields } (id is null if nothing is pending)
+ */
+async function saveChangeRequest(providerId, providerData, sensitive, currentUser) {
+  const existing = await getPendingChangeRequest(providerId);
+  const { changes, previous } = ChangeRequests.mergeChanges(existing ? existing.changes : {}, sensitive, providerData);
+  const fields = Object.keys(changes);
+  const timestamp = firebase.firestore.FieldValue.serverTimestamp();
+
+  if (existing) {
+    // Reverting every pending field withdraws the request
+    await db.collection('provider_changes').doc(existing.id).update(fields.length > 0
+      ? { changes, previous, updatedAt: timestamp }
+      : { status: 'cancelled', updatedAt: timestamp });
+
+    return { id: fields.length > 0 ? existing.id : null, fields };
+  }
+
+  if (fields.length === 0) {
+    return { id: null, fields };
+  }
+
+  const docRef = await db.collection('provider_changes').add({
+    providerId,
+    providerName: providerData.name,
+    requestedBy: currentUser.uid,
+    changes,
+    previous,
+    status: 'pending',
+    submittedAt: timestamp,
+    updatedAt: timestamp
+  });
+
+  return { id: docRef.id, fields };
+}
+
+/**
+ * Withdraw a pending change request
+ * @param {string} requestId - Change request ID
+ * @returns {Promise<void>}
+ */
+async function cancelChangeRequest(requestId) {
+  try {
+    const currentUser = await authModule.getCurrentUser();
+    if (!currentUser) {
+      throw new Error('You must be signed in to cancel a change request');
+    }
+
+    const requestDoc = await db.collection('provider_changes').doc(requestId).get();
+    if (!requestDoc.exists || requestDoc.data().requestedBy !== currentUser.uid) {
+      throw new Error('Change request not found');
+    }
+
+    if (requestDoc.data().status !== 'pending') {
+      throw new Error('Only pending change requests can be cancelled');
+    }
+
+    await db.collection('provider_changes').doc(requestId).update({
+      status: 'cancelled',
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+
+  } catch (error) {
+    console.error('Error cancelling change request:', error);
+    throw error;
+  }
+}
+
 /**
  * Validate profile data
  * @param {Object} data - Profile data to validate
@@ -169,13 +291,24 @@ function validateProfileData(data) {
     }
   }
 
-  // Validate hours
+  // Validate hours (per-day, split and overnight ranges; see OpeningHours)
   if (data.hours !== undefined && data.hours) {
-    const validDays = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-    for (const day of validDays) {
-      if (data.hours[day] && (!data.hours[day].open || !data.hours[day].close)) {
-        errors.push(`Invalid hours for ${day}`);
-      }
+    errors.push(...OpeningHours.validateHours(data.hours));
+  }
+
+  // Validate holiday/closure exceptions
+  if (data.hoursExceptions !== undefined && data.hoursExceptions) {
+    errors.push(...OpeningHours.validateExceptions(data.hoursExceptions));
+  }
+
+  // Validate appointment settings
+  if (data.appointmentSettings !== undefined && data.appointmentSettings) {
+    const { enabled, slotMinutes } = data.appointmentSettings;
+    if (typeof enabled !== 'boolean') {
+      errors.push('Appointment booking must be enabled or disabled');
+    }
+    if (!Number.isInteger(slotMinutes) || slotMinutes < 10 || slotMinutes > 240) {
+      errors.push('Appointment slot length must be between 10 and 240 minutes');
     }
   }
 
@@ -444,6 +577,10 @@ async function toggleFavorite(providerId) {
       updatedAt: firebase.firestore.FieldValue.serverTimestamp()
     });
 
+    if (window.OfflineDirectory) {
+      window.OfflineDirectory.saveFavorites(currentUser.uid, newFavorites);
+    }
+
     // Track favorite action in analytics
     if (window.Analytics) {
       window.Analytics.trackFavorite(providerId, isFavorited ? 'remove' : 'add');
@@ -462,6 +599,11 @@ async function toggleFavorite(providerId) {
  * @returns {Promise<Array<Object>>} Array of favorite provider profiles
  */
 async function getFavoriteProviders() {
+  // Without a connection, use the favorites remembered on this device
+  if (window.OfflineDirectory && window.OfflineDirectory.isOffline()) {
+    return getOfflineFavoriteProviders();
+  }
+
   try {
     // Validate user is authenticated
     const currentUser = await authModule.getCurrentUser();
@@ -478,6 +620,10 @@ async function getFavoriteProviders() {
     const userData = userDoc.data();
     const favorites = userData.favorites || [];
 
+    if (window.OfflineDirectory) {
+      window.OfflineDirectory.saveFavorites(currentUser.uid, favorites);
+    }
+
     if (favorites.length === 0) {
       return [];
     }
@@ -499,6 +645,10 @@ async function getFavoriteProviders() {
 
     results.forEach(snapshot => {
       snapshot.forEach(doc => {
+        if (doc.data().deletedAt) {
+          return;
+        }
+
         providers.push({
           id: doc.id,
           ...doc.data()
@@ -514,6 +664,36 @@ async function getFavoriteProviders() {
   }
 }
 
+/**
+ * Get the signed-in user's favorite providers from the offline provider data.
+ * Firebase Auth keeps the session offline, but the user document cannot be
+ * read, so the favorites saved on this device by getFavoriteProviders are used.
+ * @returns {Promise<Array<Object>>} Compact provider records (see OfflineDirectory)
+ */
+async function getOfflineFavoriteProviders() {
+  const user = await new Promise(resolve => {
+    const unsubscribe = window.auth.onAuthStateChanged(authUser => {
+      unsubscribe();
+      resolve(authUser);
+    });
+  });
+
+  if (!user) {
+    throw new Error('You must be signed in to view favorites');
+  }
+
+  const [snapshot, favorites] = await Promise.all([
+    window.OfflineDirectory.load(),
+    window.OfflineDirectory.getSavedFavorites(user.uid)
+  ]);
+
+  if (!snapshot || !favorites) {
+    throw new Error('Your favorites are not available offline yet. Please connect to the internet once to save them.');
+  }
+
+  return window.OfflineDirectory.getFavoriteProviders(snapshot, favorites);
+}
+
 /**
  * Check if a provider is favorited by current user
  * @param {string} providerId - Provider ID
@@ -586,6 +766,8 @@ function calculateProfileCompletion(profile) {
 window.profileModule = {
   getProviderProfile,
   updateProviderProfile,
+  getPendingChangeRequest,
+  cancelChangeRequest,
   validateProfileData,
   uploadProfileImage,
   compressImage,
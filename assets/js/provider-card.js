@@ -107,6 +107,18 @@ class ProviderCard {
       <i class="bi bi-geo-alt" aria-hidden="true"></i>
       <span class="provider-location">${this.getLocationString(provider)}</span>
     `;
+    
+    // Distance from the search point (radius searches only)
+    if (typeof provider.distanceKm === 'number' && window.Geo) {
+      const distance = document.createElement('span');
+      distance.className = 'provider-distance';
+      distance.innerHTML = `
+        <i class="bi bi-signpost" aria-hidden="true"></i>
+        <span>${window.Geo.formatDistance(provider.distanceKm)}</span>
+        <span class="visually-hidden" data-i18n="provider.distanceAway">away</span>
+      `;
+      location.appendChild(distance);
+    }
     content.appendChild(location);
     
     // Feature badges
@@ -142,6 +154,11 @@ class ProviderCard {
         <span data-i18n="provider.emergency">24/7</span>
       `;
       badges.appendChild(emergencyBadge);
+    } else {
+      const openStatusBadge = this.createOpenStatusBadge(provider);
+      if (openStatusBadge) {
+        badges.appendChild(openStatusBadge);
+      }
     }
     
     content.appendChild(badges);
@@ -208,6 +225,73 @@ class ProviderCard {
     return card;
   }
   
+  /**
+   * Create a live open/closed badge from the provider's opening hours
+   * @param {Object} provider - Provider object
+   * @returns {HTMLElement|null} - Badge element, or null if hours are unknown
+   */
+  static createOpenStatusBadge(provider) {
+    if (!window.OpeningHours || !window.OpeningHours.hasSchedule(provider)) {
+      return null;
+    }
+    
+    const badge = document.createElement('span');
+    badge.className = 'badge open-status-badge';
+    this.updateOpenStatusBadge(badge, provider);
+    this.watchOpenStatusBadge(badge, provider);
+    
+    return badge;
+  }
+  
+  /**
+   * Refresh an open/closed badge for the current time
+   * @param {HTMLElement} badge - Badge element
+   * @param {Object} provider - Provider object
+   */
+  static updateOpenStatusBadge(badge, provider) {
+    const lang = window.i18n ? window.i18n.getCurrentLanguage() : 'en';
+    const status = window.OpeningHours.describeStatus(window.OpeningHours.getStatus(provider), lang);
+    const isOpen = status.state === 'open';
+    
+    badge.classList.toggle('badge-success', isOpen);
+    badge.classList.toggle('is-closed', !isOpen);
+    badge.innerHTML = `
+      <i class="bi bi-clock" aria-hidden="true"></i>
+      <span>${status.label}</span>
+      ${status.detail ? `<span class="open-status-detail">· ${status.detail}</span>` : ''}
+    `;
+  }
+  
+  /**
+   * Keep open/closed badges current while they are on the page.
+   * A single timer refreshes every badge once a minute.
+   * @param {HTMLElement} badge - Badge element
+   * @param {Object} provider - Provider object
+   */
+  static watchOpenStatusBadge(badge, provider) {
+    if (!this.liveBadges) {
+      this.liveBadges = new Map();
+    }
+    this.liveBadges.set(badge, provider);
+    
+    if (this.liveBadgeTimer) return;
+    
+    this.liveBadgeTimer = setInterval(() => {
+      this.liveBadges.forEach((data, element) => {
+        if (!element.isConnected) {
+          this.liveBadges.delete(element);
+          return;
+        }
+        this.updateOpenStatusBadge(element, data);
+      });
+      
+      if (this.liveBadges.size === 0) {
+        clearInterval(this.liveBadgeTimer);
+        this.liveBadgeTimer = null;
+      }
+    }, 60 * 1000);
+  }
+  
   /**
    * Get localized provider name
    * @param {Object} provider - Provider object
@@ -0,0 +1,209 @@
+/**
+ * Provider Export Module
+ * Serializes providers for the admin directory export (CSV, JSON) and for
+ * the citizen "save contact" vCard on profile pages.
+ */
+
+const ProviderExport = {
+  /**
+   * CSV columns, identical to initial-providers.csv so exports can be
+   * re-imported with bulkImportProviders
+   */
+  CSV_COLUMNS: [
+    'name', 'type', 'phone', 'specialty', 'address', 'city', 'wilaya',
+    'latitude', 'longitude', 'accessibility', 'homevisits', 'available24_7', 'rating'
+  ],
+
+  /**
+   * Convert Firestore Timestamps (and nested ones) to ISO strings
+   * @param {*} value - Any value
+   * @returns {*} - JSON-safe value
+   */
+  toPlain(value) {
+    if (value === null || value === undefined) return value;
+    if (typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(item => this.toPlain(item));
+    if (typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.toPlain(item)]));
+    }
+    return value;
+  },
+
+  /**
+   * Check a provider against export filters
+   * @param {Object} provider - Provider data
+   * @param {Object} filters - { type, city, verified }
+   * @returns {boolean} - True if the provider should be exported
+   */
+  matchesFilters(provider, filters = {}) {
+    if (filters.type && provider.type !== filters.type) return false;
+    if (typeof filters.verified === 'boolean' && !!provider.verified !== filters.verified) return false;
+
+    if (filters.city) {
+      const normalize = value => String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+      if (normalize(provider.address?.city || provider.city) !== normalize(filters.city)) return false;
+    }
+
+    return true;
+  },
+
+  /**
+   * Build the CSV record of a provider
+   * @param {Object} provider - Provider data
+   * @returns {Array<string>} - Values in CSV_COLUMNS order
+   */
+  toCSVRecord(provider) {
+    const address = typeof provider.address === 'string' ? { street: provider.address } : (provider.address || {});
+    const location = provider.location || {};
+
+    const values = {
+      name: provider.name,
+      type: provider.type,
+      phone: provider.phone,
+      specialty: provider.specialty,
+      address: address.street,
+      city: address.city || provider.city,
+      wilaya: address.wilaya,
+      latitude: location.lat,
+      longitude: location.lng,
+      accessibility: !!provider.accessibility,
+      homevisits: !!provider.homeVisits,
+      available24_7: !!provider.available24_7,
+      rating: provider.rating || ''
+    };
+
+    return this.CSV_COLUMNS.map(column => values[column] === undefined ? '' : String(values[column]));
+  },
+
+  /**
+   * Serialize providers to CSV. Values that a spreadsheet would run as a
+   * formula are escaped; the import removes the escaping again.
+   * @param {Array<Object>} providers - Providers
+   * @returns {string} - CSV text with header row
+   */
+  toCSV(providers) {
+    return window.CSV.stringify(
+      [this.CSV_COLUMNS, ...providers.map(provider => this.toCSVRecord(provider))],
+      { escapeFormulas: true }
+    );
+  },
+
+  /**
+   * Serialize providers to JSON, keeping document IDs
+   * @param {Array<Object>} providers - Providers with `id`
+   * @returns {string} - Pretty-printed JSON
+   */
+  toJSON(providers) {
+    return JSON.stringify(providers.map(provider => this.toPlain(provider)), null, 2);
+  },
+
+  /**
+   * Escape a vCard text value
+   * @param {string} value - Text
+   * @returns {string} - Escaped text
+   */
+  escapeVCard(value) {
+    return String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/\r?\n/g, '\\n')
+      .replace(/([,;])/g, '\\$1');
+  },
+
+  /**
+   * Fold a content line to 75 characters as vCard requires
+   * @param {string} line - Content line
+   * @returns {string} - Folded line
+   */
+  foldLine(line) {
+    const parts = [];
+    for (let i = 0; i < line.length; i += 74) {
+      parts.push(line.slice(i, i + 74));
+    }
+    return parts.join('\r\n ');
+  },
+
+  /**
+   * Build a vCard 3.0 contact for a provider
+   * @param {Object} provider - Provider data with `id`
+   * @param {string} profileUrl - Public profile URL (optional)
+   * @returns {string} - vCard text
+   */
+  toVCard(provider, profileUrl = '') {
+    const address = typeof provider.address === 'string' ? { street: provider.address } : (provider.address || {});
+    const e = value => this.escapeVCard(value);
+
+    const lines = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      `FN:${e(provider.name)}`,
+      `N:${e(provider.name)};;;;`,
+      `ORG:${e(provider.name)}`
+    ];
+
+    if (provider.nameAr || provider.nameFr) {
+      lines.push(`NICKNAME:${[provider.nameFr, provider.nameAr].filter(Boolean).map(e).join(',')}`);
+    }
+    if (provider.specialty) lines.push(`TITLE:${e(provider.specialty)}`);
+    if (provider.type) lines.push(`CATEGORIES:${e(provider.type)}`);
+    if (provider.phone) lines.push(`TEL;TYPE=WORK,VOICE:${e(provider.phone)}`);
+    if (provider.email) lines.push(`EMAIL;TYPE=WORK:${e(provider.email)}`);
+    if (address.street || address.city) {
+      lines.push(`ADR;TYPE=WORK:;;${e(address.street)};${e(address.city || provider.city)};${e(address.wilaya)};;${e('Algeria')}`);
+    }
+    if (provider.location && typeof provider.location.lat === 'number') {
+      lines.push(`GEO:${provider.location.lat};${provider.location.lng}`);
+    }
+    if (profileUrl) lines.push(`URL:${profileUrl}`);
+    lines.push('END:VCARD');
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  },
+
+  /**
+   * File name for an export, e.g. "providers-pharmacy-2026-10-19.csv"
+   * @param {string} base - Base name
+   * @param {string} extension - File extension
+   * @param {Date} date - Export date (default: now)
+   * @returns {string} - File name
+   */
+  getFileName(base, extension, date = new Date()) {
+    const slug = String(base || 'export')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\u0600-\u06FF]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    const day = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    return `${slug || 'export'}-${day}.${extension}`;
+  },
+
+  /**
+   * Offer text content as a file download
+   * @param {string} content - File content
+   * @param {string} fileName - File name
+   * @param {string} mimeType - MIME type
+   */
+  download(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProviderExport;
+}
+
+if (typeof window !== 'undefined') {
+  window.ProviderExport = ProviderExport;
+}
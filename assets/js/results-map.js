@@ -0,0 +1,410 @@
+/**
+ * Results Map Module
+ * Plots search results on a Leaflet map with marker clustering and
+ * "search this area" re-querying.
+ *
+ * The tile source defaults to OpenStreetMap. Deployments can set
+ * `window.mapConfig = { tileUrl, attribution, maxZoom }` before this script
+ * loads, and testers can point at a local tile server with
+ * `localStorage.setItem('mapTileUrl', 'http://localhost:8080/{z}/{x}/{y}.png')`.
+ */
+
+class ResultsMap {
+  /**
+   * @param {HTMLElement} container - Map container element
+   * @param {Object} options - { onSearchArea(area), onTilesFailed() }
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onSearchArea = options.onSearchArea || null;
+    this.onTilesFailed = options.onTilesFailed || null;
+    this.map = null;
+    this.markerLayer = null;
+    this.providers = [];
+    this.tileErrors = 0;
+    this.tilesLoaded = 0;
+    this.searchAreaButton = null;
+    this.fittedView = null;
+  }
+
+  /**
+   * Resolve the tile source from local override, page config or default
+   * @returns {Object} - { url, attribution, maxZoom }
+   */
+  static getTileSource() {
+    const config = (typeof window !== 'undefined' && window.mapConfig) || {};
+    let override = null;
+
+    try {
+      override = typeof localStorage !== 'undefined' ? localStorage.getItem('mapTileUrl') : null;
+    } catch (error) {
+      // Storage can be unavailable in private browsing
+    }
+
+    return {
+      url: override || config.tileUrl || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+      attribution: config.attribution || '© OpenStreetMap contributors',
+      maxZoom: config.maxZoom || 19
+    };
+  }
+
+  /**
+   * Project coordinates to Web Mercator pixels at a zoom level
+   * @param {Object} location - { lat, lng }
+   * @param {number} zoom - Zoom level
+   * @returns {Object} - { x, y } in pixels
+   */
+  static project(location, zoom) {
+    const size = 256 * Math.pow(2, zoom);
+    const lat = Math.max(-85.05112878, Math.min(85.05112878, location.lat));
+    const sin = Math.sin(lat * Math.PI / 180);
+
+    return {
+      x: (location.lng + 180) / 360 * size,
+      y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+    };
+  }
+
+  /**
+   * Group providers whose markers would overlap at a zoom level.
+   * Greedy: each provider joins the first cluster within the radius of its
+   * first member, so the result is stable for a given order.
+   * @param {Array<Object>} providers - Providers with a valid `location`
+   * @param {number} zoom - Zoom level
+   * @param {number} radiusPx - Cluster radius in pixels
+   * @returns {Array<Object>} - Clusters { location, providers, bounds }
+   */
+  static clusterProviders(providers, zoom, radiusPx = ResultsMap.CLUSTER_RADIUS_PX) {
+    const clusters = [];
+
+    providers.forEach(provider => {
+      const point = ResultsMap.project(provider.location, zoom);
+      const cluster = clusters.find(item =>
+        Math.abs(item.point.x - point.x) <= radiusPx && Math.abs(item.point.y - point.y) <= radiusPx
+      );
+
+      if (cluster) {
+        cluster.providers.push(provider);
+      } else {
+        clusters.push({ point, providers: [provider] });
+      }
+    });
+
+    return clusters.map(({ providers: members }) => {
+      const lats = members.map(provider => provider.location.lat);
+      const lngs = members.map(provider => provider.location.lng);
+
+      return {
+        location: {
+          lat: lats.reduce((sum, lat) => sum + lat, 0) / lats.length,
+          lng: lngs.reduce((sum, lng) => sum + lng, 0) / lngs.length
+        },
+        providers: members,
+        bounds: [[Math.min(...lats), Math.min(...lngs)], [Math.max(...lats), Math.max(...lngs)]]
+      };
+    });
+  }
+
+  /**
+   * Describe the visible area as a radius search
+   * @param {Object} bounds - { north, south, east, west }
+   * @returns {Object} - { near: { lat, lng }, radiusKm }
+   */
+  static getSearchArea(bounds) {
+    const near = {
+      lat: (bounds.north + bounds.south) / 2,
+      lng: (bounds.east + bounds.west) / 2
+    };
+
+    // Half the shorter side keeps results inside the visible map
+    const halfHeight = window.Geo.distanceKm(near, { lat: bounds.north, lng: near.lng });
+    const halfWidth = window.Geo.distanceKm(near, { lat: near.lat, lng: bounds.east });
+    const radiusKm = Math.min(Math.max(Math.min(halfHeight, halfWidth), 0.5), ResultsMap.MAX_AREA_RADIUS_KM);
+
+    return { near, radiusKm: Math.round(radiusKm * 10) / 10 };
+  }
+
+  /**
+   * Create the Leaflet map. Returns false if Leaflet is not available.
+   * @returns {boolean} - Whether the map is ready
+   */
+  init() {
+    if (this.map) return true;
+    if (typeof L === 'undefined' || !this.container) return false;
+
+    const tileSource = ResultsMap.getTileSource();
+
+    this.map = L.map(this.container).setView(
+      [ResultsMap.DEFAULT_CENTER.lat, ResultsMap.DEFAULT_CENTER.lng],
+      ResultsMap.DEFAULT_ZOOM
+    );
+
+    const tileLayer = L.tileLayer(tileSource.url, {
+      attribution: tileSource.attribution,
+      maxZoom: tileSource.maxZoom
+    });
+
+    tileLayer.on('tileload', () => {
+      this.tilesLoaded++;
+    });
+
+    tileLayer.on('tileerror', () => {
+      this.tileErrors++;
+      if (this.tilesLoaded === 0 && this.tileErrors >= ResultsMap.MAX_TILE_ERRORS && this.onTilesFailed) {
+        this.onTilesFailed();
+      }
+    });
+
+    tileLayer.addTo(this.map);
+    this.markerLayer = L.layerGroup().addTo(this.map);
+
+    this.map.on('zoomend', () => this.renderMarkers());
+    this.map.on('moveend', () => {
+      if (this.hasMovedSinceFit()) {
+        this.showSearchAreaButton();
+      }
+    });
+
+    this.createSearchAreaButton();
+    return true;
+  }
+
+  /**
+   * Add the "search this area" button over the map
+   */
+  createSearchAreaButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-primary btn-sm results-map-search-area';
+    button.style.display = 'none';
+    button.innerHTML = `
+      <i class="bi bi-arrow-repeat" aria-hidden="true"></i>
+      <span data-i18n="search.searchThisArea">Search this area</span>
+    `;
+
+    button.addEventListener('click', () => {
+      button.style.display = 'none';
+      if (!this.onSearchArea) return;
+
+      const bounds = this.map.getBounds();
+      this.onSearchArea(ResultsMap.getSearchArea({
+        north: bounds.getNorth(),
+        south: bounds.getSouth(),
+        east: bounds.getEast(),
+        west: bounds.getWest()
+      }));
+    });
+
+    if (window.i18n) {
+      window.i18n.translateElement(button);
+    }
+
+    // Keep clicks on the button from panning or zooming the map
+    L.DomEvent.disableClickPropagation(button);
+    this.container.appendChild(button);
+    this.searchAreaButton = button;
+  }
+
+  /**
+   * Frame the map on locations without animation and remember the view, so
+   * only user moves offer "search this area"
+   * @param {Array<Object>} locations - { lat, lng } list
+   * @param {number} maxZoom - Closest zoom to use
+   */
+  fitTo(locations, maxZoom = 15) {
+    if (locations.length === 1) {
+      this.map.setView([locations[0].lat, locations[0].lng], maxZoom, { animate: false });
+    } else {
+      this.map.fitBounds(locations.map(location => [location.lat, location.lng]), {
+        padding: [30, 30],
+        maxZoom,
+        animate: false
+      });
+    }
+
+    this.fittedView = { center: this.map.getCenter(), zoom: this.map.getZoom() };
+  }
+
+  /**
+   * Whether the view differs from the last programmatic fit
+   * @returns {boolean} - True if the user panned or zoomed
+   */
+  hasMovedSinceFit() {
+    if (!this.fittedView) return true;
+
+    return this.map.getZoom() !== this.fittedView.zoom ||
+      !this.map.getCenter().equals(this.fittedView.center, 1e-6);
+  }
+
+  /**
+   * Show the "search this area" button after the user moves the map
+   */
+  showSearchAreaButton() {
+    if (this.searchAreaButton && this.onSearchArea) {
+      this.searchAreaButton.style.display = 'block';
+    }
+  }
+
+  /**
+   * Plot a result list
+   * @param {Array<Object>} providers - Search results
+   * @param {Object} options - { fitBounds: whether to frame the results (default true) }
+   * @returns {number} - Number of results that could not be placed
+   */
+  setProviders(providers, options = {}) {
+    const located = providers.filter(provider => window.Geo.isValidLocation(provider.location));
+    this.providers = located;
+
+    if (!this.map) return providers.length - located.length;
+
+    // Leaflet measures the container, which may just have been shown
+    this.map.invalidateSize();
+
+    if (options.fitBounds !== false && located.length > 0) {
+      this.fitTo(located.map(provider => provider.location));
+    } else {
+      this.fittedView = { center: this.map.getCenter(), zoom: this.map.getZoom() };
+    }
+
+    if (this.searchAreaButton) {
+      this.searchAreaButton.style.display = 'none';
+    }
+
+    this.renderMarkers();
+    return providers.length - located.length;
+  }
+
+  /**
+   * Redraw markers and clusters for the current zoom
+   */
+  renderMarkers() {
+    if (!this.map || !this.markerLayer) return;
+
+    this.markerLayer.clearLayers();
+
+    ResultsMap.clusterProviders(this.providers, this.map.getZoom()).forEach(cluster => {
+      if (cluster.providers.length === 1) {
+        this.addProviderMarker(cluster.providers[0]);
+      } else {
+        this.addClusterMarker(cluster);
+      }
+    });
+  }
+
+  /**
+   * Add a single provider marker with a ProviderCard popup
+   * @param {Object} provider - Provider data
+   */
+  addProviderMarker(provider) {
+    const marker = L.marker([provider.location.lat, provider.location.lng], {
+      title: window.ProviderCard.getLocalizedName(provider),
+      keyboard: true
+    });
+
+    // Build the card on open so badges and translations are current
+    marker.bindPopup(() => {
+      const card = window.ProviderCard.create(provider, false);
+      card.classList.add('provider-card-popup');
+      return card;
+    }, { maxWidth: 300, minWidth: 240 });
+
+    marker.on('popupopen', () => {
+      if (window.analytics) {
+        window.analytics.logEvent('map_marker_open', { provider_id: provider.id });
+      }
+    });
+
+    this.markerLayer.addLayer(marker);
+  }
+
+  /**
+   * Add a cluster marker that zooms in on click
+   * @param {Object} cluster - Cluster from clusterProviders
+   */
+  addClusterMarker(cluster) {
+    const count = cluster.providers.length;
+    const size = count < 10 ? 'small' : count < 50 ? 'medium' : 'large';
+
+    const marker = L.marker([cluster.location.lat, cluster.location.lng], {
+      icon: L.divIcon({
+        html: `<span>${count}</span>`,
+        className: `results-map-cluster results-map-cluster-${size}`,
+        iconSize: [40, 40]
+      }),
+      keyboard: true
+    });
+
+    marker.on('click', () => {
+      const [[south, west], [north, east]] = cluster.bounds;
+
+      // Members at the same spot cannot be separated by zooming
+      if (south === north && west === east) {
+        this.showClusterList(marker, cluster);
+        return;
+      }
+
+      this.map.fitBounds(cluster.bounds, { padding: [40, 40] });
+    });
+
+    this.markerLayer.addLayer(marker);
+  }
+
+  /**
+   * List the providers of an inseparable cluster in a popup
+   * @param {Object} marker - Cluster marker
+   * @param {Object} cluster - Cluster from clusterProviders
+   */
+  showClusterList(marker, cluster) {
+    const list = document.createElement('div');
+    list.className = 'results-map-cluster-list';
+
+    cluster.providers.forEach(provider => {
+      const card = window.ProviderCard.create(provider, false);
+      card.classList.add('provider-card-popup');
+      list.appendChild(card);
+    });
+
+    marker.bindPopup(list, { maxWidth: 300, minWidth: 240, maxHeight: 320 }).openPopup();
+  }
+
+  /**
+   * Remove the map
+   */
+  destroy() {
+    if (this.map) {
+      this.map.remove();
+      this.map = null;
+      this.markerLayer = null;
+    }
+  }
+}
+
+/**
+ * Default center (Sidi Bel Abbès) used when no result has coordinates
+ */
+ResultsMap.DEFAULT_CENTER = { lat: 35.1899, lng: -0.6308 };
+ResultsMap.DEFAULT_ZOOM = 13;
+
+/**
+ * Markers closer than this many pixels are grouped into a cluster
+ */
+ResultsMap.CLUSTER_RADIUS_PX = 60;
+
+/**
+ * Failed tiles tolerated before giving up when none has loaded
+ */
+ResultsMap.MAX_TILE_ERRORS = 4;
+
+/**
+ * Largest radius a "search this area" query may cover
+ */
+ResultsMap.MAX_AREA_RADIUS_KM = 50;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ResultsMap;
+}
+
+if (typeof window !== 'undefined') {
+  window.ResultsMap = ResultsMap;
+}
@@ -0,0 +1,379 @@
+/**
+ * Reviews Module
+ *
+ * Handles patient reviews and ratings for providers. Reviews live in the
+ * `providers/{providerId}/reviews` subcollection, keyed by the author's UID
+ * so each user can only have one review per provider. The provider's
+ * `rating` and `reviewCount` are kept up to date by the `onReviewWrite`
+ * Cloud Function.
+ */
+
+const REVIEW_MAX_LENGTH = 1000;
+const REVIEW_PAGE_SIZE = 10;
+
+/**
+ * Validate review input
+ * @param {Object} review - Review data
+ * @param {number} review.rating - Star rating (1-5)
+ * @param {string} review.text - Review text
+ * @returns {Array<string>} Array of validation error messages
+ */
+function validateReview(review) {
+  const errors = [];
+
+  if (!Number.isInteger(review.rating) || review.rating < 1 || review.rating > 5) {
+    errors.push('Rating must be a whole number between 1 and 5');
+  }
+
+  if (review.text !== undefined && typeof review.text !== 'string') {
+    errors.push('Review text must be a string');
+  } else if (review.text && review.text.length > REVIEW_MAX_LENGTH) {
+    errors.push(`Review text cannot exceed ${REVIEW_MAX_LENGTH} characters`);
+  }
+
+  return errors;
+}
+
+/**
+ * Create or update the current user's review for a provider
+ * @param {string} providerId - Provider ID
+ * @param {Object} review - Review data { rating, text }
+ * @returns {Promise<Object>} Saved review
+ */
+async function submitReview(providerId, review) {
+  try {
+    if (!providerId) {
+      throw new Error('Provider ID is required');
+    }
+
+    const currentUser = await authModule.getCurrentUser();
+    if (!currentUser) {
+      throw new Error('You must be signed in to review a provider');
+    }
+
+    const rating = parseInt(review.rating, 10);
+    const text = (review.text || '').trim();
+
+    const validationErrors = validateReview({ rating, text });
+    if (validationErrors.length > 0) {
+      throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+    }
+
+    const providerDoc = await db.collection('providers').doc(providerId).get();
+    if (!providerDoc.exists) {
+      throw new Error('Provider not found');
+    }
+
+    if (providerDoc.data().ownerId === currentUser.uid) {
+      throw new Error('You cannot review your own profile');
+    }
+
+    const reviewRef = db.collection('providers').doc(providerId)
+      .collection('reviews').doc(currentUser.uid);
+    const existing = await reviewRef.get();
+
+    let reviewData;
+
+    if (existing.exists) {
+      reviewData = {
+        rating,
+        text,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+      };
+      await reviewRef.update(reviewData);
+    } else {
+      reviewData = {
+        providerId,
+        userId: currentUser.uid,
+        authorName: currentUser.displayName || '',
+        rating,
+        text,
+        status: 'published',
+        flagCount: 0,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+      };
+      await reviewRef.set(reviewData);
+    }
+
+    if (window.Analytics) {
+      window.Analytics.trackReview(providerId, rating, existing.exists ? 'update' : 'create');
+    }
+
+    return {
+      id: currentUser.uid,
+      ...(existing.exists ? existing.data() : {}),
+      ...reviewData
+    };
+
+  } catch (error) {
+    console.error('Error submitting review:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get visible reviews for a provider, newest first
+ * @param {string} providerId - Provider ID
+ * @param {Object} options - Options
+ * @param {number} options.limit - Number of reviews to fetch
+ * @param {Object} options.startAfter - Last document snapshot from previous page
+ * @returns {Promise<Object>} { reviews, lastDoc, hasMore }
+ */
+async function getProviderReviews(providerId, options = {}) {
+  try {
+    if (!providerId) {
+      throw new Error('Provider ID is required');
+    }
+
+    const limit = options.limit || REVIEW_PAGE_SIZE;
+
+    let query = db.collection('providers').doc(providerId)
+      .collection('reviews')
+      .where('status', 'in', ['published', 'flagged'])
+      .orderBy('createdAt', 'desc')
+      .limit(limit);
+
+    if (options.startAfter) {
+      query = query.startAfter(options.startAfter);
+    }
+
+    const snapshot = await query.get();
+
+    const reviews = snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+
+    return {
+      reviews,
+      lastDoc: snapshot.docs.length > 0 ? snapshot.docs[snapshot.docs.length - 1] : null,
+      hasMore: snapshot.docs.length === limit
+    };
+
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    throw new Error('Failed to load reviews. Please try again.');
+  }
+}
+
+/**
+ * Get the current user's review for a provider
+ * @param {string} providerId - Provider ID
+ * @returns {Promise<Object|null>} Review or null
+ */
+async function getUserReview(providerId) {
+  try {
+    const currentUser = await authModule.getCurrentUser();
+    if (!currentUser) {
+      return null;
+    }
+
+    const reviewDoc = await db.collection('providers').doc(providerId)
+      .collection('reviews').doc(currentUser.uid).get();
+
+    return reviewDoc.exists ? { id: reviewDoc.id, ...reviewDoc.data() } : null;
+
+  } catch (error) {
+    console.error('Error fetching user review:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete the current user's review for a provider
+ * @param {string} providerId - Provider ID
+ * @returns {Promise<void>}
+ */
+async function deleteReview(providerId) {
+  try {
+    const currentUser = await authModule.getCurrentUser();
+    if (!currentUser) {
+      throw new Error('You must be signed in to delete a review');
+    }
+
+    await db.collection('providers').doc(providerId)
+      .collection('reviews').doc(currentUser.uid).delete();
+
+    if (window.Analytics) {
+      window.Analytics.trackReview(providerId, null, 'delete');
+    }
+
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    throw error;
+  }
+}
+
+/**
+ * Flag a review as inappropriate
+ * @param {string} providerId - Provider ID
+ * @param {string} reviewId - Review ID (author UID)
+ * @param {string} reason - Reason for flagging
+ * @returns {Promise<void>}
+ */
+async function flagReview(providerId, reviewId, reason) {
+  try {
+    const currentUser = await authModule.getCurrentUser();
+    if (!currentUser) {
+      throw new Error('You must be signed in to report a review');
+    }
+
+    if (reviewId === currentUser.uid) {
+      throw new Error('You cannot report your own review');
+    }
+
+    if (!reason || reason.trim() === '') {
+      throw new Error('Reason for reporting is required');
+    }
+
+    // One flag per user; the Cloud Function moves the review to the moderation queue
+    await db.collection('providers').doc(providerId)
+      .collection('reviews').doc(reviewId)
+      .collection('flags').doc(currentUser.uid)
+      .set({
+        userId: currentUser.uid,
+        reason: reason.trim(),
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+
+  } catch (error) {
+    console.error('Error flagging review:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get flagged reviews awaiting moderation (admin only)
+ * @returns {Promise<Array>} Array of flagged reviews with provider details
+ */
+async function getFlaggedReviews() {
+  try {
+    const user = await authModule.getCurrentUser();
+
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can access flagged reviews');
+    }
+
+    const snapshot = await db.collectionGroup('reviews')
+      .where('status', '==', 'flagged')
+      .orderBy('flagCount', 'desc')
+      .get();
+
+    const reviews = [];
+
+    for (const doc of snapshot.docs) {
+      const reviewData = doc.data();
+
+      // Fetch flag reasons for context
+      let flags = [];
+      try {
+        const flagsSnapshot = await doc.ref.collection('flags').get();
+        flags = flagsSnapshot.docs.map(flagDoc => flagDoc.data());
+      } catch (error) {
+        console.error('Error fetching review flags:', error);
+      }
+
+      let providerName = null;
+      try {
+        const providerDoc = await db.collection('providers').doc(reviewData.providerId).get();
+        if (providerDoc.exists) {
+          providerName = providerDoc.data().name;
+        }
+      } catch (error) {
+        console.error('Error fetching provider data:', error);
+      }
+
+      reviews.push({
+        id: doc.id,
+        ...reviewData,
+        providerName,
+        flags
+      });
+    }
+
+    return reviews;
+
+  } catch (error) {
+    console.error('Error getting flagged reviews:', error);
+    throw error;
+  }
+}
+
+/**
+ * Moderate a flagged review (admin only)
+ * @param {string} providerId - Provider ID
+ * @param {string} reviewId - Review ID
+ * @param {string} action - 'approve' (keep published) or 'hide'
+ * @param {string} note - Optional moderation note
+ * @returns {Promise<void>}
+ */
+async function moderateReview(providerId, reviewId, action, note = null) {
+  try {
+    const user = await authModule.getCurrentUser();
+
+    if (!user || user.role !== 'admin') {
+      throw new Error('Only admins can moderate reviews');
+    }
+
+    if (!['approve', 'hide'].includes(action)) {
+      throw new Error('Invalid action. Must be "approve" or "hide"');
+    }
+
+    const reviewRef = db.collection('providers').doc(providerId)
+      .collection('reviews').doc(reviewId);
+    const reviewDoc = await reviewRef.get();
+
+    const updateData = {
+      status: action === 'approve' ? 'published' : 'hidden',
+      moderatedBy: user.uid,
+      moderatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      moderationNote: note || null
+    };
+
+    await reviewRef.update(updateData);
+
+    // Log change
+    if (window.adminModule) {
+      await window.adminModule.logAdminChange({
+        action: 'moderate_review',
+        providerId: providerId,
+        reviewId: reviewId,
+        adminId: user.uid,
+        timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+        oldData: reviewDoc.exists ? { status: reviewDoc.data().status } : null,
+        newData: { status: updateData.status, moderationNote: updateData.moderationNote }
+      });
+    }
+
+    // Log analytics event
+    if (window.analytics) {
+      analytics.logEvent('review_moderated', {
+        provider_id: providerId,
+        action: action
+      });
+    }
+
+  } catch (error) {
+    console.error('Error moderating review:', error);
+    throw error;
+  }
+}
+
+// Export functions
+window.reviewsModule = {
+  REVIEW_MAX_LENGTH,
+  validateReview,
+  submitReview,
+  getProviderReviews,
+  getUserReview,
+  deleteReview,
+  flagReview,
+  getFlaggedReviews,
+  moderateReview
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = window.reviewsModule;
+}
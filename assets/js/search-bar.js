@@ -15,6 +15,16 @@ class SearchBar {
     this.debounceDelay = 300;
     this.serviceTypes = [];
     this.cities = [];
+    this.suggestions = [];
+    this.activeIndex = -1;
+    this.maxSuggestions = 8;
+    // Tie-break order when suggestions score the same
+    this.groupOrder = ['serviceType', 'specialty', 'location', 'provider'];
+    // Offered even before any provider lists them
+    this.defaultSpecialties = [
+      'Cardiology', 'Dermatology', 'Pediatrics', 'Dentistry',
+      'Orthopedics', 'Ophthalmology', 'General Medicine'
+    ];
     
     this.init();
   }
@@ -74,6 +84,11 @@ class SearchBar {
         this.handleQueryInput(e);
       });
 
+      // Arrow keys, Enter and Escape drive the suggestion list
+      this.searchQueryInput.addEventListener('keydown', (e) => {
+        this.handleAutocompleteKeydown(e);
+      });
+
       // Hide autocomplete on blur (with delay for click handling)
       this.searchQueryInput.addEventListener('blur', () => {
         setTimeout(() => this.hideAutocomplete(), 200);
@@ -139,7 +154,7 @@ class SearchBar {
   }
 
   /**
-   * Show autocomplete suggestions
+   * Show autocomplete suggestions, grouped by kind in ranking order
    * @param {string} query - Search query
    */
   async showAutocomplete(query) {
@@ -157,33 +172,56 @@ class SearchBar {
         return;
       }
 
-      // Create suggestion items
+      // Groups appear in the order of their best-ranked suggestion
+      const groups = [];
       suggestions.forEach(suggestion => {
-        const li = document.createElement('li');
-        li.className = 'autocomplete-item';
-        li.innerHTML = this.highlightMatch(suggestion.text, query);
-        li.setAttribute('role', 'option');
-        li.setAttribute('tabindex', '0');
-        
-        // Click handler
-        li.addEventListener('click', () => {
-          this.selectSuggestion(suggestion);
-        });
+        let group = groups.find(item => item.type === suggestion.type);
+        if (!group) {
+          group = { type: suggestion.type, items: [] };
+          groups.push(group);
+        }
+        group.items.push(suggestion);
+      });
 
-        // Keyboard handler
-        li.addEventListener('keydown', (e) => {
-          if (e.key === 'Enter' || e.key === ' ') {
-            e.preventDefault();
+      this.suggestions = groups.flatMap(group => group.items);
+      this.activeIndex = -1;
+
+      groups.forEach(group => {
+        const header = document.createElement('li');
+        header.className = 'autocomplete-group';
+        header.setAttribute('role', 'presentation');
+        header.textContent = this.getGroupLabel(group.type);
+        this.autocompleteList.appendChild(header);
+
+        group.items.forEach(suggestion => {
+          const index = this.suggestions.indexOf(suggestion);
+          const li = document.createElement('li');
+          li.className = 'autocomplete-item';
+          li.id = `autocomplete-option-${index}`;
+          li.innerHTML = `
+            <i class="bi ${suggestion.icon}" aria-hidden="true"></i>
+            ${this.highlightMatch(suggestion.text, query)}
+            ${suggestion.detail ? `<small class="text-muted ms-1">${Utils.escapeHTML(suggestion.detail)}</small>` : ''}
+          `;
+          li.setAttribute('role', 'option');
+          li.setAttribute('aria-selected', 'false');
+
+          // Click handler
+          li.addEventListener('click', () => {
             this.selectSuggestion(suggestion);
-          }
-        });
+          });
+
+          li.addEventListener('mouseenter', () => {
+            this.setActiveSuggestion(index);
+          });
 
-        this.autocompleteList.appendChild(li);
+          this.autocompleteList.appendChild(li);
+        });
       });
 
       // Show dropdown
       this.autocompleteDropdown.style.display = 'block';
-      this.autocompleteList.setAttribute('role', 'listbox');
+      this.searchQueryInput?.setAttribute('aria-expanded', 'true');
     } catch (error) {
       console.error('Autocomplete error:', error);
       this.hideAutocomplete();
@@ -191,63 +229,169 @@ class SearchBar {
   }
 
   /**
-   * Get autocomplete suggestions based on query
+   * Handle keyboard navigation in the suggestion list
+   * @param {KeyboardEvent} event - Keydown event on the query input
+   */
+  handleAutocompleteKeydown(event) {
+    const isOpen = this.autocompleteDropdown && this.autocompleteDropdown.style.display !== 'none';
+
+    if (!isOpen || this.suggestions.length === 0) {
+      if (event.key === 'ArrowDown' && this.searchQueryInput.value.trim()) {
+        event.preventDefault();
+        this.showAutocomplete(this.searchQueryInput.value.trim());
+      }
+      return;
+    }
+
+    const count = this.suggestions.length;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        this.setActiveSuggestion((this.activeIndex + 1) % count);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        this.setActiveSuggestion(this.activeIndex <= 0 ? count - 1 : this.activeIndex - 1);
+        break;
+      case 'Enter':
+        // Without a highlighted suggestion, Enter submits the typed query
+        if (this.activeIndex >= 0) {
+          event.preventDefault();
+          this.selectSuggestion(this.suggestions[this.activeIndex]);
+        }
+        break;
+      case 'Escape':
+        event.preventDefault();
+        this.hideAutocomplete();
+        break;
+    }
+  }
+
+  /**
+   * Highlight a suggestion and expose it to assistive technology
+   * @param {number} index - Suggestion index
+   */
+  setActiveSuggestion(index) {
+    this.activeIndex = index;
+
+    this.autocompleteList.querySelectorAll('.autocomplete-item').forEach(item => {
+      const isActive = item.id === `autocomplete-option-${index}`;
+      item.classList.toggle('active', isActive);
+      item.setAttribute('aria-selected', isActive ? 'true' : 'false');
+      if (isActive) {
+        item.scrollIntoView({ block: 'nearest' });
+      }
+    });
+
+    this.searchQueryInput.setAttribute('aria-activedescendant', `autocomplete-option-${index}`);
+  }
+
+  /**
+   * Get typo-tolerant suggestions across service types, specialties, cities
+   * and providers, ranked in a single list
    * @param {string} query - Search query
    * @returns {Promise<Array>} - Suggestions array
    */
   async getAutocompleteSuggestions(query) {
-    const suggestions = [];
-    const lowerQuery = query.toLowerCase();
-
     // Get current language
     const currentLang = window.i18n?.getCurrentLanguage() || 'en';
 
-    // Service type suggestions
-    const serviceTypeSuggestions = this.serviceTypes
-      .filter(type => {
-        const typeName = this.getServiceTypeName(type, currentLang).toLowerCase();
-        return typeName.includes(lowerQuery);
-      })
-      .map(type => ({
+    const entries = window.search
+      ? await window.search.getAutocompleteEntries()
+      : { providers: [], specialties: [], cities: [] };
+
+    const candidates = [];
+
+    // Service types match in any language
+    this.serviceTypes.forEach(type => {
+      candidates.push({
         type: 'serviceType',
         value: type,
         text: this.getServiceTypeName(type, currentLang),
+        texts: ['en', 'fr', 'ar'].map(lang => this.getServiceTypeName(type, lang)),
         icon: 'bi-hospital'
-      }));
+      });
+    });
 
-    suggestions.push(...serviceTypeSuggestions);
+    new Set([...this.defaultSpecialties, ...entries.specialties]).forEach(specialty => {
+      candidates.push({
+        type: 'specialty',
+        value: specialty,
+        text: specialty,
+        texts: [specialty],
+        icon: 'bi-heart-pulse'
+      });
+    });
 
-    // City suggestions
-    const citySuggestions = this.cities
-      .filter(city => city.toLowerCase().includes(lowerQuery))
-      .map(city => ({
+    new Set([...this.cities, ...entries.cities]).forEach(city => {
+      candidates.push({
         type: 'location',
         value: city,
         text: city,
+        texts: [city],
         icon: 'bi-geo-alt'
-      }));
+      });
+    });
 
-    suggestions.push(...citySuggestions);
+    entries.providers.forEach(provider => {
+      const name = (currentLang === 'ar' && provider.nameAr) || (currentLang === 'fr' && provider.nameFr) || provider.name;
+      const specialty = (currentLang === 'ar' && provider.specialtyAr) || (currentLang === 'fr' && provider.specialtyFr) || provider.specialty;
+
+      candidates.push({
+        type: 'provider',
+        value: provider.id,
+        text: name,
+        detail: specialty || this.getServiceTypeName(provider.type, currentLang),
+        texts: [provider.name, provider.nameAr, provider.nameFr].filter(Boolean),
+        icon: 'bi-person-badge'
+      });
+    });
 
-    // Common search terms (specialty suggestions)
-    const specialties = [
-      'Cardiology', 'Dermatology', 'Pediatrics', 'Dentistry', 
-      'Orthopedics', 'Ophthalmology', 'General Medicine'
-    ];
+    return candidates
+      .map(candidate => ({
+        ...candidate,
+        score: Math.max(0, ...candidate.texts.map(text => this.scoreText(query, text)))
+      }))
+      .filter(candidate => candidate.score > 0)
+      .sort((a, b) =>
+        (b.score - a.score) ||
+        (this.groupOrder.indexOf(a.type) - this.groupOrder.indexOf(b.type)) ||
+        (a.text.length - b.text.length)
+      )
+      .slice(0, this.maxSuggestions)
+      .map(({ texts, ...suggestion }) => suggestion);
+  }
 
-    const specialtySuggestions = specialties
-      .filter(specialty => specialty.toLowerCase().includes(lowerQuery))
-      .map(specialty => ({
-        type: 'specialty',
-        value: specialty,
-        text: specialty,
-        icon: 'bi-heart-pulse'
-      }));
+  /**
+   * Score a candidate text against the typed query
+   * @param {string} query - Search query
+   * @param {string} text - Candidate text
+   * @returns {number} - Score between 0 and 1
+   */
+  scoreText(query, text) {
+    if (window.SearchIndex) {
+      return window.SearchIndex.fuzzyScore(query, text);
+    }
+    return text.toLowerCase().includes(query.toLowerCase()) ? 1 : 0;
+  }
 
-    suggestions.push(...specialtySuggestions);
+  /**
+   * Get the heading of a suggestion group
+   * @param {string} type - Suggestion type
+   * @returns {string} - Localized group label
+   */
+  getGroupLabel(type) {
+    const fallbacks = {
+      serviceType: 'Service types',
+      specialty: 'Specialties',
+      location: 'Locations',
+      provider: 'Providers'
+    };
+    const key = `search.suggestionGroups.${type}`;
+    const translated = window.i18n?.translate(key);
 
-    // Limit to 8 suggestions
-    return suggestions.slice(0, 8);
+    return translated && translated !== key ? translated : fallbacks[type];
   }
 
   /**
@@ -272,11 +416,18 @@ class SearchBar {
    * Highlight matching text in suggestion
    * @param {string} text - Suggestion text
    * @param {string} query - Search query
-   * @returns {string} - HTML with highlighted match
+   * @returns {string} - Escaped HTML with the literal match in bold (typo matches stay plain)
    */
   highlightMatch(text, query) {
-    const regex = new RegExp(`(${query})`, 'gi');
-    return text.replace(regex, '<strong>$1</strong>');
+    const needle = query.trim().toLowerCase();
+    const index = needle ? text.toLowerCase().indexOf(needle) : -1;
+
+    if (index === -1) {
+      return Utils.escapeHTML(text);
+    }
+
+    const end = index + needle.length;
+    return `${Utils.escapeHTML(text.slice(0, index))}<strong>${Utils.escapeHTML(text.slice(index, end))}</strong>${Utils.escapeHTML(text.slice(end))}`;
   }
 
   /**
@@ -292,6 +443,15 @@ class SearchBar {
       this.searchQueryInput.value = '';
     } else if (suggestion.type === 'specialty') {
       this.searchQueryInput.value = suggestion.value;
+    } else if (suggestion.type === 'provider') {
+      // Providers open their profile directly
+      this.hideAutocomplete();
+      if (window.router) {
+        window.router.navigate(`/profile/${suggestion.value}`);
+      } else {
+        window.location.href = `pages/profile.html?id=${suggestion.value}`;
+      }
+      return;
     }
 
     this.hideAutocomplete();
@@ -308,6 +468,12 @@ class SearchBar {
     if (this.autocompleteDropdown) {
       this.autocompleteDropdown.style.display = 'none';
     }
+
+    this.activeIndex = -1;
+    if (this.searchQueryInput) {
+      this.searchQueryInput.setAttribute('aria-expanded', 'false');
+      this.searchQueryInput.removeAttribute('aria-activedescendant');
+    }
   }
 
   /**
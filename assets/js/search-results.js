@@ -12,6 +12,10 @@ class SearchResults {
     this.currentResults = [];
     this.currentFilters = {};
     this.currentPage = 1;
+    this.viewMode = 'list';
+    this.mapContainer = null;
+    this.resultsMap = null;
+    this.keepMapView = false;
     
     this.init();
   }
@@ -36,12 +40,19 @@ class SearchResults {
     this.loadingIndicator = document.getElementById('loading-indicator');
     this.resultsCount = document.getElementById('results-count');
     this.paginationContainer = document.getElementById('pagination-container');
+    this.mapContainer = document.getElementById('results-map');
 
     if (!this.resultsContainer) {
       console.warn('Search results container not found');
       return;
     }
 
+    // Map/list toggle, restoring the last view used in this session
+    this.attachViewToggle();
+    if (sessionStorage.getItem('resultsView') === 'map') {
+      this.setViewMode('map');
+    }
+
     // Load search bar component
     await this.loadSearchBar();
 
@@ -95,6 +106,25 @@ class SearchResults {
       });
     });
 
+    // Radius only matters when "near me" is active
+    const radiusSelect = document.getElementById('filter-radius');
+    if (radiusSelect) {
+      radiusSelect.addEventListener('change', () => {
+        const nearMeCheckbox = document.getElementById('filter-nearMe');
+        if (nearMeCheckbox && nearMeCheckbox.checked) {
+          this.handleFilterChange();
+        }
+      });
+    }
+
+    // "Open at" time input
+    const openAtInput = document.getElementById('filter-openAt');
+    if (openAtInput) {
+      openAtInput.addEventListener('change', () => {
+        this.handleFilterChange();
+      });
+    }
+
     // Clear filters button
     const clearBtn = document.getElementById('clear-filters-btn');
     if (clearBtn) {
@@ -104,6 +134,180 @@ class SearchResults {
     }
   }
 
+  /**
+   * Attach event listeners to the map/list toggle
+   */
+  attachViewToggle() {
+    const listBtn = document.getElementById('view-list-btn');
+    const mapBtn = document.getElementById('view-map-btn');
+
+    if (listBtn) {
+      listBtn.addEventListener('click', () => this.setViewMode('list'));
+    }
+
+    if (mapBtn) {
+      mapBtn.addEventListener('click', () => this.setViewMode('map'));
+    }
+  }
+
+  /**
+   * Switch between the list and map views
+   * @param {string} mode - 'list' or 'map'
+   */
+  setViewMode(mode) {
+    if (mode === 'map' && !this.ensureMap()) {
+      this.showMapUnavailable();
+      mode = 'list';
+    }
+
+    this.viewMode = mode;
+    sessionStorage.setItem('resultsView', mode);
+
+    [['view-list-btn', 'list'], ['view-map-btn', 'map']].forEach(([id, buttonMode]) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.classList.toggle('active', mode === buttonMode);
+        button.setAttribute('aria-pressed', mode === buttonMode ? 'true' : 'false');
+      }
+    });
+
+    this.applyViewMode();
+
+    if (mode === 'map') {
+      this.updateMap(this.currentResults);
+
+      if (window.analytics) {
+        window.analytics.logEvent('search_map_view', {
+          result_count: this.currentResults.length
+        });
+      }
+    }
+  }
+
+  /**
+   * Show the list or the map. The list stays visible in map view when it
+   * holds the empty state, so "no results" is never hidden.
+   */
+  applyViewMode() {
+    const isMap = this.viewMode === 'map';
+
+    if (this.mapContainer) {
+      this.mapContainer.style.display = isMap ? 'block' : 'none';
+    }
+
+    if (this.resultsContainer) {
+      this.resultsContainer.style.display = !isMap || this.currentResults.length === 0 ? '' : 'none';
+    }
+
+    const note = document.getElementById('results-map-note');
+    if (note && !isMap) {
+      note.style.display = 'none';
+    }
+  }
+
+  /**
+   * Create the results map on first use
+   * @returns {boolean} - Whether the map is available
+   */
+  ensureMap() {
+    if (this.resultsMap) return true;
+    if (!window.ResultsMap || !this.mapContainer) return false;
+
+    const resultsMap = new window.ResultsMap(this.mapContainer, {
+      onSearchArea: (area) => this.searchThisArea(area),
+      onTilesFailed: () => this.handleMapFailure()
+    });
+
+    // The container must be visible for Leaflet to measure it
+    this.mapContainer.style.display = 'block';
+    if (!resultsMap.init()) {
+      this.mapContainer.style.display = 'none';
+      return false;
+    }
+
+    this.resultsMap = resultsMap;
+    return true;
+  }
+
+  /**
+   * Plot results on the map when it is shown
+   * @param {Array} providers - Provider list
+   */
+  updateMap(providers) {
+    if (this.viewMode !== 'map' || !this.resultsMap) return;
+
+    const unplaced = this.resultsMap.setProviders(providers, { fitBounds: !this.keepMapView });
+    this.keepMapView = false;
+
+    const note = document.getElementById('results-map-note');
+    if (note) {
+      const noteText = window.i18n?.translate('search.notOnMap', { count: unplaced });
+      note.textContent = noteText && noteText !== 'search.notOnMap'
+        ? noteText
+        : `${unplaced} results without a location are not shown on the map`;
+      note.style.display = unplaced > 0 ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Re-run the current search around the visible map area
+   * @param {Object} area - { near, radiusKm } from ResultsMap.getSearchArea
+   */
+  async searchThisArea(area) {
+    const savedSearch = sessionStorage.getItem('currentSearch');
+    const params = savedSearch ? JSON.parse(savedSearch) : { query: '', filters: {} };
+
+    // The map area replaces "near me" and any previous area
+    const { nearMe, radiusKm, ...filters } = params.filters || {};
+    params.filters = filters;
+    params.near = area.near;
+    params.radiusKm = area.radiusKm;
+
+    const nearMeCheckbox = document.getElementById('filter-nearMe');
+    if (nearMeCheckbox) {
+      nearMeCheckbox.checked = false;
+    }
+
+    if (window.analytics) {
+      window.analytics.logEvent('search_this_area', {
+        radius_km: area.radiusKm
+      });
+    }
+
+    this.keepMapView = true;
+    await this.performSearch(params);
+  }
+
+  /**
+   * Fall back to the list when map tiles cannot be loaded
+   */
+  handleMapFailure() {
+    console.warn('Map tiles failed to load, falling back to list view');
+
+    if (this.resultsMap) {
+      this.resultsMap.destroy();
+      this.resultsMap = null;
+    }
+
+    this.setViewMode('list');
+    this.showMapUnavailable();
+  }
+
+  /**
+   * Disable the map toggle and tell the user why
+   */
+  showMapUnavailable() {
+    const mapBtn = document.getElementById('view-map-btn');
+    if (mapBtn) {
+      mapBtn.disabled = true;
+    }
+
+    const notice = document.getElementById('map-unavailable-notice');
+    if (notice) {
+      notice.style.display = 'block';
+    }
+  }
+
   /**
    * Handle filter changes
    */
@@ -156,6 +360,23 @@ class SearchResults {
       filters.available24_7 = true;
     }
 
+    // Opening hours filter ("open now" takes precedence over a specific time)
+    const openNowCheckbox = document.getElementById('filter-openNow');
+    const openAtInput = document.getElementById('filter-openAt');
+    if (openNowCheckbox && openNowCheckbox.checked) {
+      filters.openNow = true;
+    } else if (openAtInput && openAtInput.value) {
+      filters.openAt = openAtInput.value;
+    }
+
+    // Distance filter
+    const nearMeCheckbox = document.getElementById('filter-nearMe');
+    if (nearMeCheckbox && nearMeCheckbox.checked) {
+      const radiusSelect = document.getElementById('filter-radius');
+      filters.nearMe = true;
+      filters.radiusKm = radiusSelect ? parseFloat(radiusSelect.value) : 3;
+    }
+
     return filters;
   }
 
@@ -169,6 +390,11 @@ class SearchResults {
       checkbox.checked = false;
     });
 
+    const openAtInput = document.getElementById('filter-openAt');
+    if (openAtInput) {
+      openAtInput.value = '';
+    }
+
     // Perform search without filters
     await this.handleFilterChange();
   }
@@ -196,9 +422,19 @@ class SearchResults {
         window.search.resetPagination();
       }
 
+      // Resolve the center point for radius searches (picked point or browser location)
+      const { nearMe, radiusKm, ...searchFilters } = params.filters || {};
+      let near = params.near || null;
+      if (!near && nearMe) {
+        near = await this.getUserPosition();
+      }
+
       // Perform search
       const results = await window.search.searchProviders({
         ...params,
+        filters: searchFilters,
+        near,
+        radiusKm: radiusKm || params.radiusKm,
         page: this.currentPage
       });
 
@@ -213,6 +449,7 @@ class SearchResults {
       // Store results
       this.currentResults = filteredResults;
       this.currentFilters = params.filters || {};
+      this.currentParams = params;
 
       // Display results
       this.displayResults(filteredResults);
@@ -223,6 +460,9 @@ class SearchResults {
       // Update pagination
       this.updatePagination(results.hasMore);
 
+      // Tell when results come from the offline provider data
+      this.updateOfflineNotice(results);
+
       // Hide loading indicator
       this.hideLoading();
 
@@ -235,6 +475,44 @@ class SearchResults {
     }
   }
 
+  /**
+   * Show the date of the offline provider data when results come from it
+   * @param {Object} results - Search results (see Search.searchProviders)
+   */
+  updateOfflineNotice(results) {
+    const notice = document.getElementById('results-offline-notice');
+    if (!notice) return;
+
+    const text = results.offline && window.OfflineDirectory
+      ? window.OfflineDirectory.getDataAsOfText(results.dataAsOf)
+      : '';
+
+    document.getElementById('results-offline-text').textContent = text;
+    notice.style.display = text ? 'block' : 'none';
+  }
+
+  /**
+   * Get the user's position for "near me" searches
+   * @returns {Promise<Object|null>} - { lat, lng } or null if unavailable
+   */
+  async getUserPosition() {
+    if (!window.Geo) return null;
+
+    try {
+      return await window.Geo.getCurrentPosition();
+    } catch (error) {
+      console.warn('Geolocation unavailable:', error);
+
+      // Fall back to a non-distance search and reflect it in the UI
+      const nearMeCheckbox = document.getElementById('filter-nearMe');
+      if (nearMeCheckbox) {
+        nearMeCheckbox.checked = false;
+      }
+      this.showError(error.message);
+      return null;
+    }
+  }
+
   /**
    * Display search results
    * @param {Array} providers - Provider list
@@ -245,9 +523,13 @@ class SearchResults {
     // Clear previous results
     this.resultsContainer.innerHTML = '';
 
+    // Keep the map in step with the list
+    this.applyViewMode();
+    this.updateMap(providers);
+
     // Show empty state if no results
     if (providers.length === 0) {
-      this.showEmptyState();
+      this.showEmptyState(this.currentParams);
       return;
     }
 
@@ -258,6 +540,26 @@ class SearchResults {
     });
   }
 
+  /**
+   * Render the open/closed badge from the provider's opening hours
+   * @param {Object} provider - Provider data
+   * @param {string} lang - Current language
+   * @returns {string} - Badge HTML, or empty string if hours are unknown
+   */
+  renderOpenStatusBadge(provider, lang) {
+    if (!window.OpeningHours) return '';
+
+    const status = window.OpeningHours.describeStatus(window.OpeningHours.getStatus(provider), lang);
+    if (!status) return '';
+
+    return `
+      <span class="provider-card-badge open-status-badge ${status.state === 'open' ? 'badge-success' : 'is-closed'}"${status.detail ? ` title="${status.detail}"` : ''}>
+        <i class="bi bi-clock"></i>
+        <span>${status.label}</span>
+      </span>
+    `;
+  }
+
   /**
    * Create provider card element
    * @param {Object} provider - Provider data
@@ -315,6 +617,13 @@ class SearchResults {
                 </span>
               ` : ''}
               
+              ${typeof provider.distanceKm === 'number' && window.Geo ? `
+                <span class="provider-card-badge provider-distance">
+                  <i class="bi bi-signpost"></i>
+                  <span>${window.Geo.formatDistance(provider.distanceKm)}</span>
+                </span>
+              ` : ''}
+              
               ${provider.rating ? `
                 <span class="provider-card-badge">
                   <i class="bi bi-star-fill text-warning"></i>
@@ -341,7 +650,7 @@ class SearchResults {
                   <i class="bi bi-clock"></i>
                   <span data-i18n="profile.emergency">24/7</span>
                 </span>
-              ` : ''}
+              ` : this.renderOpenStatusBadge(provider, currentLang)}
             </div>
             
             ${provider.address?.street ? `
@@ -433,8 +742,9 @@ class SearchResults {
 
   /**
    * Show empty state when no results found
+   * @param {Object} params - Search parameters, used for "did you mean" (optional)
    */
-  showEmptyState() {
+  showEmptyState(params = null) {
     if (!this.resultsContainer) return;
 
     const currentLang = window.i18n?.getCurrentLanguage() || 'en';
@@ -447,11 +757,67 @@ class SearchResults {
         </div>
         <h3 class="empty-state-title">No Results Found</h3>
         <p class="empty-state-description">${noResultsText}</p>
+        <p class="empty-state-suggestion" style="display: none;"></p>
         <button class="btn btn-primary" onclick="window.searchBar?.clear()">
           Clear Search
         </button>
       </div>
     `;
+
+    if (params && params.query) {
+      this.showDidYouMean(params);
+    }
+  }
+
+  /**
+   * Offer a spelling correction when a text query found nothing
+   * @param {Object} params - Search parameters of the empty search
+   */
+  async showDidYouMean(params) {
+    if (!window.search || !window.SearchIndex) return;
+
+    try {
+      const entries = await window.search.getAutocompleteEntries();
+      const vocabulary = [
+        ...entries.providers.flatMap(provider => [provider.name, provider.nameAr, provider.nameFr]),
+        ...entries.specialties,
+        ...entries.cities,
+        ...Object.values(window.SearchIndex.TYPE_TERMS).flat()
+      ].filter(Boolean);
+
+      const correction = window.SearchIndex.suggestCorrection(params.query, vocabulary);
+      const container = this.resultsContainer?.querySelector('.empty-state-suggestion');
+
+      // Skip if the user has already moved on to another search
+      if (!correction || !container || this.currentParams !== params) return;
+
+      const didYouMeanText = window.i18n?.translate('search.didYouMean') || 'Did you mean';
+      container.innerHTML = `
+        ${didYouMeanText}
+        <a href="#" class="did-you-mean-link fw-semibold">${Utils.escapeHTML(correction)}</a>?
+      `;
+      container.style.display = 'block';
+
+      container.querySelector('.did-you-mean-link').addEventListener('click', (e) => {
+        e.preventDefault();
+
+        const queryInput = document.getElementById('search-query');
+        if (queryInput) {
+          queryInput.value = correction;
+        }
+
+        if (window.analytics) {
+          window.analytics.logEvent('search_did_you_mean', {
+            original_query: params.query,
+            corrected_query: correction
+          });
+        }
+
+        this.performSearch({ ...params, query: correction });
+      });
+    } catch (error) {
+      console.error('Error suggesting correction:', error);
+    }
   }
 
   /**
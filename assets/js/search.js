@@ -11,6 +11,7 @@ class Search {
     this.lastVisible = null;
     this.searchCache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    this.searchCandidateLimit = 300;
   }
 
   /**
@@ -23,6 +24,10 @@ class Search {
    * @param {number} params.page - Page number for pagination
    * @param {boolean} params.showLoading - Whether to show loading indicator (default: true)
    * @param {Array<string>} params.fields - Specific fields to retrieve (optional, for optimization)
+   * @param {Object} params.near - Center point { lat, lng } for a radius search (optional)
+   * @param {number} params.radiusKm - Search radius in kilometers when `near` is set (default: 5)
+   * @param {boolean} params.filters.openNow - Only providers open right now
+   * @param {string} params.filters.openAt - Only providers open at a time ("HH:MM" today or ISO date)
    * @returns {Promise<Object>} - Search results with providers and metadata
    */
   async searchProviders(params = {}) {
@@ -33,7 +38,9 @@ class Search {
       filters = {},
       page = 1,
       showLoading = true,
-      fields = null
+      fields = null,
+      near = null,
+      radiusKm = 5
     } = params;
 
     // Show skeleton loading for search results
@@ -53,11 +60,71 @@ class Search {
         return cached;
       }
 
+      // Without a connection, search the offline snapshot instead of waiting on Firestore
+      if (window.OfflineDirectory && window.OfflineDirectory.isOffline()) {
+        const offlineResult = await this.searchOffline({
+          query,
+          serviceType,
+          location,
+          filters,
+          page,
+          near,
+          radiusKm
+        });
+
+        if (offlineResult) {
+          return offlineResult;
+        }
+      }
+
+      // Radius search: query geohash cells around the point, nearest first
+      if (near && window.Geo && window.Geo.isValidLocation(near)) {
+        const nearbyResult = await this.searchNearby({
+          query,
+          serviceType,
+          location,
+          filters,
+          page,
+          fields,
+          near,
+          radiusKm
+        });
+
+        this.addToCache(cacheKey, nearbyResult);
+
+        if (window.Analytics) {
+          window.Analytics.trackSearch(query, { ...filters, radiusKm }, nearbyResult.providers.length);
+        }
+
+        return nearbyResult;
+      }
+
+      // Text search: look up the search index, then rank by relevance
+      if (query && query.trim() && window.SearchIndex) {
+        const indexedResult = await this.searchIndexed({
+          query,
+          serviceType,
+          location,
+          filters,
+          page,
+          fields
+        });
+
+        this.addToCache(cacheKey, indexedResult);
+
+        if (window.Analytics) {
+          window.Analytics.trackSearch(query, filters, indexedResult.total);
+        }
+
+        return indexedResult;
+      }
+
       // Build Firestore query
       let firestoreQuery = this.db.collection('providers');
 
-      // Filter by verified providers only
-      firestoreQuery = firestoreQuery.where('verified', '==', true);
+      // Verified providers outside the trash (`listed` is kept by the
+      // syncProviderListed Cloud Function), so pages are not cut short
+      firestoreQuery = firestoreQuery.where('listed', '==', true);
 
       // Apply service type filter
       if (serviceType && serviceType !== 'all') {
@@ -85,17 +152,24 @@ class Search {
       // Sort by rating (descending) and then by name
       firestoreQuery = firestoreQuery.orderBy('rating', 'desc');
 
+      // Opening hours cannot be queried in Firestore: read the candidates
+      // and paginate after filtering, as searchIndexed does, so pages are full
+      const filtersOpeningHours = this.hasOpeningFilter(filters);
+
       // Handle pagination - use cursor-based pagination for better performance
       const paginationKey = this.getPaginationKey(params);
-      if (page > 1) {
-        const cursor = this.getPaginationCursor(paginationKey, page - 1);
-        if (cursor) {
-          firestoreQuery = firestoreQuery.startAfter(cursor);
+      if (filtersOpeningHours) {
+        firestoreQuery = firestoreQuery.limit(this.searchCandidateLimit);
+      } else {
+        if (page > 1) {
+          const cursor = this.getPaginationCursor(paginationKey, page - 1);
+          if (cursor) {
+            firestoreQuery = firestoreQuery.startAfter(cursor);
+          }
         }
-      }
 
-      // Limit results
-      firestoreQuery = firestoreQuery.limit(this.pageSize);
+        firestoreQuery = firestoreQuery.limit(this.pageSize);
+      }
 
       // Execute query with field selection if specified
       const startTime = Date.now();
@@ -114,13 +188,23 @@ class Search {
       }
 
       // Store pagination cursor for next page
-      if (!snapshot.empty) {
+      if (!filtersOpeningHours && !snapshot.empty) {
         const lastDoc = snapshot.docs[snapshot.docs.length - 1];
         this.setPaginationCursor(paginationKey, page, lastDoc);
       }
 
+      // Opening hours are checked on the full documents before any field
+      // selection. isListed also drops providers trashed before
+      // syncProviderListed caught up.
+      const matchingDocs = snapshot.docs.filter(doc =>
+        this.isListed(doc.data()) && this.matchesOpeningFilter(doc.data(), filters)
+      );
+      const pageDocs = filtersOpeningHours
+        ? matchingDocs.slice((page - 1) * this.pageSize, page * this.pageSize)
+        : matchingDocs;
+
       // Extract provider data with optional field selection
-      let providers = snapshot.docs.map(doc => {
+      const providers = pageDocs.map(doc => {
         const data = doc.data();
 
         // If specific fields requested, return only those fields
@@ -141,23 +225,15 @@ class Search {
         };
       });
 
-      // Apply client-side text search if query provided
-      if (query && query.trim()) {
-        providers = this.filterByQuery(providers, query);
-      }
-
-      // Sort by relevance if query provided
-      if (query && query.trim()) {
-        providers = this.sortByRelevance(providers, query);
-      }
-
       // Prepare result object
       const result = {
         providers,
-        total: providers.length,
+        total: filtersOpeningHours ? matchingDocs.length : providers.length,
         page,
         pageSize: this.pageSize,
-        hasMore: snapshot.docs.length === this.pageSize,
+        hasMore: filtersOpeningHours
+          ? page * this.pageSize < matchingDocs.length
+          : snapshot.docs.length === this.pageSize,
         queryTime,
         filters: {
           query,
@@ -178,6 +254,26 @@ class Search {
       return result;
     } catch (error) {
       console.error('Search error:', error);
+
+      // Firestore may fail before the browser notices the connection is gone.
+      // Other errors (permissions, missing index, bad query) are not hidden
+      // behind the offline data.
+      if (this.isConnectionError(error)) {
+        const offlineResult = await this.searchOffline({
+          query,
+          serviceType,
+          location,
+          filters,
+          page,
+          near,
+          radiusKm
+        });
+
+        if (offlineResult) {
+          return offlineResult;
+        }
+      }
+
       throw new Error('Failed to search providers. Please try again.');
     } finally {
       // Hide skeleton loading
@@ -188,95 +284,342 @@ class Search {
   }
 
   /**
-   * Filter providers by text query (client-side)
-   * @param {Array} providers - Provider list
-   * @param {string} query - Search query
-   * @returns {Array} - Filtered providers
+   * Search providers within a radius of a point, sorted by distance.
+   * Only the geohash cells covering the circle are read, then results are
+   * filtered by exact distance and paginated client-side.
+   * @param {Object} params - Normalized search parameters (see searchProviders)
+   * @returns {Promise<Object>} - Search results with providers and metadata
    */
-  filterByQuery(providers, query) {
-    const searchTerms = query.toLowerCase().trim().split(/\s+/);
+  async searchNearby(params) {
+    const { query, serviceType, location, filters, page, fields, near, radiusKm } = params;
+    const startTime = Date.now();
 
-    return providers.filter(provider => {
-      const searchableText = [
-        provider.name || '',
-        provider.nameAr || '',
-        provider.nameFr || '',
-        provider.specialty || '',
-        provider.specialtyAr || '',
-        provider.specialtyFr || '',
-        provider.address?.street || '',
-        provider.address?.city || '',
-        provider.type || ''
-      ].join(' ').toLowerCase();
-
-      return searchTerms.every(term => searchableText.includes(term));
+    const stopTracking = window.PerformanceMonitoring
+      ? window.PerformanceMonitoring.trackFirestoreQuery('providers', 'nearby')
+      : null;
+
+    const bounds = window.Geo.getQueryBounds(near, radiusKm);
+    const snapshots = await Promise.all(bounds.map(([start, end]) =>
+      this.db.collection('providers')
+        .where('verified', '==', true)
+        .orderBy('geohash')
+        .startAt(start)
+        .endAt(end)
+        .get()
+    ));
+
+    if (stopTracking) {
+      stopTracking();
+    }
+
+    const seen = new Set();
+    let providers = [];
+
+    snapshots.forEach(snapshot => {
+      snapshot.docs.forEach(doc => {
+        if (seen.has(doc.id)) return;
+        seen.add(doc.id);
+
+        const data = doc.data();
+        if (!window.Geo.isValidLocation(data.location)) return;
+
+        const distanceKm = window.Geo.distanceKm(near, data.location);
+        if (distanceKm > radiusKm) return;
+
+        providers.push({ id: doc.id, ...data, distanceKm });
+      });
     });
+
+    // Remaining filters are applied here so one composite index (verified, geohash) is enough
+    providers = providers.filter(provider => this.matchesFilters(provider, { serviceType, location, filters }));
+
+    if (query && query.trim() && window.SearchIndex) {
+      providers = window.SearchIndex.rank(providers, query);
+    }
+
+    providers.sort((a, b) => a.distanceKm - b.distanceKm);
+
+    const total = providers.length;
+    const pageProviders = providers
+      .slice((page - 1) * this.pageSize, page * this.pageSize)
+      .map(provider => {
+        if (!fields || !Array.isArray(fields)) return provider;
+
+        const filteredData = { id: provider.id, distanceKm: provider.distanceKm };
+        fields.forEach(field => {
+          if (provider[field] !== undefined) {
+            filteredData[field] = provider[field];
+          }
+        });
+        return filteredData;
+      });
+
+    return {
+      providers: pageProviders,
+      total,
+      page,
+      pageSize: this.pageSize,
+      hasMore: page * this.pageSize < total,
+      queryTime: Date.now() - startTime,
+      filters: {
+        query,
+        serviceType,
+        location,
+        near,
+        radiusKm,
+        ...filters
+      }
+    };
+  }
+
+  /**
+   * Check whether a search failed because Firestore could not be reached
+   * @param {Error} error - Error thrown by the search
+   * @returns {boolean} - True if the browser is offline or Firestore reports `unavailable`
+   */
+  isConnectionError(error) {
+    return (window.OfflineDirectory && window.OfflineDirectory.isOffline()) ||
+      !!(error && error.code === 'unavailable');
   }
 
   /**
-   * Sort providers by relevance to query
-   * @param {Array} providers - Provider list
-   * @param {string} query - Search query
-   * @returns {Array} - Sorted providers
+   * Search the offline snapshot of verified providers (see OfflineDirectory)
+   * with the same filters and ordering as the online searches. The snapshot
+   * has no opening hours, so "open now" / "open at" searches find nothing.
+   * @param {Object} params - Normalized search parameters (see searchProviders)
+   * @returns {Promise<Object|null>} - Search results with `offline` and
+   * `dataAsOf` (snapshot time in ms), or null if no snapshot was saved
    */
-  sortByRelevance(providers, query) {
-    const searchTerms = query.toLowerCase().trim().split(/\s+/);
+  async searchOffline(params) {
+    const { query, serviceType, location, filters, page, near, radiusKm } = params;
+    const snapshot = window.OfflineDirectory ? await window.OfflineDirectory.load() : null;
+    if (!snapshot) return null;
+
+    let providers = snapshot.providers.filter(provider => this.matchesFilters(provider, { serviceType, location, filters }));
+    const isNearby = !!(near && window.Geo && window.Geo.isValidLocation(near));
+
+    if (isNearby) {
+      providers = providers
+        .filter(provider => window.Geo.isValidLocation(provider.location))
+        .map(provider => ({ ...provider, distanceKm: window.Geo.distanceKm(near, provider.location) }))
+        .filter(provider => provider.distanceKm <= radiusKm);
+    }
 
-    return providers.map(provider => {
-      let score = 0;
+    if (query && query.trim() && window.SearchIndex) {
+      providers = window.SearchIndex.rank(providers, query);
+    } else if (!isNearby) {
+      providers = [...providers].sort((a, b) => b.rating - a.rating);
+    }
 
-      // Calculate relevance score
-      searchTerms.forEach(term => {
-        // Name matches (highest priority)
-        if (provider.name?.toLowerCase().includes(term)) score += 10;
-        if (provider.nameAr?.includes(term)) score += 10;
-        if (provider.nameFr?.toLowerCase().includes(term)) score += 10;
+    if (isNearby) {
+      providers.sort((a, b) => a.distanceKm - b.distanceKm);
+    }
 
-        // Specialty matches
-        if (provider.specialty?.toLowerCase().includes(term)) score += 5;
-        if (provider.specialtyAr?.includes(term)) score += 5;
-        if (provider.specialtyFr?.toLowerCase().includes(term)) score += 5;
+    const total = providers.length;
+
+    return {
+      providers: providers.slice((page - 1) * this.pageSize, page * this.pageSize),
+      total,
+      page,
+      pageSize: this.pageSize,
+      hasMore: page * this.pageSize < total,
+      queryTime: 0,
+      filters: {
+        query,
+        serviceType,
+        location,
+        ...(isNearby ? { near, radiusKm } : {}),
+        ...filters
+      },
+      offline: true,
+      dataAsOf: snapshot.createdAt
+    };
+  }
 
-        // Type matches
-        if (provider.type?.toLowerCase().includes(term)) score += 3;
+  /**
+   * Check whether search filters include an "open now" / "open at" filter
+   * @param {Object} filters - Search filters
+   * @returns {boolean} - True if opening hours must be checked
+   */
+  hasOpeningFilter(filters = {}) {
+    return !!(filters.openNow || filters.openAt);
+  }
 
-        // Location matches
-        if (provider.address?.city?.toLowerCase().includes(term)) score += 2;
+  /**
+   * Check a provider against the "open now" / "open at" filters.
+   * Providers without any hours information never match.
+   * @param {Object} provider - Provider data (must include hours fields)
+   * @param {Object} filters - Search filters
+   * @returns {boolean} - True if the provider passes the filters
+   */
+  matchesOpeningFilter(provider, filters = {}) {
+    if (!this.hasOpeningFilter(filters)) return true;
+    if (!window.OpeningHours) return true;
+
+    const at = filters.openNow ? new Date() : window.OpeningHours.resolveTime(filters.openAt);
+    if (!at) return true;
+
+    return window.OpeningHours.isOpenAt(provider, at);
+  }
+
+  /**
+   * Full-text search through the `searchTokens` index, ranked by relevance.
+   * Candidates matching any query token are read once, then filtered,
+   * scored with SearchIndex.score and paginated client-side.
+   * @param {Object} params - Normalized search parameters (see searchProviders)
+   * @returns {Promise<Object>} - Search results with providers and metadata
+   */
+  async searchIndexed(params) {
+    const { query, serviceType, location, filters, page, fields } = params;
+    const startTime = Date.now();
+    const tokens = window.SearchIndex.getQueryTokens(query);
+
+    if (tokens.length === 0) {
+      return {
+        providers: [],
+        total: 0,
+        page,
+        pageSize: this.pageSize,
+        hasMore: false,
+        queryTime: 0,
+        filters: { query, serviceType, location, ...filters }
+      };
+    }
+
+    const stopTracking = window.PerformanceMonitoring
+      ? window.PerformanceMonitoring.trackFirestoreQuery('providers', 'text_search')
+      : null;
+
+    const snapshot = await this.db.collection('providers')
+      .where('verified', '==', true)
+      .where('searchTokens', 'array-contains-any', tokens)
+      .limit(this.searchCandidateLimit)
+      .get();
+
+    if (stopTracking) {
+      stopTracking();
+    }
+
+    // Other filters are applied here so one composite index (verified, searchTokens) is enough
+    const candidates = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(provider => this.matchesFilters(provider, { serviceType, location, filters }));
+
+    const ranked = window.SearchIndex.rank(candidates, query);
+    const total = ranked.length;
+
+    const providers = ranked
+      .slice((page - 1) * this.pageSize, page * this.pageSize)
+      .map(provider => {
+        if (!fields || !Array.isArray(fields)) return provider;
+
+        const filteredData = { id: provider.id, relevanceScore: provider.relevanceScore };
+        fields.forEach(field => {
+          if (provider[field] !== undefined) {
+            filteredData[field] = provider[field];
+          }
+        });
+        return filteredData;
       });
 
-      // Boost verified providers
-      if (provider.verified) score += 1;
+    return {
+      providers,
+      total,
+      page,
+      pageSize: this.pageSize,
+      hasMore: page * this.pageSize < total,
+      queryTime: Date.now() - startTime,
+      filters: {
+        query,
+        serviceType,
+        location,
+        ...filters
+      }
+    };
+  }
 
-      // Boost higher rated providers
-      score += (provider.rating || 0) * 0.5;
+  /**
+   * Check that a provider may appear in public listings. Deleted providers
+   * stay in the collection, with `deletedAt` set, until they are purged.
+   * @param {Object} provider - Provider data
+   * @returns {boolean} - False if the provider is in the trash
+   */
+  isListed(provider) {
+    return !provider.deletedAt;
+  }
 
-      return { ...provider, relevanceScore: score };
-    }).sort((a, b) => b.relevanceScore - a.relevanceScore);
+  /**
+   * Check a provider against the type, location and feature filters
+   * @param {Object} provider - Provider data
+   * @param {Object} params - { serviceType, location, filters }
+   * @returns {boolean} - True if the provider passes all filters
+   */
+  matchesFilters(provider, { serviceType, location, filters = {} }) {
+    if (!this.isListed(provider)) return false;
+    if (serviceType && serviceType !== 'all' && provider.type !== serviceType) return false;
+    if (location && location !== 'all' && provider.city !== location) return false;
+    if (filters.accessibility === true && provider.accessibility !== true) return false;
+    if (filters.homeVisits === true && provider.homeVisits !== true) return false;
+    if (filters.available24_7 === true && provider.available24_7 !== true) return false;
+    return this.matchesOpeningFilter(provider, filters);
   }
 
   /**
-   * Get emergency providers (24/7 available)
+   * Get emergency providers: tonight's on-duty pharmacies first, then
+   * verified providers available 24/7
    * @returns {Promise<Array>} - Emergency providers
    */
   async getEmergencyProviders() {
     try {
-      const snapshot = await this.db.collection('providers')
-        .where('verified', '==', true)
-        .where('available24_7', '==', true)
-        .orderBy('rating', 'desc')
-        .limit(10)
-        .get();
-
-      return snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      const [onDuty, snapshot] = await Promise.all([
+        // A roster failure should not hide the 24/7 providers
+        this.getOnDutyPharmacies().catch(error => {
+          console.error('Error fetching on-duty pharmacies:', error);
+          return [];
+        }),
+        this.db.collection('providers')
+          .where('verified', '==', true)
+          .where('available24_7', '==', true)
+          .orderBy('rating', 'desc')
+          .limit(10)
+          .get()
+      ]);
+
+      const providers = snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(provider => this.isListed(provider));
+
+      return window.DutyRoster.mergeWithProviders(onDuty, providers);
     } catch (error) {
       console.error('Error fetching emergency providers:', error);
       throw new Error('Failed to load emergency providers.');
     }
   }
 
+  /**
+   * Get pharmacies on duty now or later tonight from the duty roster
+   * @param {Date} at - Reference time (default: now)
+   * @returns {Promise<Array>} - Pharmacies with `onDuty` { startsAt, endsAt, current }, on duty now first
+   */
+  async getOnDutyPharmacies(at = new Date()) {
+    const snapshot = await this.db.collection('duty_roster')
+      .where('endsAt', '>', at)
+      .orderBy('endsAt')
+      .limit(50)
+      .get();
+
+    const shifts = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const onDuty = window.DutyRoster.getOnDutyMap(shifts, at);
+
+    const docs = await Promise.all(
+      [...onDuty.keys()].map(pharmacyId => this.db.collection('providers').doc(pharmacyId).get())
+    );
+
+    return docs
+      .filter(doc => doc.exists && this.isListed(doc.data()) && window.DutyRoster.canBeOnDuty(doc.data()))
+      .map(doc => ({ id: doc.id, ...doc.data(), onDuty: onDuty.get(doc.id) }));
+  }
+
   /**
    * Get popular providers
    * @param {number} limit - Number of providers to fetch
@@ -299,7 +642,7 @@ class Search {
         .limit(limit)
         .get();
 
-      const providers = snapshot.docs.map(doc => {
+      const providers = snapshot.docs.filter(doc => this.isListed(doc.data())).map(doc => {
         const data = doc.data();
 
         // If specific fields requested, return only those fields
@@ -395,7 +738,7 @@ class Search {
       const types = new Set();
       snapshot.docs.forEach(doc => {
         const data = doc.data();
-        if (data.type) types.add(data.type);
+        if (data.type && this.isListed(data)) types.add(data.type);
       });
 
       return Array.from(types).sort();
@@ -419,7 +762,7 @@ class Search {
       const cities = new Set();
       snapshot.docs.forEach(doc => {
         const data = doc.data();
-        if (data.city) cities.add(data.city);
+        if (data.city && this.isListed(data)) cities.add(data.city);
       });
 
       return Array.from(cities).sort();
@@ -429,6 +772,59 @@ class Search {
     }
   }
 
+  /**
+   * Get the names, specialties and cities used for autocomplete and
+   * "did you mean" suggestions. Read once and cached.
+   * @returns {Promise<Object>} - { providers, specialties, cities }
+   */
+  async getAutocompleteEntries() {
+    const cacheKey = 'autocomplete_entries';
+    const cached = this.getFromCache(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const snapshot = await this.db.collection('providers')
+        .where('verified', '==', true)
+        .get();
+
+      const specialties = new Set();
+      const cities = new Set();
+
+      const providers = snapshot.docs.filter(doc => this.isListed(doc.data())).map(doc => {
+        const data = doc.data();
+        const city = data.city || data.address?.city || '';
+        [data.specialty, data.specialtyAr, data.specialtyFr].filter(Boolean).forEach(specialty => specialties.add(specialty));
+        if (city) cities.add(city);
+
+        return {
+          id: doc.id,
+          name: data.name || '',
+          nameAr: data.nameAr || '',
+          nameFr: data.nameFr || '',
+          specialty: data.specialty || '',
+          specialtyAr: data.specialtyAr || '',
+          specialtyFr: data.specialtyFr || '',
+          type: data.type || '',
+          city
+        };
+      });
+
+      const entries = {
+        providers,
+        specialties: Array.from(specialties).sort(),
+        cities: Array.from(cities).sort()
+      };
+
+      this.addToCache(cacheKey, entries);
+      return entries;
+    } catch (error) {
+      console.error('Error fetching autocomplete entries:', error);
+      return { providers: [], specialties: [], cities: [] };
+    }
+  }
+
   /**
    * Save search to history
    * @param {Object} searchParams - Search parameters
@@ -547,6 +943,10 @@ class Search {
    * @returns {string} - Cache key
    */
   getCacheKey(params) {
+    // "Open now" results depend on the clock, so only reuse them within the same minute
+    if (params.filters && params.filters.openNow) {
+      return JSON.stringify({ ...params, openNowMinute: Math.floor(Date.now() / 60000) });
+    }
     return JSON.stringify(params);
   }
 
@@ -640,7 +1040,7 @@ class Search {
         const snapshots = await Promise.all(promises);
 
         snapshots.forEach(snapshot => {
-          if (snapshot.exists) {
+          if (snapshot.exists && this.isListed(snapshot.data())) {
             const data = snapshot.data();
 
             // If specific fields requested, return only those fields
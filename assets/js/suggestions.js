@@ -97,6 +97,18 @@ class Suggestions {
     }
   }
 
+  /**
+   * Map a query snapshot to providers, leaving out trashed providers
+   * (see Search.isListed)
+   * @param {Object} snapshot - Firestore query snapshot
+   * @returns {Array} - Providers with `id`
+   */
+  toProviders(snapshot) {
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(provider => !provider.deletedAt);
+  }
+
   /**
    * Get suggestions based on search history
    * @param {Array} searchHistory - User's search history
@@ -120,10 +132,7 @@ class Suggestions {
       query = query.orderBy('rating', 'desc').limit(3);
 
       const snapshot = await query.get();
-      return snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      return this.toProviders(snapshot);
     } catch (error) {
       console.error('Error getting history-based suggestions:', error);
       return [];
@@ -143,10 +152,7 @@ class Suggestions {
         .limit(limit)
         .get();
 
-      return snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      return this.toProviders(snapshot);
     } catch (error) {
       console.error('Error fetching popular providers:', error);
       return [];
@@ -168,10 +174,7 @@ class Suggestions {
         .limit(limit)
         .get();
 
-      return snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      return this.toProviders(snapshot);
     } catch (error) {
       console.error('Error fetching nearby providers:', error);
       return [];
@@ -201,11 +204,7 @@ class Suggestions {
         .limit(3)
         .get();
 
-      return snapshot.docs
-        .map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }))
+      return this.toProviders(snapshot)
         .filter(provider => provider.id !== recentProvider.id);
     } catch (error) {
       console.error('Error getting interaction-based suggestions:', error);
@@ -227,10 +226,7 @@ class Suggestions {
         .limit(limit)
         .get();
 
-      return snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+      return this.toProviders(snapshot);
     } catch (error) {
       console.error('Error fetching emergency providers:', error);
       return [];
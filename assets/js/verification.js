@@ -0,0 +1,258 @@
+/**
+ * Verification Module
+ * Pure helpers behind the verification workflow: the documents each provider
+ * type must submit, the review checklist of each document type, the age of a
+ * request against the review SLA and the expiry of a granted verification.
+ */
+
+const Verification = {
+  /**
+   * Document types a provider can upload, with the points an admin checks
+   * before approving
+   */
+  DOCUMENT_TYPES: {
+    license: {
+      label: 'Professional license',
+      checklist: [
+        { id: 'legible', label: 'Document is complete and legible' },
+        { id: 'name_matches', label: 'Name matches the provider profile' },
+        { id: 'issuer', label: 'Issued by the Ministry of Health or the wilaya health directorate (DSP)' },
+        { id: 'not_expired', label: 'License is still valid' }
+      ]
+    },
+    registration: {
+      label: 'Registration or operating authorization',
+      checklist: [
+        { id: 'legible', label: 'Document is complete and legible' },
+        { id: 'name_matches', label: 'Establishment name matches the profile' },
+        { id: 'address_matches', label: 'Address matches the profile' },
+        { id: 'number_present', label: 'Registration number is present' }
+      ]
+    },
+    other: {
+      label: 'Other supporting document',
+      checklist: []
+    }
+  },
+
+  /**
+   * Document types each provider type must submit. Establishments need their
+   * registration on top of the license.
+   */
+  REQUIRED_DOCUMENTS: {
+    doctor: ['license'],
+    default: ['license', 'registration']
+  },
+
+  /**
+   * Request statuses. `info_requested` waits for the provider to upload more
+   * documents to the same request.
+   */
+  STATUSES: ['pending', 'info_requested', 'approved', 'denied'],
+
+  /**
+   * Statuses of a request that is still being processed
+   */
+  OPEN_STATUSES: ['pending', 'info_requested'],
+
+  /**
+   * Review SLA: requests older than this are overdue
+   */
+  SLA_HOURS: 72,
+
+  /**
+   * Requests older than this are flagged before they become overdue
+   */
+  SLA_WARNING_HOURS: 48,
+
+  /**
+   * How long a verification stays valid before it must be renewed
+   */
+  VALIDITY_MONTHS: 12,
+
+  /**
+   * Providers can renew this many days before their verification expires
+   */
+  RENEWAL_WINDOW_DAYS: 30,
+
+  /**
+   * Allowed upload types (mirrors storage.rules)
+   */
+  ACCEPTED_CONTENT_TYPES: /^(image\/.+|application\/pdf)$/,
+
+  /**
+   * Convert a Firestore Timestamp or date value to a Date
+   * @param {*} value - Timestamp, Date, string or number
+   * @returns {Date|null} - Date (null if missing)
+   */
+  toDate(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    return value instanceof Date ? value : new Date(value);
+  },
+
+  /**
+   * Document types a provider type must submit
+   * @param {string} providerType - Provider type
+   * @returns {Array<string>} - Document types
+   */
+  getRequiredDocuments(providerType) {
+    return this.REQUIRED_DOCUMENTS[providerType] || this.REQUIRED_DOCUMENTS.default;
+  },
+
+  /**
+   * Normalize stored documents. Older requests stored bare download URLs.
+   * @param {Array<Object|string>} documents - Stored documents
+   * @returns {Array<Object>} - { type, name, url, path, contentType }
+   */
+  normalizeDocuments(documents = []) {
+    return documents.map(document => {
+      if (typeof document !== 'string') {
+        return { type: 'other', name: '', url: null, path: null, contentType: '', ...document };
+      }
+
+      // Download URLs end with the encoded object path, then the token query
+      const objectPath = decodeURIComponent(document.split('?')[0].split('/o/').pop() || '');
+      const name = objectPath.split('/').pop();
+      return {
+        type: 'other',
+        name,
+        url: document,
+        path: null,
+        contentType: /\.pdf$/i.test(name) ? 'application/pdf' : ''
+      };
+    });
+  },
+
+  /**
+   * Whether a document should be previewed as a PDF rather than an image
+   * @param {Object} document - Normalized document
+   * @returns {boolean} - True for PDFs
+   */
+  isPdf(document) {
+    return document.contentType === 'application/pdf' || /\.pdf$/i.test(document.name || '');
+  },
+
+  /**
+   * Required document types with no uploaded file
+   * @param {Array<Object|string>} documents - Stored or uploaded documents ({ type })
+   * @param {string} providerType - Provider type
+   * @returns {Array<string>} - Missing document types
+   */
+  getMissingDocuments(documents, providerType) {
+    const types = new Set(this.normalizeDocuments(documents).map(document => document.type));
+    return this.getRequiredDocuments(providerType).filter(type => !types.has(type));
+  },
+
+  /**
+   * Review checklist of a request: one group per required or submitted
+   * document type that has checklist items
+   * @param {Object} verification - Request data ({ documents, checklist })
+   * @param {string} providerType - Provider type
+   * @returns {Object} - { groups: [{ type, label, items: [{ id, label, checked }] }], done, total, missing, complete }
+   */
+  getChecklist(verification, providerType) {
+    const documents = this.normalizeDocuments(verification.documents);
+    const types = new Set([
+      ...this.getRequiredDocuments(providerType),
+      ...documents.map(document => document.type)
+    ]);
+    const checked = verification.checklist || {};
+
+    const groups = Object.keys(this.DOCUMENT_TYPES)
+      .filter(type => types.has(type) && this.DOCUMENT_TYPES[type].checklist.length > 0)
+      .map(type => ({
+        type,
+        label: this.DOCUMENT_TYPES[type].label,
+        items: this.DOCUMENT_TYPES[type].checklist.map(item => ({
+          ...item,
+          checked: checked[type]?.[item.id] === true
+        }))
+      }));
+
+    const items = groups.flatMap(group => group.items);
+    const done = items.filter(item => item.checked).length;
+    const missing = this.getMissingDocuments(documents, providerType);
+
+    return {
+      groups,
+      done,
+      total: items.length,
+      missing,
+      complete: missing.length === 0 && done === items.length
+    };
+  },
+
+  /**
+   * Age of a request against the review SLA. The clock restarts when the
+   * provider resubmits and is paused while more information is requested.
+   * @param {Object} verification - Request data
+   * @param {Date} now - Current time
+   * @returns {Object} - { hours, level: 'ok' | 'warning' | 'overdue' | 'waiting' }
+   */
+  getQueueAge(verification, now = new Date()) {
+    const since = this.toDate(verification.lastSubmittedAt || verification.submittedAt);
+    const hours = since ? Math.max(0, Math.floor((now - since) / 3600000)) : 0;
+
+    let level = 'ok';
+    if (verification.status === 'info_requested') {
+      level = 'waiting';
+    } else if (hours >= this.SLA_HOURS) {
+      level = 'overdue';
+    } else if (hours >= this.SLA_WARNING_HOURS) {
+      level = 'warning';
+    }
+
+    return { hours, level };
+  },
+
+  /**
+   * Date a verification granted at `from` expires. Month ends are clamped
+   * (a verification granted on 31 January expires on the last day of the
+   * following month, not in March).
+   * @param {Date} from - Approval date
+   * @param {number} months - Validity in months
+   * @returns {Date} - Expiry date
+   */
+  getExpiryDate(from, months = this.VALIDITY_MONTHS) {
+    const date = new Date(from);
+    const day = date.getUTCDate();
+
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, lastDay));
+
+    return date;
+  },
+
+  /**
+   * Renewal state of a provider's verification. Verifications granted before
+   * expiry was introduced have no `verifiedUntil` and stay valid.
+   * @param {Object} provider - Provider data
+   * @param {Date} now - Current time
+   * @returns {Object} - { state: 'unverified' | 'valid' | 'expiring' | 'expired', expiresAt, daysLeft }
+   */
+  getRenewalState(provider, now = new Date()) {
+    const expiresAt = this.toDate(provider.verifiedUntil);
+    const daysLeft = expiresAt ? Math.ceil((expiresAt - now) / 86400000) : null;
+
+    let state = 'unverified';
+    if (provider.verificationExpired || (provider.verified && expiresAt && daysLeft <= 0)) {
+      state = 'expired';
+    } else if (provider.verified) {
+      state = expiresAt && daysLeft <= this.RENEWAL_WINDOW_DAYS ? 'expiring' : 'valid';
+    }
+
+    return { state, expiresAt, daysLeft };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Verification;
+}
+
+if (typeof window !== 'undefined') {
+  window.Verification = Verification;
+}
@@ -0,0 +1,56 @@
+/**
+ * Call Limits
+ * Pure helpers behind the rate limits of the callables anyone can reach
+ * (recordAdEvents, recordChatbotTurn in index.js). Counters use fixed
+ * windows and live in `call_limits/{key}`, keyed by a hash of the caller's IP
+ * address or by a session ID, so no raw address is stored.
+ */
+
+const crypto = require('crypto');
+
+const CallLimits = {
+  /**
+   * Key of a counter
+   * @param {string} scope - What is limited, e.g. 'ads_ip'
+   * @param {string} value - Caller identifier (IP address, session ID)
+   * @returns {string} - Document ID: scope and a hash of the value
+   */
+  key(scope, value) {
+    const hash = crypto.createHash('sha256').update(String(value || '')).digest('hex').slice(0, 32);
+    return `${scope}_${hash}`;
+  },
+
+  /**
+   * Count a call against a limit
+   * @param {Object|null} counter - Stored { windowStart, count } (null if none)
+   * @param {number} limit - Calls allowed per window
+   * @param {number} windowMs - Window length in milliseconds
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - { allowed, counter, retryAt }: counter to store if
+   * allowed, retryAt in milliseconds (null if allowed)
+   */
+  consume(counter, limit, windowMs, now = Date.now()) {
+    const current = counter && now - counter.windowStart < windowMs
+      ? counter
+      : { windowStart: now, count: 0 };
+
+    if (current.count >= limit) {
+      return { allowed: false, counter: current, retryAt: current.windowStart + windowMs };
+    }
+
+    return { allowed: true, counter: { windowStart: current.windowStart, count: current.count + 1 }, retryAt: null };
+  },
+
+  /**
+   * Part of a count still accepted under a per-session cap
+   * @param {number} used - Already recorded this session
+   * @param {number} requested - Count sent by the browser
+   * @param {number} cap - Highest count per session
+   * @returns {number} - Count to record (0 once the cap is reached)
+   */
+  remaining(used, requested, cap) {
+    return Math.max(0, Math.min(requested, cap - (used || 0)));
+  }
+};
+
+module.exports = CallLimits;
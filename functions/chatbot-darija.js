@@ -0,0 +1,355 @@
+/**
+ * Chatbot Darija Module
+ * Algerian Darija for the chatbot, written in Arabic script ("وين كاين
+ * سبيطار") or in Latin "Arabizi" with digits for Arabic sounds ("nheb tbib
+ * snan", "3andi wja3 f rassi").
+ *
+ * Darija words are rewritten into the words the chatbot already knows
+ * (Modern Standard Arabic for Arabic script, French for Arabizi) before
+ * intents, search slots and symptoms are matched, word by word so messages
+ * mixing French and Darija keep their French words:
+ *
+ *   "win kayen pharmacie de garde f sidi djillali"
+ *   "où il y a pharmacie de garde à sidi djillali"
+ *
+ * The script of the message picks the lexicon. Latin words shorter than
+ * three letters ("f", "fi") are only rewritten in messages that look like
+ * Arabizi, so French and English messages are left alone.
+ *
+ * functions/chatbot-darija.js is a copy of this file used by the Cloud
+ * Function through ChatbotEngine; keep both identical (checked by
+ * __tests__/chatbot-darija.test.js).
+ */
+
+const ChatbotDarija = {
+  /**
+   * Darija in Arabic script: [spellings, Modern Standard Arabic]. Words may
+   * also carry an attached "ال", "لل", "و", "ف", "ب", "ل" or "ك".
+   */
+  ARABIC: [
+    // Asking
+    [['نحب', 'نبغي', 'بغيت', 'حبيت'], 'أريد'],
+    [['نحوس', 'راني نحوس', 'نقلب على'], 'أبحث عن'],
+    [['وين', 'فين', 'وينو', 'وينه'], 'أين'],
+    [['كاين', 'كاينة', 'كاينين', 'كاش'], 'يوجد'],
+    [['وقتاش', 'وقتاه', 'وقاش', 'امتى'], 'متى'],
+    [['كيفاش'], 'كيف'],
+    [['ڤريب', 'قريب من', 'ڤريب من', 'قريب ل', 'ڤريب ل'], 'قرب'],
+    [['ف'], 'في'],
+    [['تاع', 'نتاع', 'ديال', 'تاعي', 'نتاعي', 'راني', 'راه', 'راهي', 'راهو', 'واش', 'بزاف'], ''],
+
+    // Providers
+    [['سبيطار', 'سبيطارات'], 'مستشفى'],
+    [['فارمسي', 'فرمسي', 'فارماسي', 'فرماسي', 'فارماسيا', 'فرمسيان', 'فارمسيان'], 'صيدلية'],
+    [['كلينيك', 'كلينيكا'], 'عيادة'],
+    [['استعجالات', 'ليرجونس', 'لورجونس'], 'طوارئ'],
+    [['لاغارد', 'قارد', 'ڤارد'], 'مناوبة'],
+
+    // People and body
+    [['ذراري', 'دراري'], 'أطفال'],
+    [['وليدي'], 'ابني'],
+    [['بنتي'], 'ابنتي'],
+    [['ضراس'], 'أسنان'],
+    [['كرش', 'كرشي'], 'بطن'],
+
+    // Symptoms
+    [['يضرني', 'تضرني', 'يضروني', 'تضروني', 'يوجعوني', 'توجعني'], 'يوجعني'],
+    [['مبرد', 'مبردة', 'ضربني البرد'], 'زكام'],
+    [['قحة'], 'سعال'],
+    [['سخونة'], 'حمى'],
+    [['بالحمل'], 'حامل'],
+    [['ما نقدرش نتنفس', 'مانقدرش نتنفس', 'ما نجمش نتنفس', 'ما يقدرش يتنفس'], 'لا أستطيع التنفس'],
+    [['نخنق', 'راني نخنق', 'تخنقت'], 'اختناق'],
+    [['طاح', 'طاحت'], 'سقط'],
+    [['غاب عليه', 'غابت عليها', 'تغاشى', 'داتو الغيبة'], 'إغماء'],
+    [['تكسر', 'تكسرت', 'مكسور', 'مكسورة'], 'كسر'],
+
+    // Time and opening
+    [['دروك', 'ضرك', 'دركا', 'دوكا', 'ذرك'], 'الآن'],
+    [['هاد الليلة', 'هذ الليلة', 'الليلة هادي'], 'الليلة'],
+    [['محلول', 'محلولة'], 'مفتوح'],
+    [['مسدود', 'مسدودة', 'مبلوكي', 'مغلوق'], 'مغلق'],
+    [['دغيا', 'دغية', 'زربة', 'بالزربة'], 'عاجل'],
+
+    // Home visits
+    [['للدار', 'فالدار', 'في الدار', 'يجي للدار'], 'في البيت'],
+
+    // Conversation
+    [['واش راك', 'واش راكي', 'كيراك', 'كي راك', 'لاباس', 'سلام'], 'مرحبا'],
+    [['صحيت', 'يعطيك الصحة', 'بارك الله فيك'], 'شكرا'],
+    [['عاوني', 'عاونوني', 'عاونيني'], 'مساعدة']
+  ],
+
+  /**
+   * Darija in Latin script (Arabizi): [spellings, French]. Spellings are
+   * compared after normalizeArabizi, so "snane" matches "snan" and "nhebb"
+   * matches "nheb".
+   */
+  ARABIZI: [
+    // Asking
+    [['nheb', 'n7eb', 'nhab', 'n7ab', 'bghit', 'nbghi', 'habit', '7abit', 'nehtaj', 'n7taj', 'nhawes', 'n7awes'], 'je cherche'],
+    [['win', 'wein', 'wayn', 'fayn'], 'où'],
+    [['kayen', 'kayn', 'kayna', 'kain', 'kaina', 'kaynin'], 'il y a'],
+    [['wa9tach', 'waqtach', 'waktach', 'wektach', 'imta', 'emta'], 'quand'],
+    [['kifach', 'kifech', 'kifah'], 'comment'],
+    [['9rib', 'qrib', 'grib', '9rib men', 'qrib men', 'grib men', '9rib l', 'grib l'], 'près de'],
+    [['f', 'fi', 'fel', 'fl'], 'à'],
+    [['ta3', 'nta3', 'dyal'], 'de'],
+    [['rani', 'rahi', 'raho', 'rah', 'wach', 'wech', 'wesh', 'bezaf', 'bzaf'], ''],
+    [['3andi', '3endi', 'andi', 'aandi'], "j'ai"],
+
+    // Providers
+    [['tbib', 'tbiba', 'tebib', 'toubib', 'doktor', 'doctour'], 'médecin'],
+    [['tbib snan', 'tbib ta3 snan', 'tbib sneni', 'tbib dras'], 'dentiste'],
+    [['sbitar', 'spitar', 'lesbitar', 'lsbitar'], 'hôpital'],
+    [['farmasi', 'pharmasi', 'farmacia', 'farmasyan'], 'pharmacie'],
+    [['klinik', 'klinika', 'kliniq'], 'clinique'],
+    [['ista3jal', 'isti3jal', 'sti3jal', 'mesta3jel', 'musta3jal'], 'urgence'],
+    [['nouba', 'nuba', 'nobba'], 'de garde'],
+
+    // People and body
+    [['drari', 'dhrari', 'tfel', 'tfol'], 'enfant'],
+    [['wlidi', 'weldi', 'oueldi', 'wldi'], 'mon fils'],
+    [['benti', 'bnti', 'binti'], 'ma fille'],
+    [['snan', 'snani', 'sneni', 'dras', 'drasi', 'dhras', 'sna', 'sni'], 'dents'],
+    [['3in', '3inin', '3ini', '3inia', '3iniya', '3aynin'], 'yeux'],
+    [['9alb', 'qalb', 'galb', '9albi', 'qalbi', 'galbi'], 'cœur'],
+    [['jeld', 'jild', 'jeldi'], 'peau'],
+    [['3dam', '3dem', '3dami'], 'os'],
+    [['ras', 'rasi', 'rassi'], 'tête'],
+    [['kerch', 'karch', 'kerchi', 'karchi', 'batni'], 'ventre'],
+    [['sder', 'sdar', 'sdri', 'sedri', 'sadri'], 'poitrine'],
+
+    // Symptoms
+    [['wja3', 'wjaa', 'wje3', 'oujaa', 'ouja3', 'wji3a', 'yoj3ni', 'yuj3ni', 'ywja3ni', 'youja3ni', 'twja3ni', 'yoj3ouni',
+      'yder', 'ydarni', 'ydorni', 'tderni'], 'douleur'],
+    [['skhana', 's5ana', 'sxana', 'sokhana', 'skhouna'], 'fièvre'],
+    [['mrid', 'mrida', 'mred'], 'malade'],
+    [['berd', 'zokam', 'zkam', 'mberred', 'mbarad', 'mbared'], 'rhume'],
+    [['kohba', 'ko7ba', '9o7a', 'qo7a', 'ka7a'], 'toux'],
+    [['7amla', 'hamla', 'bl7mel', 'bel7mel', 'belhmel'], 'enceinte'],
+    [['dem', 'demm'], 'sang'],
+    [['nzif'], 'hémorragie'],
+    [['khne9', 'nekhne9', 'nakhne9', 'ntkhne9'], 'étouffe'],
+    [['ma n9derch ntnefes', 'man9derch ntnefes', 'ma nqderch ntnefes', 'ma najemch ntnefes', 'ma nnajamch ntnefes'], "n'arrive pas à respirer"],
+    [['ghab 3lih', 'ghabet 3liha', 'ghma 3lih', 'tghachach'], 'évanoui'],
+    [['tah', 'tahet', 'taya7'], 'tombé'],
+    [['tkesser', 'ttkesser', 'mkesser', 'mkessra', 'tkesret'], 'fracture'],
+    [['7mouda', 'hmouda'], 'aigreurs'],
+    [['7ar9a', 'har9a', 't7ra9', 'tehre9'], 'brûlure'],
+
+    // Time and opening
+    [['dorka', 'drk', 'daba', 'drouk', 'dourka'], 'maintenant'],
+    [['lyoum', 'elyoum', 'lioum'], "aujourd'hui"],
+    [['had lila', 'hadi lila', 'ellila', 'fellil'], 'cette nuit'],
+    [['mehloul', 'm7loul', 'mahloul', 'mhloul', 'maftou7', 'maftouh'], 'ouvert'],
+    [['msedd', 'mbloki', 'm9foul', 'mgfoul'], 'fermé'],
+    [['dghya', 'deghya', 'zerba', 'bezerba', 'bzerba'], 'urgent'],
+
+    // Home visits and access
+    [['f dar', 'fdar', 'l dar', 'ldar', 'lel dar', 'fi dar', 'fel dar', 'fdari', 'ldari'], 'à domicile'],
+    [['koursi roulant', 'kersi roulant', 'koursi', 'kursi'], 'fauteuil roulant'],
+
+    // Conversation
+    [['salam', 'salem', 'slm', 'salam alikoum', 'salamou alaykoum', 'ahlan', 'wesh rak', 'wech rak', 'wesh raki', 'wech raki',
+      'labas', 'sba7 lkhir', 'sbah lkhir', 'msa lkhir'], 'bonjour'],
+    [['sahit', 'sa7it', 'ya3tik saha', 'ya3tik sa7a', 'yatik saha', 'barak allah fik', 'baraka allahou fik'], 'merci'],
+    [['3awenni', '3awni', 'aawenni', 'sa3dni', 'sa3edni'], 'aide']
+  ],
+
+  /**
+   * Latin spellings shorter than this are only rewritten in Arabizi messages
+   */
+  MIN_STRONG_LENGTH: 3,
+
+  /**
+   * Attached Arabic prefixes tried when a word is not in the lexicon:
+   * "ال", "فال", "لل", "و"...
+   */
+  ARABIC_PREFIX: /^(?:[\u0648\u0641\u0628\u0644\u0643]?\u0627\u0644|\u0644\u0644|[\u0648\u0641\u0628\u0644\u0643])(?=[\u0600-\u06ff]{2})/,
+
+  /**
+   * Text normalization shared with the dialog: a global in the browser, the
+   * sibling file in Cloud Functions
+   */
+  getDialog() {
+    return typeof ChatbotDialog !== 'undefined' ? ChatbotDialog : require('./chatbot-dialog.js');
+  },
+
+  /**
+   * Scripts a message is written in
+   * @param {string} text - Message
+   * @returns {string} - 'arabic', 'latin', 'mixed' or 'none'
+   */
+  detectScript(text) {
+    const arabic = /[\u0600-\u06ff]/.test(text || '');
+    const latin = /\p{Script=Latin}/u.test(text || '');
+
+    if (arabic && latin) return 'mixed';
+    if (arabic) return 'arabic';
+    if (latin) return 'latin';
+    return 'none';
+  },
+
+  /**
+   * Normalize a Latin word for Arabizi lookups: no case, accents or
+   * apostrophes, "ou" as "u", "sh" as "ch", no doubled letters and no final
+   * "e" ("Snane" and "snan", "nhebb" and "nheb")
+   * @param {string} word - Word
+   * @returns {string} - Normalized word
+   */
+  normalizeArabizi(word) {
+    return this.getDialog().normalize(String(word || '').replace(/['’]/g, ''))
+      .replace(/ee/g, 'i')
+      .replace(/ou/g, 'u')
+      .replace(/sh/g, 'ch')
+      .replace(/(\p{L})\1+/gu, '$1')
+      .replace(/(\p{L}{3,})e$/u, '$1');
+  },
+
+  /**
+   * Lookup key of a message word in its script's lexicon
+   * @param {string} word - Word as written
+   * @returns {string} - Normalized word
+   */
+  getKey(word) {
+    return /[\u0600-\u06ff]/.test(word) ? this.getDialog().normalize(word) : this.normalizeArabizi(word);
+  },
+
+  /**
+   * Both lexicons keyed by normalized spelling
+   * @returns {Object} - { entries: Map(key -> { replacement, strong }), maxWords }
+   */
+  getLexicon() {
+    if (!this.lexicon) {
+      const entries = new Map();
+      let maxWords = 1;
+
+      [...this.ARABIC, ...this.ARABIZI].forEach(([spellings, replacement]) => {
+        spellings.forEach(spelling => {
+          const words = spelling.split(' ');
+          const key = words.map(word => this.getKey(word)).join(' ');
+
+          entries.set(key, {
+            replacement,
+            strong: /[\u0600-\u06ff]/.test(key) || key.length >= this.MIN_STRONG_LENGTH
+          });
+          maxWords = Math.max(maxWords, words.length);
+        });
+      });
+
+      this.lexicon = { entries, maxWords };
+    }
+    return this.lexicon;
+  },
+
+  /**
+   * Find the lexicon entry for message words, trying attached Arabic
+   * prefixes on the first word
+   * @param {Array<string>} words - Words as written
+   * @returns {Object|null} - Entry
+   */
+  lookup(words) {
+    const { entries } = this.getLexicon();
+    const keys = words.map(word => this.getKey(word));
+    const candidates = [keys.join(' ')];
+
+    if (this.ARABIC_PREFIX.test(keys[0])) {
+      candidates.push([keys[0].replace(this.ARABIC_PREFIX, ''), ...keys.slice(1)].join(' '));
+    }
+
+    const key = candidates.find(candidate => entries.has(candidate));
+    return key ? entries.get(key) : null;
+  },
+
+  /**
+   * Whether a message is Latin-script Darija: a word mixes letters and the
+   * digits used for Arabic sounds ("3andi", "n7eb", "9rib"), or is a Darija
+   * word of the lexicon
+   * @param {string} text - Message
+   * @returns {boolean} - True for Arabizi
+   */
+  isArabizi(text) {
+    const words = String(text || '').split(/\s+/).filter(word => /\p{Script=Latin}/u.test(word));
+
+    return words.some(word => /[a-z][23579]|[23579][a-z]{2}/i.test(word)) ||
+      words.some(word => {
+        const entry = this.lookup([word]);
+        return Boolean(entry && entry.strong);
+      });
+  },
+
+  /**
+   * Rewrite the Darija words of a message, longest phrases first. Other
+   * words, including place names, are kept as written.
+   * @param {string} message - User message
+   * @returns {string} - Message the other chatbot modules understand
+   */
+  translate(message) {
+    const words = String(message || '').split(/\s+/).filter(Boolean);
+    const arabizi = this.isArabizi(message);
+    const { maxWords } = this.getLexicon();
+    const result = [];
+    let changed = false;
+
+    for (let index = 0; index < words.length;) {
+      let length = Math.min(maxWords, words.length - index);
+      let entry = null;
+
+      for (; length > 0; length--) {
+        entry = this.lookup(words.slice(index, index + length));
+        if (entry && (entry.strong || arabizi)) break;
+        entry = null;
+      }
+
+      if (entry) {
+        // Keep the punctuation ending the last word ("snan?" -> "dents?"),
+        // on the previous word when the Darija word is dropped
+        const ending = (words[index + length - 1].match(/[^\p{L}\p{N}]+$/u) || [''])[0];
+        if (entry.replacement) {
+          result.push(entry.replacement + ending);
+        } else if (ending && result.length > 0) {
+          result[result.length - 1] += ending;
+        }
+        index += length;
+        changed = true;
+      } else {
+        result.push(words[index]);
+        index++;
+      }
+    }
+
+    return changed ? result.join(' ') : String(message || '');
+  },
+
+  /**
+   * Languages whose intent patterns apply to a message: the interface
+   * language, Arabic for Arabic script, and French for Arabizi or for Latin
+   * words in an Arabic conversation
+   * @param {string} message - User message
+   * @param {string} language - Interface language
+   * @returns {Array<string>} - Language codes
+   */
+  getLanguages(message, language) {
+    const script = this.detectScript(message);
+    const languages = [language];
+
+    if ((script === 'arabic' || script === 'mixed') && !languages.includes('ar')) {
+      languages.push('ar');
+    }
+    if ((script === 'latin' || script === 'mixed') && (language === 'ar' || this.isArabizi(message)) && !languages.includes('fr')) {
+      languages.push('fr');
+    }
+
+    return languages;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChatbotDarija;
+}
+
+if (typeof window !== 'undefined') {
+  window.ChatbotDarija = ChatbotDarija;
+}
@@ -0,0 +1,341 @@
+/**
+ * Chatbot Triage Module
+ * Rule-based symptom triage for the chatbot. Symptom phrases in Arabic,
+ * French and English are mapped to an urgency level and, when relevant, to
+ * the specialty to see:
+ *
+ *   call       call the emergency numbers now (red flag)
+ *   emergency  go to an emergency department (red flag)
+ *   doctor     see a general practitioner or a specialist
+ *   pharmacy   ask a pharmacist for advice
+ *
+ * A rule matches when every one of its term groups has a term in the
+ * message, so "chest pain" and "douleur dans la poitrine" match the same
+ * rule; Algerian Darija ("3andi wja3 f sdri") is first rewritten by
+ * ChatbotDarija. This is orientation, not diagnosis: answers always carry a
+ * disclaimer, and red flags always show the emergency numbers.
+ *
+ * functions/chatbot-triage.js is a copy of this file used by the Cloud
+ * Function through ChatbotEngine; keep both identical (checked by
+ * __tests__/chatbot-triage.test.js).
+ */
+
+const ChatbotTriage = {
+  /**
+   * Urgency levels, most urgent first
+   */
+  LEVELS: ['call', 'emergency', 'doctor', 'pharmacy'],
+
+  /**
+   * Levels that are red flags
+   */
+  RED_FLAG_LEVELS: ['call', 'emergency'],
+
+  /**
+   * Emergency numbers shown with red flags
+   */
+  EMERGENCY_NUMBERS: [
+    {
+      number: '14',
+      labels: { en: 'Civil Protection (ambulance)', fr: 'Protection civile (ambulance)', ar: 'الحماية المدنية (إسعاف)' }
+    },
+    {
+      number: '115',
+      labels: { en: 'SAMU (medical emergencies)', fr: 'SAMU (urgences médicales)', ar: 'الإسعاف الطبي الاستعجالي (SAMU)' }
+    }
+  ],
+
+  /**
+   * Words for pain, shared by several rules
+   */
+  PAIN: ['pain', 'ache', 'aches', 'hurt', 'hurts', 'sore', 'pressure', 'douleur', 'douleurs', 'mal', 'ألم', 'آلام', 'وجع', 'يوجعني', 'يؤلمني'],
+
+  /**
+   * Triage rules: { id, level, specialty (ChatbotDialog.SPECIALTIES key or
+   * null), all: term groups that must all match }
+   */
+  RULES: [
+    // Call now
+    {
+      id: 'chest-pain',
+      level: 'call',
+      specialty: 'cardiology',
+      all: [['chest', 'heart', 'poitrine', 'thorax', 'thoracique', 'صدر', 'قلب'], 'PAIN']
+    },
+    {
+      id: 'stroke',
+      level: 'call',
+      specialty: null,
+      all: [['slurred speech', 'face drooping', 'drooping face', 'paralysis', 'paralyzed', 'paralysed', 'cannot speak', 'can t speak',
+        'visage paralysé', 'bouche déformée', 'paralysie', 'paralysé', 'n arrive plus à parler', 'شلل', 'اعوجاج الفم', 'لا يستطيع الكلام']]
+    },
+    {
+      id: 'breathing',
+      level: 'call',
+      specialty: null,
+      all: [['can t breathe', 'cannot breathe', 'difficulty breathing', 'short of breath', 'shortness of breath', 'choking', 'not breathing',
+        'étouffe', 'étouffement', 'du mal à respirer', 'n arrive pas à respirer', 'ne respire plus', 'essoufflé',
+        'ضيق في التنفس', 'ضيق التنفس', 'صعوبة في التنفس', 'اختناق', 'لا أستطيع التنفس', 'لا يتنفس']]
+    },
+    {
+      id: 'unconscious',
+      level: 'call',
+      specialty: null,
+      all: [['unconscious', 'fainted', 'passed out', 'unresponsive', 'seizure', 'convulsions', 'inconscient', 'évanoui', 'évanouie',
+        'perte de connaissance', 'convulsion', 'فاقد الوعي', 'إغماء', 'أغمي', 'غيبوبة', 'تشنجات', 'تشنج']]
+    },
+    {
+      id: 'bleeding',
+      level: 'call',
+      specialty: null,
+      all: [['heavy bleeding', 'bleeding a lot', 'won t stop bleeding', 'vomiting blood', 'coughing blood', 'hémorragie',
+        'saigne beaucoup', 'saignement abondant', 'vomit du sang', 'crache du sang', 'نزيف', 'تقيؤ دم', 'يتقيأ دم']]
+    },
+    {
+      id: 'poisoning',
+      level: 'call',
+      specialty: null,
+      all: [['poisoning', 'poisoned', 'overdose', 'intoxication', 'empoisonnement', 'empoisonné', 'surdose', 'تسمم', 'جرعة زائدة']]
+    },
+    {
+      id: 'suicidal',
+      level: 'call',
+      specialty: null,
+      all: [['suicide', 'kill myself', 'end my life', 'me suicider', 'me tuer', 'mettre fin à mes jours', 'انتحار', 'أنتحر', 'أقتل نفسي']]
+    },
+    {
+      id: 'anaphylaxis',
+      level: 'call',
+      specialty: null,
+      all: [['throat swelling', 'swollen throat', 'swollen face', 'anaphylaxis', 'anaphylactic', 'gorge gonflée', 'visage gonflé',
+        'choc anaphylactique', 'oedème de quincke', 'تورم الحلق', 'تورم الوجه', 'صدمة حساسية']]
+    },
+
+    // Go to an emergency department
+    {
+      id: 'baby-fever',
+      level: 'emergency',
+      specialty: 'pediatrics',
+      all: [['fever', 'temperature', 'fièvre', 'température', 'حمى', 'حرارة', 'سخانة'], ['baby', 'infant', 'newborn', 'bébé', 'nourrisson', 'رضيع']]
+    },
+    {
+      id: 'pregnancy-bleeding',
+      level: 'emergency',
+      specialty: 'gynecology',
+      all: [['pregnant', 'pregnancy', 'enceinte', 'grossesse', 'حامل'], ['bleeding', 'blood', 'saignement', 'saigne', 'sang', 'نزيف', 'دم']]
+    },
+    {
+      id: 'fracture',
+      level: 'emergency',
+      specialty: 'orthopedics',
+      all: [['broken bone', 'broken arm', 'broken leg', 'fracture', 'bras cassé', 'jambe cassée', 'os cassé', 'كسر']]
+    },
+    {
+      id: 'head-injury',
+      level: 'emergency',
+      specialty: null,
+      all: [['head', 'tête', 'رأس'], ['hit', 'injury', 'injured', 'blow', 'fell', 'coup', 'choc', 'chute', 'tombé', 'ضربة', 'سقط', 'سقوط']]
+    },
+    {
+      id: 'burn',
+      level: 'emergency',
+      specialty: null,
+      all: [['burn', 'burns', 'burned', 'burnt', 'brûlure', 'brûlures', 'brûlé', 'brûlée', 'حرق', 'حروق'],
+        ['severe', 'bad', 'large', 'deep', 'face', 'child', 'baby', 'grave', 'graves', 'profonde', 'étendue', 'visage', 'enfant', 'bébé',
+          'شديد', 'كبير', 'عميق', 'وجه', 'طفل', 'رضيع']]
+    },
+    {
+      id: 'severe-abdominal-pain',
+      level: 'emergency',
+      specialty: null,
+      all: [['severe', 'unbearable', 'intense', 'violent', 'violente', 'insupportable', 'forte', 'شديد', 'شديدة'],
+        ['abdominal', 'abdomen', 'stomach', 'belly', 'ventre', 'abdominale', 'estomac', 'بطن', 'معدة']]
+    },
+    {
+      id: 'eye-injury',
+      level: 'emergency',
+      specialty: 'ophthalmology',
+      all: [['eye', 'eyes', 'oeil', 'yeux', 'عين', 'عيون'], ['injury', 'injured', 'chemical', 'blessure', 'blessé', 'produit chimique', 'إصابة', 'مادة كيميائية']]
+    },
+
+    // See a doctor
+    {
+      id: 'toothache',
+      level: 'doctor',
+      specialty: 'dentistry',
+      all: [['toothache', 'rage de dents']]
+    },
+    {
+      id: 'tooth-pain',
+      level: 'doctor',
+      specialty: 'dentistry',
+      all: [['tooth', 'teeth', 'gum', 'dent', 'dents', 'gencive', 'أسنان', 'ضرس', 'لثة'], 'PAIN']
+    },
+    {
+      id: 'skin',
+      level: 'doctor',
+      specialty: 'dermatology',
+      all: [['rash', 'eczema', 'itching', 'itchy', 'acne', 'éruption', 'boutons', 'démangeaisons', 'eczéma', 'acné', 'طفح', 'حكة', 'حبوب', 'إكزيما']]
+    },
+    {
+      id: 'joint-pain',
+      level: 'doctor',
+      specialty: 'orthopedics',
+      all: [['back', 'joint', 'joints', 'knee', 'shoulder', 'dos', 'genou', 'articulation', 'articulations', 'épaule', 'ظهر', 'ركبة', 'مفاصل', 'كتف'], 'PAIN']
+    },
+    {
+      id: 'eye-problem',
+      level: 'doctor',
+      specialty: 'ophthalmology',
+      all: [['eye', 'eyes', 'oeil', 'yeux', 'عين', 'عيون'], ['red', 'blurry', 'blurred', 'pain', 'rouge', 'rouges', 'flou', 'floue', 'douleur', 'mal',
+        'احمرار', 'ضبابية', 'ألم', 'وجع']]
+    },
+    {
+      id: 'palpitations',
+      level: 'doctor',
+      specialty: 'cardiology',
+      all: [['palpitations', 'heart racing', 'racing heart', 'coeur qui bat vite', 'خفقان']]
+    },
+    {
+      id: 'sick-child',
+      level: 'doctor',
+      specialty: 'pediatrics',
+      all: [['child', 'kid', 'my son', 'my daughter', 'enfant', 'mon fils', 'ma fille', 'طفل', 'ابني', 'ابنتي'],
+        ['sick', 'fever', 'vomiting', 'diarrhea', 'cough', 'malade', 'fièvre', 'vomit', 'diarrhée', 'tousse', 'toux', 'مريض', 'مريضة', 'حمى', 'تقيؤ', 'إسهال', 'سعال', 'كحة']]
+    },
+    {
+      id: 'headache',
+      level: 'doctor',
+      specialty: null,
+      all: [['headache', 'migraine', 'céphalée', 'صداع']]
+    },
+    {
+      id: 'head-pain',
+      level: 'doctor',
+      specialty: null,
+      all: [['head', 'tête', 'رأس'], 'PAIN']
+    },
+    {
+      id: 'fever',
+      level: 'doctor',
+      specialty: null,
+      all: [['fever', 'temperature', 'fièvre', 'température', 'حمى', 'حرارة', 'سخانة']]
+    },
+
+    // Ask a pharmacist
+    {
+      id: 'cold',
+      level: 'pharmacy',
+      specialty: null,
+      all: [['cold', 'runny nose', 'sore throat', 'cough', 'flu', 'rhume', 'nez qui coule', 'mal de gorge', 'toux', 'grippe', 'زكام', 'رشح', 'التهاب الحلق', 'سعال', 'كحة', 'أنفلونزا']]
+    },
+    {
+      id: 'minor-injury',
+      level: 'pharmacy',
+      specialty: null,
+      all: [['small cut', 'scratch', 'sunburn', 'minor burn', 'insect bite', 'mosquito bite', 'blister', 'petite coupure', 'égratignure', 'coup de soleil',
+        'petite brûlure', 'piqûre', 'ampoule', 'جرح صغير', 'خدش', 'لسعة', 'حروق الشمس']]
+    },
+    {
+      id: 'heartburn',
+      level: 'pharmacy',
+      specialty: null,
+      all: [['heartburn', 'indigestion', 'brûlures d estomac', 'aigreurs', 'حموضة', 'حرقة المعدة']]
+    }
+  ],
+
+  /**
+   * Arabic prefixes and suffixes a word may carry ("و", "ال", "ي"...)
+   */
+  ARABIC_PREFIX: '(?:و|ف|ب|ل|ك)?(?:ال|لل)?',
+  ARABIC_SUFFIX: '(?:ي|ه|ها|ك|كم|هم|ات|ين|ان)?',
+
+  /**
+   * Normalization shared with the conversation state: ChatbotDialog is a
+   * global in the browser and a sibling module in Cloud Functions
+   */
+  normalize(text) {
+    const dialog = typeof ChatbotDialog !== 'undefined' ? ChatbotDialog : require('./chatbot-dialog.js');
+    return dialog.normalize(text);
+  },
+
+  /**
+   * Whether a message word is a term word. Latin words must be equal;
+   * Arabic words may carry attached prefixes and suffixes.
+   * @param {string} word - Normalized message word
+   * @param {string} termWord - Normalized term word
+   * @returns {boolean} - True if they match
+   */
+  matchesWord(word, termWord) {
+    if (!/[\u0600-\u06ff]/.test(termWord)) {
+      return word === termWord;
+    }
+    return new RegExp(`^${this.ARABIC_PREFIX}${termWord}${this.ARABIC_SUFFIX}$`).test(word);
+  },
+
+  /**
+   * Whether normalized words contain a term, word by word
+   * @param {Array<string>} words - Normalized message words
+   * @param {string} term - Term
+   * @returns {boolean} - True if found
+   */
+  hasTerm(words, term) {
+    const termWords = this.normalize(term).split(' ').filter(Boolean);
+    if (termWords.length === 0) return false;
+
+    return words.some((_, start) =>
+      termWords.every((termWord, offset) => start + offset < words.length && this.matchesWord(words[start + offset], termWord))
+    );
+  },
+
+  /**
+   * Assess a message
+   * @param {string} message - User message
+   * @returns {Object|null} - { level, redFlag, specialty, rules } for the
+   * most urgent matching rules, or null if no symptom was recognized
+   */
+  assess(message) {
+    const darija = typeof ChatbotDarija !== 'undefined' ? ChatbotDarija : require('./chatbot-darija.js');
+    const normalized = this.normalize(darija.translate(message));
+    const words = normalized ? normalized.split(' ') : [];
+    const matched = this.RULES.filter(rule => rule.all.every(group =>
+      (group === 'PAIN' ? this.PAIN : group).some(term => this.hasTerm(words, term))
+    ));
+
+    if (matched.length === 0) {
+      return null;
+    }
+
+    const level = this.LEVELS.find(candidate => matched.some(rule => rule.level === candidate));
+    const specialtyRule = matched.find(rule => rule.level === level && rule.specialty) ||
+      matched.find(rule => rule.specialty);
+
+    return {
+      level,
+      redFlag: this.RED_FLAG_LEVELS.includes(level),
+      specialty: specialtyRule ? specialtyRule.specialty : null,
+      rules: matched.map(rule => rule.id)
+    };
+  },
+
+  /**
+   * Emergency numbers with labels in a language
+   * @param {string} language - Language code
+   * @returns {Array<Object>} - { number, label }
+   */
+  getEmergencyNumbers(language) {
+    return this.EMERGENCY_NUMBERS.map(({ number, labels }) => ({
+      number,
+      label: labels[language] || labels.en
+    }));
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChatbotTriage;
+}
+
+if (typeof window !== 'undefined') {
+  window.ChatbotTriage = ChatbotTriage;
+}
@@ -0,0 +1,131 @@
+/**
+ * Profile Claim Codes
+ * Pure helpers behind requestClaimCode and verifyClaimCode in index.js: a
+ * provider proves they own a preloaded profile by entering a one-time code
+ * sent to the phone number already listed on it. Codes are stored hashed,
+ * expire quickly and allow a few attempts; sending is rate-limited per user
+ * and per profile so the listed phone cannot be flooded.
+ */
+
+const crypto = require('crypto');
+
+const ClaimCodes = {
+  /**
+   * Number of digits in a code
+   */
+  CODE_LENGTH: 6,
+
+  /**
+   * Minutes a code stays valid
+   */
+  CODE_TTL_MINUTES: 10,
+
+  /**
+   * Wrong entries allowed per code
+   */
+  MAX_ATTEMPTS: 5,
+
+  /**
+   * Codes one user can request for a profile per hour
+   */
+  USER_SENDS_PER_HOUR: 3,
+
+  /**
+   * Codes sent to one profile's phone per day, all users combined
+   */
+  PROFILE_SENDS_PER_DAY: 10,
+
+  /**
+   * Generate a numeric code
+   * @param {Function} randomInt - crypto.randomInt(max), injectable for tests
+   * @returns {string} - Zero-padded code
+   */
+  generateCode(randomInt = crypto.randomInt) {
+    return String(randomInt(10 ** this.CODE_LENGTH)).padStart(this.CODE_LENGTH, '0');
+  },
+
+  /**
+   * Hash a code. The salt binds it to one profile and one user.
+   * @param {string} code - Code
+   * @param {string} salt - e.g. `${providerId}:${userId}`
+   * @returns {string} - Hex SHA-256
+   */
+  hashCode(code, salt) {
+    return crypto.createHash('sha256').update(`${salt}:${code}`).digest('hex');
+  },
+
+  /**
+   * Compare an entered code with a stored hash in constant time
+   * @param {string} code - Normalized entered code
+   * @param {string} hash - Stored hash
+   * @param {string} salt - Salt used for the hash
+   * @returns {boolean} - True if the code matches
+   */
+  matches(code, hash, salt) {
+    const expected = Buffer.from(hash || '', 'hex');
+    const actual = Buffer.from(this.hashCode(code, salt), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  },
+
+  /**
+   * Normalize an entered code: Arabic-Indic digits are converted and
+   * spaces or dashes dropped
+   * @param {*} input - Entered code
+   * @returns {string} - Digits only
+   */
+  normalizeCode(input) {
+    return String(input || '')
+      .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+      .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+      .replace(/\D/g, '');
+  },
+
+  /**
+   * Mask a phone number, keeping its first and last two digits
+   * @param {string} phone - Phone number
+   * @returns {string} - e.g. "05** ** ** 78"
+   */
+  maskPhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    let seen = 0;
+
+    return String(phone || '').replace(/\d/g, digit => {
+      seen++;
+      return seen <= 2 || seen > digits.length - 2 ? digit : '*';
+    });
+  },
+
+  /**
+   * Drop send records older than the longest rate limit window
+   * @param {Array<Object>} sends - { userId, at } with `at` in milliseconds
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array<Object>} - Recent sends
+   */
+  pruneSends(sends = [], now = Date.now()) {
+    return sends.filter(send => now - send.at < 24 * 3600000);
+  },
+
+  /**
+   * Check whether a user may be sent another code for a profile
+   * @param {Array<Object>} sends - Recent sends to the profile ({ userId, at })
+   * @param {string} userId - Requesting user
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - { allowed, retryAt } (retryAt in milliseconds, null if allowed)
+   */
+  checkRateLimit(sends, userId, now = Date.now()) {
+    const recent = this.pruneSends(sends, now);
+    const userSends = recent.filter(send => send.userId === userId && now - send.at < 3600000);
+
+    if (userSends.length >= this.USER_SENDS_PER_HOUR) {
+      return { allowed: false, retryAt: Math.min(...userSends.map(send => send.at)) + 3600000 };
+    }
+
+    if (recent.length >= this.PROFILE_SENDS_PER_DAY) {
+      return { allowed: false, retryAt: Math.min(...recent.map(send => send.at)) + 24 * 3600000 };
+    }
+
+    return { allowed: true, retryAt: null };
+  }
+};
+
+module.exports = ClaimCodes;
@@ -0,0 +1,107 @@
+/**
+ * Claim Code Delivery
+ * Adapters that deliver profile claim codes to a phone number. The adapter
+ * is chosen with the CLAIM_CODE_DELIVERY environment variable (functions/.env):
+ *
+ *   console  logs the code instead of sending it (default, for the emulator)
+ *   webhook  POSTs { to, message } to CLAIM_CODE_WEBHOOK_URL, e.g. an SMS
+ *            gateway, with CLAIM_CODE_WEBHOOK_TOKEN as a bearer token
+ *
+ * Other gateways can be plugged in with ClaimDelivery.register().
+ */
+
+const ClaimDelivery = {
+  /**
+   * Registered adapters: name -> { send({ phone, message }, env) }
+   */
+  adapters: {
+    console: {
+      async send({ phone, message }) {
+        console.log(`[claim code] to ${phone}: ${message}`);
+      }
+    },
+
+    webhook: {
+      async send({ phone, message }, env) {
+        if (!env.CLAIM_CODE_WEBHOOK_URL) {
+          throw new Error('CLAIM_CODE_WEBHOOK_URL is not configured');
+        }
+
+        const response = await fetch(env.CLAIM_CODE_WEBHOOK_URL, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(env.CLAIM_CODE_WEBHOOK_TOKEN ? { Authorization: `Bearer ${env.CLAIM_CODE_WEBHOOK_TOKEN}` } : {})
+          },
+          body: JSON.stringify({ to: phone, message })
+        });
+
+        if (!response.ok) {
+          throw new Error(`Delivery webhook answered ${response.status}`);
+        }
+      }
+    }
+  },
+
+  /**
+   * Code message templates by language
+   */
+  MESSAGES: {
+    en: 'CityHealth: your profile claim code is {{code}}. It expires in {{minutes}} minutes. Ignore this message if you did not request it.',
+    fr: 'CityHealth : votre code de revendication de profil est {{code}}. Il expire dans {{minutes}} minutes. Ignorez ce message si vous ne l\'avez pas demandé.',
+    ar: 'CityHealth: رمز المطالبة بملفك هو {{code}}. ينتهي خلال {{minutes}} دقائق. تجاهل هذه الرسالة إذا لم تطلبها.'
+  },
+
+  /**
+   * Register a delivery adapter
+   * @param {string} name - Adapter name (value of CLAIM_CODE_DELIVERY)
+   * @param {Object} adapter - { send({ phone, message }, env) }
+   */
+  register(name, adapter) {
+    if (!adapter || typeof adapter.send !== 'function') {
+      throw new Error('A delivery adapter needs a send() function');
+    }
+    this.adapters[name] = adapter;
+  },
+
+  /**
+   * Get the configured adapter
+   * @param {Object} env - Environment (process.env)
+   * @returns {Object} - Adapter
+   */
+  getAdapter(env = process.env) {
+    const name = env.CLAIM_CODE_DELIVERY || 'console';
+    const adapter = this.adapters[name];
+
+    if (!adapter) {
+      throw new Error(`Unknown claim code delivery adapter: ${name}`);
+    }
+
+    return adapter;
+  },
+
+  /**
+   * Build the code message
+   * @param {string} code - Code
+   * @param {number} minutes - Validity in minutes
+   * @param {string} language - 'ar', 'fr' or 'en'
+   * @returns {string} - Message text
+   */
+  message(code, minutes, language = 'fr') {
+    const template = this.MESSAGES[language] || this.MESSAGES.fr;
+    return template.replace('{{code}}', code).replace('{{minutes}}', String(minutes));
+  },
+
+  /**
+   * Send a code with the configured adapter
+   * @param {string} phone - Destination phone number
+   * @param {string} message - Message text
+   * @param {Object} env - Environment (process.env)
+   * @returns {Promise<void>}
+   */
+  send(phone, message, env = process.env) {
+    return this.getAdapter(env).send({ phone, message }, env);
+  }
+};
+
+module.exports = ClaimDelivery;
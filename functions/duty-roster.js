@@ -0,0 +1,201 @@
+/**
+ * Duty Roster Module
+ * Helpers for the on-duty pharmacy rotation ("pharmacie de garde").
+ *
+ * Shifts live in the admin-managed `duty_roster` collection as
+ * { startsAt, endsAt, pharmacyIds, note }. A shift covers every pharmacy in
+ * `pharmacyIds` from `startsAt` until `endsAt`; night and weekend rotations are
+ * simply shifts that span the night or the whole weekend.
+ *
+ * functions/duty-roster.js is a copy of this file used by the chatbot's
+ * emergency answers in Cloud Functions; keep both identical (checked by
+ * __tests__/duty-roster.test.js).
+ */
+
+const DutyRoster = {
+  /**
+   * Hours ahead of now that still count as "tonight"
+   */
+  TONIGHT_HOURS: 12,
+
+  /**
+   * Default shift times used when a roster entry only gives a date
+   */
+  DEFAULT_START: '20:00',
+  DEFAULT_END: '08:00',
+
+  /**
+   * Convert a Firestore Timestamp, Date, number or string to a Date
+   * @param {*} value - Date-like value
+   * @returns {Date|null} - Date or null if invalid
+   */
+  toDate(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  },
+
+  /**
+   * Parse a roster date in local time.
+   * Accepts "YYYY-MM-DD", "YYYY-MM-DD HH:MM" or "YYYY-MM-DDTHH:MM".
+   * @param {string} value - Date string
+   * @param {string} defaultTime - "HH:MM" used when only a date is given
+   * @returns {Object|null} - { date, hasTime } or null if invalid
+   */
+  parseDateTime(value, defaultTime = '00:00') {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2}))?$/.exec(String(value || '').trim());
+    if (!match) return null;
+
+    const hasTime = match[4] !== undefined;
+    const [hours, minutes] = hasTime ? [match[4], match[5]] : defaultTime.split(':');
+    const date = new Date(
+      parseInt(match[1], 10),
+      parseInt(match[2], 10) - 1,
+      parseInt(match[3], 10),
+      parseInt(hours, 10),
+      parseInt(minutes, 10)
+    );
+
+    // Reject rolled-over values such as 2026-02-30
+    if (isNaN(date.getTime()) || date.getDate() !== parseInt(match[3], 10)) return null;
+
+    return { date, hasTime };
+  },
+
+  /**
+   * Resolve the start and end of a roster entry.
+   * A date-only start begins at DEFAULT_START; a date-only end finishes at
+   * DEFAULT_END the following morning, so "2026-10-19" to "2026-10-21" covers
+   * the nights of the 19th, 20th and 21st.
+   * @param {string} start - Start date
+   * @param {string} end - End date (defaults to the start date)
+   * @returns {Object} - { startsAt, endsAt } or { error }
+   */
+  parseShift(start, end) {
+    const startValue = this.parseDateTime(start, this.DEFAULT_START);
+    if (!startValue) {
+      return { error: `Invalid start date: ${start || '(empty)'}` };
+    }
+
+    const endValue = this.parseDateTime(end || start, this.DEFAULT_END);
+    if (!endValue) {
+      return { error: `Invalid end date: ${end}` };
+    }
+
+    const endsAt = endValue.date;
+    if (!endValue.hasTime) {
+      endsAt.setDate(endsAt.getDate() + 1);
+    }
+
+    if (endsAt <= startValue.date) {
+      return { error: 'Shift must end after it starts' };
+    }
+
+    return { startsAt: startValue.date, endsAt };
+  },
+
+  /**
+   * Get the shifts running now or starting tonight, earliest first
+   * @param {Array<Object>} shifts - Roster shifts
+   * @param {Date} at - Reference time (default: now)
+   * @returns {Array<Object>} - Matching shifts with Date `startsAt`/`endsAt`
+   */
+  getTonightShifts(shifts, at = new Date()) {
+    const horizon = new Date(at.getTime() + this.TONIGHT_HOURS * 60 * 60 * 1000);
+
+    return (shifts || [])
+      .map(shift => ({
+        ...shift,
+        startsAt: this.toDate(shift.startsAt),
+        endsAt: this.toDate(shift.endsAt)
+      }))
+      .filter(shift => shift.startsAt && shift.endsAt && shift.endsAt > at && shift.startsAt <= horizon)
+      .sort((a, b) => a.startsAt - b.startsAt);
+  },
+
+  /**
+   * Map each pharmacy ID to its earliest shift tonight
+   * @param {Array<Object>} shifts - Roster shifts
+   * @param {Date} at - Reference time (default: now)
+   * @returns {Map<string, Object>} - Pharmacy ID to { startsAt, endsAt, current }
+   */
+  getOnDutyMap(shifts, at = new Date()) {
+    const onDuty = new Map();
+
+    this.getTonightShifts(shifts, at).forEach(shift => {
+      (shift.pharmacyIds || []).forEach(pharmacyId => {
+        if (onDuty.has(pharmacyId)) return;
+        onDuty.set(pharmacyId, {
+          startsAt: shift.startsAt,
+          endsAt: shift.endsAt,
+          current: shift.startsAt <= at
+        });
+      });
+    });
+
+    return onDuty;
+  },
+
+  /**
+   * Check that a provider named in a shift may be listed as on duty: only
+   * verified pharmacies are put ahead of other emergency providers, whatever
+   * IDs a roster entry holds
+   * @param {Object} provider - Provider data
+   * @returns {boolean} - True for a verified pharmacy
+   */
+  canBeOnDuty(provider) {
+    return !!provider && provider.verified === true && provider.type === 'pharmacy';
+  },
+
+  /**
+   * Put on-duty pharmacies ahead of other emergency providers, without duplicates
+   * @param {Array<Object>} onDuty - On-duty pharmacies
+   * @param {Array<Object>} providers - Other emergency providers
+   * @param {number} limit - Maximum number of results (optional)
+   * @returns {Array<Object>} - Merged list
+   */
+  mergeWithProviders(onDuty, providers, limit = null) {
+    const seen = new Set();
+    const merged = [...(onDuty || []), ...(providers || [])].filter(provider => {
+      if (seen.has(provider.id)) return false;
+      seen.add(provider.id);
+      return true;
+    });
+
+    return limit ? merged.slice(0, limit) : merged;
+  },
+
+  /**
+   * Describe an on-duty shift for display
+   * @param {Object} onDuty - { startsAt, endsAt, current }
+   * @param {string} locale - Locale code
+   * @returns {string} - e.g. "On duty until 08:00"
+   */
+  describeShift(onDuty, locale = 'en') {
+    if (!onDuty) return '';
+
+    const t = (key, fallback, params) => {
+      if (typeof window !== 'undefined' && window.i18n) {
+        const translated = window.i18n.translate(key, params);
+        if (translated && translated !== key) return translated;
+      }
+      return fallback.replace('{{time}}', params.time);
+    };
+    const formatTime = date => new Intl.DateTimeFormat(locale, { hour: '2-digit', minute: '2-digit' }).format(date);
+
+    return onDuty.current
+      ? t('emergency.onDutyUntil', 'On duty until {{time}}', { time: formatTime(this.toDate(onDuty.endsAt)) })
+      : t('emergency.onDutyFrom', 'On duty from {{time}}', { time: formatTime(this.toDate(onDuty.startsAt)) });
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DutyRoster;
+}
+
+if (typeof window !== 'undefined') {
+  window.DutyRoster = DutyRoster;
+}
@@ -0,0 +1,208 @@
+/**
+ * Geo Module
+ * Geohash encoding, radius bounds and distance helpers for nearby search
+ *
+ * functions/geo.js is a copy of this file used by the `syncProviderGeohash`
+ * Cloud Function, so stored and queried geohashes always agree; keep both
+ * identical (checked by __tests__/geo.test.js).
+ */
+
+const Geo = {
+  /**
+   * Base32 alphabet used by geohashes
+   */
+  BASE32: '0123456789bcdefghjkmnpqrstuvwxyz',
+
+  /**
+   * Precision stored on provider documents (~5m cells)
+   */
+  STORED_PRECISION: 9,
+
+  /**
+   * Mean Earth radius in kilometers
+   */
+  EARTH_RADIUS_KM: 6371,
+
+  /**
+   * Encode coordinates into a geohash string
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} precision - Number of characters (default: 9)
+   * @returns {string} - Geohash
+   */
+  encodeGeohash(lat, lng, precision = this.STORED_PRECISION) {
+    const latRange = [-90, 90];
+    const lngRange = [-180, 180];
+    let hash = '';
+    let bit = 0;
+    let charIndex = 0;
+    let evenBit = true;
+
+    while (hash.length < precision) {
+      const range = evenBit ? lngRange : latRange;
+      const value = evenBit ? lng : lat;
+      const mid = (range[0] + range[1]) / 2;
+
+      if (value >= mid) {
+        charIndex = (charIndex << 1) | 1;
+        range[0] = mid;
+      } else {
+        charIndex = charIndex << 1;
+        range[1] = mid;
+      }
+
+      evenBit = !evenBit;
+
+      if (++bit === 5) {
+        hash += this.BASE32[charIndex];
+        bit = 0;
+        charIndex = 0;
+      }
+    }
+
+    return hash;
+  },
+
+  /**
+   * Get the size of a geohash cell in degrees
+   * @param {number} precision - Geohash length
+   * @returns {Object} - { latDegrees, lngDegrees }
+   */
+  getCellSize(precision) {
+    const bits = precision * 5;
+    const lngBits = Math.ceil(bits / 2);
+    const latBits = Math.floor(bits / 2);
+
+    return {
+      latDegrees: 180 / Math.pow(2, latBits),
+      lngDegrees: 360 / Math.pow(2, lngBits)
+    };
+  },
+
+  /**
+   * Get geohash prefix ranges covering a circle around a point.
+   * Uses the cell containing the center plus its 8 neighbours, at the finest
+   * precision whose cells are still at least as large as the radius.
+   * @param {Object} center - { lat, lng }
+   * @param {number} radiusKm - Radius in kilometers
+   * @returns {Array<Array<string>>} - List of [start, end] ranges for orderBy('geohash')
+   */
+  getQueryBounds(center, radiusKm) {
+    const kmPerLatDegree = 110.574;
+    const kmPerLngDegree = 111.320 * Math.cos(center.lat * Math.PI / 180);
+
+    let precision = 1;
+    for (let p = this.STORED_PRECISION; p >= 1; p--) {
+      const cell = this.getCellSize(p);
+      if (cell.latDegrees * kmPerLatDegree >= radiusKm &&
+          cell.lngDegrees * kmPerLngDegree >= radiusKm) {
+        precision = p;
+        break;
+      }
+    }
+
+    const cell = this.getCellSize(precision);
+    const prefixes = new Set();
+
+    [-1, 0, 1].forEach(latStep => {
+      [-1, 0, 1].forEach(lngStep => {
+        const lat = Math.max(-90, Math.min(90, center.lat + latStep * cell.latDegrees));
+        let lng = center.lng + lngStep * cell.lngDegrees;
+        if (lng > 180) lng -= 360;
+        if (lng < -180) lng += 360;
+        prefixes.add(this.encodeGeohash(lat, lng, precision));
+      });
+    });
+
+    return Array.from(prefixes).sort().map(prefix => [prefix, `${prefix}~`]);
+  },
+
+  /**
+   * Great-circle distance between two points (haversine)
+   * @param {Object} from - { lat, lng }
+   * @param {Object} to - { lat, lng }
+   * @returns {number} - Distance in kilometers
+   */
+  distanceKm(from, to) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(to.lat - from.lat);
+    const dLng = toRad(to.lng - from.lng);
+
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) *
+      Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+    return 2 * this.EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  },
+
+  /**
+   * Check whether a value holds usable coordinates
+   * @param {Object} location - { lat, lng }
+   * @returns {boolean} - True if both coordinates are finite numbers
+   */
+  isValidLocation(location) {
+    return !!location &&
+      typeof location.lat === 'number' && isFinite(location.lat) &&
+      typeof location.lng === 'number' && isFinite(location.lng);
+  },
+
+  /**
+   * Format a distance for display
+   * @param {number} km - Distance in kilometers
+   * @returns {string} - e.g. "850 m" or "2.4 km"
+   */
+  formatDistance(km) {
+    if (typeof km !== 'number' || !isFinite(km)) return '';
+    if (km < 1) {
+      return `${Math.max(10, Math.round(km * 100) * 10)} m`;
+    }
+    return `${km < 10 ? km.toFixed(1) : Math.round(km)} km`;
+  },
+
+  /**
+   * Get the user's current position from the browser
+   * @param {Object} options - Geolocation options
+   * @returns {Promise<Object>} - { lat, lng, accuracy }
+   */
+  getCurrentPosition(options = {}) {
+    return new Promise((resolve, reject) => {
+      if (typeof navigator === 'undefined' || !navigator.geolocation) {
+        reject(new Error('Geolocation is not supported by this browser.'));
+        return;
+      }
+
+      navigator.geolocation.getCurrentPosition(
+        position => {
+          resolve({
+            lat: position.coords.latitude,
+            lng: position.coords.longitude,
+            accuracy: position.coords.accuracy
+          });
+        },
+        error => {
+          const messages = {
+            1: 'Location permission denied.',
+            2: 'Your location could not be determined.',
+            3: 'Location request timed out.'
+          };
+          reject(new Error(messages[error.code] || 'Failed to get your location.'));
+        },
+        {
+          enableHighAccuracy: false,
+          timeout: 10000,
+          maximumAge: 5 * 60 * 1000,
+          ...options
+        }
+      );
+    });
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Geo;
+}
+
+if (typeof window !== 'undefined') {
+  window.Geo = Geo;
+}
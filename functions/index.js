@@ -6,38 +6,135 @@
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const Geo = require('./geo');
+const DutyRoster = require('./duty-roster');
+const SearchIndex = require('./search-index');
+const ProviderImport = require('./provider-import');
+const StatsCounters = require('./stats-counters');
+const ReviewRatings = require('./review-ratings');
+const ClaimCodes = require('./claim-codes');
+const ClaimDelivery = require('./claim-delivery');
+const AdLifecycle = require('./ad-lifecycle');
+const ChatbotEngine = require('./chatbot-engine');
+const ChatbotDialog = require('./chatbot-dialog');
+const ChatbotTranscripts = require('./chatbot-transcripts');
+const OfflineDirectory = require('./offline-directory');
+const CallLimits = require('./call-limits');
 
 // Initialize Firebase Admin
 admin.initializeApp();
 
+/**
+ * Public Callable Limits
+ *
+ * Callables that visitors reach without signing in only accept requests
+ * from the app (App Check) and are rate-limited with counters in
+ * `call_limits` (see call-limits.js). Counters carry `expiresAt` for a
+ * Firestore TTL policy.
+ */
+const CALL_LIMITS = 'call_limits';
+
+/**
+ * Check that a call comes from the app, or from a signed-in user when
+ * `allowAuth` is set
+ * @param {Object} context - Callable context
+ * @param {Object} options - { allowAuth }
+ */
+function requireAppCheck(context, options = {}) {
+  if (!context.app && !(options.allowAuth && context.auth)) {
+    throw new functions.https.HttpsError('failed-precondition', 'This request must come from the CityHealth app');
+  }
+}
+
+/**
+ * IP address of the caller
+ * @param {Object} context - Callable context
+ * @returns {string} IP address ('unknown' if not available)
+ */
+function getCallerIp(context) {
+  return (context.rawRequest && context.rawRequest.ip) || 'unknown';
+}
+
+/**
+ * Count a call against a limit, rejecting it once the limit is reached
+ * @param {Object} db - Firestore
+ * @param {string} key - Counter key (see CallLimits.key)
+ * @param {number} limit - Calls allowed per window
+ * @param {number} windowMs - Window length in milliseconds
+ */
+async function consumeCallLimit(db, key, limit, windowMs) {
+  const ref = db.collection(CALL_LIMITS).doc(key);
+
+  const result = await db.runTransaction(async transaction => {
+    const doc = await transaction.get(ref);
+    const result = CallLimits.consume(doc.exists ? doc.data() : null, limit, windowMs, Date.now());
+
+    if (result.allowed) {
+      transaction.set(ref, {
+        ...result.counter,
+        expiresAt: admin.firestore.Timestamp.fromMillis(result.counter.windowStart + windowMs)
+      });
+    }
+
+    return result;
+  });
+
+  if (!result.allowed) {
+    throw new functions.https.HttpsError('resource-exhausted', 'Too many requests. Please try again later.', {
+      retryAt: result.retryAt
+    });
+  }
+}
+
+/**
+ * Chatbot sessions: each conversation gets its ID from startChatbotSession,
+ * which only answers the app (App Check) or signed-in users and is
+ * rate-limited per IP address. recordChatbotTurn only records messages of
+ * these sessions, at most `messagesPerSessionPerHour`; processChatbotMessage
+ * answers at most `messagesPerIpPerHour` per IP address.
+ */
+const CHATBOT_LIMITS = {
+  sessionsPerIpPerHour: 20,
+  messagesPerSessionPerHour: 60,
+  messagesPerIpPerHour: 300
+};
+
 /**
  * Chatbot Message Processing Function
  * 
- * Processes chatbot messages and returns intelligent responses.
- * This function can be enhanced with more sophisticated NLP or AI services.
+ * Processes chatbot messages with ChatbotEngine (chatbot-engine.js), the
+ * engine the web app falls back to, so answers do not depend on whether
+ * this function is reachable. It only answers: the web app records every
+ * message through recordChatbotTurn. Calls must come from the app or a
+ * signed-in user and are rate-limited per IP address.
  * 
  * @param {Object} data - Request data containing message and language
  * @param {Object} context - Function context with auth information
  * @returns {Object} Response with text and optional providers
  */
 exports.processChatbotMessage = functions.https.onCall(async (data, context) => {
-  try {
-    const { message, language = 'en' } = data;
+  requireAppCheck(context, { allowAuth: true });
 
-    if (!message || typeof message !== 'string') {
-      throw new functions.https.HttpsError(
-        'invalid-argument',
-        'Message is required and must be a string'
-      );
-    }
+  const { message, language = 'en' } = data || {};
 
-    // Detect intent from message
-    const intent = detectIntent(message, language);
+  if (!message || typeof message !== 'string') {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Message is required and must be a string'
+    );
+  }
+
+  const db = admin.firestore();
+  await consumeCallLimit(db, CallLimits.key('chat_message_ip', getCallerIp(context)), CHATBOT_LIMITS.messagesPerIpPerHour, 3600000);
 
-    // Get response based on intent
-    const response = await getResponse(intent, message, language);
+  try {
+    // Detect intent and answer with the same engine as the web app
+    const intent = ChatbotEngine.detectIntent(message, language, await getCustomEntries(db));
 
-    return response;
+    return await ChatbotEngine.getResponse(intent, message, language, {
+      db,
+      getEmergencyProviders: () => getEmergencyProviders(db)
+    });
   } catch (error) {
     console.error('Chatbot processing error:', error);
     throw new functions.https.HttpsError(
@@ -49,379 +146,1217 @@ exports.processChatbotMessage = functions.https.onCall(async (data, context) =>
 });
 
 /**
- * Detect user intent from message
- * @param {string} message - User message
- * @param {string} language - Language code
- * @returns {Object} Intent object
- */
-function detectIntent(message, language) {
-  const lowerMessage = message.toLowerCase().trim();
-
-  // Intent patterns for different languages
-  const intentPatterns = {
-    findProvider: {
-      en: ['find', 'search', 'looking for', 'need', 'where', 'doctor', 'clinic', 'hospital', 'pharmacy', 'lab'],
-      fr: ['trouver', 'chercher', 'cherche', 'besoin', 'où', 'docteur', 'clinique', 'hôpital', 'pharmacie', 'laboratoire'],
-      ar: ['ابحث', 'أبحث', 'أريد', 'أين', 'طبيب', 'عيادة', 'مستشفى', 'صيدلية', 'مختبر', 'دكتور']
-    },
-    emergency: {
-      en: ['emergency', 'urgent', 'now', '24/7', 'immediate', 'asap'],
-      fr: ['urgence', 'urgent', 'maintenant', '24/7', 'immédiat', 'tout de suite'],
-      ar: ['طوارئ', 'عاجل', 'الآن', 'فوري', 'مستعجل']
-    },
-    hours: {
-      en: ['hours', 'open', 'close', 'available', 'when', 'time', 'schedule'],
-      fr: ['heures', 'ouvert', 'fermé', 'disponible', 'quand', 'horaire'],
-      ar: ['ساعات', 'مفتوح', 'مغلق', 'متاح', 'متى', 'وقت', 'مواعيد']
-    },
-    accessibility: {
-      en: ['wheelchair', 'accessible', 'disability', 'handicap'],
-      fr: ['fauteuil roulant', 'accessible', 'handicap'],
-      ar: ['كرسي متحرك', 'متاح', 'إعاقة', 'معاق']
-    },
-    homeVisit: {
-      en: ['home visit', 'house call', 'come to', 'visit home'],
-      fr: ['visite à domicile', 'venir à', 'domicile'],
-      ar: ['زيارة منزلية', 'يأتي للمنزل', 'في البيت']
-    },
-    greeting: {
-      en: ['hello', 'hi', 'hey', 'good morning', 'good afternoon', 'good evening'],
-      fr: ['bonjour', 'salut', 'bonsoir'],
-      ar: ['مرحبا', 'السلام عليكم', 'أهلا', 'صباح الخير', 'مساء الخير']
-    },
-    help: {
-      en: ['help', 'how', 'what can', 'assist', 'support'],
-      fr: ['aide', 'comment', 'que peux', 'assister', 'support'],
-      ar: ['مساعدة', 'كيف', 'ماذا يمكن', 'ساعد']
-    }
-  };
+ * Start a chatbot session. The session document is created empty;
+ * countChatbotSessions counts it.
+ *
+ * @param {Object} data - { language }
+ * @returns {Object} { sessionId }
+ */
+exports.startChatbotSession = functions.https.onCall(async (data, context) => {
+  requireAppCheck(context, { allowAuth: true });
 
-  // Check each intent pattern
-  const intents = [];
-  for (const [intentType, patterns] of Object.entries(intentPatterns)) {
-    const languagePatterns = patterns[language] || patterns.en;
-    
-    let matches = 0;
-    for (const pattern of languagePatterns) {
-      if (lowerMessage.includes(pattern.toLowerCase())) {
-        matches++;
-      }
-    }
+  const db = admin.firestore();
+  await consumeCallLimit(db, CallLimits.key('chat_ip', getCallerIp(context)), CHATBOT_LIMITS.sessionsPerIpPerHour, 3600000);
 
-    if (matches > 0) {
-      intents.push({
-        type: intentType,
-        confidence: matches / languagePatterns.length
-      });
-    }
-  }
+  const language = data && ['ar', 'fr', 'en'].includes(data.language) ? data.language : 'en';
+  const sessionRef = await db.collection('chatbot_sessions').add({
+    language,
+    messageCount: 0,
+    unansweredCount: 0,
+    dialog: ChatbotDialog.createState(),
+    issuedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
 
-  // Sort by confidence
-  intents.sort((a, b) => b.confidence - a.confidence);
+  return { sessionId: sessionRef.id };
+});
+
+/**
+ * Get a session issued by startChatbotSession
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {*} sessionId - Session ID sent by the browser
+ * @returns {Promise<Object|null>} Session data, or null if it was not issued here
+ */
+async function getChatbotSession(db, sessionId) {
+  if (typeof sessionId !== 'string' || !/^[A-Za-z0-9]{20}$/.test(sessionId)) {
+    return null;
+  }
 
-  // Return highest confidence intent or unknown
-  return intents.length > 0 
-    ? intents[0] 
-    : { type: 'unknown', confidence: 0 };
+  const doc = await db.collection('chatbot_sessions').doc(sessionId).get();
+  return doc.exists && doc.data().issuedAt ? doc.data() : null;
 }
 
 /**
- * Get response based on intent
- * @param {Object} intent - Detected intent
- * @param {string} message - Original message
- * @param {string} language - Language code
- * @returns {Promise<Object>} Response object
- */
-async function getResponse(intent, message, language) {
-  const intentType = intent.type;
-
-  switch (intentType) {
-    case 'greeting':
-      return getGreetingResponse(language);
-    
-    case 'help':
-      return getHelpResponse(language);
-    
-    case 'emergency':
-      return await getEmergencyResponse(language);
-    
-    case 'findProvider':
-      return await getFindProviderResponse(message, language);
-    
-    case 'hours':
-      return getHoursResponse(language);
-    
-    case 'accessibility':
-      return await getAccessibilityResponse(language);
-    
-    case 'homeVisit':
-      return await getHomeVisitResponse(language);
-    
-    default:
-      return getUnknownResponse(language);
+ * Record a chatbot message, whether processChatbotMessage or the web app
+ * answered it, so transcripts and unanswered questions cover the whole
+ * conversation.
+ *
+ * The intent is worked out here with ChatbotEngine and ChatbotDialog, the
+ * conversation state being kept on the session; replies are not stored.
+ * 
+ * @param {Object} data - { sessionId, message, language }
+ * @returns {Object} { recorded }
+ */
+exports.recordChatbotTurn = functions.https.onCall(async (data, context) => {
+  requireAppCheck(context, { allowAuth: true });
+
+  const { sessionId, message, language = 'en' } = data || {};
+
+  if (!message || typeof message !== 'string') {
+    throw new functions.https.HttpsError('invalid-argument', 'Message must be a string');
   }
-}
+
+  const db = admin.firestore();
+  const session = await getChatbotSession(db, sessionId);
+
+  if (!session) {
+    throw new functions.https.HttpsError('not-found', 'Unknown chatbot session');
+  }
+
+  await consumeCallLimit(db, CallLimits.key('chat_session', sessionId), CHATBOT_LIMITS.messagesPerSessionPerHour, 3600000);
+
+  const intent = ChatbotEngine.detectIntent(message, language, await getCustomEntries(db));
+  const dialog = ChatbotDialog.step(session.dialog, message, intent);
+
+  await recordChatbotMessage(sessionId, language, {
+    message,
+    intent: dialog.handled ? 'dialog' : intent.type
+  }, dialog.state);
+
+  return { recorded: true };
+});
 
 /**
- * Get greeting response
+ * Admin-managed chatbot patterns and answers, read again every
+ * ChatbotEngine.CUSTOM_ENTRIES_TTL_MS by each function instance
  */
-function getGreetingResponse(language) {
-  const responses = {
-    en: "Hello! I'm here to help you find healthcare providers in Sidi Bel Abbès. You can ask me about doctors, clinics, hospitals, pharmacies, or labs. How can I assist you today?",
-    fr: "Bonjour ! Je suis là pour vous aider à trouver des prestataires de soins de santé à Sidi Bel Abbès. Vous pouvez me poser des questions sur les médecins, les cliniques, les hôpitaux, les pharmacies ou les laboratoires. Comment puis-je vous aider aujourd'hui ?",
-    ar: "مرحباً! أنا هنا لمساعدتك في العثور على مقدمي الرعاية الصحية في سيدي بلعباس. يمكنك أن تسألني عن الأطباء أو العيادات أو المستشفيات أو الصيدليات أو المختبرات. كيف يمكنني مساعدتك اليوم؟"
-  };
+let customEntriesCache = { entries: [], loadedAt: 0 };
 
-  return {
-    text: responses[language] || responses.en,
-    suggestions: getQuickReplies(language)
-  };
+/**
+ * Get the enabled chatbot_answers entries. When they cannot be read, the
+ * last entries read are used.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @returns {Promise<Array>} Custom entries
+ */
+async function getCustomEntries(db) {
+  if (Date.now() - customEntriesCache.loadedAt < ChatbotEngine.CUSTOM_ENTRIES_TTL_MS) {
+    return customEntriesCache.entries;
+  }
+
+  try {
+    customEntriesCache = { entries: await ChatbotEngine.loadCustomEntries(db), loadedAt: Date.now() };
+  } catch (error) {
+    console.error('Error loading chatbot answers:', error);
+  }
+
+  return customEntriesCache.entries;
 }
 
 /**
- * Get help response
+ * Check that a provider may appear in chatbot answers: trashed providers
+ * keep their document, with `deletedAt` set, until they are purged
+ * (mirrors Search.isListed in the web app)
+ * @param {Object} provider - Provider data
+ * @returns {boolean} False if the provider is in the trash
  */
-function getHelpResponse(language) {
-  const responses = {
-    en: "I can help you with:\n• Finding doctors, clinics, hospitals, pharmacies, or labs\n• Emergency services (24/7 available)\n• Providers with wheelchair accessibility\n• Providers offering home visits\n• Operating hours and locations\n\nJust ask me what you need!",
-    fr: "Je peux vous aider avec :\n• Trouver des médecins, cliniques, hôpitaux, pharmacies ou laboratoires\n• Services d'urgence (disponibles 24h/24 et 7j/7)\n• Prestataires accessibles en fauteuil roulant\n• Prestataires proposant des visites à domicile\n• Horaires d'ouverture et emplacements\n\nDemandez-moi simplement ce dont vous avez besoin !",
-    ar: "يمكنني مساعدتك في:\n• العثور على الأطباء والعيادات والمستشفيات والصيدليات أو المختبرات\n• خدمات الطوارئ (متاحة 24/7)\n• مقدمي الخدمة مع إمكانية الوصول بالكراسي المتحركة\n• مقدمي الخدمة الذين يقدمون زيارات منزلية\n• ساعات العمل والمواقع\n\nفقط اسألني عما تحتاجه!"
-  };
+function isListed(provider) {
+  return !provider.deletedAt;
+}
 
-  return {
-    text: responses[language] || responses.en,
-    suggestions: getQuickReplies(language)
-  };
+/**
+ * Get pharmacies on duty now or later tonight from the duty roster
+ * (see duty-roster.js). Shift times are returned as ISO strings.
+ * @param {Object} db - Firestore instance
+ * @param {Date} at - Reference time
+ * @returns {Promise<Array>} Pharmacies with `onDuty` { startsAt, endsAt, current }, on duty now first
+ */
+async function getOnDutyPharmacies(db, at = new Date()) {
+  const snapshot = await db.collection('duty_roster')
+    .where('endsAt', '>', at)
+    .orderBy('endsAt')
+    .limit(50)
+    .get();
+
+  const onDuty = DutyRoster.getOnDutyMap(snapshot.docs.map(doc => doc.data()), at);
+
+  if (onDuty.size === 0) {
+    return [];
+  }
+
+  const docs = await db.getAll(...[...onDuty.keys()].map(id => db.collection('providers').doc(id)));
+
+  return docs
+    .filter(doc => doc.exists && isListed(doc.data()) && DutyRoster.canBeOnDuty(doc.data()))
+    .map(doc => {
+      const shift = onDuty.get(doc.id);
+
+      return {
+        id: doc.id,
+        ...doc.data(),
+        onDuty: {
+          startsAt: shift.startsAt.toISOString(),
+          endsAt: shift.endsAt.toISOString(),
+          current: shift.current
+        }
+      };
+    });
 }
 
 /**
- * Get emergency response with 24/7 providers
+ * Get emergency providers for the chatbot: tonight's on-duty pharmacies
+ * first, then verified providers available 24/7
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Array>} Emergency providers
  */
-async function getEmergencyResponse(language) {
-  try {
-    const db = admin.firestore();
-    const snapshot = await db.collection('providers')
+async function getEmergencyProviders(db) {
+  const [onDuty, snapshot] = await Promise.all([
+    getOnDutyPharmacies(db).catch(error => {
+      console.error('Error getting on-duty pharmacies:', error);
+      return [];
+    }),
+    db.collection('providers')
       .where('verified', '==', true)
       .where('available24_7', '==', true)
       .orderBy('rating', 'desc')
       .limit(5)
-      .get();
+      .get()
+  ]);
 
-    const providers = snapshot.docs.map(doc => ({
+  return DutyRoster.mergeWithProviders(onDuty, snapshot.docs
+    .filter(doc => isListed(doc.data()))
+    .map(doc => ({
       id: doc.id,
       ...doc.data()
-    }));
+    })));
+}
 
-    const responses = {
-      en: `I found ${providers.length} emergency healthcare providers available 24/7:`,
-      fr: `J'ai trouvé ${providers.length} prestataires de soins d'urgence disponibles 24h/24 et 7j/7 :`,
-      ar: `وجدت ${providers.length} من مقدمي الرعاية الصحية الطارئة المتاحين على مدار الساعة:`
-    };
-
-    return {
-      text: responses[language] || responses.en,
-      providers: providers,
-      action: 'showProviders'
-    };
-  } catch (error) {
-    console.error('Error getting emergency providers:', error);
-    return getErrorResponse(language);
-  }
+/**
+ * Provider Geohash Sync Trigger
+ * 
+ * Keeps the `geohash` field in sync with `location` so nearby searches can
+ * query a bounded geohash range instead of reading the whole collection.
+ */
+exports.syncProviderGeohash = functions.firestore
+  .document('providers/{providerId}')
+  .onWrite(async (change, context) => {
+    if (!change.after.exists) {
+      return null;
+    }
+
+    const data = change.after.data();
+    const location = data.location;
+
+    const geohash = Geo.isValidLocation(location)
+      ? Geo.encodeGeohash(location.lat, location.lng)
+      : null;
+
+    // Nothing to do, also stops the trigger from re-firing on its own write
+    if ((data.geohash || null) === geohash) {
+      return null;
+    }
+
+    return change.after.ref.update({
+      geohash: geohash || admin.firestore.FieldValue.delete()
+    });
+  });
+
+/**
+ * Provider Listing Trigger
+ * 
+ * Keeps the `listed` field true exactly for verified providers that are not
+ * in the trash, so public searches can filter trashed providers in the query
+ * instead of dropping them from each page afterwards.
+ */
+exports.syncProviderListed = functions.firestore
+  .document('providers/{providerId}')
+  .onWrite(async (change, context) => {
+    if (!change.after.exists) {
+      return null;
+    }
+
+    const data = change.after.data();
+    const listed = isPubliclyListed(data);
+
+    // Nothing to do, also stops the trigger from re-firing on its own write
+    if (data.listed === listed) {
+      return null;
+    }
+
+    return change.after.ref.update({ listed });
+  });
+
+/**
+ * Check that a provider belongs in public searches: verified and not in the trash
+ * @param {Object} provider - Provider data
+ * @returns {boolean} Value of the `listed` field
+ */
+function isPubliclyListed(provider) {
+  return provider.verified === true && isListed(provider);
 }
 
 /**
- * Get find provider response
+ * Provider Duplicate Keys Trigger
+ * 
+ * Keeps `duplicateKeys` (normalized phone, and name within the city, see
+ * provider-import.js) up to date, so the admin import preview finds existing
+ * duplicates with `array-contains-any` queries instead of reading every
+ * provider.
  */
-async function getFindProviderResponse(message, language) {
-  try {
+exports.syncProviderDuplicateKeys = functions.firestore
+  .document('providers/{providerId}')
+  .onWrite(async (change, context) => {
+    if (!change.after.exists) {
+      return null;
+    }
+
+    const data = change.after.data();
+    const duplicateKeys = ProviderImport.getDuplicateKeys(data);
+
+    // Nothing to do, also stops the trigger from re-firing on its own write
+    if (JSON.stringify(data.duplicateKeys || []) === JSON.stringify(duplicateKeys)) {
+      return null;
+    }
+
+    return change.after.ref.update({ duplicateKeys });
+  });
+
+/**
+ * Provider Search Index Trigger
+ * 
+ * Rebuilds the multilingual `searchTokens` index (see search-index.js)
+ * whenever a provider's name, specialty, type or address changes.
+ */
+exports.syncProviderSearchIndex = functions.firestore
+  .document('providers/{providerId}')
+  .onWrite(async (change, context) => {
+    if (!change.after.exists) {
+      return null;
+    }
+
+    const data = change.after.data();
+    const searchTokens = SearchIndex.buildTokens(data);
+
+    // Nothing to do, also stops the trigger from re-firing on its own write
+    if (JSON.stringify(data.searchTokens || []) === JSON.stringify(searchTokens)) {
+      return null;
+    }
+
+    return change.after.ref.update({ searchTokens });
+  });
+
+/**
+ * Search Index Backfill Function
+ * 
+ * Rebuilds `searchTokens` for every provider, e.g. after a change to the
+ * tokenizer or for providers created before the index existed, and sets the
+ * `listed` and `duplicateKeys` fields of providers written before they
+ * existed. Admin only.
+ * 
+ * @returns {Object} Number of providers scanned and updated
+ */
+exports.rebuildSearchIndex = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'You must be signed in');
+  }
+
+  const db = admin.firestore();
+  const userDoc = await db.collection('users').doc(context.auth.uid).get();
+
+  if (!userDoc.exists || userDoc.data().role !== 'admin') {
+    throw new functions.https.HttpsError('permission-denied', 'Only admins can rebuild the search index');
+  }
+
+  const snapshot = await db.collection('providers').get();
+  let updated = 0;
+  let batch = db.batch();
+  let batchCount = 0;
+
+  for (const doc of snapshot.docs) {
+    const updates = {};
+    const searchTokens = SearchIndex.buildTokens(doc.data());
+    const listed = isPubliclyListed(doc.data());
+    const duplicateKeys = ProviderImport.getDuplicateKeys(doc.data());
+
+    if (JSON.stringify(doc.data().searchTokens || []) !== JSON.stringify(searchTokens)) {
+      updates.searchTokens = searchTokens;
+    }
+    if (doc.data().listed !== listed) {
+      updates.listed = listed;
+    }
+    if (JSON.stringify(doc.data().duplicateKeys || []) !== JSON.stringify(duplicateKeys)) {
+      updates.duplicateKeys = duplicateKeys;
+    }
+    if (Object.keys(updates).length === 0) {
+      continue;
+    }
+
+    batch.update(doc.ref, updates);
+    updated++;
+
+    // Firestore batches are limited to 500 writes
+    if (++batchCount === 500) {
+      await batch.commit();
+      batch = db.batch();
+      batchCount = 0;
+    }
+  }
+
+  if (batchCount > 0) {
+    await batch.commit();
+  }
+
+  return { scanned: snapshot.size, updated };
+});
+
+/**
+ * Review Aggregate Trigger
+ * 
+ * Updates a provider's average `rating`, `reviewCount` and `ratingTotal`
+ * whenever one of its reviews is created, edited, moderated or deleted, by
+ * applying the difference the write makes (see review-ratings.js). Hidden
+ * reviews are excluded from the aggregate. Providers rated before
+ * `ratingTotal` was stored are recomputed from their reviews once.
+ */
+exports.onReviewWrite = functions.firestore
+  .document('providers/{providerId}/reviews/{reviewId}')
+  .onWrite(async (change, context) => {
+    const { providerId } = context.params;
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+
+    // Flag counters, text edits and moderation notes do not affect the aggregate
+    const delta = ReviewRatings.getDelta(before, after);
+    if (delta.count === 0 && delta.total === 0) {
+      return null;
+    }
+
+    try {
+      const db = admin.firestore();
+      const providerRef = db.collection('providers').doc(providerId);
+
+      await db.runTransaction(async (transaction) => {
+        const providerDoc = await transaction.get(providerRef);
+        if (!providerDoc.exists) {
+          return;
+        }
+
+        const provider = providerDoc.data();
+        let aggregate;
+
+        if (typeof provider.ratingTotal === 'number') {
+          aggregate = ReviewRatings.apply(provider, delta);
+        } else {
+          // The reviews read here already include this write
+          const reviews = await transaction.get(providerRef.collection('reviews')
+            .where('status', 'in', ReviewRatings.COUNTED_STATUSES));
+          aggregate = ReviewRatings.fromReviews(reviews.docs.map(doc => doc.data()));
+        }
+
+        transaction.update(providerRef, {
+          ...aggregate,
+          ratingUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+    } catch (error) {
+      console.error('Error updating provider rating:', error);
+    }
+
+    return null;
+  });
+
+/**
+ * Review Flag Trigger
+ * 
+ * Moves a review into the admin moderation queue when a user reports it.
+ * Reviews already approved by a moderator stay published but keep counting flags.
+ */
+exports.onReviewFlagged = functions.firestore
+  .document('providers/{providerId}/reviews/{reviewId}/flags/{flaggerId}')
+  .onCreate(async (snapshot, context) => {
+    const { providerId, reviewId } = context.params;
     const db = admin.firestore();
-    
-    // Simple query for verified providers
+    const reviewRef = db.collection('providers').doc(providerId)
+      .collection('reviews').doc(reviewId);
+
+    try {
+      await db.runTransaction(async (transaction) => {
+        const reviewDoc = await transaction.get(reviewRef);
+        if (!reviewDoc.exists) {
+          return;
+        }
+
+        const review = reviewDoc.data();
+        const updates = {
+          flagCount: admin.firestore.FieldValue.increment(1),
+          lastFlaggedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        if (review.status === 'published' && !review.moderatedAt) {
+          updates.status = 'flagged';
+        }
+
+        transaction.update(reviewRef, updates);
+      });
+    } catch (error) {
+      console.error('Error flagging review:', error);
+    }
+
+    return null;
+  });
+
+/**
+ * Trash Purge
+ * 
+ * Permanently deletes providers whose trash retention window (`purgeAt`,
+ * set by adminModule.deleteProvider) has passed, with their subcollections
+ * (reviews, booked slots) and their images in Storage.
+ */
+exports.purgeTrashedProviders = functions.pubsub
+  .schedule('every day 03:00')
+  .timeZone('Africa/Algiers')
+  .onRun(async () => {
+    const db = admin.firestore();
+    const bucket = admin.storage().bucket();
+
     const snapshot = await db.collection('providers')
-      .where('verified', '==', true)
-      .orderBy('rating', 'desc')
-      .limit(5)
+      .where('purgeAt', '<=', admin.firestore.Timestamp.now())
+      .limit(100)
       .get();
 
-    const providers = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    for (const doc of snapshot.docs) {
+      const data = doc.data();
 
-    if (providers.length === 0) {
-      const responses = {
-        en: "I couldn't find any providers matching your request. Try searching for doctors, clinics, hospitals, pharmacies, or labs.",
-        fr: "Je n'ai trouvé aucun prestataire correspondant à votre demande. Essayez de rechercher des médecins, des cliniques, des hôpitaux, des pharmacies ou des laboratoires.",
-        ar: "لم أتمكن من العثور على أي مقدمي خدمة يطابقون طلبك. حاول البحث عن الأطباء أو العيادات أو المستشفيات أو الصيدليات أو المختبرات."
-      };
+      // Restored in the meantime
+      if (!data.deletedAt) {
+        continue;
+      }
 
-      return {
-        text: responses[language] || responses.en,
-        suggestions: getQuickReplies(language)
-      };
+      try {
+        await bucket.deleteFiles({ prefix: `provider-images/${doc.id}/` });
+        await db.recursiveDelete(doc.ref);
+
+        await db.collection('admin_logs').add({
+          action: 'purge_provider',
+          providerId: doc.id,
+          adminId: 'system',
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+          data: { name: data.name || null, deletedAt: data.deletedAt, deletedBy: data.deletedBy || null }
+        });
+      } catch (error) {
+        console.error(`Error purging provider ${doc.id}:`, error);
+      }
     }
 
-    const responses = {
-      en: `I found ${providers.length} healthcare providers for you:`,
-      fr: `J'ai trouvé ${providers.length} prestataires de soins de santé pour vous :`,
-      ar: `وجدت ${providers.length} من مقدمي الرعاية الصحية لك:`
-    };
+    return null;
+  });
 
-    return {
-      text: responses[language] || responses.en,
-      providers: providers,
-      action: 'showProviders'
-    };
-  } catch (error) {
-    console.error('Error finding providers:', error);
-    return getErrorResponse(language);
+/**
+ * Verification Expiry
+ *
+ * Removes the verified badge of providers whose verification validity
+ * (`verifiedUntil`, set by adminModule.approveVerification) has passed.
+ * The provider dashboard then asks them to submit a renewal request.
+ */
+exports.expireVerifications = functions.pubsub
+  .schedule('every day 02:00')
+  .timeZone('Africa/Algiers')
+  .onRun(async () => {
+    const db = admin.firestore();
+
+    const snapshot = await db.collection('providers')
+      .where('verified', '==', true)
+      .where('verifiedUntil', '<=', admin.firestore.Timestamp.now())
+      .limit(200)
+      .get();
+
+    for (const doc of snapshot.docs) {
+      try {
+        await doc.ref.update({
+          verified: false,
+          verificationExpired: true,
+          verificationExpiredAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        await db.collection('admin_logs').add({
+          action: 'expire_verification',
+          providerId: doc.id,
+          adminId: 'system',
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+          oldData: { verified: true },
+          newData: { verified: false, verificationExpired: true }
+        });
+      } catch (error) {
+        console.error(`Error expiring verification of provider ${doc.id}:`, error);
+      }
+    }
+
+    return null;
+  });
+
+/**
+ * Offline Directory Snapshot
+ *
+ * Publishes the compact snapshot of verified providers (see
+ * offline-directory.js) to `offline_directory/current`, which devices
+ * download for offline search instead of reading every provider. Devices
+ * refresh their copy every 12 hours, so it is published more often than that.
+ */
+exports.publishOfflineDirectory = functions.pubsub
+  .schedule('every 4 hours')
+  .timeZone('Africa/Algiers')
+  .onRun(async () => {
+    const db = admin.firestore();
+
+    const snapshot = await db.collection('providers')
+      .where('verified', '==', true)
+      .get();
+
+    const directory = OfflineDirectory.createSnapshot(
+      snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    );
+
+    await db.doc(OfflineDirectory.SNAPSHOT_DOC).set(directory);
+
+    console.log(`Published offline directory with ${directory.providers.length} providers`);
+    return null;
+  });
+
+/**
+ * Profile Claim by Phone
+ * 
+ * A provider proves they own a preloaded profile with a one-time code sent
+ * to the phone number already listed on it (see claim-codes.js and
+ * claim-delivery.js). Pending codes live in `claim_codes/{providerId}`,
+ * which clients cannot read.
+ */
+const CLAIM_CODES = 'claim_codes';
+
+/**
+ * Check that the caller is a signed-in provider
+ * @param {Object} context - Callable context
+ * @returns {Promise<string>} Caller UID
+ */
+async function requireProvider(context) {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'You must be signed in');
+  }
+
+  const userDoc = await admin.firestore().collection('users').doc(context.auth.uid).get();
+
+  if (!userDoc.exists || userDoc.data().role !== 'provider') {
+    throw new functions.https.HttpsError('permission-denied', 'Only providers can claim profiles');
   }
+
+  return context.auth.uid;
 }
 
 /**
- * Get hours response
+ * Open an ownership dispute between the current owner of a profile and
+ * another claimant
+ * @param {Object} writer - Transaction or batch
+ * @param {Object} db - Firestore
+ * @param {Object} dispute - { providerId, providerName, claimantId, ownerId, source, reason, verificationId }
  */
-function getHoursResponse(language) {
-  const responses = {
-    en: "To see operating hours for a specific provider, please search for them and view their profile. You can also filter for 24/7 emergency services if you need immediate care.",
-    fr: "Pour voir les heures d'ouverture d'un prestataire spécifique, veuillez le rechercher et consulter son profil. Vous pouvez également filtrer les services d'urgence 24h/24 et 7j/7 si vous avez besoin de soins immédiats.",
-    ar: "لمعرفة ساعات العمل لمقدم خدمة معين، يرجى البحث عنه وعرض ملفه الشخصي. يمكنك أيضًا تصفية خدمات الطوارئ على مدار الساعة إذا كنت بحاجة إلى رعاية فورية."
-  };
+function addClaimDispute(writer, db, dispute) {
+  writer.set(db.collection('claim_disputes').doc(), {
+    verificationId: null,
+    reason: '',
+    documents: [],
+    ...dispute,
+    status: 'open',
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+exports.requestClaimCode = functions.https.onCall(async (data, context) => {
+  const uid = await requireProvider(context);
+  const { providerId, language = 'fr' } = data || {};
+
+  if (!providerId || typeof providerId !== 'string') {
+    throw new functions.https.HttpsError('invalid-argument', 'Provider ID is required');
+  }
+
+  const db = admin.firestore();
+  const providerRef = db.collection('providers').doc(providerId);
+  const codeRef = db.collection(CLAIM_CODES).doc(providerId);
+  const code = ClaimCodes.generateCode();
+  const now = Date.now();
+
+  const phone = await db.runTransaction(async transaction => {
+    const [providerDoc, codeDoc] = await Promise.all([transaction.get(providerRef), transaction.get(codeRef)]);
+    const provider = providerDoc.exists ? providerDoc.data() : null;
+
+    if (!provider || !isListed(provider)) {
+      throw new functions.https.HttpsError('not-found', 'Provider profile not found');
+    }
+
+    if (provider.claimed) {
+      throw new functions.https.HttpsError('failed-precondition', provider.ownerId === uid
+        ? 'You already manage this profile'
+        : 'This profile has already been claimed. You can open a dispute instead.');
+    }
+
+    if (!provider.preloaded) {
+      throw new functions.https.HttpsError('failed-precondition', 'This profile is not available for claiming');
+    }
+
+    if (!provider.phone) {
+      throw new functions.https.HttpsError('failed-precondition', 'This profile has no phone number. Claim it with documents instead.');
+    }
+
+    const sends = ClaimCodes.pruneSends(codeDoc.exists ? codeDoc.data().sends : [], now);
+    const limit = ClaimCodes.checkRateLimit(sends, uid, now);
+
+    if (!limit.allowed) {
+      throw new functions.https.HttpsError('resource-exhausted', 'Too many codes requested. Please try again later.', {
+        retryAt: limit.retryAt
+      });
+    }
+
+    transaction.set(codeRef, {
+      providerId: providerId,
+      sends: [...sends, { userId: uid, at: now }],
+      codes: {
+        [uid]: {
+          hash: ClaimCodes.hashCode(code, `${providerId}:${uid}`),
+          expiresAt: now + ClaimCodes.CODE_TTL_MINUTES * 60000,
+          attempts: 0
+        }
+      }
+    }, { merge: true });
+
+    return provider.phone;
+  });
+
+  try {
+    await ClaimDelivery.send(phone, ClaimDelivery.message(code, ClaimCodes.CODE_TTL_MINUTES, language));
+  } catch (error) {
+    console.error(`Error delivering claim code for provider ${providerId}:`, error);
+    throw new functions.https.HttpsError('unavailable', 'The code could not be sent. Please try again later.');
+  }
 
   return {
-    text: responses[language] || responses.en,
-    suggestions: [
-      { text: language === 'ar' ? 'خدمات الطوارئ' : language === 'fr' ? 'Services d\'urgence' : 'Emergency services', action: 'emergency' }
-    ]
+    maskedPhone: ClaimCodes.maskPhone(phone),
+    expiresAt: now + ClaimCodes.CODE_TTL_MINUTES * 60000,
+    attempts: ClaimCodes.MAX_ATTEMPTS
   };
+});
+
+exports.verifyClaimCode = functions.https.onCall(async (data, context) => {
+  const uid = await requireProvider(context);
+  const { providerId } = data || {};
+  const code = ClaimCodes.normalizeCode(data?.code);
+
+  if (!providerId || typeof providerId !== 'string' || code.length !== ClaimCodes.CODE_LENGTH) {
+    throw new functions.https.HttpsError('invalid-argument', `Enter the ${ClaimCodes.CODE_LENGTH}-digit code`);
+  }
+
+  const db = admin.firestore();
+  const providerRef = db.collection('providers').doc(providerId);
+  const codeRef = db.collection(CLAIM_CODES).doc(providerId);
+
+  // Outcomes that must still commit (attempt counts, disputes) are returned
+  // rather than thrown, since throwing rolls the transaction back
+  const result = await db.runTransaction(async transaction => {
+    const [providerDoc, codeDoc] = await Promise.all([transaction.get(providerRef), transaction.get(codeRef)]);
+    const entry = codeDoc.exists ? (codeDoc.data().codes || {})[uid] : null;
+
+    if (!entry) {
+      return { status: 'missing' };
+    }
+
+    if (entry.expiresAt < Date.now()) {
+      transaction.update(codeRef, { [`codes.${uid}`]: admin.firestore.FieldValue.delete() });
+      return { status: 'expired' };
+    }
+
+    if (entry.attempts >= ClaimCodes.MAX_ATTEMPTS) {
+      return { status: 'locked' };
+    }
+
+    if (!ClaimCodes.matches(code, entry.hash, `${providerId}:${uid}`)) {
+      transaction.update(codeRef, { [`codes.${uid}.attempts`]: admin.firestore.FieldValue.increment(1) });
+      return { status: 'wrong', attemptsLeft: ClaimCodes.MAX_ATTEMPTS - entry.attempts - 1 };
+    }
+
+    transaction.update(codeRef, { [`codes.${uid}`]: admin.firestore.FieldValue.delete() });
+
+    const provider = providerDoc.exists ? providerDoc.data() : null;
+
+    if (!provider || !isListed(provider)) {
+      return { status: 'not_found' };
+    }
+
+    // Claimed by someone else since the code was sent: the phone proof
+    // goes to an admin instead
+    if (provider.claimed && provider.ownerId !== uid) {
+      addClaimDispute(transaction, db, {
+        providerId: providerId,
+        providerName: provider.name || '',
+        claimantId: uid,
+        ownerId: provider.ownerId || null,
+        source: 'phone_code'
+      });
+      return { status: 'disputed' };
+    }
+
+    transaction.update(providerRef, {
+      claimed: true,
+      ownerId: uid,
+      claimedAt: admin.firestore.FieldValue.serverTimestamp(),
+      claimMethod: 'phone'
+    });
+
+    return { status: 'claimed', provider };
+  });
+
+  switch (result.status) {
+    case 'missing':
+      throw new functions.https.HttpsError('failed-precondition', 'No code was requested for this profile. Request a new code.');
+    case 'expired':
+      throw new functions.https.HttpsError('deadline-exceeded', 'This code has expired. Request a new code.');
+    case 'locked':
+      throw new functions.https.HttpsError('resource-exhausted', 'Too many wrong attempts. Request a new code.');
+    case 'wrong':
+      throw new functions.https.HttpsError('permission-denied', 'Incorrect code', { attemptsLeft: result.attemptsLeft });
+    case 'not_found':
+      throw new functions.https.HttpsError('not-found', 'Provider profile not found');
+    case 'disputed':
+      return { claimed: false, disputed: true };
+    default:
+      break;
+  }
+
+  await db.collection('admin_logs').add({
+    action: 'claim_profile',
+    providerId: providerId,
+    adminId: 'system',
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    method: 'phone',
+    oldData: { claimed: false, ownerId: result.provider.ownerId || null },
+    newData: { claimed: true, ownerId: uid }
+  });
+
+  // Document claims other providers filed for the same profile become disputes
+  const openClaims = await db.collection('verifications')
+    .where('providerId', '==', providerId)
+    .where('type', '==', 'claim')
+    .where('status', 'in', ['pending', 'info_requested'])
+    .get();
+
+  const batch = db.batch();
+  openClaims.docs
+    .filter(doc => doc.data().userId !== uid)
+    .forEach(doc => addClaimDispute(batch, db, {
+      providerId: providerId,
+      providerName: result.provider.name || '',
+      claimantId: doc.data().userId,
+      ownerId: uid,
+      source: 'concurrent_claim',
+      verificationId: doc.id
+    }));
+  await batch.commit();
+
+  return { claimed: true, disputed: false };
+});
+
+/**
+ * Ad Impressions and Clicks
+ * 
+ * Browsers batch the impressions and clicks of the ads they showed (see
+ * ads.js) and send only counts, which are added to the ad's totals and to
+ * `ads/{adId}/daily/{YYYY-MM-DD}`. Calls must come from the app and are
+ * rate-limited per IP address and per browser session. Each session counts
+ * at most `sessionImpressions` impressions (the frequency cap of
+ * ad-targeting.js) and one click per ad, tracked in
+ * `ad_event_sessions/{sessionId}`. The session ID is random and not linked to
+ * the visitor.
+ */
+const AD_EVENT_LIMITS = {
+  ads: 20,
+  impressions: 20,
+  clicks: 5,
+  sessionImpressions: 3,
+  sessionClicks: 1,
+  callsPerIpPerHour: 300,
+  callsPerSessionPerHour: 60
+};
+
+const AD_EVENT_SESSIONS = 'ad_event_sessions';
+
+/**
+ * Sanitize a count sent by a browser
+ * @param {*} value - Count
+ * @param {number} max - Highest accepted count per call
+ * @returns {number} Integer between 0 and max
+ */
+function toEventCount(value, max) {
+  return Number.isInteger(value) && value > 0 ? Math.min(value, max) : 0;
 }
 
+exports.recordAdEvents = functions.https.onCall(async (data, context) => {
+  requireAppCheck(context);
+
+  const events = data && data.events;
+  const sessionId = data && data.sessionId;
+
+  if (!events || typeof events !== 'object' || Array.isArray(events)) {
+    throw new functions.https.HttpsError('invalid-argument', 'Events must be counts keyed by ad ID');
+  }
+
+  if (typeof sessionId !== 'string' || !/^[A-Za-z0-9_-]{16,64}$/.test(sessionId)) {
+    throw new functions.https.HttpsError('invalid-argument', 'A valid session ID is required');
+  }
+
+  const db = admin.firestore();
+  const hour = 3600000;
+
+  await consumeCallLimit(db, CallLimits.key('ads_ip', getCallerIp(context)), AD_EVENT_LIMITS.callsPerIpPerHour, hour);
+  await consumeCallLimit(db, CallLimits.key('ads_session', sessionId), AD_EVENT_LIMITS.callsPerSessionPerHour, hour);
+
+  const requested = Object.entries(events)
+    .slice(0, AD_EVENT_LIMITS.ads)
+    .map(([adId, counts]) => ({
+      adId,
+      impressions: toEventCount(counts && counts.impressions, AD_EVENT_LIMITS.impressions),
+      clicks: toEventCount(counts && counts.clicks, AD_EVENT_LIMITS.clicks)
+    }))
+    .filter(event => (event.impressions || event.clicks) && /^[A-Za-z0-9_-]{1,64}$/.test(event.adId));
+
+  if (requested.length === 0) {
+    return { recorded: 0 };
+  }
+
+  const now = new Date();
+  const day = StatsCounters.dayKey(now);
+  const sessionRef = db.collection(AD_EVENT_SESSIONS).doc(sessionId);
+
+  const recorded = await db.runTransaction(async transaction => {
+    const sessionDoc = await transaction.get(sessionRef);
+    const adDocs = await Promise.all(requested.map(event => transaction.get(db.collection('ads').doc(event.adId))));
+    const sessionCounts = sessionDoc.exists ? sessionDoc.data().counts || {} : {};
+    let recorded = 0;
+
+    requested.forEach((event, index) => {
+      const adDoc = adDocs[index];
+
+      // Only count ads that are currently being served
+      if (!adDoc.exists || !AdLifecycle.isServing(adDoc.data(), now)) {
+        return;
+      }
+
+      // Events this session already reported are not counted again
+      const seen = sessionCounts[event.adId] || {};
+      const impressions = CallLimits.remaining(seen.impressions, event.impressions, AD_EVENT_LIMITS.sessionImpressions);
+      const clicks = CallLimits.remaining(seen.clicks, event.clicks, AD_EVENT_LIMITS.sessionClicks);
+
+      if (!impressions && !clicks) {
+        return;
+      }
+
+      const increments = {
+        impressions: admin.firestore.FieldValue.increment(impressions),
+        clicks: admin.firestore.FieldValue.increment(clicks)
+      };
+
+      transaction.update(adDoc.ref, increments);
+      transaction.set(adDoc.ref.collection('daily').doc(day), { date: day, ...increments }, { merge: true });
+      sessionCounts[event.adId] = {
+        impressions: (seen.impressions || 0) + impressions,
+        clicks: (seen.clicks || 0) + clicks
+      };
+      recorded++;
+    });
+
+    if (recorded > 0) {
+      transaction.set(sessionRef, {
+        counts: sessionCounts,
+        expiresAt: admin.firestore.Timestamp.fromMillis(now.getTime() + 24 * hour)
+      });
+    }
+
+    return recorded;
+  });
+
+  return { recorded };
+});
+
 /**
- * Get accessibility response
+ * Ad Lifecycle
+ * 
+ * Moves ads through their states on schedule (see ad-lifecycle.js):
+ * approved ads become active on their start date, approved, active and
+ * paused ads expire on their end date, and expired ads are archived after
+ * AdLifecycle.ARCHIVE_AFTER_DAYS. Providers get a notification
+ * AdLifecycle.EXPIRY_NOTICE_DAYS before their ad ends.
  */
-async function getAccessibilityResponse(language) {
-  try {
+const AD_LIFECYCLE_BATCH = 100;
+
+exports.updateAdLifecycle = functions.pubsub
+  .schedule('every 15 minutes')
+  .timeZone(StatsCounters.TIME_ZONE)
+  .onRun(async () => {
     const db = admin.firestore();
-    const snapshot = await db.collection('providers')
-      .where('verified', '==', true)
-      .where('accessibility', '==', true)
-      .orderBy('rating', 'desc')
-      .limit(5)
-      .get();
+    const now = new Date();
+    const timestamp = admin.firestore.FieldValue.serverTimestamp();
+    const at = days => admin.firestore.Timestamp.fromMillis(now.getTime() + days * 86400000);
+    const ads = db.collection('ads');
 
-    const providers = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    // Each query is capped so one run stays within a single batch (500 writes)
+    const [starting, ending, endingSoon, archivable] = await Promise.all([
+      ads.where('status', '==', 'approved').where('startDate', '<=', at(0)).limit(AD_LIFECYCLE_BATCH).get(),
+      ads.where('status', 'in', ['approved', 'active', 'paused']).where('endDate', '<=', at(0)).limit(AD_LIFECYCLE_BATCH).get(),
+      // Only ads not notified yet, so notified ones do not fill the batch
+      // (ads are created and renewed with `expiryNoticeSentAt: null`)
+      ads.where('status', 'in', ['approved', 'active']).where('expiryNoticeSentAt', '==', null)
+        .where('endDate', '<=', at(AdLifecycle.EXPIRY_NOTICE_DAYS)).limit(AD_LIFECYCLE_BATCH).get(),
+      ads.where('status', '==', 'expired').where('archived', '==', false)
+        .where('endDate', '<=', at(-AdLifecycle.ARCHIVE_AFTER_DAYS)).limit(AD_LIFECYCLE_BATCH).get()
+    ]);
 
-    const responses = {
-      en: `I found ${providers.length} wheelchair-accessible healthcare providers:`,
-      fr: `J'ai trouvé ${providers.length} prestataires de soins de santé accessibles en fauteuil roulant :`,
-      ar: `وجدت ${providers.length} من مقدمي الرعاية الصحية الذين يمكن الوصول إليهم بالكراسي المتحركة:`
-    };
-
-    return {
-      text: responses[language] || responses.en,
-      providers: providers,
-      action: 'showProviders'
-    };
-  } catch (error) {
-    console.error('Error getting accessible providers:', error);
-    return getErrorResponse(language);
+    const batch = db.batch();
+    const counts = { activated: 0, expired: 0, notified: 0, archived: 0 };
+    const updated = new Set();
+
+    [...ending.docs, ...starting.docs].forEach(doc => {
+      const status = AdLifecycle.scheduledStatus(doc.data(), now);
+
+      if (updated.has(doc.id) || status === doc.data().status) {
+        return;
+      }
+
+      batch.update(doc.ref, status === 'expired'
+        ? { status, archived: false, expiredAt: timestamp, updatedAt: timestamp }
+        : { status, activatedAt: timestamp, updatedAt: timestamp });
+      updated.add(doc.id);
+      counts[status === 'expired' ? 'expired' : 'activated']++;
+    });
+
+    endingSoon.docs
+      .filter(doc => AdLifecycle.needsExpiryNotice(doc.data(), now))
+      .forEach(doc => {
+        const ad = doc.data();
+
+        batch.update(doc.ref, { expiryNoticeSentAt: timestamp });
+        batch.set(db.collection('notifications').doc(), {
+          userId: ad.userId,
+          type: 'ad_expiring',
+          adId: doc.id,
+          title: ad.title || '',
+          endDate: ad.endDate,
+          read: false,
+          createdAt: timestamp
+        });
+        counts.notified++;
+      });
+
+    archivable.docs
+      .filter(doc => AdLifecycle.shouldArchive(doc.data(), now))
+      .forEach(doc => {
+        batch.update(doc.ref, { archived: true, archivedAt: timestamp });
+        counts.archived++;
+      });
+
+    if (counts.activated + counts.expired + counts.notified + counts.archived > 0) {
+      await batch.commit();
+    }
+
+    console.log('Ad lifecycle updated:', counts);
+    return null;
+  });
+
+/**
+ * Dashboard Statistics
+ * 
+ * Counters in the `stats/current` document are maintained by the triggers
+ * below (see stats-counters.js), and a copy is saved to `stats_daily/{day}`
+ * every night so the admin dashboard can show trends.
+ */
+const STATS_DOC = 'stats/current';
+const ACTIVE_USER_DAYS = 30;
+
+/**
+ * Apply the counter changes of a document write to the stats document
+ * @param {Object} change - Trigger change
+ * @param {Function} countersOf - StatsCounters function for the collection
+ * @returns {Promise|null} Write promise, or null if no counter changed
+ */
+function applyStatsChange(change, countersOf) {
+  const before = change.before.exists ? countersOf.call(StatsCounters, change.before.data()) : [];
+  const after = change.after.exists ? countersOf.call(StatsCounters, change.after.data()) : [];
+  const update = StatsCounters.toUpdate(before, after, admin.firestore.FieldValue.increment);
+
+  if (!update) {
+    return null;
   }
+
+  update.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+
+  return admin.firestore().doc(STATS_DOC).set(update, { merge: true })
+    .catch(error => console.error('Error updating stats counters:', error));
 }
 
+exports.countProviderStats = functions.firestore
+  .document('providers/{providerId}')
+  .onWrite(change => applyStatsChange(change, StatsCounters.providerCounters));
+
+exports.countUserStats = functions.firestore
+  .document('users/{userId}')
+  .onWrite(change => applyStatsChange(change, StatsCounters.userCounters));
+
+exports.countVerificationStats = functions.firestore
+  .document('verifications/{verificationId}')
+  .onWrite(change => applyStatsChange(change, StatsCounters.verificationCounters));
+
+exports.countChatbotSessions = functions.firestore
+  .document('chatbot_sessions/{sessionId}')
+  .onCreate(() => admin.firestore().doc(STATS_DOC).set({
+    chatbot: { sessions: admin.firestore.FieldValue.increment(1) },
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true }));
+
 /**
- * Get home visit response
+ * Count a chatbot message and add it, anonymized, to the session transcript
+ * in `chatbot_sessions/{sessionId}/messages`, keeping the conversation
+ * state used by recordChatbotTurn on the session.
+ * Messages that fell through to the unknown answer are also added to
+ * `chatbot_unmatched` for admins to review.
+ * Failures are logged and never fail the chat itself.
+ * @param {string} sessionId - Session issued by startChatbotSession
+ * @param {string} language - Language code
+ * @param {Object} turn - { message, intent }
+ * @param {Object} dialog - Conversation state after the message (see ChatbotDialog.step)
  */
-async function getHomeVisitResponse(language) {
-  try {
-    const db = admin.firestore();
-    const snapshot = await db.collection('providers')
-      .where('verified', '==', true)
-      .where('homeVisits', '==', true)
-      .orderBy('rating', 'desc')
-      .limit(5)
-      .get();
+async function recordChatbotMessage(sessionId, language, turn, dialog) {
+  const db = admin.firestore();
+  const entry = ChatbotTranscripts.createEntry({ ...turn, language });
+  const sessionRef = db.collection('chatbot_sessions').doc(sessionId);
+  const writes = [
+    db.doc(STATS_DOC).set({
+      chatbot: { messages: admin.firestore.FieldValue.increment(1) },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true }),
+    sessionRef.set({
+      language: entry.language,
+      messageCount: admin.firestore.FieldValue.increment(1),
+      unansweredCount: admin.firestore.FieldValue.increment(entry.answered ? 0 : 1),
+      lastMessageAt: admin.firestore.FieldValue.serverTimestamp(),
+      dialog
+    }, { merge: true }),
+    sessionRef.collection('messages').add({
+      ...entry,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    })
+  ];
 
-    const providers = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
+  if (!entry.answered && entry.text) {
+    writes.push(db.collection('chatbot_unmatched').add({
+      text: entry.text,
+      language: entry.language,
+      sessionId,
+      status: 'open',
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
     }));
+  }
 
-    const responses = {
-      en: `I found ${providers.length} healthcare providers offering home visits:`,
-      fr: `J'ai trouvé ${providers.length} prestataires de soins de santé proposant des visites à domicile :`,
-      ar: `وجدت ${providers.length} من مقدمي الرعاية الصحية الذين يقدمون زيارات منزلية:`
-    };
-
-    return {
-      text: responses[language] || responses.en,
-      providers: providers,
-      action: 'showProviders'
-    };
+  try {
+    await Promise.all(writes);
   } catch (error) {
-    console.error('Error getting home visit providers:', error);
-    return getErrorResponse(language);
+    console.error('Error recording chatbot message:', error);
   }
 }
 
 /**
- * Get unknown intent response
+ * Count users who signed in within ACTIVE_USER_DAYS
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @returns {Promise<number>} Active users
  */
-function getUnknownResponse(language) {
-  const responses = {
-    en: "I'm not sure I understand. I can help you find healthcare providers, emergency services, or answer questions about accessibility and home visits. What would you like to know?",
-    fr: "Je ne suis pas sûr de comprendre. Je peux vous aider à trouver des prestataires de soins de santé, des services d'urgence ou répondre à des questions sur l'accessibilité et les visites à domicile. Que voudriez-vous savoir ?",
-    ar: "لست متأكدًا من أنني أفهم. يمكنني مساعدتك في العثور على مقدمي الرعاية الصحية أو خدمات الطوارئ أو الإجابة على أسئلة حول إمكانية الوصول والزيارات المنزلية. ماذا تريد أن تعرف؟"
-  };
+async function countActiveUsers(db) {
+  const since = new Date(Date.now() - ACTIVE_USER_DAYS * 24 * 60 * 60 * 1000);
+  const snapshot = await db.collection('users')
+    .where('lastLoginAt', '>=', admin.firestore.Timestamp.fromDate(since))
+    .count()
+    .get();
 
-  return {
-    text: responses[language] || responses.en,
-    suggestions: getQuickReplies(language)
-  };
+  return snapshot.data().count;
 }
 
 /**
- * Get error response
+ * Daily Statistics Snapshot
+ * 
+ * Refreshes the active user count, which no trigger can maintain, and copies
+ * the counters to `stats_daily/{YYYY-MM-DD}`.
  */
-function getErrorResponse(language) {
-  const responses = {
-    en: "I'm sorry, I encountered an error. Please try again or use the search function to find providers.",
-    fr: "Je suis désolé, j'ai rencontré une erreur. Veuillez réessayer ou utiliser la fonction de recherche pour trouver des prestataires.",
-    ar: "أنا آسف، واجهت خطأ. يرجى المحاولة مرة أخرى أو استخدام وظيفة البحث للعثور على مقدمي الخدمة."
-  };
+exports.snapshotDailyStats = functions.pubsub
+  .schedule('55 23 * * *')
+  .timeZone(StatsCounters.TIME_ZONE)
+  .onRun(async () => {
+    const db = admin.firestore();
+    const statsRef = db.doc(STATS_DOC);
 
-  return {
-    text: responses[language] || responses.en,
-    error: true
-  };
-}
+    const activeUsers = await countActiveUsers(db);
+    await statsRef.set({ users: { active: activeUsers } }, { merge: true });
+
+    const statsDoc = await statsRef.get();
+    const { updatedAt, ...counters } = statsDoc.data();
+    const date = StatsCounters.dayKey();
+
+    await db.collection('stats_daily').doc(date).set({
+      ...counters,
+      date,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return null;
+  });
 
 /**
- * Get quick reply suggestions
- */
-function getQuickReplies(language) {
-  const replies = {
-    en: [
-      { text: 'Find a doctor', action: 'findDoctor' },
-      { text: 'Emergency services', action: 'emergency' },
-      { text: 'Wheelchair accessible', action: 'accessibility' },
-      { text: 'Home visits', action: 'homeVisit' }
-    ],
-    fr: [
-      { text: 'Trouver un médecin', action: 'findDoctor' },
-      { text: 'Services d\'urgence', action: 'emergency' },
-      { text: 'Accessible en fauteuil roulant', action: 'accessibility' },
-      { text: 'Visites à domicile', action: 'homeVisit' }
-    ],
-    ar: [
-      { text: 'ابحث عن طبيب', action: 'findDoctor' },
-      { text: 'خدمات الطوارئ', action: 'emergency' },
-      { text: 'متاح للكراسي المتحركة', action: 'accessibility' },
-      { text: 'زيارات منزلية', action: 'homeVisit' }
-    ]
+ * Statistics Backfill Function
+ * 
+ * Recounts providers, users and pending verifications from scratch, e.g.
+ * for data created before the counters existed. Chatbot counters are kept
+ * as they are: messages counted before chatbot sessions were issued by
+ * startChatbotSession have no transcript, so they cannot be recounted.
+ * Admin only.
+ * 
+ * @returns {Object} Recomputed statistics
+ */
+exports.rebuildStats = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'You must be signed in');
+  }
+
+  const db = admin.firestore();
+  const userDoc = await db.collection('users').doc(context.auth.uid).get();
+
+  if (!userDoc.exists || userDoc.data().role !== 'admin') {
+    throw new functions.https.HttpsError('permission-denied', 'Only admins can rebuild statistics');
+  }
+
+  const [providersSnapshot, usersSnapshot, pendingSnapshot, activeUsers] = await Promise.all([
+    db.collection('providers').get(),
+    db.collection('users').get(),
+    db.collection('verifications').where('status', '==', 'pending').get(),
+    countActiveUsers(db)
+  ]);
+
+  const providers = StatsCounters.tally(providersSnapshot.docs.map(doc => doc.data()), StatsCounters.providerCounters).providers;
+  const users = StatsCounters.tally(usersSnapshot.docs.map(doc => doc.data()), StatsCounters.userCounters).users;
+
+  const stats = {
+    providers: { total: 0, verified: 0, claimed: 0, trashed: 0, byType: {}, byCity: {}, ...providers },
+    users: { total: 0, byRole: {}, ...users, active: activeUsers },
+    verifications: { pending: pendingSnapshot.size },
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
   };
 
-  return replies[language] || replies.en;
-}
+  // mergeFields replaces these maps whole, dropping stale cities and types
+  await db.doc(STATS_DOC).set(stats, {
+    mergeFields: ['providers', 'users', 'verifications', 'updatedAt']
+  });
+
+  return {
+    providers: stats.providers,
+    users: stats.users,
+    verifications: stats.verifications
+  };
+});
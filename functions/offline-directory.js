@@ -0,0 +1,345 @@
+/**
+ * Offline Directory Module
+ * Compact snapshot of verified providers kept in IndexedDB, so that search,
+ * the emergency section and favorites still show providers without a
+ * connection (the service worker does not cache Firestore requests).
+ *
+ * The snapshot only keeps what is needed to find and reach a provider:
+ * names, type, specialty, phone, address, coordinates, the 24/7 flag and the
+ * feature flags used by search filters. The `publishOfflineDirectory` Cloud
+ * Function builds it with createSnapshot and publishes it as a single
+ * document (SNAPSHOT_DOC), so each device downloads one document instead of
+ * every provider. Devices download it in the background when online, once
+ * their copy is older than REFRESH_INTERVAL_MS, and when the connection
+ * comes back.
+ *
+ * functions/offline-directory.js is a copy of this file used by the Cloud
+ * Function; keep both identical (checked by __tests__/offline-directory.test.js).
+ */
+
+const OfflineDirectory = {
+  /**
+   * IndexedDB database and the key/value store holding the snapshot and the
+   * favorites of the users signed in on this device
+   */
+  DB_NAME: 'cityhealth-offline',
+  DB_VERSION: 1,
+  STORE: 'directory',
+  SNAPSHOT_KEY: 'providers',
+  FAVORITES_KEY_PREFIX: 'favorites_',
+
+  /**
+   * Firestore document holding the published snapshot
+   */
+  SNAPSHOT_DOC: 'offline_directory/current',
+
+  /**
+   * Age from which the snapshot is downloaded again
+   */
+  REFRESH_INTERVAL_MS: 12 * 60 * 60 * 1000,
+
+  /**
+   * How often an open page checks whether the snapshot should be refreshed
+   */
+  CHECK_INTERVAL_MS: 60 * 60 * 1000,
+
+  /**
+   * Providers shown by the emergency section from the snapshot
+   */
+  EMERGENCY_LIMIT: 10,
+
+  // Snapshot loaded from IndexedDB or the last refresh
+  snapshot: null,
+  databasePromise: null,
+  refreshPromise: null,
+  checkInterval: null,
+
+  /**
+   * Compact record of a provider
+   * @param {Object} provider - Provider data with `id`
+   * @returns {Object} - Record kept in the snapshot
+   */
+  toRecord(provider) {
+    const address = provider.address || {};
+    const location = provider.location || {};
+    const record = {
+      id: provider.id,
+      name: provider.name || '',
+      type: provider.type || '',
+      phone: provider.phone || '',
+      address: typeof address === 'string'
+        ? address
+        : { street: address.street || '', city: address.city || '' },
+      city: provider.city || address.city || '',
+      location: Number.isFinite(location.lat) && Number.isFinite(location.lng)
+        ? { lat: location.lat, lng: location.lng }
+        : null,
+      available24_7: provider.available24_7 === true,
+      accessibility: provider.accessibility === true,
+      homeVisits: provider.homeVisits === true,
+      rating: typeof provider.rating === 'number' ? provider.rating : 0,
+      verified: true
+    };
+
+    ['nameAr', 'nameFr', 'specialty'].forEach(field => {
+      if (provider[field]) record[field] = provider[field];
+    });
+
+    return record;
+  },
+
+  /**
+   * Build a snapshot from provider data, keeping verified providers that are
+   * not in the trash
+   * @param {Array<Object>} providers - Providers with `id`
+   * @param {number} createdAt - Time of the snapshot in ms (default: now)
+   * @returns {Object} - { createdAt, providers }
+   */
+  createSnapshot(providers, createdAt = Date.now()) {
+    return {
+      createdAt,
+      providers: (providers || [])
+        .filter(provider => provider.verified === true && !provider.deletedAt)
+        .map(provider => this.toRecord(provider))
+    };
+  },
+
+  /**
+   * Check whether a snapshot should be downloaded again
+   * @param {Object|null} snapshot - Current snapshot
+   * @param {number} now - Current time in ms (default: now)
+   * @returns {boolean} - True if missing or older than REFRESH_INTERVAL_MS
+   */
+  needsRefresh(snapshot, now = Date.now()) {
+    return !snapshot || !snapshot.createdAt || now - snapshot.createdAt >= this.REFRESH_INTERVAL_MS;
+  },
+
+  /**
+   * Providers available 24/7 in a snapshot, best rated first
+   * @param {Object} snapshot - Snapshot
+   * @returns {Array<Object>} - At most EMERGENCY_LIMIT records
+   */
+  getEmergencyProviders(snapshot) {
+    return snapshot.providers
+      .filter(provider => provider.available24_7)
+      .sort((a, b) => b.rating - a.rating)
+      .slice(0, this.EMERGENCY_LIMIT);
+  },
+
+  /**
+   * Favorite providers found in a snapshot, in the order of the favorites
+   * @param {Object} snapshot - Snapshot
+   * @param {Array<string>} favoriteIds - Favorite provider IDs
+   * @returns {Array<Object>} - Records; providers no longer listed are skipped
+   */
+  getFavoriteProviders(snapshot, favoriteIds) {
+    const byId = new Map(snapshot.providers.map(provider => [provider.id, provider]));
+    return (favoriteIds || []).map(id => byId.get(id)).filter(Boolean);
+  },
+
+  /**
+   * Check whether the browser reports no connection
+   * @returns {boolean} - True if offline
+   */
+  isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  },
+
+  /**
+   * Text telling when the offline data was downloaded
+   * @param {number} createdAt - Snapshot time in ms (default: current snapshot)
+   * @returns {string} - e.g. "Showing saved provider data as of ...", or '' without a snapshot
+   */
+  getDataAsOfText(createdAt = this.snapshot && this.snapshot.createdAt) {
+    if (!createdAt) return '';
+
+    const language = window.i18n && window.i18n.getCurrentLanguage ? window.i18n.getCurrentLanguage() : 'en';
+    const date = window.Utils ? window.Utils.formatDateTime(createdAt, language) : new Date(createdAt).toLocaleString();
+    const text = window.i18n?.translate('error.offline_data', { date });
+
+    return text && text !== 'error.offline_data' ? text : `Showing saved provider data as of ${date}.`;
+  },
+
+  /**
+   * Open the IndexedDB database, creating the store on first use
+   * @returns {Promise<IDBDatabase>} - Database
+   */
+  openDatabase() {
+    if (!this.databasePromise) {
+      this.databasePromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+
+        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        // Allow a later attempt, e.g. after private browsing restrictions
+        this.databasePromise = null;
+        throw error;
+      });
+    }
+
+    return this.databasePromise;
+  },
+
+  /**
+   * Read a value from the store
+   * @param {string} key - Key
+   * @returns {Promise<*>} - Value or null
+   */
+  async readValue(key) {
+    const database = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const request = database.transaction(this.STORE, 'readonly').objectStore(this.STORE).get(key);
+      request.onsuccess = () => resolve(request.result === undefined ? null : request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * Write a value to the store
+   * @param {string} key - Key
+   * @param {*} value - Value (structured-cloneable)
+   * @returns {Promise<void>}
+   */
+  async writeValue(key, value) {
+    const database = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(this.STORE, 'readwrite');
+      transaction.objectStore(this.STORE).put(value, key);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  },
+
+  /**
+   * Get the snapshot, reading it from IndexedDB on first use
+   * @returns {Promise<Object|null>} - { createdAt, providers } or null if none was saved
+   */
+  async load() {
+    if (!this.snapshot) {
+      try {
+        this.snapshot = await this.readValue(this.SNAPSHOT_KEY);
+      } catch (error) {
+        console.warn('Offline provider data unavailable:', error);
+      }
+    }
+
+    return this.snapshot;
+  },
+
+  /**
+   * Download the published snapshot and save it on this device. The previous
+   * snapshot is kept if the download fails or nothing newer was published.
+   * @param {Object} db - Firestore instance
+   * @returns {Promise<Object|null>} - Current snapshot
+   */
+  refresh(db = window.db) {
+    if (!this.refreshPromise) {
+      this.refreshPromise = (async () => {
+        try {
+          const doc = await db.doc(this.SNAPSHOT_DOC).get();
+          const data = doc.exists ? doc.data() : null;
+
+          if (!data || !Array.isArray(data.providers) || !data.createdAt) {
+            throw new Error('No offline provider data published yet');
+          }
+
+          if (this.snapshot && this.snapshot.createdAt >= data.createdAt) {
+            return this.snapshot;
+          }
+
+          const snapshot = { createdAt: data.createdAt, providers: data.providers };
+
+          this.snapshot = snapshot;
+          await this.writeValue(this.SNAPSHOT_KEY, snapshot);
+        } catch (error) {
+          console.warn('Error refreshing offline provider data:', error);
+        } finally {
+          this.refreshPromise = null;
+        }
+
+        return this.snapshot;
+      })();
+    }
+
+    return this.refreshPromise;
+  },
+
+  /**
+   * Refresh the snapshot when online and it is missing or out of date
+   * @returns {Promise<Object|null>} - Current snapshot
+   */
+  async refreshIfNeeded() {
+    await this.load();
+
+    if (this.isOffline() || !window.db || !this.needsRefresh(this.snapshot)) {
+      return this.snapshot;
+    }
+
+    return this.refresh(window.db);
+  },
+
+  /**
+   * Load the snapshot and keep it up to date in the background: once the page
+   * is idle, when the connection comes back and every CHECK_INTERVAL_MS
+   */
+  init() {
+    const check = () => this.refreshIfNeeded();
+
+    if (typeof window.requestIdleCallback === 'function') {
+      window.requestIdleCallback(check);
+    } else {
+      setTimeout(check, 2000);
+    }
+
+    window.addEventListener('online', check);
+
+    if (!this.checkInterval) {
+      this.checkInterval = setInterval(check, this.CHECK_INTERVAL_MS);
+    }
+  },
+
+  /**
+   * Remember a user's favorites on this device for offline use
+   * @param {string} uid - User ID
+   * @param {Array<string>} favoriteIds - Favorite provider IDs
+   * @returns {Promise<void>}
+   */
+  async saveFavorites(uid, favoriteIds) {
+    try {
+      await this.writeValue(this.FAVORITES_KEY_PREFIX + uid, [...favoriteIds]);
+    } catch (error) {
+      console.warn('Error saving favorites for offline use:', error);
+    }
+  },
+
+  /**
+   * Favorites remembered on this device
+   * @param {string} uid - User ID
+   * @returns {Promise<Array<string>|null>} - Favorite provider IDs, or null if never saved
+   */
+  async getSavedFavorites(uid) {
+    try {
+      return await this.readValue(this.FAVORITES_KEY_PREFIX + uid);
+    } catch (error) {
+      console.warn('Saved favorites unavailable:', error);
+      return null;
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OfflineDirectory;
+}
+
+if (typeof window !== 'undefined') {
+  window.OfflineDirectory = OfflineDirectory;
+}
@@ -0,0 +1,279 @@
+/**
+ * Provider Import Module
+ * Column mapping, row validation and duplicate detection for the admin
+ * bulk provider import. Parsing itself is done by the CSV module.
+ *
+ * Providers carry their duplicate keys (getDuplicateKeys) in
+ * `duplicateKeys`, kept by the syncProviderDuplicateKeys Cloud Function, so
+ * an import preview only reads the providers sharing a key with its rows.
+ * functions/provider-import.js is a copy of this file used by that function;
+ * keep both identical (checked by __tests__/provider-import.test.js).
+ */
+
+const ProviderImport = {
+  /**
+   * Importable fields with the header names recognized for each
+   * (English, French and Arabic). Headers are compared after normalizeHeader.
+   */
+  FIELDS: {
+    name: { required: true, aliases: ['name', 'nom', 'raison sociale', 'الاسم', 'اسم'] },
+    type: { required: true, aliases: ['type', 'category', 'categorie', 'النوع'] },
+    phone: { aliases: ['phone', 'telephone', 'tel', 'mobile', 'الهاتف'] },
+    specialty: { aliases: ['specialty', 'speciality', 'specialite', 'التخصص'] },
+    address: { aliases: ['address', 'adresse', 'street', 'rue', 'العنوان'] },
+    city: { aliases: ['city', 'ville', 'commune', 'المدينة', 'البلدية'] },
+    wilaya: { aliases: ['wilaya', 'الولاية'] },
+    latitude: { aliases: ['latitude', 'lat'] },
+    longitude: { aliases: ['longitude', 'lng', 'lon', 'long'] },
+    accessibility: { aliases: ['accessibility', 'accessible', 'accessibilite'] },
+    homevisits: { aliases: ['homevisits', 'home visits', 'visites a domicile'] },
+    available24_7: { aliases: ['available24_7', '24/7', '24h/24', 'urgences'] }
+  },
+
+  /**
+   * Provider type codes, with the French and Arabic names accepted in files
+   */
+  TYPES: {
+    clinic: ['clinic', 'clinique', 'عيادة'],
+    hospital: ['hospital', 'hopital', 'مستشفى'],
+    doctor: ['doctor', 'medecin', 'docteur', 'طبيب'],
+    pharmacy: ['pharmacy', 'pharmacie', 'صيدلية'],
+    lab: ['lab', 'laboratory', 'laboratoire', 'مختبر']
+  },
+
+  TRUE_VALUES: ['true', '1', 'yes', 'y', 'oui', 'x', 'نعم'],
+
+  DEFAULT_CITY: 'Sidi Bel Abbès',
+
+  /**
+   * Lowercase, strip accents and collapse spaces and separators
+   * @param {string} value - Raw text
+   * @returns {string} - Comparable text
+   */
+  normalizeText(value) {
+    return String(value || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[\s_\-.]+/g, ' ')
+      .trim();
+  },
+
+  /**
+   * Normalize a header cell for alias matching ("Home_Visits" → "homevisits")
+   * @param {string} header - Header cell
+   * @returns {string} - Normalized header
+   */
+  normalizeHeader(header) {
+    return this.normalizeText(header).replace(/\s+/g, '');
+  },
+
+  /**
+   * Map each field to the index of its column, guessed from the header row
+   * @param {Array<string>} headers - Header cells
+   * @returns {Object} - Field name to column index (unmapped fields omitted)
+   */
+  guessMapping(headers) {
+    const normalized = headers.map(header => this.normalizeHeader(header));
+    const mapping = {};
+
+    Object.entries(this.FIELDS).forEach(([field, definition]) => {
+      const index = normalized.findIndex((header, column) =>
+        definition.aliases.some(alias => this.normalizeHeader(alias) === header) &&
+        !Object.values(mapping).includes(column)
+      );
+      if (index !== -1) mapping[field] = index;
+    });
+
+    return mapping;
+  },
+
+  /**
+   * List required fields that have no column
+   * @param {Object} mapping - Field name to column index
+   * @returns {Array<string>} - Missing field names
+   */
+  getMissingFields(mapping) {
+    return Object.keys(this.FIELDS).filter(field =>
+      this.FIELDS[field].required && typeof mapping[field] !== 'number'
+    );
+  },
+
+  /**
+   * Resolve a provider type code from a code or localized name
+   * @param {string} value - Type cell
+   * @returns {string|null} - Type code or null if unknown
+   */
+  parseType(value) {
+    const normalized = this.normalizeText(value);
+    const match = Object.entries(this.TYPES).find(([, names]) => names.includes(normalized));
+    return match ? match[0] : null;
+  },
+
+  /**
+   * Reduce a phone number to comparable digits (+213 and 00213 become 0)
+   * @param {string} phone - Phone number
+   * @returns {string} - Digits only
+   */
+  normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.replace(/^(00)?213/, '0');
+  },
+
+  /**
+   * Build and validate a provider from a CSV record
+   * @param {Array<string>} values - Record fields
+   * @param {Object} mapping - Field name to column index
+   * @returns {Object} - { provider, errors }
+   */
+  buildProvider(values, mapping) {
+    const get = field => typeof mapping[field] === 'number'
+      ? window.CSV.unescapeFormula(String(values[mapping[field]] || '').trim())
+      : '';
+    const isTrue = field => this.TRUE_VALUES.includes(this.normalizeText(get(field)));
+    const errors = [];
+
+    const name = get('name');
+    if (!name) {
+      errors.push('Missing name');
+    }
+
+    const type = this.parseType(get('type'));
+    if (!get('type')) {
+      errors.push('Missing type');
+    } else if (!type) {
+      errors.push(`Invalid provider type: ${get('type')}`);
+    }
+
+    const phone = get('phone');
+    if (phone && this.normalizePhone(phone).length < 9) {
+      errors.push(`Invalid phone number: ${phone}`);
+    }
+
+    const provider = {
+      name,
+      type,
+      phone,
+      specialty: get('specialty'),
+      address: {
+        street: get('address'),
+        city: get('city') || this.DEFAULT_CITY,
+        wilaya: get('wilaya') || this.DEFAULT_CITY
+      },
+      accessibility: isTrue('accessibility'),
+      homeVisits: isTrue('homevisits'),
+      available24_7: isTrue('available24_7')
+    };
+
+    // Coordinates may use a decimal comma in French spreadsheets
+    const latitude = get('latitude').replace(',', '.');
+    const longitude = get('longitude').replace(',', '.');
+    if (latitude || longitude) {
+      const lat = Number(latitude);
+      const lng = Number(longitude);
+
+      if (!latitude || !longitude || isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        errors.push(`Invalid coordinates: ${get('latitude') || '?'}, ${get('longitude') || '?'}`);
+      } else {
+        provider.location = { lat, lng };
+      }
+    }
+
+    return { provider, errors };
+  },
+
+  /**
+   * Keys under which two providers are considered the same: the phone number,
+   * or the name within the same city
+   * @param {Object} provider - Provider data
+   * @returns {Array<string>} - Duplicate keys
+   */
+  getDuplicateKeys(provider) {
+    const keys = [];
+    const phone = this.normalizePhone(provider.phone);
+    const name = this.normalizeText(provider.name);
+    const city = this.normalizeText(provider.address?.city || provider.city);
+
+    if (phone.length >= 9) keys.push(`phone:${phone}`);
+    if (name) keys.push(`name:${name}|${city}`);
+
+    return keys;
+  },
+
+  /**
+   * Index existing providers by duplicate key
+   * @param {Array<Object>} providers - Existing providers with `id`
+   * @returns {Map<string, Object>} - Key to { id, name }
+   */
+  createDuplicateIndex(providers) {
+    const index = new Map();
+
+    providers.forEach(provider => {
+      this.getDuplicateKeys(provider).forEach(key => {
+        if (!index.has(key)) index.set(key, { id: provider.id, name: provider.name });
+      });
+    });
+
+    return index;
+  },
+
+  /**
+   * Find the first indexed provider sharing a key
+   * @param {Object} provider - Provider data
+   * @param {Map<string, Object>} index - Duplicate index
+   * @returns {Object|null} - { match, reason } or null
+   */
+  findDuplicate(provider, index) {
+    for (const key of this.getDuplicateKeys(provider)) {
+      if (index.has(key)) {
+        return { match: index.get(key), reason: key.startsWith('phone:') ? 'phone' : 'name' };
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Validate every record and flag duplicates of existing providers and of
+   * earlier rows in the same file
+   * @param {Array<Array<string>>} records - Parsed CSV records, header first
+   * @param {Object} mapping - Field name to column index
+   * @param {Array<Object>} existing - Existing providers with `id`
+   * @returns {Array<Object>} - { row, provider, errors, duplicate } per data row
+   */
+  validateRecords(records, mapping, existing = []) {
+    const existingIndex = this.createDuplicateIndex(existing);
+    const fileIndex = new Map();
+
+    return records.slice(1).map((values, index) => {
+      const row = index + 2;
+      const { provider, errors } = this.buildProvider(values, mapping);
+
+      let duplicate = null;
+      if (errors.length === 0) {
+        const existingMatch = this.findDuplicate(provider, existingIndex);
+        const fileMatch = this.findDuplicate(provider, fileIndex);
+
+        if (existingMatch) {
+          duplicate = { ...existingMatch.match, reason: existingMatch.reason };
+        } else if (fileMatch) {
+          duplicate = { row: fileMatch.match.row, name: fileMatch.match.name, reason: fileMatch.reason };
+        }
+
+        this.getDuplicateKeys(provider).forEach(key => {
+          if (!fileIndex.has(key)) fileIndex.set(key, { row, name: provider.name });
+        });
+      }
+
+      return { row, provider, errors, duplicate };
+    });
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProviderImport;
+}
+
+if (typeof window !== 'undefined') {
+  window.ProviderImport = ProviderImport;
+}
@@ -0,0 +1,75 @@
+/**
+ * Review Ratings
+ * Pure helpers behind the `onReviewWrite` trigger in index.js. A provider
+ * keeps the sum of its counted ratings (`ratingTotal`) next to `rating` and
+ * `reviewCount`, so each review write applies the difference between the old
+ * and new versions of the review instead of re-reading every review.
+ * Hidden reviews are not counted; flagged reviews are until a moderator
+ * hides them.
+ */
+
+const ReviewRatings = {
+  /**
+   * Review statuses counted in the aggregate
+   */
+  COUNTED_STATUSES: ['published', 'flagged'],
+
+  /**
+   * Check whether a review counts toward its provider's rating
+   * @param {Object|null} review - Review data (null if it does not exist)
+   * @returns {boolean} - True for a published or flagged review with a valid rating
+   */
+  isCounted(review) {
+    return !!review &&
+      this.COUNTED_STATUSES.includes(review.status) &&
+      Number.isInteger(review.rating) && review.rating >= 1 && review.rating <= 5;
+  },
+
+  /**
+   * Change a review write makes to the aggregate
+   * @param {Object|null} before - Review before the write
+   * @param {Object|null} after - Review after the write
+   * @returns {Object} - { total, count } to add to `ratingTotal` and `reviewCount`
+   */
+  getDelta(before, after) {
+    const contribution = review => this.isCounted(review)
+      ? { total: review.rating, count: 1 }
+      : { total: 0, count: 0 };
+    const removed = contribution(before);
+    const added = contribution(after);
+
+    return { total: added.total - removed.total, count: added.count - removed.count };
+  },
+
+  /**
+   * Apply a delta to a provider's aggregate
+   * @param {Object} aggregate - { ratingTotal, reviewCount } of the provider
+   * @param {Object} delta - { total, count } (see getDelta)
+   * @returns {Object} - { rating, reviewCount, ratingTotal }, rating rounded to one decimal
+   */
+  apply(aggregate, delta) {
+    const reviewCount = Math.max(0, (aggregate.reviewCount || 0) + delta.count);
+    const ratingTotal = reviewCount > 0 ? Math.max(0, (aggregate.ratingTotal || 0) + delta.total) : 0;
+
+    return {
+      rating: reviewCount > 0 ? Math.round((ratingTotal / reviewCount) * 10) / 10 : 0,
+      reviewCount,
+      ratingTotal
+    };
+  },
+
+  /**
+   * Aggregate of a list of reviews, for providers rated before `ratingTotal`
+   * was stored
+   * @param {Array<Object>} reviews - Review data
+   * @returns {Object} - { rating, reviewCount, ratingTotal }
+   */
+  fromReviews(reviews) {
+    return (reviews || []).reduce(
+      (aggregate, review) => this.apply(aggregate, this.getDelta(null, review)),
+      this.apply({}, { total: 0, count: 0 })
+    );
+  }
+};
+
+module.exports = ReviewRatings;
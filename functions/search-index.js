@@ -0,0 +1,398 @@
+/**
+ * Search Index Module
+ * Builds and matches the multilingual full-text index stored on providers as
+ * `searchTokens`. The index is written by the `syncProviderSearchIndex` Cloud
+ * Function and queried with `array-contains-any` by Search.searchProviders.
+ *
+ * Text is lowercased and made accent- and diacritic-insensitive (French
+ * accents, Arabic tashkeel and tatweel), Arabic letter variants are folded
+ * (أ/إ/آ → ا, ى → ي, ة → ه) and the Arabic article "ال" is dropped. Each word
+ * also gets a consonant skeleton prefixed with "ph:" that is shared by its
+ * Latin and Arabic spellings, so "Benali" matches "بن علي".
+ *
+ * functions/search-index.js is a copy of this file used by the Cloud Function;
+ * keep both identical (checked by __tests__/search-index.test.js).
+ */
+
+const SearchIndex = {
+  /**
+   * Shortest word prefix stored in the index
+   */
+  MIN_PREFIX_LENGTH: 3,
+
+  /**
+   * Maximum number of values Firestore accepts in an array-contains-any query
+   */
+  MAX_QUERY_TOKENS: 30,
+
+  /**
+   * Prefix marking phonetic keys in `searchTokens`
+   */
+  PHONETIC_PREFIX: 'ph:',
+
+  /**
+   * Words ignored in names and queries
+   */
+  STOPWORDS: ['the', 'of', 'and', 'de', 'du', 'des', 'la', 'le', 'les', 'et', 'd', 'l', 'في', 'و'],
+
+  /**
+   * Provider type names in every supported language
+   */
+  TYPE_TERMS: {
+    clinic: ['clinic', 'clinique', 'عيادة'],
+    hospital: ['hospital', 'hôpital', 'مستشفى'],
+    doctor: ['doctor', 'médecin', 'docteur', 'طبيب'],
+    pharmacy: ['pharmacy', 'pharmacie', 'صيدلية'],
+    lab: ['lab', 'laboratory', 'laboratoire', 'مختبر']
+  },
+
+  /**
+   * Arabic letters mapped to Latin consonants; long vowels and ع map to ''
+   */
+  ARABIC_CONSONANTS: {
+    'ا': '', 'ب': 'b', 'ت': 't', 'ث': 't', 'ج': 'j', 'ح': 'h', 'خ': 'kh',
+    'د': 'd', 'ذ': 'd', 'ر': 'r', 'ز': 'z', 'س': 's', 'ش': 'ch', 'ص': 's',
+    'ض': 'd', 'ط': 't', 'ظ': 'd', 'ع': '', 'غ': 'gh', 'ف': 'f', 'ق': 'k',
+    'ك': 'k', 'ل': 'l', 'م': 'm', 'ن': 'n', 'ه': 'h', 'و': '', 'ي': '', 'ء': ''
+  },
+
+  /**
+   * Latin spellings rewritten before vowels are dropped (order matters)
+   */
+  LATIN_RULES: [
+    [/dj/g, 'j'], [/sh/g, 'ch'], [/th/g, 't'], [/ph/g, 'f'], [/q/g, 'k'],
+    [/c(?=[eiy])/g, 's'], [/c(?!h)/g, 'k'], [/x/g, 'ks'], [/p/g, 'b'], [/v/g, 'f'],
+    [/[aeiouyw]/g, '']
+  ],
+
+  /**
+   * Normalize text for indexing and matching
+   * @param {string} text - Raw text
+   * @returns {string} - Lowercase text without accents, diacritics or punctuation
+   */
+  normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      // Arabic tashkeel, superscript alef and tatweel
+      .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+      .replace(/[أإآٱ]/g, 'ا')
+      .replace(/ى/g, 'ي')
+      .replace(/ة/g, 'ه')
+      .replace(/ؤ/g, 'و')
+      .replace(/ئ/g, 'ي')
+      // Arabic-Indic digits
+      .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  },
+
+  /**
+   * Split text into normalized words, dropping stopwords and the Arabic article
+   * @param {string} text - Raw text
+   * @returns {Array<string>} - Words
+   */
+  tokenize(text) {
+    const normalized = this.normalize(text);
+    if (!normalized) return [];
+
+    return normalized.split(' ')
+      .map(word => (/^ال[\u0600-\u06FF]{2,}/.test(word) ? word.slice(2) : word))
+      .filter(word => word && !this.STOPWORDS.includes(word));
+  },
+
+  /**
+   * Get the consonant skeleton of a word, shared by its Latin and Arabic spellings
+   * @param {string} word - Normalized word
+   * @returns {string} - Phonetic key (may be empty)
+   */
+  phonetic(word) {
+    let key;
+
+    if (/[\u0600-\u06FF]/.test(word)) {
+      key = Array.from(word).map(letter => {
+        const mapped = this.ARABIC_CONSONANTS[letter];
+        return mapped === undefined ? letter : mapped;
+      }).join('');
+    } else {
+      key = this.LATIN_RULES.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), word);
+    }
+
+    // Doubled letters (shadda, "dd", "ll") carry no extra meaning
+    return key.replace(/(.)\1+/g, '$1');
+  },
+
+  /**
+   * Get phonetic keys for single words and adjacent word pairs,
+   * so "Ben Ali", "Benali" and "بن علي" share a key
+   * @param {Array<string>} words - Normalized words
+   * @returns {Array<string>} - Phonetic keys of at least two letters
+   */
+  phoneticKeys(words) {
+    const keys = words.map(word => this.phonetic(word));
+    const pairs = keys.slice(1).map((key, index) => keys[index] + key);
+
+    return [...keys, ...pairs].filter(key => key.length >= 2);
+  },
+
+  /**
+   * Collect the indexed text of a provider, grouped by field weight
+   * @param {Object} provider - Provider data
+   * @returns {Array<Object>} - { weight, words, phonetics } per field group
+   */
+  getFields(provider) {
+    const address = provider.address || {};
+    const groups = [
+      { weight: 10, texts: [provider.name, provider.nameAr, provider.nameFr] },
+      { weight: 5, texts: [provider.specialty, provider.specialtyAr, provider.specialtyFr] },
+      { weight: 3, texts: [provider.type, ...(this.TYPE_TERMS[provider.type] || [])] },
+      { weight: 2, texts: [address.street, address.city, provider.city] }
+    ];
+
+    return groups.map(group => {
+      const perText = group.texts.filter(Boolean).map(text => this.tokenize(text));
+      const words = [...new Set(perText.flat())];
+      const phonetics = new Set(perText.flatMap(textWords => this.phoneticKeys(textWords)));
+
+      return { weight: group.weight, words, phonetics };
+    });
+  },
+
+  /**
+   * Build the `searchTokens` array for a provider: every word, its prefixes
+   * and phonetic keys
+   * @param {Object} provider - Provider data
+   * @returns {Array<string>} - Sorted unique tokens
+   */
+  buildTokens(provider) {
+    const tokens = new Set();
+
+    this.getFields(provider).forEach(field => {
+      field.words.forEach(word => {
+        tokens.add(word);
+        for (let length = this.MIN_PREFIX_LENGTH; length < word.length; length++) {
+          tokens.add(word.slice(0, length));
+        }
+      });
+      field.phonetics.forEach(key => tokens.add(this.PHONETIC_PREFIX + key));
+    });
+
+    return [...tokens].sort();
+  },
+
+  /**
+   * Build the tokens to look up for a query with array-contains-any
+   * @param {string} query - Search query
+   * @returns {Array<string>} - At most MAX_QUERY_TOKENS tokens
+   */
+  getQueryTokens(query) {
+    const words = this.tokenize(query);
+    const tokens = [
+      ...words,
+      ...this.phoneticKeys(words).map(key => this.PHONETIC_PREFIX + key)
+    ];
+
+    return [...new Set(tokens)].slice(0, this.MAX_QUERY_TOKENS);
+  },
+
+  /**
+   * Score a provider against a query. Every query word must match a word,
+   * a word prefix or a phonetic key; otherwise the score is 0.
+   * @param {Object} provider - Provider data
+   * @param {string} query - Search query
+   * @returns {number} - Relevance score (0 = no match)
+   */
+  score(provider, query) {
+    const words = this.tokenize(query);
+    if (words.length === 0) return 0;
+
+    const fields = this.getFields(provider);
+    const wordScores = words.map(word => {
+      const key = this.phonetic(word);
+
+      return Math.max(0, ...fields.map(field => {
+        if (field.words.includes(word)) return field.weight;
+        if (field.words.some(fieldWord => fieldWord.startsWith(word))) return field.weight * 0.7;
+        if (key.length >= 2 && field.phonetics.has(key)) return field.weight * 0.5;
+        return 0;
+      }));
+    });
+
+    // Split spellings such as "ben ali" can only match as a pair
+    for (let i = 0; i < words.length - 1; i++) {
+      const pairKey = this.phonetic(words[i]) + this.phonetic(words[i + 1]);
+      fields.forEach(field => {
+        if (pairKey.length >= 2 && field.phonetics.has(pairKey)) {
+          wordScores[i] = Math.max(wordScores[i], field.weight * 0.5);
+          wordScores[i + 1] = Math.max(wordScores[i + 1], field.weight * 0.5);
+        }
+      });
+    }
+
+    if (wordScores.some(wordScore => wordScore === 0)) return 0;
+
+    let score = wordScores.reduce((total, wordScore) => total + wordScore, 0);
+
+    // Boost verified and higher rated providers
+    if (provider.verified) score += 1;
+    score += (provider.rating || 0) * 0.5;
+
+    return score;
+  },
+
+  /**
+   * Maximum number of typos tolerated for a word of this length
+   * @param {string} word - Normalized word
+   * @returns {number} - 0 for short words, 1 up to six letters, 2 beyond
+   */
+  maxTypos(word) {
+    if (word.length <= 3) return 0;
+    return word.length <= 6 ? 1 : 2;
+  },
+
+  /**
+   * Edit distance counting insertions, deletions, substitutions and
+   * transpositions of adjacent letters ("cardiolgie" → "cardiologie" is 1)
+   * @param {string} a - First word
+   * @param {string} b - Second word
+   * @param {number} max - Stop early once the distance exceeds this value
+   * @returns {number} - Distance, or max + 1 if it exceeds max
+   */
+  editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previous2[j - 2] + 1);
+        }
+
+        current[j] = value;
+        rowMin = Math.min(rowMin, value);
+      }
+
+      if (rowMin > max) return max + 1;
+
+      previous2 = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  },
+
+  /**
+   * Score how well a typed word matches a candidate word
+   * @param {string} word - Normalized query word
+   * @param {string} candidate - Normalized candidate word
+   * @param {boolean} allowPrefix - Whether the word may still be incomplete
+   * @returns {number} - 1 for an exact match down to 0 for no match
+   */
+  matchWord(word, candidate, allowPrefix = false) {
+    if (word === candidate) return 1;
+    if (allowPrefix && candidate.startsWith(word)) return 0.9;
+
+    const maxTypos = this.maxTypos(word);
+    if (maxTypos > 0) {
+      const distance = this.editDistance(word, candidate, maxTypos);
+      if (distance <= maxTypos) return 0.8 - distance * 0.1;
+
+      if (allowPrefix && candidate.length > word.length) {
+        const prefixDistance = this.editDistance(word, candidate.slice(0, word.length), maxTypos);
+        if (prefixDistance <= maxTypos) return 0.7 - prefixDistance * 0.1;
+      }
+    }
+
+    const key = this.phonetic(word);
+    return key.length >= 2 && key === this.phonetic(candidate) ? 0.5 : 0;
+  },
+
+  /**
+   * Typo-tolerant match of a partially typed query against a text.
+   * The last query word may be incomplete.
+   * @param {string} query - Typed query
+   * @param {string} text - Candidate text (name, specialty, city...)
+   * @returns {number} - Average word score between 0 and 1 (0 = no match)
+   */
+  fuzzyScore(query, text) {
+    const queryWords = this.tokenize(query);
+    const textWords = this.tokenize(text);
+    if (queryWords.length === 0 || textWords.length === 0) return 0;
+
+    const scores = queryWords.map((word, index) => {
+      const allowPrefix = index === queryWords.length - 1;
+      return Math.max(0, ...textWords.map(textWord => this.matchWord(word, textWord, allowPrefix)));
+    });
+
+    if (scores.some(score => score === 0)) return 0;
+
+    return scores.reduce((total, score) => total + score, 0) / scores.length;
+  },
+
+  /**
+   * Suggest a corrected query from known words ("did you mean")
+   * @param {string} query - Query that returned no results
+   * @param {Array<string>} texts - Known names, specialties, cities...
+   * @returns {string|null} - Corrected query, or null if nothing better is known
+   */
+  suggestCorrection(query, texts) {
+    const words = this.tokenize(query);
+    const vocabulary = [...new Set((texts || []).flatMap(text => this.tokenize(text)))];
+    const known = new Set(vocabulary);
+    let changed = false;
+
+    const corrected = words.map(word => {
+      if (known.has(word)) return word;
+
+      const maxTypos = this.maxTypos(word);
+      let best = null;
+      let bestDistance = maxTypos + 1;
+
+      vocabulary.forEach(candidate => {
+        const distance = this.editDistance(word, candidate, maxTypos);
+        if (distance < bestDistance) {
+          best = candidate;
+          bestDistance = distance;
+        }
+      });
+
+      if (!best) return word;
+
+      changed = true;
+      return best;
+    });
+
+    return changed ? corrected.join(' ') : null;
+  },
+
+  /**
+   * Keep providers matching a query, most relevant first
+   * @param {Array<Object>} providers - Provider list
+   * @param {string} query - Search query
+   * @returns {Array<Object>} - Matching providers with `relevanceScore`
+   */
+  rank(providers, query) {
+    return providers
+      .map(provider => ({ ...provider, relevanceScore: this.score(provider, query) }))
+      .filter(provider => provider.relevanceScore > 0)
+      .sort((a, b) => b.relevanceScore - a.relevanceScore);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchIndex;
+}
+
+if (typeof window !== 'undefined') {
+  window.SearchIndex = SearchIndex;
+}
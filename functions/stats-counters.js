@@ -0,0 +1,162 @@
+/**
+ * Dashboard Statistics Counters
+ * Pure helpers behind the counter triggers in index.js. Every document maps
+ * to the counters it contributes to (a path in the `stats/current` document);
+ * a write applies the difference between the counters of the old and new
+ * versions, so the admin dashboard reads one document instead of scanning
+ * whole collections.
+ */
+
+const StatsCounters = {
+  /**
+   * Map key used when a provider has no type or city, or a user no role
+   */
+  UNKNOWN: 'unknown',
+
+  /**
+   * Time zone of the daily snapshots
+   */
+  TIME_ZONE: 'Africa/Algiers',
+
+  /**
+   * Use a field value as a map key
+   * @param {*} value - Field value
+   * @returns {string} - Non-empty key
+   */
+  keyOf(value) {
+    const key = String(value || '').trim();
+    return key || this.UNKNOWN;
+  },
+
+  /**
+   * Counters a provider contributes to. Trashed providers are only counted
+   * as trashed.
+   * @param {Object|null} provider - Provider data (null if it does not exist)
+   * @returns {Array<Array<string>>} - Counter paths
+   */
+  providerCounters(provider) {
+    if (!provider) return [];
+    if (provider.deletedAt) return [['providers', 'trashed']];
+
+    const counters = [
+      ['providers', 'total'],
+      ['providers', 'byType', this.keyOf(provider.type)],
+      ['providers', 'byCity', this.keyOf(provider.address?.city || provider.city)]
+    ];
+    if (provider.verified) counters.push(['providers', 'verified']);
+    if (provider.claimed) counters.push(['providers', 'claimed']);
+
+    return counters;
+  },
+
+  /**
+   * Counters a user contributes to
+   * @param {Object|null} user - User data (null if it does not exist)
+   * @returns {Array<Array<string>>} - Counter paths
+   */
+  userCounters(user) {
+    if (!user) return [];
+    return [['users', 'total'], ['users', 'byRole', this.keyOf(user.role)]];
+  },
+
+  /**
+   * Counters a verification request contributes to
+   * @param {Object|null} verification - Verification data (null if it does not exist)
+   * @returns {Array<Array<string>>} - Counter paths
+   */
+  verificationCounters(verification) {
+    if (!verification || verification.status !== 'pending') return [];
+    return [['verifications', 'pending']];
+  },
+
+  /**
+   * Counter changes between two versions of a document
+   * @param {Array<Array<string>>} before - Counters of the old version
+   * @param {Array<Array<string>>} after - Counters of the new version
+   * @returns {Array<Object>} - { path, delta } for each counter that changed
+   */
+  diff(before, after) {
+    const deltas = new Map();
+    const add = (path, delta) => {
+      const key = JSON.stringify(path);
+      deltas.set(key, (deltas.get(key) || 0) + delta);
+    };
+
+    before.forEach(path => add(path, -1));
+    after.forEach(path => add(path, 1));
+
+    return Array.from(deltas.entries())
+      .filter(([, delta]) => delta !== 0)
+      .map(([key, delta]) => ({ path: JSON.parse(key), delta }));
+  },
+
+  /**
+   * Nest values by path. Used with set(..., { merge: true }) rather than
+   * update() so city names containing dots are never read as field paths.
+   * @param {Array<Object>} entries - { path, value }
+   * @returns {Object} - Nested object
+   */
+  nest(entries) {
+    const result = {};
+
+    entries.forEach(({ path, value }) => {
+      let node = result;
+      path.slice(0, -1).forEach(key => {
+        node[key] = node[key] || {};
+        node = node[key];
+      });
+      node[path[path.length - 1]] = value;
+    });
+
+    return result;
+  },
+
+  /**
+   * Build the stats update for a document write
+   * @param {Array<Array<string>>} before - Counters of the old version
+   * @param {Array<Array<string>>} after - Counters of the new version
+   * @param {Function} increment - FieldValue.increment
+   * @returns {Object|null} - Nested update, or null if no counter changed
+   */
+  toUpdate(before, after, increment) {
+    const changes = this.diff(before, after);
+    if (changes.length === 0) return null;
+    return this.nest(changes.map(({ path, delta }) => ({ path, value: increment(delta) })));
+  },
+
+  /**
+   * Count documents from scratch, for the backfill
+   * @param {Array<Object>} items - Document data
+   * @param {Function} countersOf - One of the *Counters functions
+   * @returns {Object} - Nested counts
+   */
+  tally(items, countersOf) {
+    const counts = new Map();
+
+    items.forEach(item => {
+      countersOf.call(this, item).forEach(path => {
+        const key = JSON.stringify(path);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+    });
+
+    return this.nest(Array.from(counts.entries()).map(([key, value]) => ({ path: JSON.parse(key), value })));
+  },
+
+  /**
+   * Calendar day of a date in the snapshot time zone
+   * @param {Date} date - Date
+   * @returns {string} - Day as YYYY-MM-DD
+   */
+  dayKey(date = new Date()) {
+    // The en-CA locale formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.TIME_ZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(date);
+  }
+};
+
+module.exports = StatsCounters;
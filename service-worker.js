@@ -1,13 +1,14 @@
 // Service Worker for CityHealth Platform
 // Provides offline caching and performance optimization
 
-const CACHE_VERSION = 'cityhealth-v3';
+const CACHE_VERSION = 'cityhealth-v5';
 const STATIC_CACHE = `${CACHE_VERSION}-static`;
 const DYNAMIC_CACHE = `${CACHE_VERSION}-dynamic`;
 const IMAGE_CACHE = `${CACHE_VERSION}-images`;
 const API_CACHE = `${CACHE_VERSION}-api`;
 
-// Static assets to cache on install
+// Static assets to cache on install: every stylesheet and script index.html
+// loads, so the app starts offline and can search the offline directory
 const STATIC_ASSETS = [
   '/',
   '/index.html',
@@ -16,22 +17,64 @@ const STATIC_ASSETS = [
   '/assets/css/themes.css',
   '/assets/css/responsive.css',
   '/assets/css/homepage.css',
-  '/assets/js/app.js',
+  '/assets/css/browser-compat.css',
+  '/assets/js/browser-compat.js',
+  '/assets/js/components-loader.js',
+  '/assets/js/performance.js',
+  '/assets/js/lazy-loading.js',
+  '/assets/js/image-helper.js',
+  '/assets/js/firebase-config.js',
+  '/assets/js/analytics.js',
+  '/assets/js/performance-monitoring.js',
+  '/assets/js/utils.js',
+  '/assets/js/theme.js',
+  '/assets/js/accessibility.js',
+  '/assets/js/i18n.js',
   '/assets/js/router.js',
   '/assets/js/auth.js',
+  '/assets/js/auth-ui.js',
+  '/assets/js/auth-router.js',
+  '/assets/js/geo.js',
+  '/assets/js/opening-hours.js',
+  '/assets/js/duty-roster.js',
+  '/assets/js/search-index.js',
+  '/assets/js/offline-directory.js',
   '/assets/js/search.js',
+  '/assets/js/search-ui.js',
+  '/assets/js/results-map.js',
+  '/assets/js/change-requests.js',
   '/assets/js/profile.js',
-  '/assets/js/i18n.js',
-  '/assets/js/utils.js',
-  '/assets/js/theme.js',
-  '/assets/js/accessibility.js',
+  '/assets/js/reviews.js',
+  '/assets/js/appointments.js',
+  '/assets/js/csv.js',
+  '/assets/js/provider-import.js',
+  '/assets/js/provider-export.js',
+  '/assets/js/audit-log.js',
+  '/assets/js/verification.js',
+  '/assets/js/admin.js',
+  '/assets/js/ad-lifecycle.js',
+  '/assets/js/ad-targeting.js',
+  '/assets/js/ad-screening.js',
+  '/assets/js/ads.js',
+  '/assets/js/suggestions.js',
+  '/assets/js/suggestions-ui.js',
+  '/assets/js/emergency-section.js',
+  '/assets/js/chatbot-darija.js',
+  '/assets/js/chatbot-dialog.js',
+  '/assets/js/chatbot-triage.js',
+  '/assets/js/chatbot-transcripts.js',
+  '/assets/js/chatbot-engine.js',
+  '/assets/js/chatbot.js',
   '/assets/js/homepage.js',
+  '/assets/js/homepage-performance.js',
+  '/assets/js/app.js',
   '/assets/locales/en.json',
   '/assets/locales/ar.json',
   '/assets/locales/fr.json',
   '/pages/home.html',
   '/pages/search-results.html',
   '/pages/emergency.html',
+  '/pages/favorites.html',
   '/components/navbar.html',
   '/components/footer.html',
   '/components/search-bar.html',
@@ -98,7 +141,8 @@ self.addEventListener('fetch', (event) => {
     return;
   }
   
-  // Skip Firebase Auth and Firestore requests (but cache Storage)
+  // Skip Firebase Auth and Firestore requests (but cache Storage). Providers
+  // are available offline from the IndexedDB snapshot kept by offline-directory.js
   if (url.origin.includes('firebase') && !url.origin.includes('firebasestorage')) {
     return;
   }